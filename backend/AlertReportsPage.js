@@ -1,6 +1,10 @@
 // e2e/AlertReportsPage.js
 // @ts-check
 
+import fs from 'fs';
+import path from 'path';
+import { parseIncidentReport } from './reports/IncidentReportParser.js';
+
 export class AlertReportsPage {
     /**
      * @param {import('@playwright/test').Page} page
@@ -119,6 +123,32 @@ export class AlertReportsPage {
         return true;
     }
 
+    /**
+     * Fetches the PDF shown in the popup and parses it into sections
+     * (header, incident, status timeline, operator notes, map, branding)
+     * @param {import('@playwright/test').Page} pdfPage - The PDF page
+     * @param {Object} [options]
+     * @param {string} [options.saveTo] - Also write the PDF to this file (e.g. for golden comparison)
+     * @returns {Promise<Object>} IncidentReportParser result
+     */
+    async readIncidentReport(pdfPage, { saveTo } = {}) {
+        await this.detectPDF(pdfPage);
+        const url = pdfPage.url();
+        console.log(`[AlertReports] Reading Incident Report PDF from ${url}`);
+
+        const response = await this.page.request.get(url);
+        if (!response.ok()) {
+            throw new Error(`Failed to fetch PDF from URL: ${url} (HTTP ${response.status()})`);
+        }
+        const buffer = await response.body();
+        if (saveTo) {
+            fs.mkdirSync(path.dirname(saveTo), { recursive: true });
+            fs.writeFileSync(saveTo, buffer);
+            console.log(`[AlertReports] PDF saved to: ${saveTo}`);
+        }
+        return parseIncidentReport(buffer);
+    }
+
     /**
      * Gets the count of download buttons on the page
      * @returns {Promise<number>} Number of download buttons
@@ -703,6 +703,54 @@ export class AlertsDashboardPage {
         await manualAlert.click({ force: true });
     }
 
+    /**
+     * Find the stack card produced by a specific publish call, so parallel tests never act on
+     * each other's alerts. Only the ids unique to one publish count (eventId, ref, localId):
+     * device, camera and plate are shared by every alert of a type. Fails when no card carries
+     * them within the timeout, or when more than one does.
+     * @param {Object} publishResult - Return value of EventPublisher / ApiHelper.sendAlert
+     * @param {Object} [options]
+     * @param {string} [options.siteName] - Overrides publishResult.siteName
+     * @param {number} [options.timeout=30000] - How long to wait for the card to arrive
+     * @returns {Promise<{card: import('@playwright/test').Locator, matchedBy: string}>}
+     */
+    async findAlertCard(publishResult, options = {}) {
+        const { timeout = 30000 } = options;
+        const siteName = options.siteName || publishResult.siteName;
+        if (!siteName) {
+            throw new Error('[AlertsDashboard] findAlertCard needs a siteName (use ApiHelper.sendAlert or pass options.siteName)');
+        }
+        const ids = publishedIds(publishResult);
+        if (ids.length === 0) {
+            throw new Error('[AlertsDashboard] findAlertCard needs the eventId, ref or localId of the publish');
+        }
+        console.log(`[AlertsDashboard] Looking for card of ${publishResult.alertType || publishResult.cardLabel} event ${publishResult.eventId} on ${siteName}...`);
+
+        // Site names are truncated on the aggregated card, so match on the prefix
+        const siteNamePrefix = siteName.split(' ').slice(0, 2).join(' ');
+        const siteCard = this.page.locator('[data-test-id="aggregated-site-card"]').filter({ hasText: siteNamePrefix }).first();
+        await siteCard.waitFor({ state: 'visible', timeout });
+
+        const alertCards = siteCard.locator('[data-test-id="alert-card"]');
+        if (!(await alertCards.first().isVisible().catch(() => false))) {
+            await siteCard.locator('[data-test-id="site-alert-card-expand-button"]').click({ force: true });
+            await alertCards.first().waitFor({ state: 'visible', timeout: 10000 });
+        }
+
+        const deadline = Date.now() + timeout;
+        do {
+            const markup = await alertCards.evaluateAll(cards => cards.map(card => card.outerHTML));
+            const index = matchAlertCard(markup, publishResult);
+            if (index >= 0) {
+                console.log('[AlertsDashboard] ✅ Card matched by published id');
+                return { card: alertCards.nth(index), matchedBy: 'id' };
+            }
+            await this.page.waitForTimeout(2000);
+        } while (Date.now() < deadline);
+
+        throw new Error(`[AlertsDashboard] No card found for event ${publishResult.eventId} (${publishResult.cardLabel}) on ${siteName} within ${timeout}ms`);
+    }
+
     /**
      * Switches the view to the Situation Stack.
      * This might involve clicking a tab or a button.
@@ -731,3 +779,29 @@ export class AlertsDashboardPage {
         await this.page.waitForLoadState('networkidle'); // Example of a dynamic wait
     }
 }
+
+/**
+ * Ids that only the alert of one publish call carries
+ * @param {Object} publishResult
+ * @returns {string[]}
+ */
+function publishedIds(publishResult) {
+    return [publishResult.eventId, publishResult.ref, publishResult.localId].filter(Boolean);
+}
+
+/**
+ * Index of the one card whose markup carries an id of the publish, or -1 when none does yet
+ * @param {string[]} cardMarkup - outerHTML of each alert card
+ * @param {Object} publishResult - Return value of EventPublisher / ApiHelper.sendAlert
+ * @returns {number}
+ */
+export function matchAlertCard(cardMarkup, publishResult) {
+    const ids = publishedIds(publishResult);
+    const matches = cardMarkup
+        .map((html, index) => (ids.some(id => html.includes(id)) ? index : -1))
+        .filter(index => index >= 0);
+    if (matches.length > 1) {
+        throw new Error(`[AlertsDashboard] ${matches.length} cards carry the ids of event ${publishResult.eventId}; cannot tell which one it produced`);
+    }
+    return matches.length === 1 ? matches[0] : -1;
+}
@@ -1,4 +1,5 @@
 import { EventPublisher } from './EventPublisher.js';
+import { getProfile, missingSettings, profileName } from '../utils/profile.js';
 
 /**
  * Simple API Helper for easy alert generation
@@ -8,7 +9,32 @@ import { EventPublisher } from './EventPublisher.js';
  *   await apiHelper.sendAlert('trex_private');
  *   await apiHelper.sendAlert('unusual_behaviour');
  *   await apiHelper.sendAlert('public_lpr');
+ *   await apiHelper.sendAlert('private_lpr');
+ *   await apiHelper.sendAlert('object_motion');
+ *   await apiHelper.sendAlert('isentry', { reason: 'Loitering' });
  */
+// Alias -> AlertPayloadBuilder alert type, used by the load generator mix
+const ALERT_TYPE_ALIASES = {
+    trex: 'trex_public',
+    trex_public: 'trex_public',
+    trex_private: 'trex_private',
+    ub: 'unusual_behaviour',
+    unusual_behaviour: 'unusual_behaviour',
+    om: 'object_motion',
+    object_motion: 'object_motion',
+    lpr: 'public_lpr',
+    public_lpr: 'public_lpr',
+    private_lpr: 'private_lpr',
+    private_voi: 'private_lpr',
+    super_voi: 'private_lpr'
+};
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
 export class ApiHelper {
     constructor() {
         this.eventPublisher = new EventPublisher();
@@ -16,10 +42,15 @@ export class ApiHelper {
 
     /**
      * Send an alert of the specified type
-     * @param {string} alertType - One of: 'trex_public', 'trex_private', 'unusual_behaviour', 'public_lpr'
-     * @returns {Promise<{ok: boolean, status: number}>}
+     * @param {string} alertType - One of: 'trex_public', 'trex_private', 'unusual_behaviour', 'object_motion',
+     *                             'isentry', 'public_lpr', 'private_lpr'
+     * @param {Object} [options]
+     * @param {string} [options.reason] - iSentry reason, required for 'isentry'
+     * @returns {Promise<{ok: boolean, status: number, siteName: string, eventId?: string, ref?: string, localId?: string}>}
+     *          Publish result plus the identifiers the alert was sent with; pass it to
+     *          AlertsDashboardPage.findAlertCard() to locate the resulting card
      */
-    async sendAlert(alertType) {
+    async sendAlert(alertType, options = {}) {
         const siteName = this.getSiteName(alertType);
         console.log(`🎯 [${alertType.toUpperCase()}] Sending alert for site: ${siteName}`);
         
@@ -36,16 +67,28 @@ export class ApiHelper {
             case 'ub':
                 result = await this.eventPublisher.unusualBehaviour();
                 break;
+            case 'object_motion':
+            case 'om':
+                result = await this.eventPublisher.objectMotion();
+                break;
+            case 'isentry':
+                result = await this.eventPublisher.isentryAlert(options.reason);
+                break;
             case 'public_lpr':
             case 'lpr':
                 result = await this.eventPublisher.publicLpr();
                 break;
+            case 'private_lpr':
+            case 'private_voi':
+            case 'super_voi':
+                result = await this.eventPublisher.privateLpr();
+                break;
             default:
-                throw new Error(`Unknown alert type: ${alertType}. Use: trex_public, trex_private, unusual_behaviour, public_lpr`);
+                throw new Error(`Unknown alert type: ${alertType}. Use: trex_public, trex_private, unusual_behaviour, object_motion, isentry, public_lpr, private_lpr`);
         }
         
-        console.log(`✅ [${alertType.toUpperCase()}] Status: ${result.status}, Success: ${result.ok}`);
-        return result;
+        console.log(`✅ [${alertType.toUpperCase()}] Status: ${result.status}, Success: ${result.ok}${result.eventId ? `, Event: ${result.eventId}` : ''}`);
+        return { ...result, siteName };
     }
 
     /**
@@ -66,42 +109,174 @@ export class ApiHelper {
     }
 
     /**
-     * Get the configured site name for an alert type
+     * Generate alerts at a steady rate to reproduce stack volume/counter issues under load.
+     * Each tick of `batchIntervalMs` sends the due events as one Event Grid post per endpoint,
+     * with at most `concurrency` posts in flight. The mix is applied deterministically, so
+     * { ub: 70, trex: 20, lpr: 10 } over 100 events sends exactly 70/20/10.
+     *
+     * @param {Object} options
+     * @param {number} options.rate - Events per second
+     * @param {number} options.duration - Seconds to keep generating
+     * @param {Object<string, number>} [options.mix={ ub: 100 }] - Alert type alias -> weight
+     * @param {number} [options.concurrency=4] - Max Event Grid posts in flight
+     * @param {number} [options.batchIntervalMs=1000] - How often due events are flushed as a batch
+     * @param {number} [options.maxBatchSize=100] - Max events per post (Event Grid caps a post at 1 MB)
+     * @returns {Promise<Object>} Summary with per-event results and latency/status statistics
+     */
+    async generateLoad({ rate, duration, mix = { ub: 100 }, concurrency = 4, batchIntervalMs = 1000, maxBatchSize = 100 }) {
+        if (!(rate > 0) || !(duration > 0)) {
+            throw new Error('generateLoad requires a positive rate (events/s) and duration (s)');
+        }
+
+        const weights = Object.entries(mix).map(([alias, weight]) => {
+            const alertType = ALERT_TYPE_ALIASES[alias.toLowerCase()];
+            if (!alertType) {
+                throw new Error(`Unknown alert type in load mix: ${alias}. Use: ${Object.keys(ALERT_TYPE_ALIASES).join(', ')}`);
+            }
+            return { alias, alertType, weight: Number(weight) };
+        }).filter(({ weight }) => weight > 0);
+        if (weights.length === 0) {
+            throw new Error('generateLoad mix must contain at least one alert type with a positive weight');
+        }
+        const totalWeight = weights.reduce((sum, { weight }) => sum + weight, 0);
+
+        // Pick the type furthest behind its target share
+        const sentByAlias = Object.fromEntries(weights.map(({ alias }) => [alias, 0]));
+        const nextType = (sequence) => {
+            let best = weights[0];
+            let bestDeficit = -Infinity;
+            for (const entry of weights) {
+                const deficit = (entry.weight / totalWeight) * (sequence + 1) - sentByAlias[entry.alias];
+                if (deficit > bestDeficit) {
+                    best = entry;
+                    bestDeficit = deficit;
+                }
+            }
+            sentByAlias[best.alias]++;
+            return best;
+        };
+
+        const totalEvents = Math.round(rate * duration);
+        const ticks = Math.max(1, Math.ceil((duration * 1000) / batchIntervalMs));
+        console.log(`🚀 [LOAD] ${totalEvents} events over ${duration}s (${rate}/s, concurrency ${concurrency}, mix ${JSON.stringify(mix)})`);
+
+        const results = [];
+        const inFlight = new Set();
+        const started = Date.now();
+        let scheduled = 0;
+
+        for (let tick = 0; tick < ticks && scheduled < totalEvents; tick++) {
+            const tickStart = started + tick * batchIntervalMs;
+            const wait = tickStart - Date.now();
+            if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+            // Events due by the end of this tick
+            const dueBy = tick === ticks - 1 ? totalEvents : Math.min(totalEvents, Math.round(rate * ((tick + 1) * batchIntervalMs) / 1000));
+            const due = [];
+            while (scheduled < dueBy) {
+                due.push(nextType(scheduled++));
+            }
+
+            for (let i = 0; i < due.length; i += maxBatchSize) {
+                const batch = due.slice(i, i + maxBatchSize);
+                while (inFlight.size >= concurrency) {
+                    await Promise.race(inFlight);
+                }
+                const queuedAt = Date.now();
+                const post = this.eventPublisher.publishBatch(batch.map(({ alertType }) => alertType))
+                    .then(batchResults => {
+                        batchResults.forEach((result, index) => {
+                            results.push({
+                                ...result,
+                                alias: batch[index].alias,
+                                queueDelayMs: queuedAt - tickStart,
+                                latencyMs: result.latencyMs ?? 0
+                            });
+                        });
+                    })
+                    .catch(error => {
+                        batch.forEach(({ alias, alertType }) => {
+                            results.push({ alias, alertType, ok: false, status: 0, error: error.message, queueDelayMs: queuedAt - tickStart, latencyMs: Date.now() - queuedAt });
+                        });
+                    })
+                    .finally(() => inFlight.delete(post));
+                inFlight.add(post);
+            }
+        }
+        await Promise.all(inFlight);
+
+        const summary = this.summariseLoad(results, Date.now() - started);
+        console.log(`✅ [LOAD] Sent ${summary.sent}, ok ${summary.ok}, failed ${summary.failed}, p50 ${summary.latency.p50}ms, p95 ${summary.latency.p95}ms, ${summary.achievedRate}/s`);
+        return summary;
+    }
+
+    /**
+     * Aggregate per-event load results into status and latency statistics
+     * @param {Array<Object>} results - Per-event results from generateLoad
+     * @param {number} elapsedMs
+     * @returns {Object}
+     */
+    summariseLoad(results, elapsedMs) {
+        const latencies = results.filter(r => !r.skipped).map(r => r.latencyMs).sort((a, b) => a - b);
+        const byStatus = {};
+        const byType = {};
+        for (const result of results) {
+            const status = result.skipped ? 'skipped' : String(result.status);
+            byStatus[status] = (byStatus[status] || 0) + 1;
+            byType[result.alias] ??= { sent: 0, ok: 0, failed: 0, skipped: 0 };
+            byType[result.alias].sent++;
+            // Skipped events were never sent, so they count apart from failures, as in the totals
+            byType[result.alias][result.skipped ? 'skipped' : result.ok ? 'ok' : 'failed']++;
+        }
+        const sum = latencies.reduce((total, value) => total + value, 0);
+
+        return {
+            sent: results.length,
+            ok: results.filter(r => r.ok).length,
+            failed: results.filter(r => !r.ok && !r.skipped).length,
+            skipped: results.filter(r => r.skipped).length,
+            elapsedMs,
+            achievedRate: Number((results.length / Math.max(elapsedMs / 1000, 0.001)).toFixed(2)),
+            byStatus,
+            byType,
+            latency: {
+                min: latencies[0] ?? 0,
+                avg: latencies.length ? Math.round(sum / latencies.length) : 0,
+                p50: percentile(latencies, 50),
+                p95: percentile(latencies, 95),
+                p99: percentile(latencies, 99),
+                max: latencies[latencies.length - 1] ?? 0
+            },
+            results
+        };
+    }
+
+    /**
+     * Get the site name for an alert type from the active profile (sites.<alert type>)
      * @param {string} alertType 
      * @returns {string}
      */
     getSiteName(alertType) {
-        switch (alertType.toLowerCase()) {
-            case 'trex_public':
-            case 'trex':
-                return process.env.trex || 'WVRD_9th Ave and JG Strydom Rd_62';
-            case 'trex_private':
-                return process.env.trex_private || 'NGA_20481_Ramoshie_Eaton';
-            case 'unusual_behaviour':
-            case 'ub':
-                return process.env.UB || 'WVRD_9th Ave and JG Strydom Rd_62';
-            case 'public_lpr':
-            case 'lpr':
-                return process.env.public_lpr || 'MCLN_Berea Str and Bourke Str_20.4_A';
-            default:
-                return 'Unknown Site';
-        }
+        const type = alertType.toLowerCase() === 'isentry'
+            ? 'object_motion'
+            : ALERT_TYPE_ALIASES[alertType.toLowerCase()];
+        return getProfile().sites?.[type] || 'Unknown Site';
     }
 
     /**
-     * Validate that API can be called (environment variables are set)
+     * Validate that API can be called (Event Grid endpoint and key resolve in the active profile)
      * @returns {boolean}
      */
     validateApiConfig() {
-        const requiredVars = ['UAT_URL', 'UAT_SASKEY', 'ENVIRONMENT'];
-        const missing = requiredVars.filter(varName => !process.env[varName]);
+        const missing = missingSettings(['eventGrid.url', 'eventGrid.sasKey']);
         
         if (missing.length > 0) {
-            console.error(`❌ Missing required environment variables: ${missing.join(', ')}`);
+            const details = missing.map(({ setting, variables }) => `${setting} (${variables.join(' or ') || 'set in profile'})`);
+            console.error(`❌ Missing API configuration for profile '${profileName()}': ${details.join(', ')}`);
             return false;
         }
         
-        console.log('✅ API configuration is valid');
+        console.log(`✅ API configuration is valid (profile: ${profileName()})`);
         return true;
     }
 }
@@ -0,0 +1,289 @@
+// backend/ApiLogin.js
+// Headless login: gets tokens from the identity provider's token endpoint with the resource
+// owner password grant and writes them into the browser as the MSAL cache the app reads from
+// localStorage, so the Microsoft login pages are never opened.
+//
+// The "login" section of the environment profile picks the strategy:
+//   "strategy": "ui"  -> AdminLoginPage drives the Microsoft login pages (default)
+//   "strategy": "api" -> ApiLogin, falling back to AdminLoginPage when the token request or the
+//                        injected session fails (LOGIN_FALLBACK=0 turns the fallback off)
+// The local profile points "authority" at LocalIdentityProvider for offline runs. The app
+// registration must allow public client flows, and the account must not require MFA.
+
+import { AdminLoginPage } from './AdminLoginPage.js';
+import { AUTH_INDICATORS } from './AuthService.js';
+import { getProfile } from '../utils/profile.js';
+
+export const LOGIN_STRATEGIES = {
+  UI: 'ui',
+  API: 'api'
+};
+
+const BLANK_PAGE = '__api-login';
+
+// How long the app gets to show a signed-in page after it is opened with the injected tokens
+const SIGN_IN_TIMEOUT_MS = 30000;
+const SIGN_IN_POLL_MS = 250;
+
+/**
+ * Login settings of a profile. The client secret is not read here: it is a lazy secret
+ * setting, and page objects build this config whatever the strategy. requestTokens() reads it
+ * through readClientSecret().
+ * @param {Object} [profile=getProfile()]
+ * @returns {{strategy: string, fallback: boolean, authority: string, tenantId: string, clientId: string, readClientSecret: () => string, scopes: string[], tokenUrl: string, environment: string, baseUrl: string}}
+ */
+export function loginConfig(profile = getProfile()) {
+  const login = profile.login || {};
+  const strategy = (login.strategy || LOGIN_STRATEGIES.UI).toLowerCase();
+  if (!Object.values(LOGIN_STRATEGIES).includes(strategy)) {
+    throw new Error(`[ApiLogin] Unknown login strategy "${strategy}". Use one of: ${Object.values(LOGIN_STRATEGIES).join(', ')}`);
+  }
+  const authority = (login.authority || 'https://login.microsoftonline.com').replace(/\/+$/, '');
+  return {
+    strategy,
+    fallback: process.env.LOGIN_FALLBACK !== '0',
+    authority,
+    tenantId: login.tenantId || '',
+    clientId: login.clientId || '',
+    readClientSecret: () => login.clientSecret || '',
+    scopes: String(login.scopes || 'openid profile offline_access').split(/\s+/).filter(Boolean),
+    tokenUrl: `${authority}/${login.tenantId}/oauth2/v2.0/token`,
+    environment: new URL(authority).host,
+    baseUrl: profile.baseUrl
+  };
+}
+
+/**
+ * Claims of a JWT (no signature check; the app validates the tokens it is given)
+ * @param {string} token
+ * @returns {Object}
+ */
+export function decodeJwt(token) {
+  const payload = String(token).split('.')[1];
+  if (!payload) throw new Error('[ApiLogin] Token is not a JWT');
+  return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+}
+
+/**
+ * Resource owner password grant against the token endpoint
+ * @param {{username: string, password: string}} credentials
+ * @param {ReturnType<typeof loginConfig>} config
+ * @param {typeof fetch} [fetchImpl=fetch]
+ * @returns {Promise<{access_token: string, id_token: string, refresh_token?: string, expires_in: number, ext_expires_in?: number, scope: string, client_info?: string}>}
+ */
+export async function requestTokens({ username, password }, config, fetchImpl = fetch) {
+  const missing = ['tenantId', 'clientId'].filter((key) => !config[key]);
+  if (missing.length > 0) {
+    throw new Error(`[ApiLogin] The login profile has no ${missing.join(' or ')} (LOGIN_TENANT_ID / LOGIN_CLIENT_ID)`);
+  }
+
+  const form = new URLSearchParams({
+    grant_type: 'password',
+    client_id: config.clientId,
+    scope: config.scopes.join(' '),
+    username,
+    password
+  });
+  // Only the api strategy talks to the token endpoint with the client's own secret
+  const clientSecret = config.strategy === LOGIN_STRATEGIES.API ? config.readClientSecret?.() : '';
+  if (clientSecret) form.set('client_secret', clientSecret);
+
+  const res = await fetchImpl(config.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: form.toString()
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body.access_token) {
+    const reason = body.error ? `${body.error}: ${String(body.error_description || '').split('\n')[0]}` : `status ${res.status}`;
+    throw new Error(`[ApiLogin] Token request for ${username} failed (${reason})`);
+  }
+  return body;
+}
+
+/**
+ * localStorage entries of the MSAL browser cache for one signed-in account
+ * @param {Awaited<ReturnType<typeof requestTokens>>} tokens
+ * @param {ReturnType<typeof loginConfig>} config
+ * @param {number} [nowMs=Date.now()]
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function msalCacheEntries(tokens, config, nowMs = Date.now()) {
+  const claims = decodeJwt(tokens.id_token);
+  const clientInfo = tokens.client_info ? JSON.parse(Buffer.from(tokens.client_info, 'base64url').toString('utf8')) : {};
+  const realm = claims.tid || config.tenantId;
+  const homeAccountId = `${clientInfo.uid || claims.oid}.${clientInfo.utid || realm}`;
+  const { environment, clientId } = config;
+  const now = Math.floor(nowMs / 1000);
+  const target = tokens.scope || config.scopes.join(' ');
+
+  const key = (...parts) => parts.join('-').toLowerCase();
+  const accountKey = key(homeAccountId, environment, realm);
+  const idTokenKey = key(homeAccountId, environment, 'idtoken', clientId, realm, '');
+  const accessTokenKey = key(homeAccountId, environment, 'accesstoken', clientId, realm, target);
+  const refreshTokenKey = key(homeAccountId, environment, 'refreshtoken', clientId, '', '');
+  const common = { homeAccountId, environment, clientId };
+
+  const entries = [
+    [accountKey, {
+      homeAccountId,
+      environment,
+      realm,
+      localAccountId: claims.oid,
+      username: claims.preferred_username,
+      name: claims.name,
+      authorityType: 'MSSTS',
+      clientInfo: tokens.client_info
+    }],
+    [idTokenKey, { ...common, credentialType: 'IdToken', realm, secret: tokens.id_token }],
+    [accessTokenKey, {
+      ...common,
+      credentialType: 'AccessToken',
+      realm,
+      target,
+      secret: tokens.access_token,
+      tokenType: 'Bearer',
+      cachedAt: String(now),
+      expiresOn: String(now + Number(tokens.expires_in)),
+      extendedExpiresOn: String(now + Number(tokens.ext_expires_in || tokens.expires_in))
+    }],
+    [`msal.token.keys.${clientId}`, {
+      idToken: [idTokenKey],
+      accessToken: [accessTokenKey],
+      refreshToken: tokens.refresh_token ? [refreshTokenKey] : []
+    }],
+    ['msal.account.keys', [accountKey]]
+  ];
+  if (tokens.refresh_token) {
+    entries.push([refreshTokenKey, { ...common, credentialType: 'RefreshToken', secret: tokens.refresh_token }]);
+  }
+  return entries.map(([name, value]) => ({ name, value: JSON.stringify(value) }));
+}
+
+/**
+ * Playwright storage state holding the tokens for the app's origin
+ * @param {Awaited<ReturnType<typeof requestTokens>>} tokens
+ * @param {ReturnType<typeof loginConfig>} config
+ * @param {number} [nowMs=Date.now()]
+ */
+export function tokenStorageState(tokens, config, nowMs = Date.now()) {
+  return {
+    cookies: [],
+    origins: [{ origin: new URL(config.baseUrl).origin, localStorage: msalCacheEntries(tokens, config, nowMs) }]
+  };
+}
+
+/**
+ * Drop-in for AdminLoginPage (same login(username, password)) that signs in without the
+ * Microsoft login pages
+ */
+export class ApiLogin {
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} [options]
+   * @param {ReturnType<typeof loginConfig>} [options.config=loginConfig()]
+   * @param {{login: Function}|null} [options.fallback=new AdminLoginPage(page)] - UI login used when this one fails; null to fail instead
+   * @param {typeof fetch} [options.fetch=fetch]
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.config = options.config || loginConfig();
+    this.fallback = options.fallback !== undefined
+      ? options.fallback
+      : (this.config.fallback ? new AdminLoginPage(page) : null);
+    this.fetch = options.fetch || fetch;
+  }
+
+  /**
+   * @param {string} username
+   * @param {string} password
+   */
+  async login(username, password) {
+    let injected = [];
+    try {
+      console.log(`[ApiLogin] 🔑 Requesting tokens for ${username} from ${this.config.authority}...`);
+      const tokens = await requestTokens({ username, password }, this.config, this.fetch);
+      injected = await this.injectTokens(tokens);
+      await this.page.goto('/command', { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await this.waitUntilSignedIn();
+      console.log(`[ApiLogin] ✅ Signed in ${username} without the login pages`);
+    } catch (error) {
+      if (!this.fallback) throw error;
+      console.log('[ApiLogin] ⚠️ Headless login failed, falling back to the Microsoft login pages:', error.message);
+      // Rejected tokens left in the cache would send MSAL after them again on the login pages
+      if (injected.length > 0) await this.clearTokens(injected);
+      await this.fallback.login(username, password);
+    }
+  }
+
+  /**
+   * Wait for the app to show a signed-in page. MSAL redirects to the identity provider only
+   * after the page has loaded, so the URL right after goto() says nothing yet.
+   * @param {number} [timeout=SIGN_IN_TIMEOUT_MS]
+   */
+  async waitUntilSignedIn(timeout = SIGN_IN_TIMEOUT_MS) {
+    const authorityHost = new URL(this.config.authority).host;
+    const signedIn = this.page.locator(AUTH_INDICATORS.join(', ')).first();
+    const deadline = Date.now() + timeout;
+    while (true) {
+      if (this.page.url().includes(authorityHost)) {
+        throw new Error(`[ApiLogin] The app did not accept the injected tokens and redirected to ${this.page.url()}`);
+      }
+      if (await signedIn.isVisible().catch(() => false)) return;
+      if (Date.now() >= deadline) {
+        throw new Error(`[ApiLogin] No signed-in page ${Math.round(timeout / 1000)}s after opening the app with the injected tokens (${this.page.url()})`);
+      }
+      await this.page.waitForTimeout(SIGN_IN_POLL_MS);
+    }
+  }
+
+  /**
+   * Write the MSAL cache into localStorage of the app's origin
+   * @param {Awaited<ReturnType<typeof requestTokens>>} tokens
+   * @returns {Promise<string[]>} Names of the entries written
+   */
+  async injectTokens(tokens) {
+    const [origin] = tokenStorageState(tokens, this.config).origins;
+    await this.onBlankAppPage((entries) => {
+      for (const { name, value } of entries) localStorage.setItem(name, value);
+    }, origin.localStorage);
+    return origin.localStorage.map(({ name }) => name);
+  }
+
+  /**
+   * Remove injected MSAL cache entries from localStorage of the app's origin
+   * @param {string[]} names
+   */
+  async clearTokens(names) {
+    await this.onBlankAppPage((keys) => {
+      for (const key of keys) localStorage.removeItem(key);
+    }, names).catch((error) => console.log(`[ApiLogin] Could not clear the injected tokens: ${error.message}`));
+  }
+
+  /**
+   * Run `fn` in a blank page served on the app's origin, so the app's own scripts never start a
+   * redirect to the login pages while its localStorage is changed
+   * @param {(arg: any) => void} fn
+   * @param {any} arg
+   */
+  async onBlankAppPage(fn, arg) {
+    const blankUrl = `${new URL(this.config.baseUrl).origin}/${BLANK_PAGE}`;
+    await this.page.route(blankUrl, (route) => route.fulfill({ status: 200, contentType: 'text/html', body: '<html></html>' }));
+    try {
+      await this.page.goto(blankUrl);
+      await this.page.evaluate(fn, arg);
+    } finally {
+      await this.page.unroute(blankUrl);
+    }
+  }
+}
+
+/**
+ * Login page for the profile's strategy: ApiLogin or the Microsoft login pages
+ * @param {import('@playwright/test').Page} page
+ * @param {ReturnType<typeof loginConfig>} [config=loginConfig()]
+ * @returns {{login: (username: string, password: string) => Promise<void>}}
+ */
+export function createLoginPage(page, config = loginConfig()) {
+  return config.strategy === LOGIN_STRATEGIES.API ? new ApiLogin(page, { config }) : new AdminLoginPage(page);
+}
@@ -0,0 +1,322 @@
+import { test } from '@playwright/test';
+import { createLoginPage } from './ApiLogin.js';
+import { AppInteractionsPage } from './AppInteractionsPage.js';
+import { getSessionRegistry, credentialPrefix } from './SessionRegistry.js';
+import { getSecret } from '../utils/secrets.js';
+
+export { credentialPrefix };
+
+/** How ensure() got the page authenticated, cheapest first */
+export const AUTH_PATHS = {
+    STORAGE_STATE: 'storage-state',
+    COMPANY_SWITCH: 'company-switch',
+    FULL_LOGIN: 'full-login'
+};
+
+/** Elements only an authenticated Proof360 page shows */
+export const AUTH_INDICATORS = [
+    '[data-test-id="burger-menu-button"]',
+    '[data-test-id="selected-company"]',
+    '[data-test-id="logoutDropdown"]',
+    '.hamburger-menu'
+];
+
+/** One set of timeouts for every auth check (ms) */
+export const AUTH_TIMEOUTS = {
+    navigation: 30000,
+    indicator: 10000,
+    company: 5000,
+    login: 60000
+};
+
+// Role ensure() signs in as when no role is asked for and the context's role is unknown
+export const DEFAULT_ROLE = 'admin';
+
+const COMPANY_SELECTOR = '[data-test-id="selected-company"]';
+const TERMS_BUTTON = '[data-test-id="termsAndConditonsAcceptBtn"]';
+
+// Role signed in per browser context, shared by every AuthService on the same context
+const contextRoles = new WeakMap();
+
+// ensure() calls running per browser context (SessionWatchdog leaves those contexts alone)
+const contextLogins = new WeakMap();
+
+/**
+ * Login credentials of a role or identity (see SessionRegistry), read through the secrets provider
+ * @param {string} role
+ * @returns {{username: string, password: string}}
+ */
+export function roleCredentials(role) {
+    return getSessionRegistry().credentials(role);
+}
+
+/**
+ * Identity of the profile (SessionRegistry) whose account signs in as `username`, read through the
+ * secrets provider. Identities sharing an account (normal, vodacom-operator, ...) resolve to the
+ * one named after the account, else the first listed.
+ * @param {string} username
+ * @param {import('./SessionRegistry.js').SessionRegistry} [registry=getSessionRegistry()]
+ * @returns {string}
+ * @throws {Error} When no identity signs in as `username`
+ */
+export function roleForUsername(username, registry = getSessionRegistry()) {
+    const names = Object.keys(registry.identities);
+    const matches = names.filter((name) => !!username && getSecret(`${registry.identity(name).account}_USERNAME`) === username);
+    if (matches.length === 0) {
+        throw new Error(`[AuthService] No identity signs in as "${username}"; add one to the profile's identities (${names.join(', ')})`);
+    }
+    return matches.find((name) => registry.identity(name).account === credentialPrefix(name)) ?? matches[0];
+}
+
+/**
+ * Role of a storage state file written by SessionRegistry (userStorageState_<role>.json)
+ * @param {string|Object} [storageState]
+ * @returns {string|null}
+ */
+export function roleOfStorageState(storageState) {
+    if (typeof storageState !== 'string') return null;
+    return /userStorageState_(.+)\.json$/.exec(storageState)?.[1] ?? null;
+}
+
+/**
+ * Cheapest path to a page signed in as `role` with `company` selected
+ * @param {Object} state
+ * @param {boolean} state.authenticated - The page shows the app, not a login screen
+ * @param {string|null} state.currentRole - Role signed in on the context
+ * @param {string} state.role - Role wanted
+ * @param {boolean} state.companySelected - The wanted company (or no particular one) is selected
+ * @returns {string} One of AUTH_PATHS
+ */
+export function chooseAuthPath({ authenticated, currentRole, role, companySelected }) {
+    if (!authenticated || currentRole !== role) return AUTH_PATHS.FULL_LOGIN;
+    return companySelected ? AUTH_PATHS.STORAGE_STATE : AUTH_PATHS.COMPANY_SWITCH;
+}
+
+/**
+ * The one place that decides whether a page is signed in, as whom, and for which company.
+ *
+ * ensure() takes the cheapest way to a page authenticated as a role with a company selected:
+ * reuse the session the context already has (its storage state), re-select the company only,
+ * or do a full login (the profile's login strategy: the Microsoft SSO pages through AdminLoginPage,
+ * or tokens from ApiLogin), and reports which it took.
+ * AuthHelper, PersistentAuthHelper, SimpleAuthHelper and the SharedTestSteps login methods
+ * all delegate here; tests get one through the `auth` fixture.
+ */
+export class AuthService {
+    /**
+     * @param {import('@playwright/test').Page} page
+     * @param {Object} [options]
+     * @param {(company: string) => Promise<void>} [options.selectCompany] - Company picker (SharedTestSteps.selectCompany adds the Vodacom station)
+     * @param {{login: Function}} [options.loginPage=createLoginPage(page)] - AdminLoginPage or ApiLogin, per the profile's login strategy
+     * @param {import('./SessionRegistry.js').SessionRegistry} [options.registry=getSessionRegistry()] - Saved sessions per role
+     * @param {Partial<typeof AUTH_TIMEOUTS>} [options.timeouts]
+     */
+    constructor(page, options = {}) {
+        this.page = page;
+        this.loginPage = options.loginPage || createLoginPage(page);
+        this.selectCompanyFn = options.selectCompany
+            || ((company) => new AppInteractionsPage(page).ensureCorrectCompanySelection(company));
+        this.registry = options.registry || getSessionRegistry();
+        this.timeouts = { ...AUTH_TIMEOUTS, ...options.timeouts };
+        this.lastResult = null;
+    }
+
+    /** Role signed in on this page's browser context (null when unknown) */
+    get currentRole() {
+        return contextRoles.get(this.page.context()) ?? null;
+    }
+
+    /**
+     * Role of the storage state the running test's project starts contexts from
+     * (userStorageState_<role>.json); null outside a test or for any other storage state
+     * @returns {string|null}
+     */
+    projectRole() {
+        try {
+            return roleOfStorageState(test.info().project.use.storageState);
+        } catch {
+            return null;
+        }
+    }
+
+    /** Whether an ensure() is signing this page's context in right now */
+    get busy() {
+        return (contextLogins.get(this.page.context()) || 0) > 0;
+    }
+
+    /**
+     * Record which role the context is signed in as, e.g. after loading a role's storage state
+     * @param {string|null} role
+     */
+    assumeRole(role) {
+        if (role) contextRoles.set(this.page.context(), role);
+        else contextRoles.delete(this.page.context());
+    }
+
+    /**
+     * Whether the current page shows an authenticated element (no navigation)
+     * @param {number} [timeout=AUTH_TIMEOUTS.indicator]
+     */
+    async hasAuthIndicators(timeout = this.timeouts.indicator) {
+        try {
+            await this.page.locator(AUTH_INDICATORS.join(', ')).first().waitFor({ state: 'visible', timeout });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Accept the terms and conditions page if the app shows it
+     * @returns {Promise<boolean>} True if the terms were accepted
+     */
+    async acceptTermsIfShown() {
+        const termsButton = this.page.locator(TERMS_BUTTON);
+        const onTermsPage = this.page.url().includes('/auth-step/terms-and-conditions')
+            || await termsButton.isVisible().catch(() => false);
+        if (!onTermsPage) return false;
+
+        console.log('[AuthService] Accepting terms and conditions...');
+        await termsButton.waitFor({ state: 'visible', timeout: this.timeouts.indicator });
+        await termsButton.click();
+        await this.page.waitForLoadState('domcontentloaded', { timeout: this.timeouts.navigation }).catch(() => {});
+        return true;
+    }
+
+    /**
+     * Open the command page and check that the session on the context still works
+     * @returns {Promise<boolean>}
+     */
+    async isAuthenticated() {
+        try {
+            await this.page.goto('/command', { timeout: this.timeouts.navigation, waitUntil: 'domcontentloaded' });
+            await this.acceptTermsIfShown();
+            const authenticated = await this.hasAuthIndicators();
+            console.log(`[AuthService] ${authenticated ? '✅ Session is authenticated' : '❌ Not authenticated'} (${this.page.url()})`);
+            return authenticated;
+        } catch (error) {
+            console.log('[AuthService] ❌ Authentication check failed:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Company shown in the company selector, or null when there is none
+     * @returns {Promise<string|null>}
+     */
+    async selectedCompany() {
+        try {
+            const selector = this.page.locator(COMPANY_SELECTOR);
+            await selector.waitFor({ state: 'visible', timeout: this.timeouts.company });
+            return ((await selector.textContent()) || '').trim();
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} company
+     * @returns {Promise<boolean>}
+     */
+    async isCompanySelected(company) {
+        const selected = await this.selectedCompany();
+        const isSelected = !!selected && selected.includes(company);
+        if (!isSelected) console.log(`[AuthService] ⚠️ Expected company "${company}", found "${selected ?? 'none'}"`);
+        return isSelected;
+    }
+
+    /**
+     * Guarantee a page authenticated as `role` with `company` selected, by the cheapest path
+     * @param {Object} [target]
+     * @param {string} [target.role] - admin, normal or any role with <ROLE>_MS_USERNAME/_PASSWORD secrets; default the current role
+     * @param {string|null} [target.company] - Company to select; null leaves the selection alone
+     * @param {{username: string, password: string}} [target.credentials] - Override the role's secrets
+     * @param {boolean} [target.force=false] - Always do a full login
+     * @param {number} [target.attempts=1] - Full login attempts
+     * @returns {Promise<{path: string, role: string, company: string|null, durationMs: number}>}
+     */
+    async ensure({ role, company = null, credentials, force = false, attempts = 1 } = {}) {
+        const context = this.page.context();
+        contextLogins.set(context, (contextLogins.get(context) || 0) + 1);
+        try {
+            const started = Date.now();
+            // A context nobody recorded a role for still runs as its project's storage state; with
+            // neither known, the session is not trusted and the role is signed in afresh
+            const currentRole = this.currentRole ?? this.projectRole();
+            role = role || currentRole || DEFAULT_ROLE;
+            console.log(`[AuthService] Ensuring ${role}${company ? ` @ ${company}` : ''} (context: ${currentRole ?? 'unknown'})...`);
+
+            const authenticated = !force && currentRole === role && await this.isAuthenticated();
+            const companySelected = !company || (authenticated && await this.isCompanySelected(company));
+            const path = force ? AUTH_PATHS.FULL_LOGIN : chooseAuthPath({ authenticated, currentRole, role, companySelected });
+
+            if (path === AUTH_PATHS.FULL_LOGIN) {
+                await this.fullLogin(role, credentials || this.registry.credentials(role), { attempts });
+            }
+            if (company && path !== AUTH_PATHS.STORAGE_STATE) {
+                await this.selectCompanyFn(company);
+            }
+            if (path === AUTH_PATHS.FULL_LOGIN) {
+                await this.saveSession(role);
+            }
+
+            this.lastResult = { path, role, company, durationMs: Date.now() - started };
+            console.log(`[AuthService] ✅ ${role}${company ? ` @ ${company}` : ''} via ${path} (${this.lastResult.durationMs} ms)`);
+            return this.lastResult;
+        } finally {
+            contextLogins.set(context, contextLogins.get(context) - 1);
+        }
+    }
+
+    /**
+     * Full login through the login page (Microsoft SSO or ApiLogin); drops the session of another role first
+     * @param {string} role
+     * @param {{username: string, password: string}} credentials
+     * @param {{attempts?: number}} [options]
+     */
+    async fullLogin(role, { username, password }, { attempts = 1 } = {}) {
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                await this.signOutContext();
+                console.log(`[AuthService] 🔑 Full login as ${role} (attempt ${attempt}/${attempts})...`);
+                await this.loginPage.login(username, password);
+                await this.acceptTermsIfShown();
+                await this.page.waitForURL('**/command', { timeout: this.timeouts.login });
+                if (!await this.hasAuthIndicators()) {
+                    throw new Error(`[AuthService] Login as ${role} reached ${this.page.url()} without an authenticated page`);
+                }
+                this.assumeRole(role);
+                return;
+            } catch (error) {
+                this.assumeRole(null);
+                console.log(`[AuthService] ❌ Login as ${role} failed (attempt ${attempt}/${attempts}): ${error.message}`);
+                if (attempt === attempts) throw error;
+                await this.page.waitForTimeout(attempt * 2000);
+            }
+        }
+    }
+
+    /**
+     * Drop cookies and web storage so the next login starts from the Microsoft sign-in page
+     */
+    async signOutContext() {
+        await this.page.evaluate(() => {
+            localStorage.clear();
+            sessionStorage.clear();
+        }).catch(() => {});
+        await this.page.context().clearCookies();
+        this.assumeRole(null);
+    }
+
+    /**
+     * Save the context's storage state as the role's session for later tests
+     * @param {string} role
+     */
+    async saveSession(role) {
+        try {
+            await this.registry.save(role, this.page.context());
+        } catch (error) {
+            console.log(`[AuthService] Could not save the ${role} session (non-fatal): ${error.message}`);
+        }
+    }
+}
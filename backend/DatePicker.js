@@ -0,0 +1,137 @@
+import { getClock, parseDate, formatDate, monthsBetween, MONTH_NAMES } from '../utils/clock.js';
+
+/**
+ * PrimeReact date picker used by the report dialogs and the History filter.
+ *
+ * Dates come from a Clock (utils/clock.js), not the machine clock, and the picker navigates from
+ * the month its header shows to the month of the date, so a range like 28 Feb - 3 Mar or a
+ * "today" right after midnight lands on the right cells.
+ */
+export class DatePicker {
+    /**
+     * @param {import('@playwright/test').Page} page
+     * @param {Object} [options]
+     * @param {import('../utils/clock.js').Clock} [options.clock=getClock()]
+     * @param {string} [options.calendar='.p-datepicker:visible'] - Selector of the open calendar panel
+     */
+    constructor(page, options = {}) {
+        this.page = page;
+        this.clock = options.clock || getClock();
+        this.calendar = page.locator(options.calendar || '.p-datepicker:visible').first();
+        this.header = this.calendar.locator('.p-datepicker-title, .p-datepicker-header').first();
+        this.previousButton = this.calendar.locator('.p-datepicker-prev, button[aria-label="Previous Month"]').first();
+        this.nextButton = this.calendar.locator('.p-datepicker-next, button[aria-label="Next Month"]').first();
+    }
+
+    /**
+     * Calendar date for 'today', a day offset (-1 = yesterday), 'YYYY-MM-DD', a Date or { year, month, day }
+     * @param {string|number|Date|{year, month, day}} value
+     */
+    toDate(value) {
+        if (value === 'today') return this.clock.today();
+        if (typeof value === 'number') return this.clock.daysFromToday(value);
+        if (value instanceof Date) return this.clock.dateOf(value);
+        return parseDate(value);
+    }
+
+    /**
+     * Month and year in the calendar header
+     * @returns {Promise<{year: number, month: number}>}
+     */
+    async shownMonth() {
+        const text = (await this.header.textContent()) || '';
+        const month = MONTH_NAMES.findIndex((name) => new RegExp(`\\b${name.slice(0, 3)}`, 'i').test(text)) + 1;
+        // Month and year are separate spans: "October2026"
+        const year = Number(/(\d{4})/.exec(text)?.[1]);
+        if (!month || !year) throw new Error(`[DatePicker] Cannot read the month from the calendar header "${text.trim()}"`);
+        return { year, month };
+    }
+
+    /**
+     * Page the calendar to the month of a date
+     * @param {string|number|Date|{year, month, day}} value
+     */
+    async showMonth(value) {
+        const target = this.toDate(value);
+        await this.calendar.waitFor({ state: 'visible', timeout: 10000 });
+
+        for (let attempt = 0; attempt < 36; attempt++) {
+            const shown = await this.shownMonth();
+            const months = monthsBetween(shown, target);
+            if (months === 0) return;
+            if (attempt === 0) console.log(`[DatePicker] Paging ${Math.abs(months)} month(s) ${months < 0 ? 'back' : 'forward'} to ${MONTH_NAMES[target.month - 1]} ${target.year}`);
+            const button = months < 0 ? this.previousButton : this.nextButton;
+            if (await button.isDisabled().catch(() => false) || /p-disabled/.test((await button.getAttribute('class').catch(() => '')) || '')) {
+                const error = new Error(`[DatePicker] Cannot page to ${formatDate(target)}: the calendar does not go ${months < 0 ? 'back' : 'forward'} any further`);
+                error.navigationDisabled = true;
+                throw error;
+            }
+            await button.click();
+            await this.page.waitForTimeout(200);
+        }
+        throw new Error(`[DatePicker] Could not page the calendar to ${formatDate(target)}`);
+    }
+
+    /**
+     * Cell of a day in the month currently shown
+     * @param {{year, month, day}} date
+     */
+    dayCell(date) {
+        const byLabel = this.calendar.locator(`td[aria-label="${formatDate(date)}"]`);
+        const byText = this.calendar.locator('td:not(.p-datepicker-other-month)')
+            .filter({ has: this.page.locator('span', { hasText: new RegExp(`^${date.day}$`) }) });
+        return byLabel.or(byText).first();
+    }
+
+    /**
+     * Pick a date in the open calendar
+     * @param {string|number|Date|{year, month, day}} value
+     * @returns {Promise<{year, month, day}>} The date picked
+     */
+    async selectDate(value) {
+        const date = this.toDate(value);
+        await this.showMonth(date);
+        await this.dayCell(date).click();
+        console.log(`[DatePicker] Selected ${formatDate(date)} (${this.clock.timezone})`);
+        return date;
+    }
+
+    /**
+     * Open a date field and pick a date
+     * @param {import('@playwright/test').Locator} field - Date input (or its dropdown)
+     * @param {string|number|Date|{year, month, day}} value
+     */
+    async pick(field, value) {
+        await field.click();
+        return this.selectDate(value);
+    }
+
+    /**
+     * Pick From and To dates; the two may be in different months or years
+     * @returns {Promise<{from, to}>}
+     */
+    async pickRange(fromField, toField, from, to) {
+        const fromDate = await this.pick(fromField, from);
+        await this.page.waitForTimeout(300);
+        const toDate = await this.pick(toField, to);
+        return { from: fromDate, to: toDate };
+    }
+
+    /**
+     * Whether a day is greyed out in the open calendar (pages to its month first)
+     * @param {string|number|Date|{year, month, day}} value
+     */
+    async isDisabled(value) {
+        const date = this.toDate(value);
+        try {
+            await this.showMonth(date);
+        } catch (error) {
+            // A month the calendar cannot page to is out of range altogether
+            if (error.navigationDisabled) return true;
+            throw error;
+        }
+        const cell = this.dayCell(date);
+        return (await cell.getAttribute('aria-disabled')) === 'true'
+            || await cell.evaluate((el) => el.classList.contains('p-disabled') || !!el.querySelector('.p-disabled')).catch(() => false);
+    }
+}
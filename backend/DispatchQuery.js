@@ -0,0 +1,233 @@
+// backend/DispatchQuery.js
+// Fluent builder for dispatch searches sent through ElasticsearchClient.
+//
+//   const query = esClient.query()
+//     .company('Automation company')
+//     .site('WVRD_9th Ave and JG Strydom Rd_62')
+//     .proofStatus('Dispatched')
+//     .between(testStartedAt, new Date())
+//     .size(20);
+//   const { records, nextAfter } = await esClient.search(query);
+//   const page2 = await esClient.search(query.after(nextAfter));
+
+// Dispatch documents carry their id in one of these fields (same order as extractDispatchId)
+export const DISPATCH_ID_FIELDS = [
+  'dispatchId',
+  'internalDispatchId',
+  'id',
+  'responseData.callout.calloutid'
+];
+
+export const SITE_FIELDS = ['siteName', 'groupName', 'assetName'];
+
+export const DEFAULT_SOURCE_FIELDS = [
+  ...DISPATCH_ID_FIELDS,
+  'responseData.callout.acknowledged',
+  'incidentId',
+  'companyName',
+  'siteName',
+  'groupName',
+  'assetName',
+  'alertType',
+  'actionTimestamp',
+  'proofStatus',
+  'responderStatus'
+];
+
+const TIMESTAMP_FIELD = 'actionTimestamp';
+
+// Appended to every sort so hits sharing a timestamp keep a fixed order and search_after
+// pages neither skip nor repeat them: the keyword sub-field of every dispatch id field, since a
+// document carries only one of them. Not _id: Elasticsearch 8 refuses to sort on it
+// (indices.id_field_data.enabled is false by default).
+export const TIE_BREAKERS = DISPATCH_ID_FIELDS.map((field) => ({
+  [`${field}.keyword`]: { order: 'asc', missing: '_last', unmapped_type: 'keyword' }
+}));
+
+function toDateValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number') return new Date(value).toISOString();
+  return value; // ISO string or date math such as 'now-1h'
+}
+
+function anyOf(fields, value) {
+  return {
+    bool: {
+      should: fields.map((field) => ({ match_phrase: { [field]: value } })),
+      minimum_should_match: 1
+    }
+  };
+}
+
+function oneOrMany(field, values) {
+  const list = [].concat(values).filter((value) => value !== undefined && value !== null && value !== '');
+  if (list.length === 1) return { match_phrase: { [field]: list[0] } };
+  return { bool: { should: list.map((value) => ({ match_phrase: { [field]: value } })), minimum_should_match: 1 } };
+}
+
+export class DispatchQuery {
+  constructor() {
+    this.must = [];
+    this.filters = [];
+    this.sorts = [{ [TIMESTAMP_FIELD]: { order: 'desc' } }];
+    this.pageSize = 10;
+    this.sourceFields = DEFAULT_SOURCE_FIELDS;
+    this.searchAfter = undefined;
+    this.aggs = {};
+  }
+
+  /** Independent copy, so a base query can be narrowed in several ways */
+  clone() {
+    const copy = new DispatchQuery();
+    copy.must = [...this.must];
+    copy.filters = [...this.filters];
+    copy.sorts = [...this.sorts];
+    copy.pageSize = this.pageSize;
+    copy.sourceFields = this.sourceFields;
+    copy.searchAfter = this.searchAfter;
+    copy.aggs = { ...this.aggs };
+    return copy;
+  }
+
+  /** @param {string} companyName */
+  company(companyName) {
+    this.must.push({ match_phrase: { companyName } });
+    return this;
+  }
+
+  /**
+   * Site, group or asset name (phrase match, like searchDispatchRecords)
+   * @param {string} siteName
+   */
+  site(siteName) {
+    if (siteName && siteName.trim()) this.must.push(anyOf(SITE_FIELDS, siteName));
+    return this;
+  }
+
+  /**
+   * Dispatch id in any of the id fields (dispatchId, internalDispatchId, id, callout id)
+   * @param {string|number} dispatchId
+   */
+  dispatchId(dispatchId) {
+    this.filters.push(anyOf(DISPATCH_ID_FIELDS, String(dispatchId)));
+    return this;
+  }
+
+  /** @param {string|number} incidentId */
+  incidentId(incidentId) {
+    this.filters.push({ match_phrase: { incidentId: String(incidentId) } });
+    return this;
+  }
+
+  /** @param {string|string[]} alertTypes - e.g. 'Unusual Behaviour' or ['Trex', 'LPR'] */
+  alertType(alertTypes) {
+    this.filters.push(oneOrMany('alertType', alertTypes));
+    return this;
+  }
+
+  /** @param {string|string[]} statuses - e.g. 'Dispatched' */
+  proofStatus(statuses) {
+    this.filters.push(oneOrMany('proofStatus', statuses));
+    return this;
+  }
+
+  /** @param {string|string[]} statuses - e.g. 'Responder Arrived' */
+  responderStatus(statuses) {
+    this.filters.push(oneOrMany('responderStatus', statuses));
+    return this;
+  }
+
+  /**
+   * Absolute time window on actionTimestamp (inclusive)
+   * @param {Date|string|number} [from]
+   * @param {Date|string|number} [to]
+   */
+  between(from, to) {
+    const range = {};
+    if (from !== undefined && from !== null) range.gte = toDateValue(from);
+    if (to !== undefined && to !== null) range.lte = toDateValue(to);
+    this.filters.push({ range: { [TIMESTAMP_FIELD]: range } });
+    return this;
+  }
+
+  /**
+   * Relative window, e.g. since('now-1h')
+   * @param {string|Date|number} from
+   */
+  since(from) {
+    return this.between(from, 'now');
+  }
+
+  /** Raw query DSL clause for anything the helpers do not cover */
+  where(clause) {
+    this.filters.push(clause);
+    return this;
+  }
+
+  /**
+   * Replace the sort (default: actionTimestamp desc). The dispatch id tie-breakers are always added last.
+   * @param {string} field
+   * @param {'asc'|'desc'} [order='desc']
+   */
+  sortBy(field, order = 'desc') {
+    this.sorts = [{ [field]: { order } }];
+    return this;
+  }
+
+  /** Add a secondary sort */
+  thenBy(field, order = 'asc') {
+    this.sorts.push({ [field]: { order } });
+    return this;
+  }
+
+  /** @param {number} size - Hits per request */
+  size(size) {
+    this.pageSize = size;
+    return this;
+  }
+
+  /** @param {string[]|boolean} fields - _source filter */
+  fields(fields) {
+    this.sourceFields = fields;
+    return this;
+  }
+
+  /**
+   * Continue after the last hit of a previous page (search_after)
+   * @param {Array|undefined} sortValues - `nextAfter` of the previous result
+   */
+  after(sortValues) {
+    this.searchAfter = sortValues;
+    return this;
+  }
+
+  /**
+   * Count documents per value of a field (terms aggregation)
+   * @param {string} field - e.g. 'proofStatus' or 'siteName'
+   * @param {Object} [options]
+   * @param {number} [options.size=20] - Max buckets
+   * @param {string} [options.keywordSuffix='.keyword'] - Aggregate on the keyword sub-field
+   */
+  countBy(field, { size = 20, keywordSuffix = '.keyword' } = {}) {
+    this.aggs[`by_${field}`] = { terms: { field: `${field}${keywordSuffix}`, size } };
+    return this;
+  }
+
+  /**
+   * Elasticsearch _search body
+   * @returns {Object}
+   */
+  toBody() {
+    const body = {
+      size: this.pageSize,
+      sort: [...this.sorts, ...TIE_BREAKERS.filter((tie) => !this.sorts.some((sort) => Object.keys(tie)[0] in sort))],
+      query: { bool: { must: this.must, filter: this.filters } },
+      _source: this.sourceFields
+    };
+    if (this.searchAfter) body.search_after = this.searchAfter;
+    if (Object.keys(this.aggs).length > 0) body.aggs = this.aggs;
+    return body;
+  }
+}
+
+export default DispatchQuery;
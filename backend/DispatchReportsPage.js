@@ -1,12 +1,19 @@
 // backend/DispatchReportsPage.js
 import { expect } from '@playwright/test';
+import { parseDownload } from './reports/DispatchReportParser.js';
+import { DatePicker } from './DatePicker.js';
+import { getClock, formatDate } from '../utils/clock.js';
 
 export class DispatchReportsPage {
     /**
      * @param {import('@playwright/test').Page} page
+     * @param {Object} [options]
+     * @param {import('../utils/clock.js').Clock} [options.clock=getClock()] - "Today" and the current time for the date/time fields
      */
-    constructor(page) {
+    constructor(page, options = {}) {
         this.page = page;
+        this.clock = options.clock || getClock();
+        this.datePicker = new DatePicker(page, { clock: this.clock });
         
         // Main dispatch reports elements
         this.createNewButton = page.getByRole('button', { name: 'Create new' });
@@ -38,7 +45,7 @@ export class DispatchReportsPage {
         // Calendar elements (verified with MCP testing)
         this.calendar = page.locator('.p-datepicker');
         this.calendarDates = page.locator('.p-datepicker td span');
-        this.calendarAriaLabels = page.locator('.p-datepicker [aria-label*="2025-07-"]');
+        this.calendarAriaLabels = page.locator(`.p-datepicker [aria-label*="${formatDate(this.clock.today()).slice(0, 8)}"]`);
         
         // Action buttons - using text selector that worked in MCP debugging
         this.continueButton = page.locator('text=CONTINUE');
@@ -188,58 +195,31 @@ export class DispatchReportsPage {
     }
 
     /**
-     * Navigate calendar to current month/year if needed
+     * Navigate the open calendar to the current month of the reference clock
      */
     async navigateToCurrentMonth() {
-        const currentMonth = new Date().getMonth(); // 0-indexed (July=6, August=7)
-        const currentYear = new Date().getFullYear();
-        
-        // Check if we need to navigate
-        const calendarHeader = await this.page.locator('.p-datepicker-header').textContent();
-        console.log(`[DispatchReports] Calendar header shows: ${calendarHeader}`);
-        
-        // Navigate to current month if needed
-        const expectedMonthName = new Date().toLocaleString('default', { month: 'long' });
-        if (!calendarHeader.includes(expectedMonthName) || !calendarHeader.includes(currentYear.toString())) {
-            console.log(`[DispatchReports] Navigating to ${expectedMonthName} ${currentYear}`);
-            
-            // Click next month button until we reach current month
-            let attempts = 0;
-            while (attempts < 6) { // Safety limit
-                const headerText = await this.page.locator('.p-datepicker-header').textContent();
-                if (headerText.includes(expectedMonthName) && headerText.includes(currentYear.toString())) {
-                    console.log(`[DispatchReports] Successfully navigated to ${expectedMonthName} ${currentYear}`);
-                    break;
-                }
-                
-                // Click next month arrow
-                await this.page.locator('.p-datepicker-next').click();
-                await this.page.waitForTimeout(300);
-                attempts++;
-            }
-        }
+        await this.datePicker.showMonth('today');
     }
 
     /**
-     * Select date range - Updated to use Today button functionality
-     * @param {string} fromDate - From date in format '20' (day) - ignored when using Today button
-     * @param {string} toDate - To date in format '21' (day) - ignored when using Today button
+     * Select the From and To dates
+     * @param {string|number|Date|{year, month, day}} fromDate - 'today', a day offset (-7), 'YYYY-MM-DD',
+     *   a Date or { year, month, day }; From and To may be in different months.
+     *   A bare day string like '20' (older specs) selects today for both.
+     * @param {string|number|Date|{year, month, day}} toDate
      */
     async selectDateRange(fromDate, toDate) {
-        console.log(`[DispatchReports] Selecting date range using Today button functionality`);
-        
+        const legacyDay = (value) => value === undefined || (typeof value === 'string' && /^\d{1,2}$/.test(value));
+        if (legacyDay(fromDate) && legacyDay(toDate)) {
+            await this.selectTodayDateRange();
+            return;
+        }
+
         try {
-            // Select From Date using Today button
-            console.log('[DispatchReports] Setting From Date using Today button');
-            await this.clickTodayForFromDate();
-            
-            // Select To Date using Today button
-            console.log('[DispatchReports] Setting To Date using Today button');
-            await this.clickTodayForToDate();
-            
-            console.log(`[DispatchReports] Both dates set to today using Today button functionality`);
+            const { from, to } = await this.datePicker.pickRange(this.fromDateField, this.toDateField, fromDate, toDate);
+            console.log(`[DispatchReports] Date range set: ${formatDate(from)} to ${formatDate(to)}`);
         } catch (error) {
-            console.error(`[DispatchReports] Failed to select date range using Today button: ${error.message}`);
+            console.error(`[DispatchReports] Failed to select date range: ${error.message}`);
             // Close any open calendars before rethrowing
             await this.page.keyboard.press('Escape');
             throw error;
@@ -247,17 +227,22 @@ export class DispatchReportsPage {
     }
 
     /**
-     * Select today's date for both from and to dates - acts like a "Today" button
-     * This is a convenience method that automatically sets today's date for dispatch reports
+     * Select today's date for both from and to dates, and the To Time to the current time.
+     * "Today" is the reference clock's (REPORT_TIMEZONE), not the machine's.
      */
     async selectTodayDateRange() {
-        console.log(`[DispatchReports] Using "Today" functionality - setting both dates to today`);
+        console.log(`[DispatchReports] Setting both dates to today (${this.clock.dateString()} ${this.clock.timezone})`);
         
-        // Use the new Today button functionality directly
-        await this.clickTodayForFromDate();
-        await this.clickTodayForToDate();
+        try {
+            await this.datePicker.pickRange(this.fromDateField, this.toDateField, 'today', 'today');
+        } catch (error) {
+            console.error(`[DispatchReports] Failed to select today's date range: ${error.message}`);
+            await this.page.keyboard.press('Escape');
+            throw error;
+        }
+        await this.setToTimeToCurrentTime();
         
-        console.log(`[DispatchReports] Today's date range set successfully using Today buttons`);
+        console.log(`[DispatchReports] Today's date range set successfully`);
     }
 
     /**
@@ -350,12 +335,9 @@ export class DispatchReportsPage {
         if (!todayButtonFound) {
             // If no Today button found, click on today's date directly
             console.log('[DispatchReports] No Today button found, clicking today\'s date directly');
-            const today = new Date();
-            const currentDay = today.getDate().toString();
             
             try {
-                await this.page.locator(`.p-datepicker td span:has-text("${currentDay}")`).first().click();
-                console.log(`[DispatchReports] Clicked today's date: ${currentDay}`);
+                await this.datePicker.selectDate('today');
             } catch (error) {
                 throw new Error(`Failed to find Today button or today's date in calendar: ${error.message}`);
             }
@@ -370,10 +352,9 @@ export class DispatchReportsPage {
         console.log('[DispatchReports] Setting To Time to current time');
         
         try {
-            const now = new Date();
-            const currentTime = now.toTimeString().slice(0, 8); // Gets HH:MM:SS format
+            const currentTime = this.clock.time(); // HH:MM:SS in the reference timezone
             
-            console.log(`[DispatchReports] Current time: ${currentTime}`);
+            console.log(`[DispatchReports] Current time: ${currentTime} (${this.clock.timezone})`);
             
             // Click the To Time field
             await this.toTimeField.click();
@@ -396,10 +377,9 @@ export class DispatchReportsPage {
      * @param {string} toTime - Expected to time (defaults to current time)
      */
     async verifyTimeRange(fromTime = '00:00:00', toTime = null) {
-        // If no toTime provided, use current time in HH:MM:SS format
+        // If no toTime provided, use the current time (HH:MM:SS) of the reference clock
         if (!toTime) {
-            const now = new Date();
-            toTime = now.toTimeString().slice(0, 8); // Gets HH:MM:SS format
+            toTime = this.clock.time();
         }
         
         console.log(`[DispatchReports] Verifying time range: ${fromTime} to ${toTime}`);
@@ -724,6 +704,25 @@ export class DispatchReportsPage {
         return download;
     }
 
+    /**
+     * Download a report and parse it with DispatchReportParser
+     * @param {string} reportName - The report name
+     * @param {string} [expectedExtension='.xlsx'] - Expected file extension
+     * @param {Object} [options] - Parser options (dir, strict, utcOffset, columns)
+     * @returns {Promise<{download: import('@playwright/test').Download, report: Object}>}
+     */
+    async downloadAndParseReport(reportName, expectedExtension = '.xlsx', options = {}) {
+        const download = await this.downloadReport(reportName, expectedExtension);
+        const report = await parseDownload(download, options);
+
+        // The format is detected from the content, so a mislabelled download shows up here
+        const expectedFormat = expectedExtension === '.csv' ? 'csv' : 'xlsx';
+        expect(report.format.startsWith(expectedFormat), `${report.file} parsed as ${report.format}`).toBe(true);
+
+        console.log(`[DispatchReports] Parsed ${report.records.length} rows from ${reportName} (${report.format})`);
+        return { download, report };
+    }
+
     /**
      * Archive report and verify success
      * @param {string} reportName - The report name to archive
@@ -749,8 +748,8 @@ export class DispatchReportsPage {
      * @param {Object} config - Report configuration
      * @param {string} config.reportName - Report name
      * @param {string} config.fileFormat - File format
-     * @param {string} config.fromDate - From date (day)
-     * @param {string} config.toDate - To date (day)
+     * @param {string|number|Date|Object} config.fromDate - 'today', day offset, 'YYYY-MM-DD' (see selectDateRange)
+     * @param {string|number|Date|Object} config.toDate
      * @param {string} config.fromTime - From time (optional, defaults to '00:00:00')
      * @param {string} config.toTime - To time (optional, defaults to current time)
      * @param {string} config.station - Station name (optional)
@@ -1,11 +1,19 @@
 import { expect } from '@playwright/test';
+import path from 'path';
+import { DEFAULT_POLLING, pollReportState, readRowState } from './reports/ReportPolling.js';
+import { DatePicker } from './DatePicker.js';
+import { getClock, formatDate } from '../utils/clock.js';
 
 export class DispatchSLAReportsPage {
     /**
      * @param {import('@playwright/test').Page} page
+     * @param {Object} [options]
+     * @param {import('../utils/clock.js').Clock} [options.clock=getClock()] - "Today" for the date pickers
      */
-    constructor(page) {
+    constructor(page, options = {}) {
         this.page = page;
+        this.clock = options.clock || getClock();
+        this.datePicker = new DatePicker(page, { clock: this.clock });
         
         // Navigation and page elements - more specific to avoid strict mode violations
         this.pageTitle = page.locator('text=Dispatch SLA Reports').first();
@@ -42,6 +50,16 @@ export class DispatchSLAReportsPage {
         this.archiveButton = page.locator('text=Archive');
     }
 
+    /**
+     * Switch from the Alert Reports landing page (Incident reports) to the Dispatch SLA tab
+     */
+    async openFromAlertReports() {
+        console.log('[DispatchSLAReportsPage] Opening Dispatch SLA Reports tab...');
+        await this.page.locator('[data-test-id="alert-reports-dispatch-sla-reports"]').click();
+        await expect(this.pageTitle).toBeVisible({ timeout: 30000 });
+        console.log('[DispatchSLAReportsPage] Dispatch SLA Reports tab opened');
+    }
+
     async clickCreateNew() {
         console.log('[DispatchSLAReportsPage] Clicking Create new button...');
     await this.createNewButton.scrollIntoViewIfNeeded().catch(() => {});
@@ -75,57 +93,29 @@ export class DispatchSLAReportsPage {
         console.log('[DispatchSLAReportsPage] Report details filled successfully');
     }
 
+    /**
+     * @param {'xlsx'|'csv'} format - Report file format (no images attached)
+     */
+    async selectFileFormat(format = 'xlsx') {
+        console.log(`[DispatchSLAReportsPage] Selecting file format: ${format}...`);
+        const dialog = this.page.locator('[role="dialog"]');
+        await dialog.locator('.p-dropdown').first().click();
+        await this.page.getByRole('option', { name: new RegExp(`\\.${format} - no images attached`, 'i') }).click();
+        console.log(`[DispatchSLAReportsPage] File format ${format} selected`);
+    }
+
+    /**
+     * Pick the From and To dates
+     * @param {string|number|Date|{year, month, day}} [fromDate='today'] - 'today', a day offset (-7),
+     *   'YYYY-MM-DD', a Date or { year, month, day }, read with the reference clock; the range may span months
+     * @param {string|number|Date|{year, month, day}} [toDate='today']
+     */
     async setDateRange(fromDate = 'today', toDate = 'today') {
         console.log('[DispatchSLAReportsPage] Setting date range...');
         
-        // Set From Date - using working JavaScript approach from MCP testing
-        console.log('[DispatchSLAReportsPage] Setting From Date...');
-        await this.fromDateField.click();
-        await this.page.waitForTimeout(1000); // Wait for date picker to open
-        
-        if (fromDate === 'today') {
-            await this.page.evaluate(() => {
-                const calendar = document.querySelector('.p-datepicker');
-                if (calendar) {
-                    const allSpans = Array.from(calendar.querySelectorAll('span'));
-                    // Try to find today's date (September 1st) or use 31st (previous day)
-                    const today = new Date().getDate().toString();
-                    let targetDate = allSpans.find(span => span.textContent.trim() === today);
-                    if (!targetDate) {
-                        // Fallback to 31st if current date not available
-                        targetDate = allSpans.find(span => span.textContent.trim() === '31') ||
-                                   allSpans.find(span => span.textContent.trim() === '30');
-                    }
-                    if (targetDate) {
-                        targetDate.click();
-                    }
-                }
-            });
-        }
-        
-        await this.page.waitForTimeout(1000);
-        
-        // Set To Date - using the same working approach
-        console.log('[DispatchSLAReportsPage] Setting To Date...');
-        await this.toDateField.click();
-        await this.page.waitForTimeout(1000); // Wait for date picker to open
-        
-        if (toDate === 'today') {
-            await this.page.evaluate(() => {
-                const calendar = document.querySelector('.p-datepicker');
-                if (calendar) {
-                    const allSpans = Array.from(calendar.querySelectorAll('span'));
-                    // Find today's date (September 1st)
-                    const today = new Date().getDate().toString();
-                    const targetDate = allSpans.find(span => span.textContent.trim() === today);
-                    if (targetDate) {
-                        targetDate.click();
-                    }
-                }
-            });
-        }
+        const { from, to } = await this.datePicker.pickRange(this.fromDateField, this.toDateField, fromDate, toDate);
         
-        console.log('[DispatchSLAReportsPage] Date range set successfully');
+        console.log(`[DispatchSLAReportsPage] Date range set: ${formatDate(from)} to ${formatDate(to)} (${this.clock.timezone})`);
     }
 
     async setTimeRange(fromTime = '00:00', toTime = '23:59') {
@@ -211,6 +201,78 @@ export class DispatchSLAReportsPage {
         console.log(`[DispatchSLAReportsPage] Site ${siteName} selected`);
     }
 
+    /**
+     * @param {string[]} siteNames
+     */
+    async selectSites(siteNames = ['CEN', 'BDFD']) {
+        for (const siteName of siteNames) {
+            await this.selectSite(siteName);
+        }
+    }
+
+    /**
+     * Click Continue on an empty form and expect the modal to stay open with the
+     * mandatory fields flagged (or Continue disabled)
+     * @returns {Promise<string[]>} Validation messages shown
+     */
+    async expectMandatoryFieldErrors() {
+        console.log('[DispatchSLAReportsPage] Submitting without mandatory fields...');
+        const dialog = this.page.locator('[role="dialog"]');
+        const continueBtn = dialog.getByRole('button', { name: /^(Continue|CONTINUE)$/ });
+
+        if (await continueBtn.isEnabled().catch(() => false)) {
+            await continueBtn.click();
+            await this.page.waitForTimeout(500);
+        }
+        await expect(dialog).toBeVisible();
+
+        const messages = (await dialog.locator('.p-error, .error, [class*="error"], [role="alert"]').allTextContents())
+            .map((message) => message.trim())
+            .filter(Boolean);
+        const blocked = messages.length > 0 || !(await continueBtn.isEnabled().catch(() => false));
+        expect(blocked, 'Missing mandatory fields should show an error or keep Continue disabled').toBe(true);
+
+        console.log(`[DispatchSLAReportsPage] Mandatory field validation: ${messages.join(' | ') || 'Continue disabled'}`);
+        return messages;
+    }
+
+    /**
+     * Open a date picker and expect the day `offsetDays` from today to be disabled.
+     * For the To date, From is set to today first (days before From are disabled).
+     * Days in another month are checked after paging the calendar there.
+     * @param {'from'|'to'} field
+     * @param {number} offsetDays - e.g. 1 for tomorrow, -1 for yesterday
+     * @returns {Promise<boolean>}
+     */
+    async expectDayDisabled(field, offsetDays) {
+        const dialog = this.page.locator('[role="dialog"]');
+        const day = this.clock.daysFromToday(offsetDays);
+
+        if (field === 'to') {
+            await this.datePicker.pick(this.fromDateField, 'today');
+        }
+        await (field === 'to' ? this.toDateField : this.fromDateField).click();
+        await this.page.waitForTimeout(200);
+
+        const disabled = await this.datePicker.isDisabled(day);
+        expect(disabled, `${field} date ${formatDate(day)} should be greyed out`).toBe(true);
+
+        // Close the calendar so the next check starts clean
+        await dialog.click({ position: { x: 12, y: 12 } }).catch(() => {});
+        console.log(`[DispatchSLAReportsPage] ${field} date ${formatDate(day)} is disabled`);
+        return true;
+    }
+
+    /**
+     * @param {string} fromTime - e.g. '08:00:00'
+     * @param {string} toTime
+     */
+    async expectTimeRange(fromTime, toTime) {
+        await expect(this.fromTimeField).toHaveValue(fromTime);
+        await expect(this.toTimeField).toHaveValue(toTime);
+        console.log(`[DispatchSLAReportsPage] Time range ${fromTime} - ${toTime} applied`);
+    }
+
     async submitReportCreation() {
         console.log('[DispatchSLAReportsPage] Submitting report creation...');
         // Take a screenshot before submission to see form state
@@ -309,8 +371,9 @@ export class DispatchSLAReportsPage {
         console.log('[DispatchSLAReportsPage] Creating complete SLA report...');
         
         const {
-            reportName = `SLA Report - ${new Date().toISOString().split('T')[0]}`,
+            reportName = `SLA Report - ${this.clock.dateString()}`,
             email = 'test@proof360.io',
+            fileFormat = null,
             fromDate = 'today',
             toDate = 'today',
             fromTime = '00:00',
@@ -324,14 +387,15 @@ export class DispatchSLAReportsPage {
         
         // Fill basic details
         await this.fillReportDetails(reportName, email);
+        if (fileFormat) await this.selectFileFormat(fileFormat);
         
         // Set date and time range
         await this.setDateRange(fromDate, toDate);
         await this.setTimeRange(fromTime, toTime);
         
-        // Select station and site (now with defaults)
+        // Select station and site (site: null leaves Sites empty)
         await this.selectStation(station);
-        await this.selectSite(site);
+        if (site) await this.selectSite(site);
         
         // Submit the report
         await this.submitReportCreation();
@@ -341,6 +405,7 @@ export class DispatchSLAReportsPage {
         return {
             reportName,
             email,
+            fileFormat,
             fromDate,
             toDate,
             fromTime,
@@ -411,6 +476,23 @@ export class DispatchSLAReportsPage {
         console.log(`[DispatchSLAReportsPage] Report ${reportName} download initiated`);
     }
 
+    /**
+     * Download a report and keep the file (Playwright deletes download.path() with the context)
+     * @param {string} reportName
+     * @param {string} targetDir - e.g. testInfo.outputPath()
+     * @returns {Promise<{download: import('@playwright/test').Download, filePath: string}>}
+     */
+    async downloadReportFile(reportName, targetDir) {
+        const downloadPromise = this.page.waitForEvent('download');
+        await this.downloadReport(reportName);
+        const download = await downloadPromise;
+
+        const filePath = path.join(targetDir, download.suggestedFilename());
+        await download.saveAs(filePath);
+        console.log(`[DispatchSLAReportsPage] Report ${reportName} saved to ${filePath}`);
+        return { download, filePath };
+    }
+
     async archiveReport(reportName) {
         console.log(`[DispatchSLAReportsPage] Archiving report: ${reportName}...`);
         
@@ -421,15 +503,37 @@ export class DispatchSLAReportsPage {
         console.log(`[DispatchSLAReportsPage] Report ${reportName} archived`);
     }
 
-    async waitForReportProcessing(reportName, timeout = 30000) {
+    /**
+     * Expect an archived report to have left the active reports list
+     * @param {string} reportName
+     */
+    async expectArchived(reportName, timeout = 30000) {
+        await expect(this.page.locator(`tr:has-text("${reportName}")`)).toHaveCount(0, { timeout });
+        console.log(`[DispatchSLAReportsPage] Report ${reportName} no longer in the active list`);
+    }
+
+    /**
+     * Poll the report row with backoff until it reads Ready; fails fast when it reads Failed
+     * @param {string} reportName
+     * @param {number} [timeout] - Default REPORT_READY_TIMEOUT_MS (120s)
+     * @returns {Promise<{state, polls, elapsedMs, history}>}
+     */
+    async waitForReportProcessing(reportName, timeout = DEFAULT_POLLING.timeoutMs) {
         console.log(`[DispatchSLAReportsPage] Waiting for report "${reportName}" to be processed...`);
         
-        const reportRow = this.page.locator(`tr:has-text("${reportName}")`);
-        const readyStatus = reportRow.locator('text=Ready');
+        const reportRow = this.page.locator(`tr:has-text("${reportName}")`).first();
+        const result = await pollReportState(() => readRowState(reportRow), {
+            polling: { timeoutMs: timeout },
+            label: `SLA report "${reportName}"`,
+            wait: (ms) => this.page.waitForTimeout(ms)
+        });
         
-        await expect(readyStatus).toBeVisible({ timeout });
+        if (result.state === 'Failed') {
+            throw new Error(`[DispatchSLAReportsPage] Report "${reportName}" failed after ${Math.round(result.elapsedMs / 1000)}s`);
+        }
         
         console.log(`[DispatchSLAReportsPage] Report "${reportName}" is ready`);
+        return result;
     }
 
     async getReportStatus(reportName) {
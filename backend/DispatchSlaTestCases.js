@@ -0,0 +1,349 @@
+// backend/DispatchSlaTestCases.js
+// Turn the QA-owned "Dispatch SLA creation.xlsx" into runnable Playwright tests. Each test case
+// (a title row followed by step rows) is planned into DispatchSLAReportsPage / SharedTestSteps
+// calls; steps whose wording no rule recognises are reported instead of guessed.
+//
+//   const plans = planSlaTestCases(readSlaTestCases());
+//   for (const plan of plans) test(plan.name, ({ page }, testInfo) => runSlaTestCase(plan, { ... }));
+//
+// To support a new kind of step, add a rule to SLA_ACTION_RULES or SLA_EXPECTATION_RULES.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import XLSX from 'xlsx';
+import { test, expect } from '@playwright/test';
+import { tagReportName } from './reports/ReportSweeper.js';
+import { ReportLifecycle } from './reports/ReportLifecycle.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_SLA_WORKBOOK = path.resolve(__dirname, '../e2e/Reports/Dispatch_SLA_Reports/Dispatch SLA creation.xlsx');
+
+export const DEFAULT_SLA_VALUES = {
+  email: 'test@proof360.io',
+  format: 'xlsx',
+  fromDate: 'today',
+  toDate: 'today',
+  fromTime: '00:00:00',
+  toTime: '23:59:59',
+  station: 'Cape town',
+  site: 'CEN',
+  sites: ['CEN', 'BDFD']
+};
+
+// Placeholders in op args, filled in when the test runs
+const RUNTIME_VALUES = ['reportName', 'outputDir'];
+
+const op = (target, method, ...args) => ({ target, method, args });
+const sla = (method, ...args) => op('sla', method, ...args);
+
+// Mandatory form fields, in the order the modal shows them. Create steps that do not mention a
+// field get a valid default, so "Select a specific station filter, click Continue" still submits.
+const REQUIRED_FIELDS = [
+  { method: 'fillReportDetails', ops: (v) => [sla('fillReportDetails', '<reportName>', v.email)] },
+  { method: 'selectFileFormat', ops: (v) => [sla('selectFileFormat', v.format)] },
+  { method: 'setDateRange', ops: (v) => [sla('setDateRange', v.fromDate, v.toDate)] },
+  { method: 'setTimeRange', ops: (v) => [sla('setTimeRange', v.fromTime, v.toTime)] },
+  { method: 'selectStation', ops: (v) => [sla('selectStation', v.station)] }
+];
+
+// Shared steps referenced by id ("Shared steps 29775: ...")
+export const SLA_SHARED_STEPS = {
+  29775: () => [
+    op('shared', 'navigateToReportsSubmenu', 'Alert Reports'),
+    sla('openFromAlertReports'),
+    sla('clickCreateNew')
+  ]
+};
+
+const download = () => [
+  sla('waitForReportProcessing', '<reportName>', 60000),
+  sla('downloadReportFile', '<reportName>', '<outputDir>')
+];
+
+/**
+ * Rules for the step (action) column, applied in this order. All matching rules contribute ops
+ * unless one marked `exclusive` matches first. `ops` may return [] for steps that another call
+ * already covers; `note` says which.
+ */
+export const SLA_ACTION_RULES = [
+  {
+    name: 'sharedSteps',
+    pattern: /^shared steps (\d+)/i,
+    exclusive: true,
+    ops: (match) => SLA_SHARED_STEPS[match[1]]?.() ?? null
+  },
+  { name: 'login', pattern: /\blog ?in to proof/i, ops: () => [], note: 'authenticated in beforeEach' },
+  { name: 'menu', pattern: /burger menu|^click on reports\b/i, ops: () => [], note: 'opened by navigateToReportsSubmenu' },
+  { name: 'alertReports', pattern: /click on alert reports/i, ops: () => [op('shared', 'navigateToReportsSubmenu', 'Alert Reports')] },
+  { name: 'slaTab', pattern: /click on dispatch sla report/i, ops: () => [sla('openFromAlertReports')] },
+  {
+    name: 'mandatoryFields',
+    pattern: /without (entering|filling) mandatory fields/i,
+    exclusive: true,
+    ops: () => [],
+    note: 'Continue is clicked by the expectation check'
+  },
+  {
+    name: 'fromAfterTo',
+    pattern: /from date later than to date/i,
+    exclusive: true,
+    ops: () => [sla('expectDayDisabled', 'to', -1)]
+  },
+  {
+    name: 'futureDates',
+    pattern: /future dates/i,
+    exclusive: true,
+    ops: () => [sla('expectDayDisabled', 'from', 1), sla('expectDayDisabled', 'to', 1)]
+  },
+  {
+    name: 'archive',
+    pattern: /existing report.*click "?archive/i,
+    exclusive: true,
+    ops: (match, values) => [
+      ...REQUIRED_FIELDS.flatMap((field) => field.ops(values)),
+      sla('submitReportCreation'),
+      sla('archiveReport', '<reportName>')
+    ]
+  },
+  { name: 'noData', pattern: /produce no dispatch records/i, ops: () => [], fixme: 'needs filters with a known-empty data window' },
+  { name: 'reportName', pattern: /report name/i, ops: (match, values) => [sla('fillReportDetails', '<reportName>', values.email)] },
+  { name: 'format', pattern: /(xlsx|csv) format/i, ops: (match) => [sla('selectFileFormat', match[1].toLowerCase())] },
+  { name: 'dates', pattern: /\bdates?\b/i, ops: (match, values) => [sla('setDateRange', values.fromDate, values.toDate)] },
+  { name: 'times', pattern: /\btimes\b|from time/i, ops: (match, values) => [sla('setTimeRange', values.fromTime, values.toTime)] },
+  { name: 'station', pattern: /\bstation\b/i, ops: (match, values) => [sla('selectStation', values.station)] },
+  { name: 'sites', pattern: /multiple (valid )?sites/i, ops: (match, values) => [sla('selectSites', values.sites)] },
+  { name: 'site', pattern: /\bsite\b/i, ops: (match, values) => [sla('selectSite', values.site)] },
+  { name: 'download', pattern: /download upon readiness/i, ops: () => [], note: 'downloaded by the expectation check' },
+  { name: 'submit', pattern: /click "?continue/i, ops: () => [sla('submitReportCreation')] }
+];
+
+/**
+ * Rules for the expected-result column. The first matching rule is used.
+ */
+export const SLA_EXPECTATION_RULES = [
+  { name: 'commandPage', pattern: /land on command page/i, ops: () => [], note: 'checked by authenticateAndSetup' },
+  { name: 'menuOpens', pattern: /menu will expand|dropdown menu will appear/i, ops: () => [], note: 'checked by navigateToReportsSubmenu' },
+  { name: 'reportsPage', pattern: /land on reports page/i, ops: () => [], note: 'checked by navigateToReportsSubmenu' },
+  { name: 'slaPage', pattern: /land on the dispatch sla reports page/i, ops: () => [sla('verifyPageElements')] },
+  { name: 'mandatoryErrors', pattern: /error message.*missing mandatory/i, ops: () => [sla('expectMandatoryFieldErrors')] },
+  { name: 'datesDisabled', pattern: /greyed out and cannot be selected/i, ops: () => [], note: 'checked by expectDayDisabled in the step' },
+  {
+    name: 'stationOnly',
+    pattern: /filtered by selected station/i,
+    ops: (match, values) => [...download(), op('check', 'downloadedFile', { contains: values.station })]
+  },
+  { name: 'noData', pattern: /no data for report/i, ops: () => [...download(), op('check', 'downloadedFile', { contains: 'No data for report' })] },
+  { name: 'archived', pattern: /archived state/i, ops: () => [sla('expectArchived', '<reportName>')] },
+  {
+    name: 'downloaded',
+    pattern: /(csv|xlsx) file downloads successfully/i,
+    ops: (match) => [...download(), op('check', 'downloadedFile', { format: match[1].toLowerCase() })]
+  },
+  {
+    name: 'queued',
+    pattern: /queue[sd] successfully|appears in the reports list/i,
+    ops: (match, values, expected) => [
+      sla('verifyReportInList', '<reportName>'),
+      ...(/"ready"/i.test(expected) ? [sla('waitForReportProcessing', '<reportName>', 60000)] : [])
+    ]
+  },
+  { name: 'timeApplied', pattern: /time range correctly applied/i, ops: (match, values) => [sla('expectTimeRange', values.fromTime, values.toTime)] }
+];
+
+const text = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Read the test cases from the workbook: a row with a title in column A starts a case, rows with
+ * a step in column B (and the expected result in column C) belong to it.
+ * @param {string} [file=DEFAULT_SLA_WORKBOOK]
+ * @returns {Array<{id: string, row: number, title: string, owner: string, state: string, automation: string, steps: Array<{row, action, expected}>}>}
+ */
+export function readSlaTestCases(file = DEFAULT_SLA_WORKBOOK) {
+  if (!fs.existsSync(file)) throw new Error(`[DispatchSlaTestCases] Workbook not found: ${file}`);
+  const workbook = XLSX.readFile(file);
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: true, defval: null });
+
+  const cases = [];
+  rows.forEach((cells, index) => {
+    const [title, action, expected, owner, state, automation] = (cells || []).map(text);
+    const row = index + 1;
+    if (title) {
+      cases.push({ id: `TC${cases.length + 1}`, row, title, owner, state, automation, steps: [] });
+    } else if (action && cases.length > 0) {
+      cases.at(-1).steps.push({ row, action, expected });
+    }
+  });
+  return cases;
+}
+
+function applyActionRules(action, values) {
+  const matched = [];
+  for (const rule of SLA_ACTION_RULES) {
+    const match = action.match(rule.pattern);
+    if (!match) continue;
+    const ops = rule.ops(match, values);
+    if (ops === null) return { matched: [], error: `no shared steps registered for id ${match[1]}` };
+    if (rule.exclusive) return { matched: [{ rule, ops }] };
+    matched.push({ rule, ops });
+  }
+  return { matched };
+}
+
+/**
+ * Plan one test case into page-object calls
+ * @param {Object} testCase - readSlaTestCases() entry
+ * @param {Object} [options]
+ * @param {Object} [options.values] - Overrides DEFAULT_SLA_VALUES (station, sites, times...)
+ * @returns {Object} { id, name, row, title, steps, unmapped, warnings, fixme, automatable }
+ */
+export function planSlaTestCase(testCase, options = {}) {
+  const values = { ...DEFAULT_SLA_VALUES, ...options.values };
+  const unmapped = [];
+  const warnings = [];
+  let fixme = null;
+
+  const steps = testCase.steps.map((step) => {
+    const { matched, error } = applyActionRules(step.action, values);
+    const rules = matched.map((m) => m.rule.name);
+    let ops = matched.flatMap((m) => m.ops);
+    const notes = matched.filter((m) => m.rule.note).map((m) => m.rule.note);
+    fixme ||= matched.find((m) => m.rule.fixme)?.rule.fixme ?? null;
+    if (matched.length === 0) unmapped.push({ row: step.row, column: 'step', text: step.action, reason: error || 'no rule matches this step' });
+
+    // Fill the mandatory fields the step does not mention before submitting
+    if (rules.includes('submit')) {
+      const missing = REQUIRED_FIELDS.filter((field) => !ops.some((o) => o.method === field.method));
+      ops = [...missing.flatMap((field) => field.ops(values)), ...ops];
+    }
+
+    let expectation = null;
+    if (step.expected) {
+      const rule = SLA_EXPECTATION_RULES.find((r) => r.pattern.test(step.expected));
+      if (rule) {
+        expectation = rule.name;
+        ops = [...ops, ...rule.ops(step.expected.match(rule.pattern), values, step.expected)];
+        if (rule.note) notes.push(rule.note);
+      } else {
+        unmapped.push({ row: step.row, column: 'expected', text: step.expected, reason: 'no rule matches this expected result' });
+      }
+    }
+    return { row: step.row, action: step.action, expected: step.expected, rules, expectation, ops, notes };
+  });
+
+  // The title and the steps disagree on the file format (e.g. "Download XLSX Format" with CSV steps)
+  const titleFormat = testCase.title.match(/\b(xlsx|csv)\b/i)?.[1].toLowerCase();
+  const stepFormats = steps.flatMap((s) => s.ops).filter((o) => o.method === 'selectFileFormat').map((o) => o.args[0]);
+  if (titleFormat && stepFormats.some((format) => format !== titleFormat)) {
+    warnings.push(`title says ${titleFormat.toUpperCase()} but the steps select ${stepFormats.map((f) => f.toUpperCase()).join(', ')}`);
+  }
+
+  return {
+    id: testCase.id,
+    name: `${testCase.id}: ${testCase.title}`,
+    row: testCase.row,
+    title: testCase.title,
+    steps,
+    unmapped,
+    warnings,
+    fixme,
+    automatable: unmapped.length === 0 && !fixme
+  };
+}
+
+/**
+ * Plan every test case of the workbook
+ * @param {Array} testCases - readSlaTestCases() result
+ * @param {Object} [options] - planSlaTestCase() options
+ * @returns {Array}
+ */
+export function planSlaTestCases(testCases, options = {}) {
+  return testCases.map((testCase) => planSlaTestCase(testCase, options));
+}
+
+/**
+ * Coverage of the workbook (for the console and the parse script)
+ * @param {Array} plans - planSlaTestCases() result
+ * @returns {string}
+ */
+export function formatSlaCoverage(plans) {
+  const automatable = plans.filter((plan) => plan.automatable).length;
+  const lines = [`[DispatchSlaTestCases] ${automatable}/${plans.length} workbook test case(s) automatable`];
+  for (const plan of plans) {
+    const status = plan.automatable ? '✅' : plan.unmapped.length > 0 ? '❌' : '⏸️';
+    lines.push(`${status} ${plan.name} (row ${plan.row}, ${plan.steps.reduce((sum, s) => sum + s.ops.length, 0)} call(s))`);
+    for (const u of plan.unmapped) lines.push(`   row ${u.row} ${u.column}: ${u.reason}: "${u.text}"`);
+    if (plan.fixme) lines.push(`   fixme: ${plan.fixme}`);
+    for (const warning of plan.warnings) lines.push(`   ⚠️ ${warning}`);
+  }
+  return lines.join('\n');
+}
+
+// Checks that are not page-object calls
+const CHECKS = {
+  async downloadedFile(state, { format, contains } = {}) {
+    expect(state.download, 'no report was downloaded').toBeTruthy();
+    const { filePath } = state.download;
+    if (format) expect(path.extname(filePath).toLowerCase()).toBe(`.${format}`);
+
+    // Readable as a workbook (SheetJS also reads CSV)
+    const workbook = XLSX.read(fs.readFileSync(filePath), { type: 'buffer' });
+    expect(workbook.SheetNames.length).toBeGreaterThan(0);
+    if (contains) {
+      const content = workbook.SheetNames.map((name) => XLSX.utils.sheet_to_csv(workbook.Sheets[name])).join('\n');
+      expect(content.toLowerCase(), `downloaded report should contain "${contains}"`).toContain(contains.toLowerCase());
+    }
+  }
+};
+
+/**
+ * Run a planned test case, one test.step per workbook row. A report the case submits is
+ * archived when the case ends, pass or fail.
+ * @param {Object} plan - planSlaTestCase() result
+ * @param {Object} context
+ * @param {import('./SharedTestSteps.js').SharedTestSteps} context.sharedSteps
+ * @param {import('./DispatchSLAReportsPage.js').DispatchSLAReportsPage} context.slaPage
+ * @param {import('@playwright/test').TestInfo} context.testInfo
+ * @param {ReportLifecycle} [context.reports] - Records and archives the report (default: one for this test)
+ */
+export async function runSlaTestCase(plan, { sharedSteps, slaPage, testInfo, reports = new ReportLifecycle(slaPage.page, { testInfo }) }) {
+  const state = {
+    reportName: tagReportName(plan.title),
+    outputDir: testInfo.outputPath(),
+    download: null,
+    submitted: false
+  };
+  const targets = { shared: sharedSteps, sla: slaPage };
+  const resolve = (arg) => {
+    const placeholder = typeof arg === 'string' && arg.match(/^<(\w+)>$/);
+    return placeholder && RUNTIME_VALUES.includes(placeholder[1]) ? state[placeholder[1]] : arg;
+  };
+
+  try {
+    for (const step of plan.steps) {
+      await test.step(`row ${step.row}: ${step.action}`, async () => {
+        for (const { target, method, args } of step.ops) {
+          const resolved = args.map(resolve);
+          console.log(`[DispatchSlaTestCases] ${plan.id} row ${step.row}: ${target}.${method}(${resolved.map((a) => JSON.stringify(a)).join(', ')})`);
+
+          if (target === 'check') {
+            await CHECKS[method](state, ...resolved);
+            continue;
+          }
+          if (method === 'submitReportCreation' && !state.submitted) {
+            // Recorded before submitting, like ReportLifecycle.create: a crash still leaves a clean-up entry
+            reports.registry.record('created', { type: 'dispatchSla', name: state.reportName }, { testId: testInfo.testId, title: testInfo.title });
+            state.submitted = true;
+          }
+          const result = await targets[target][method](...resolved);
+          if (method === 'downloadReportFile') state.download = result;
+        }
+      });
+    }
+  } finally {
+    // Validation cases that were never submitted, or archived the report themselves, leave nothing
+    if (state.submitted) await reports.cleanup({ scope: 'test' });
+  }
+}
@@ -1,254 +1,186 @@
 // Publish alerts directly to Event Grid (no Postman flows)
-import { newApiContext, isoTimestamp, guid } from '../utils/api.js';
+import { newApiContext } from '../utils/api.js';
+import { eventGridConfig, profileName } from '../utils/profile.js';
+import { AlertPayloadBuilder, correlationIds } from './payloads/AlertPayloadBuilder.js';
 
 function hasApiEnv() {
-  const env = (process.env.ENVIRONMENT || 'uat').toLowerCase();
-  const url = env === 'dev' ? process.env.DEV_URL : process.env.UAT_URL;
-  const key = env === 'dev' ? process.env.DEV_SASKEY : process.env.UAT_SASKEY;
-  return Boolean(url && key);
+  const { url, saskey } = eventGridConfig();
+  return Boolean(url && saskey);
 }
 
 export class EventPublisher {
   async #ctx() {
     if (!hasApiEnv()) {
-      console.log('[EventPublisher] API env not configured (URL/SASKEY). Skipping event publishing.');
+      console.log(`[EventPublisher] Event Grid not configured for profile '${profileName()}' (eventGrid.url/sasKey). Skipping event publishing.`);
       return null;
     }
     const { api, cfg } = await newApiContext();
     return { api, cfg };
   }
 
-  // TREX - public (Firefly) - Uses separate endpoint from Postman collection
-  async trexPublic() {
-    // TREX Public uses a hardcoded endpoint in the Postman collection
-    const trexUrl = process.env.TREX_PUBLIC_URL || 'https://staging-vum-eventgriddomain-licenseplatereads-san.southafricanorth-1.eventgrid.azure.net/api/events';
-    const trexKey = process.env.TREX_PUBLIC_SASKEY || 'tC6Idyj77Y/pKBBT/kBgEzHG4NTxWOecsG1SP+rZRNQ=';
+  // TREX Public posts to its own Event Grid domain (eventGrid.trexPublic in the profile)
+  async #trexPublicCtx() {
+    const { trexPublicUrl: trexUrl, trexPublicSasKey: trexKey } = eventGridConfig();
     
     if (!trexUrl || !trexKey) {
-      console.log('[EventPublisher] TREX Public env not configured (TREX_PUBLIC_URL/TREX_PUBLIC_SASKEY). Skipping.');
-      return { skipped: true };
+      console.log('[EventPublisher] TREX Public not configured (eventGrid.trexPublic in the profile). Skipping.');
+      return null;
     }
 
-    const { api: _, cfg } = await this.#ctx() || { cfg: {} };
-    
-    // Create separate API context for TREX endpoint
     const { request } = await import('@playwright/test');
-    const trexApi = await request.newContext({
+    return request.newContext({
       baseURL: trexUrl,
       extraHTTPHeaders: {
         'aeg-sas-key': trexKey
       }
     });
+  }
 
-    // Match Postman TREX body exactly
-    const deviceId = process.env.TREX_DEVICE_ID || '116444';
-    const cameraName = process.env.TREX_CAMERA_NAME || '116444';
-    const imageUrl = process.env.TREX_IMAGE_URL || 'https://wwwproof360coza.blob.core.windows.net/isentry-firefly-alert-images/128237_1688624021_2023-07-06-06-13-41_9.idat.jpeg';
-    const videoUrl = process.env.TREX_VIDEO_URL || 'https://wwwproof360coza.blob.core.windows.net/isentry-firefly-alert-videos/128237_1688624021_2023-07-06-06-13-41_9.idat.mp4';
-    
-    const body = [{
-      id: guid(),
-      subject: 'iSentry Firefly Alert',
-      data: {
-        source: 'iSentry Firefly',
-        ref: guid(),
-        type: 'Trex',
-        timestamp: isoTimestamp(),
-        deviceIdList: [deviceId],
-        data: {
-          organisationId: [],
-          reason: 'Trex',
-          description: 'Trex',
-          shortDescription: 'Trex',
-          localId: guid(),
-          priority: 'Unknown',
-          cameraName: cameraName,
-          escalationActionName: '',
-          escalationClassificationName: ''
-        },
-        imageList: [imageUrl],
-        videoList: [videoUrl]
-      },
-      eventType: 'iSentry Firefly Event',
-      dataVersion: '2.0',
-      metadataVersion: '1',
-      eventTime: isoTimestamp(),
-      topic: cfg.isentryFireflyTopic || process.env.UAT_ISENTRY_FIREFLY_TOPIC
-    }];
+  #trexPublicBuilder(cfg = {}) {
+    return AlertPayloadBuilder.for('trex_public', {
+      topic: cfg.isentryFireflyTopic || eventGridConfig().isentryFireflyTopic
+    });
+  }
+
+  // TREX - public (Firefly) - Uses separate endpoint from Postman collection
+  async trexPublic() {
+    const { cfg } = await this.#ctx() || { cfg: {} };
+
+    // Validate before opening a context so a malformed body fails locally
+    const body = this.#trexPublicBuilder(cfg).build();
+
+    const trexApi = await this.#trexPublicCtx();
+    if (!trexApi) return { skipped: true };
     
     const res = await trexApi.post('', { data: body });
     await trexApi.dispose(); // Clean up the API context
-    return { ok: res.ok(), status: res.status() };
+    return { ok: res.ok(), status: res.status(), alertType: 'trex_public', ...correlationIds(body[0]) };
   }
 
   // TREX - private (camera from env)
   async trexPrivate() {
-    const ctx = await this.#ctx();
-    if (!ctx) return { skipped: true };
-    const { api, cfg } = ctx;
-    
-    // Match Postman collection exactly - TREX Private uses different device/camera IDs
-    const deviceId = process.env.TREX_PRIVATE_DEVICE_ID || '123363';
-    const cameraId = process.env.TREX_PRIVATE_CAMERA_ID || '123352';
-    const imageUrl = process.env.TREX_IMAGE_URL || 'https://wwwproof360coza.blob.core.windows.net/isentry-firefly-alert-images/128237_1688624021_2023-07-06-06-13-41_9.idat.jpeg';
-    const videoUrl = process.env.TREX_VIDEO_URL || 'https://wwwproof360coza.blob.core.windows.net/isentry-firefly-alert-videos/128237_1688624021_2023-07-06-06-13-41_9.idat.mp4';
-    
-    const body = [{
-      id: guid(),
-      subject: 'iSentry Firefly Alert',
-      data: {
-        source: 'iSentry Firefly',
-        ref: guid(),
-        type: 'Trex',
-        timestamp: isoTimestamp(),
-        deviceIdList: [deviceId],
-        data: {
-          organisationId: [],
-          reason: 'Trex',
-          description: 'Trex',
-          shortDescription: 'Trex',
-          localId: guid(),
-          priority: 'Unknown',
-          cameraName: cameraId,
-          escalationActionName: '',
-          escalationClassificationName: ''
-        },
-        imageList: [imageUrl],
-        videoList: [videoUrl]
-      },
-      eventType: 'iSentry Firefly Event',
-      dataVersion: '2.0',
-      metadataVersion: '1',
-      eventTime: isoTimestamp(),
-      topic: cfg.isentryFireflyTopic
-    }];
-    const res = await api.post('', { data: body });
-    return { ok: res.ok(), status: res.status() };
+    return this.#publish('trex_private');
   }
 
   // Unusual Behaviour
   async unusualBehaviour() {
-    const ctx = await this.#ctx();
-    if (!ctx) return { skipped: true };
-    const { api, cfg } = ctx;
-    const now = isoTimestamp();
-    
-    // Use environment variables for configurable parts, with timestamp for uniqueness
-    const baseDeviceId = process.env.UB_DEVICE_ID || '7B2951D9-59AA-4651-87D4-3D27B0B9C0B9';
-    const timestamp = Date.now();
-    const deviceId = `${baseDeviceId}-${timestamp}`;
-    const cameraName = process.env.UB_CAMERA_NAME || 'Vicp_Opposite 25 Leighton Rd_9.2_T';
-    
-    const body = [{
-      id: guid(),
-      subject: 'iSentry API',
-      data: {
-        source: 'iSentry API',
-        ref: guid(),
-        type: 'Unusual Behaviour',
-        timestamp: now,
-        deviceIdList: [deviceId],
-        data: {
-          organisationId: '',
-          reason: 'Unusual Behaviour',
-          localId: '88e87751-23bf-4f12-b3d5-fc4905a2a23e',
-          priority: 'HIGH',
-          cameraName: cameraName,
-          timeZone: 'Day',
-          frames: [
-            {
-              Number: 0,
-              ActionApplied: 0,
-              MasterFrame: false,
-              AlertFrame: {
-                ImagePixelFormat: 137224,
-                Number: 0,
-                FrameNumber: 130527,
-                HighRes: true,
-                FrameID: guid(),
-                iSentryServerID: guid(),
-                MSCameraID: deviceId,
-                Timestamp: Date.now(),
-                TimestampUTC: now,
-                CameraID: 1496,
-                FrameImageType: 0,
-                Width: 384,
-                Height: 288,
-                Bounding_Box_Inclusion_Percentage: 2,
-                Facial_Inflation_Percentage: 15,
-                TrackingID: '00000000-0000-0000-0000-000000000000',
-                Created: now,
-                ImageURL: 'https://wwwproof360coza.blob.core.windows.net/isentry/e11001f382d14138a9040a7a3d8a9a5a.jpg'
-              }
-            }
-          ],
-          alertIdInt: 267
-        },
-        imageList: [
-          'https://wwwproof360coza.blob.core.windows.net/isentry/e11001f382d14138a9040a7a3d8a9a5a.jpg'
-        ],
-        videoList: []
-      },
-      eventType: 'iSentry Event',
-      dataVersion: '4.0',
-      metadataVersion: '1',
-      eventTime: now,
-      topic: cfg.isentryTopic
-    }];
-    const res = await api.post('', { data: body });
-    return { ok: res.ok(), status: res.status() };
+    return this.#publish('unusual_behaviour');
+  }
+
+  // Object Motion (iSentry API)
+  async objectMotion() {
+    return this.#publish('object_motion');
+  }
+
+  /**
+   * Any other iSentry API analytic, e.g. isentryAlert('Loitering').
+   * Uses the Object Motion device/camera (OM_DEVICE_ID / OM_CAMERA_NAME).
+   * @param {string} reason - iSentry reason as shown on the alert card
+   */
+  async isentryAlert(reason) {
+    if (!reason) throw new Error('[EventPublisher] isentryAlert requires a reason');
+    return this.#publish('object_motion', (builder) => builder.reason(reason));
   }
 
   // Public LPR (VOI)
   async publicLpr() {
+    return this.#publish('public_lpr');
+  }
+
+  // Private / Super VOI LPR (isSuperVOI: true, voiSource: 'Private')
+  async privateLpr() {
+    return this.#publish('private_lpr');
+  }
+
+  /**
+   * API config (endpoint topics) for the current environment, or {} when not configured
+   * @returns {Promise<Object>}
+   */
+  async apiConfig() {
+    const ctx = await this.#ctx();
+    if (!ctx) return {};
+    await ctx.api.dispose();
+    return ctx.cfg;
+  }
+
+  /**
+   * Post ready-made Event Grid events (e.g. a replayed capture) to the main endpoint as one request
+   * @param {Object[]} events
+   * @returns {Promise<{ok?: boolean, status?: number, skipped?: boolean, eventIds: string[]}>}
+   */
+  async publishEvents(events) {
+    const eventIds = events.map((event) => event.id);
+    const ctx = await this.#ctx();
+    if (!ctx) return { skipped: true, eventIds };
+
+    const res = await ctx.api.post('', { data: events });
+    await ctx.api.dispose();
+    return { ok: res.ok(), status: res.status(), eventIds };
+  }
+
+  /**
+   * Publish several alerts with a single Event Grid post per endpoint
+   * (TREX Public goes to its own endpoint, everything else to the main one).
+   * @param {string[]} alertTypes - AlertPayloadBuilder alert types, e.g. ['unusual_behaviour', 'public_lpr']
+   * @returns {Promise<Array<{alertType: string, eventId: string, ok?: boolean, status?: number, latencyMs?: number, error?: string, skipped?: boolean}>>}
+   *          One entry per event (with its correlationIds), in the order the alert types were given
+   */
+  async publishBatch(alertTypes) {
+    const ctx = await this.#ctx();
+    const cfg = ctx?.cfg || {};
+
+    const main = [];
+    const trex = [];
+    alertTypes.forEach((alertType, index) => {
+      const builder = alertType === 'trex_public'
+        ? this.#trexPublicBuilder(cfg)
+        : AlertPayloadBuilder.fromConfig(alertType, cfg);
+      (alertType === 'trex_public' ? trex : main).push({ index, alertType, event: builder.buildEvent() });
+    });
+
+    const results = await this.#postBatch(ctx?.api, main);
+    if (trex.length > 0) {
+      const trexApi = await this.#trexPublicCtx();
+      results.push(...await this.#postBatch(trexApi, trex));
+      await trexApi?.dispose();
+    }
+    await ctx?.api.dispose();
+
+    return results.sort((a, b) => a.index - b.index).map(({ index, ...result }) => result);
+  }
+
+  async #postBatch(api, entries) {
+    if (entries.length === 0) return [];
+    if (!api) {
+      return entries.map(({ index, alertType, event }) => ({ index, alertType, ...correlationIds(event), skipped: true }));
+    }
+
+    const started = Date.now();
+    let outcome;
+    try {
+      const res = await api.post('', { data: entries.map(({ event }) => event) });
+      outcome = { ok: res.ok(), status: res.status() };
+    } catch (error) {
+      outcome = { ok: false, status: 0, error: error.message };
+    }
+    const latencyMs = Date.now() - started;
+
+    return entries.map(({ index, alertType, event }) => ({ index, alertType, ...correlationIds(event), ...outcome, latencyMs }));
+  }
+
+  /**
+   * Build, validate and post an alert to the main Event Grid endpoint
+   * @param {string} alertType - AlertPayloadBuilder alert type
+   * @param {(builder: AlertPayloadBuilder) => AlertPayloadBuilder} [customise] - Fluent overrides
+   */
+  async #publish(alertType, customise = (builder) => builder) {
     const ctx = await this.#ctx();
     if (!ctx) return { skipped: true };
     const { api, cfg } = ctx;
-    const now = isoTimestamp();
-    const orgId = Number(process.env.ORGANIZATION_ID || 100526);
-    const plateId = process.env.PLATE_ID2 || 'TESTGP';
-    const deviceId = process.env.PUBLIC_LPR_DEVICE_ID || '121467';
-    const body = [{
-      data: {
-        data: {
-          cameraName: process.env.PUBLIC_LPR_CAMERA_NAME || 'MCLN_Berea Str and Bourke Str_20.4_A',
-          direction: 'forward',
-          imageList: [],
-          isSuperVOI: false,
-          latitude: Number(process.env.PUBLIC_LPR_LATITUDE || -26.124830),
-          levelOfIncidence: {
-            caseNumber: process.env.PUBLIC_LPR_CASE_NUMBER || 'CAS 128/11/20',
-            crimeType: process.env.PUBLIC_LPR_CRIME_TYPE || 'Common Robbery',
-            id: process.env.PUBLIC_LPR_LEVEL_ID || '05ce87af-55c0-477e-a148-73c708a859a6',
-            isPublic: 1,
-            level: 1,
-            organizationId: orgId,
-            schedule: '',
-            timeCreated: process.env.PUBLIC_LPR_TIME_CREATED || '2022-11-06T13:48:58.843Z'
-          },
-          longitude: Number(process.env.PUBLIC_LPR_LONGITUDE || 28.082690),
-          organizationId: orgId,
-          plateId,
-          timeCaptured: now,
-          timeDispatched: now,
-          voiSource: 'Public'
-        },
-        deviceIdList: [deviceId],
-        ref: guid(),
-        source: 'proof',
-        timestamp: now,
-        type: 'plate'
-      },
-      dataVersion: '2.0',
-      eventTime: now,
-      eventType: 'Vumacam.LPR.AlertDispatchedEvent',
-      id: guid(),
-      metadataVersion: '1',
-      subject: cfg.topic,
-      topic: cfg.topic
-    }];
+
+    const body = customise(AlertPayloadBuilder.fromConfig(alertType, cfg)).build();
     const res = await api.post('', { data: body });
-    return { ok: res.ok(), status: res.status() };
+    return { ok: res.ok(), status: res.status(), alertType, ...correlationIds(body[0]) };
   }
 }
 
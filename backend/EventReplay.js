@@ -0,0 +1,172 @@
+// backend/EventReplay.js
+// Replay captured Event Grid envelopes (one JSON envelope, or one posted array
+// of envelopes, per line) against the configured environment. Ids, timestamps
+// and topics are rewritten for the target so a production incident sequence can
+// be reproduced against UAT or the local Event Grid stand-in.
+
+import fs from 'fs';
+import { guid } from '../utils/api.js';
+import { EventPublisher } from './EventPublisher.js';
+import { validateEnvelope } from './LocalEventGridServer.js';
+
+// Event type -> key of the topic in the newApiContext() cfg
+const TOPIC_KEYS = {
+  'iSentry Firefly Event': 'isentryFireflyTopic',
+  'iSentry Event': 'isentryTopic',
+  'Vumacam.LPR.AlertDispatchedEvent': 'topic'
+};
+
+// Payload fields whose values identify this alert and get a fresh guid on replay.
+// Other ids (device ids, levelOfIncidence.id) point at configuration and are kept.
+const ID_FIELDS = new Set(['ref', 'localId', 'FrameID']);
+
+// Payload fields that hold the time of the event itself and move with it on replay.
+// Other timestamps (levelOfIncidence.timeCreated) describe configuration and are kept.
+const EVENT_TIME_FIELDS = new Set(['eventTime', 'timestamp', 'TimestampUTC', 'Created', 'timeCaptured', 'timeDispatched']);
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Read a JSONL capture. Lines that are not Event Grid envelopes are skipped with a warning.
+ * @param {string} file
+ * @returns {Array<{line: number, events: Object[], time: number}>} One entry per post, ordered by time
+ */
+export function readEventLog(file) {
+  const posts = [];
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    if (!text.trim()) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      console.warn(`[EventReplay] Skipping line ${line}: invalid JSON (${error.message})`);
+      return;
+    }
+
+    const events = Array.isArray(parsed) ? parsed : [parsed];
+    const problems = events.flatMap((event, i) => validateEnvelope(event, i));
+    if (events.length === 0 || problems.length > 0) {
+      console.warn(`[EventReplay] Skipping line ${line}: not an Event Grid envelope (${problems[0] || 'empty array'})`);
+      return;
+    }
+
+    posts.push({ line, events, time: Date.parse(events[0].eventTime) });
+  });
+
+  return posts.sort((a, b) => a.time - b.time || a.line - b.line);
+}
+
+/**
+ * Rewrite one captured envelope for the target environment.
+ * - every event-time field (EVENT_TIME_FIELDS, and epoch-ms `Timestamp`) is shifted by the same
+ *   delta so the event keeps its internal time relationships but happens "now"
+ * - ids (envelope id, ref, localId, FrameID) get fresh guids; the same original id always maps to
+ *   the same new id, so events that referenced each other still do
+ * - topic (and subject, when it carried the topic) is replaced with the target topic
+ *
+ * @param {Object} event - Captured envelope
+ * @param {Object} context
+ * @param {number} context.shiftMs - Milliseconds to add to every event time
+ * @param {Map<string,string>} context.idMap - Original id -> replay id, shared across a replay
+ * @param {Object} context.topics - eventType -> target topic
+ * @returns {Object}
+ */
+export function rewriteEvent(event, { shiftMs, idMap, topics }) {
+  const rewrite = (value, key) => {
+    if (Array.isArray(value)) return value.map((item) => rewrite(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, rewrite(v, k)]));
+    }
+    if (typeof value === 'string' && ID_FIELDS.has(key) && value) {
+      if (!idMap.has(value)) idMap.set(value, guid());
+      return idMap.get(value);
+    }
+    if (typeof value === 'string' && EVENT_TIME_FIELDS.has(key) && ISO_DATE_TIME.test(value)) {
+      return new Date(Date.parse(value) + shiftMs).toISOString();
+    }
+    if (typeof value === 'number' && key === 'Timestamp' && value > 1e12) {
+      return value + shiftMs;
+    }
+    return value;
+  };
+
+  const rewritten = rewrite(event);
+  if (!idMap.has(event.id)) idMap.set(event.id, guid());
+  rewritten.id = idMap.get(event.id);
+
+  const topic = topics[event.eventType];
+  if (topic) {
+    if (event.subject === event.topic) rewritten.subject = topic;
+    rewritten.topic = topic;
+  }
+  return rewritten;
+}
+
+/**
+ * Replay a JSONL capture through EventPublisher.
+ * @param {string} file - JSONL capture
+ * @param {Object} [options]
+ * @param {number} [options.speed=1] - Timing compression: 1 = original gaps, 10 = ten times faster, Infinity = no waits
+ * @param {number} [options.maxGapMs] - Cap any single wait (after compression)
+ * @param {Object} [options.topics] - eventType -> topic overrides (defaults come from the API config)
+ * @param {boolean} [options.dryRun=false] - Rewrite and return the events without sending them
+ * @param {EventPublisher} [options.publisher]
+ * @returns {Promise<Array<{line: number, ok?: boolean, status?: number, skipped?: boolean, events: Object[]}>>}
+ */
+export async function replayEventLog(file, options = {}) {
+  const { speed = 1, maxGapMs, dryRun = false } = options;
+  if (!(speed > 0)) throw new Error('[EventReplay] speed must be a positive number');
+
+  const posts = readEventLog(file);
+  if (posts.length === 0) {
+    console.log(`[EventReplay] No Event Grid envelopes found in ${file}`);
+    return [];
+  }
+
+  const publisher = options.publisher || new EventPublisher();
+  const cfg = dryRun ? {} : await publisher.apiConfig();
+  const topics = Object.fromEntries(Object.entries(TOPIC_KEYS)
+    .map(([eventType, key]) => [eventType, cfg[key]])
+    .filter(([, topic]) => topic));
+  Object.assign(topics, options.topics);
+
+  const idMap = new Map();
+  const started = Date.now();
+  const results = [];
+
+  console.log(`[EventReplay] Replaying ${posts.length} post(s) from ${file} at ${speed}x${dryRun ? ' (dry run)' : ''}`);
+
+  let previous = null;
+  for (const post of posts) {
+    // Keep the original gap to the previous post, compressed and optionally capped
+    if (previous) {
+      let gap = (post.time - previous.time) / speed;
+      if (maxGapMs !== undefined) gap = Math.min(gap, maxGapMs);
+      const wait = previous.sentAt + gap - Date.now();
+      if (wait > 0 && Number.isFinite(wait)) await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+
+    const sentAt = Date.now();
+    const shiftMs = sentAt - post.time;
+    const events = post.events.map((event) => rewriteEvent(event, { shiftMs, idMap, topics }));
+
+    previous = { time: post.time, sentAt };
+
+    if (dryRun) {
+      results.push({ line: post.line, sentAt, skipped: true, events });
+      continue;
+    }
+
+    const res = await publisher.publishEvents(events);
+    console.log(`[EventReplay] Line ${post.line}: ${events.map((e) => e.eventType).join(', ')} -> ${res.status ?? 'skipped'}`);
+    results.push({ line: post.line, sentAt, ...res, events });
+  }
+
+  const failed = results.filter((r) => !r.skipped && !r.ok).length;
+  console.log(`[EventReplay] Done: ${results.length} post(s), ${failed} failed, ${Date.now() - started}ms`);
+  return results;
+}
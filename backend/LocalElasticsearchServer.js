@@ -0,0 +1,513 @@
+// backend/LocalElasticsearchServer.js
+// Local stand-in for the Elasticsearch cluster queried by ElasticsearchClient.
+// Serves GET /_cluster/health and POST /<index>/_search for the query subset the
+// dispatch specs use (bool must/filter/should/must_not, match_phrase, match, term,
+// terms, range with date math, exists, match_all), plus sort, size/from, search_after,
+// terms aggregations and _source filtering. Like Elasticsearch 8, it refuses to sort on _id.
+// Documents are seeded from fixture files in test/data/elasticsearch.
+
+import fs from 'fs';
+import http from 'http';
+
+export const LOCAL_ELASTICSEARCH_DEFAULT_KEY = 'local-elasticsearch-key';
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const UNIT_MS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+
+class QueryError extends Error {
+  constructor(type, reason) {
+    super(reason);
+    this.type = type;
+  }
+}
+
+const valueAt = (obj, dotted) => dotted.split('.').reduce((value, key) => value?.[key], obj);
+
+// Text fields are matched the way the standard analyzer would: lowercase word tokens,
+// underscores kept inside a token (so "WVRD_9th" is one token)
+function tokenize(value) {
+  return String(value).toLowerCase().split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+}
+
+function fieldValues(source, field) {
+  // "siteName.keyword" targets the exact (non-analysed) value of siteName
+  const value = valueAt(source, field.endsWith('.keyword') ? field.slice(0, -'.keyword'.length) : field);
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function containsPhrase(tokens, phrase) {
+  if (phrase.length === 0) return true;
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((token, j) => tokens[i + j] === token)) return true;
+  }
+  return false;
+}
+
+/**
+ * Resolve an Elasticsearch date-math expression ("now-24h", "now/d", ISO, epoch ms)
+ * @param {string|number} expression
+ * @param {number} [now=Date.now()]
+ * @returns {number} Epoch milliseconds
+ */
+export function resolveDateMath(expression, now = Date.now()) {
+  if (typeof expression === 'number') return expression;
+  const text = String(expression).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+
+  const match = /^now((?:[+-]\d+[smhdwMy])*)(?:\/([smhdwMy]))?$/.exec(text);
+  if (!match) {
+    const parsed = Date.parse(text);
+    if (Number.isNaN(parsed)) throw new QueryError('parse_exception', `failed to parse date field [${text}]`);
+    return parsed;
+  }
+
+  const date = new Date(now);
+  for (const [, sign, amount, unit] of match[1].matchAll(/([+-])(\d+)([smhdwMy])/g)) {
+    const n = Number(amount) * (sign === '-' ? -1 : 1);
+    if (unit === 'M') date.setUTCMonth(date.getUTCMonth() + n);
+    else if (unit === 'y') date.setUTCFullYear(date.getUTCFullYear() + n);
+    else date.setTime(date.getTime() + n * UNIT_MS[unit]);
+  }
+  const round = match[2];
+  if (round === 'y') date.setUTCMonth(0, 1);
+  if (round === 'M' || round === 'y') date.setUTCDate(1);
+  if (['d', 'M', 'y'].includes(round)) date.setUTCHours(0, 0, 0, 0);
+  if (round === 'h') date.setUTCMinutes(0, 0, 0);
+  if (round === 'm') date.setUTCSeconds(0, 0);
+  if (round === 's') date.setUTCMilliseconds(0);
+  if (round === 'w') {
+    date.setUTCHours(0, 0, 0, 0);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.getTime();
+}
+
+function comparable(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && ISO_DATE_TIME.test(value)) return Date.parse(value);
+  return value;
+}
+
+const QUERIES = {
+  match_all: () => () => true,
+
+  match_phrase: (spec) => {
+    const [[field, raw]] = Object.entries(spec);
+    const phrase = tokenize(typeof raw === 'object' ? raw.query : raw);
+    return (source) => fieldValues(source, field).some((value) => containsPhrase(tokenize(value), phrase));
+  },
+
+  match: (spec) => {
+    const [[field, raw]] = Object.entries(spec);
+    const options = typeof raw === 'object' ? raw : { query: raw };
+    const wanted = tokenize(options.query);
+    const all = String(options.operator || 'or').toLowerCase() === 'and';
+    return (source) => fieldValues(source, field).some((value) => {
+      const tokens = new Set(tokenize(value));
+      return all ? wanted.every((t) => tokens.has(t)) : wanted.some((t) => tokens.has(t));
+    });
+  },
+
+  term: (spec) => {
+    const [[field, raw]] = Object.entries(spec);
+    const expected = typeof raw === 'object' && raw !== null ? raw.value : raw;
+    return (source) => fieldValues(source, field).some((value) => value === expected || String(value) === String(expected));
+  },
+
+  terms: (spec) => {
+    const [[field, list]] = Object.entries(spec);
+    const expected = new Set(list.map(String));
+    return (source) => fieldValues(source, field).some((value) => expected.has(String(value)));
+  },
+
+  exists: ({ field }) => (source) => fieldValues(source, field).length > 0,
+
+  range: (spec, context) => {
+    const [[field, bounds]] = Object.entries(spec);
+    const resolve = (bound) => (typeof bound === 'string' && !/^-?\d+(\.\d+)?$/.test(bound)
+      ? resolveDateMath(bound, context.now)
+      : Number(bound));
+    const checks = Object.entries(bounds)
+      .filter(([op]) => ['gt', 'gte', 'lt', 'lte'].includes(op))
+      .map(([op, bound]) => [op, resolve(bound)]);
+    return (source) => fieldValues(source, field).some((raw) => {
+      const value = comparable(raw);
+      return checks.every(([op, bound]) =>
+        (op === 'gt' && value > bound) || (op === 'gte' && value >= bound) ||
+        (op === 'lt' && value < bound) || (op === 'lte' && value <= bound));
+    });
+  },
+
+  bool: (spec, context) => {
+    const compileAll = (clauses) => [].concat(clauses || []).map((clause) => compileQuery(clause, context));
+    const must = compileAll(spec.must).concat(compileAll(spec.filter));
+    const should = compileAll(spec.should);
+    const mustNot = compileAll(spec.must_not);
+    const minimumShould = spec.minimum_should_match !== undefined
+      ? Number(spec.minimum_should_match)
+      : (must.length === 0 && should.length > 0 ? 1 : 0);
+
+    return (source) =>
+      must.every((test) => test(source)) &&
+      !mustNot.some((test) => test(source)) &&
+      should.filter((test) => test(source)).length >= minimumShould;
+  }
+};
+
+/**
+ * Compile a query DSL clause into a predicate over _source
+ * @param {Object} query
+ * @param {{now: number}} context
+ * @returns {(source: Object) => boolean}
+ */
+function compileQuery(query, context) {
+  if (!query || Object.keys(query).length === 0) return QUERIES.match_all();
+  const [[type, spec]] = Object.entries(query);
+  if (!QUERIES[type]) throw new QueryError('parsing_exception', `unknown query [${type}]`);
+  return QUERIES[type](spec, context);
+}
+
+function normaliseSort(sort = []) {
+  return [].concat(sort).map((entry) => {
+    const field = typeof entry === 'string' ? entry : Object.keys(entry)[0];
+    // Elasticsearch 8 has no fielddata on _id unless indices.id_field_data.enabled is set
+    if (field === '_id') {
+      throw new QueryError(
+        'illegal_argument_exception',
+        'Fielddata access on the _id field is disallowed, you can re-enable it by updating the dynamic cluster setting: indices.id_field_data.enabled'
+      );
+    }
+    if (typeof entry === 'string') return { field, order: entry === '_score' ? 'desc' : 'asc' };
+    const options = entry[field];
+    const order = typeof options === 'string' ? options : options.order || 'asc';
+    return { field, order: order.toLowerCase(), missing: options.missing };
+  });
+}
+
+function sortValue(doc, field) {
+  return comparable(fieldValues(doc._source, field)[0]);
+}
+
+function compareBy(sorts) {
+  return (a, b) => {
+    for (const { field, order, missing } of sorts) {
+      const left = sortValue(a, field);
+      const right = sortValue(b, field);
+      if (left === right) continue;
+      // Missing values sort last unless asked otherwise
+      const missingFirst = missing === '_first';
+      if (left === undefined) return missingFirst ? -1 : 1;
+      if (right === undefined) return missingFirst ? 1 : -1;
+      const result = left < right ? -1 : 1;
+      return order === 'desc' ? -result : result;
+    }
+    return 0;
+  };
+}
+
+function sortValues(doc, sorts) {
+  return sorts.map(({ field }) => sortValue(doc, field) ?? null);
+}
+
+// search_after: keep documents whose sort values come strictly after the given ones
+function isAfter(values, after, sorts) {
+  for (let i = 0; i < sorts.length; i++) {
+    const left = values[i];
+    const right = comparable(after[i]);
+    if (left === right) continue;
+    const missingFirst = sorts[i].missing === '_first';
+    if (left === null) return !missingFirst;
+    if (right === null) return missingFirst;
+    return sorts[i].order === 'desc' ? left < right : left > right;
+  }
+  return false;
+}
+
+const AGGREGATIONS = {
+  terms: ({ field, size = 10 }, docs) => {
+    const counts = new Map();
+    for (const doc of docs) {
+      for (const value of new Set(fieldValues(doc._source, field))) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+    const buckets = [...counts.entries()]
+      .map(([key, doc_count]) => ({ key, doc_count }))
+      .sort((a, b) => b.doc_count - a.doc_count || String(a.key).localeCompare(String(b.key)));
+    const shown = buckets.slice(0, size);
+    return {
+      doc_count_error_upper_bound: 0,
+      sum_other_doc_count: buckets.slice(size).reduce((sum, bucket) => sum + bucket.doc_count, 0),
+      buckets: shown
+    };
+  },
+
+  value_count: ({ field }, docs) => ({
+    value: docs.reduce((sum, doc) => sum + fieldValues(doc._source, field).length, 0)
+  })
+};
+
+function aggregate(aggs, docs) {
+  return Object.fromEntries(Object.entries(aggs).map(([name, spec]) => {
+    const [type] = Object.keys(spec).filter((key) => key !== 'meta');
+    if (!AGGREGATIONS[type]) throw new QueryError('parsing_exception', `unknown aggregation type [${type}]`);
+    return [name, AGGREGATIONS[type](spec[type], docs)];
+  }));
+}
+
+function filterSource(source, includes) {
+  if (includes === undefined || includes === true) return source;
+  if (includes === false) return undefined;
+  const paths = Array.isArray(includes) ? includes : includes.includes || [];
+  const picked = {};
+  for (const dotted of paths) {
+    const value = valueAt(source, dotted);
+    if (value === undefined) continue;
+    const keys = dotted.split('.');
+    let target = picked;
+    keys.slice(0, -1).forEach((key) => { target = target[key] = target[key] || {}; });
+    target[keys[keys.length - 1]] = value;
+  }
+  return picked;
+}
+
+function indexMatches(pattern, index) {
+  return pattern.split(',').some((part) => {
+    const regex = new RegExp(`^${part.trim().split('*').map((s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return part === '_all' || regex.test(index);
+  });
+}
+
+/**
+ * Shift every ISO timestamp in a value by the same delta
+ */
+function shiftTimestamps(value, shiftMs) {
+  if (Array.isArray(value)) return value.map((item) => shiftTimestamps(item, shiftMs));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, shiftTimestamps(item, shiftMs)]));
+  }
+  if (typeof value === 'string' && ISO_DATE_TIME.test(value)) {
+    return new Date(Date.parse(value) + shiftMs).toISOString();
+  }
+  return value;
+}
+
+export class LocalElasticsearchServer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port=0] - 0 picks a free port
+   * @param {string} [options.host='127.0.0.1']
+   * @param {string} [options.apiKey] - Expected "Authorization: ApiKey <key>" value
+   * @param {string[]} [options.fixtures] - Fixture files to load on construction
+   * @param {() => number} [options.now] - Clock for "now" date math (tests)
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 0;
+    this.host = options.host || '127.0.0.1';
+    this.apiKey = options.apiKey || LOCAL_ELASTICSEARCH_DEFAULT_KEY;
+    this.now = options.now || Date.now;
+    this.documents = [];
+    this.server = null;
+    this.nextId = 1;
+    for (const file of options.fixtures || []) this.loadFixtures(file);
+  }
+
+  /**
+   * Base URL of the running server (no trailing slash), equivalent to ELASTICSEARCH_URL
+   * @returns {string}
+   */
+  get url() {
+    if (!this.server) throw new Error('[LocalElasticsearch] Server is not running');
+    const { port } = this.server.address();
+    return `http://${this.host}:${port}`;
+  }
+
+  /**
+   * Load a fixture file: { index, anchor?, documents: [{ _id?, ...source }] }.
+   * When `anchor` is set, every ISO timestamp is moved by (now - anchor) so that
+   * relative windows like now-24h keep matching the same documents.
+   * @param {string} file
+   * @returns {number} Documents loaded
+   */
+  loadFixtures(file) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!fixture.index || !Array.isArray(fixture.documents)) {
+      throw new Error(`[LocalElasticsearch] ${file} must have "index" and a "documents" array`);
+    }
+    const shiftMs = fixture.anchor ? this.now() - Date.parse(fixture.anchor) : 0;
+    for (const { _id, ...source } of fixture.documents) {
+      this.index(fixture.index, shiftTimestamps(source, shiftMs), _id);
+    }
+    return fixture.documents.length;
+  }
+
+  /**
+   * Add one document
+   * @param {string} index
+   * @param {Object} source
+   * @param {string} [id]
+   * @returns {string} Document id
+   */
+  index(index, source, id) {
+    const _id = id ? String(id) : `local-${this.nextId++}`;
+    this.documents = this.documents.filter((doc) => !(doc._index === index && doc._id === _id));
+    this.documents.push({ _index: index, _id, _source: source });
+    return _id;
+  }
+
+  clear() {
+    this.documents = [];
+  }
+
+  /**
+   * Run a search body against the stored documents (what POST /<index>/_search returns)
+   * @param {string} indexPattern - e.g. 'proof360-dispatch*'
+   * @param {Object} [body]
+   * @returns {Object} Elasticsearch search response
+   */
+  search(indexPattern, body = {}) {
+    const started = Date.now();
+    const predicate = compileQuery(body.query, { now: this.now() });
+    const sorts = normaliseSort(body.sort);
+    const from = Number(body.from || 0);
+    const size = body.size === undefined ? 10 : Number(body.size);
+
+    const aggs = body.aggs || body.aggregations;
+
+    const matched = this.documents
+      .filter((doc) => indexMatches(indexPattern, doc._index) && predicate(doc._source));
+    if (sorts.length > 0) matched.sort(compareBy(sorts));
+
+    let page = matched;
+    if (body.search_after) {
+      if (sorts.length === 0) throw new QueryError('illegal_argument_exception', 'search_after requires a sort');
+      if (from > 0) throw new QueryError('illegal_argument_exception', '[from] parameter must be set to 0 when [search_after] is used');
+      page = matched.filter((doc) => isAfter(sortValues(doc, sorts), body.search_after, sorts));
+    }
+
+    const hits = page.slice(from, from + size).map((doc) => {
+      const hit = { _index: doc._index, _id: doc._id, _score: sorts.length > 0 ? null : 1 };
+      const source = filterSource(doc._source, body._source);
+      if (source !== undefined) hit._source = source;
+      if (sorts.length > 0) hit.sort = sortValues(doc, sorts);
+      return hit;
+    });
+
+    const response = {
+      took: Date.now() - started,
+      timed_out: false,
+      _shards: { total: 1, successful: 1, skipped: 0, failed: 0 },
+      hits: {
+        total: { value: matched.length, relation: 'eq' },
+        max_score: sorts.length > 0 || hits.length === 0 ? null : 1,
+        hits
+      }
+    };
+    // Aggregations run over every match, independent of paging
+    if (aggs) response.aggregations = aggregate(aggs, matched);
+    return response;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL
+   */
+  async start() {
+    if (this.server) return this.url;
+
+    this.server = http.createServer((req, res) => {
+      this.#handle(req, res).catch((error) => {
+        this.#send(res, 500, { error: { type: 'internal_error', reason: error.message }, status: 500 });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    console.log(`[LocalElasticsearch] Listening on ${this.url} (${this.documents.length} documents)`);
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+    console.log('[LocalElasticsearch] Stopped');
+  }
+
+  async #handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.headers.authorization !== `ApiKey ${this.apiKey}`) {
+      return this.#send(res, 401, {
+        error: { type: 'security_exception', reason: 'unable to authenticate with provided credentials' },
+        status: 401
+      });
+    }
+
+    if (pathname === '/_cluster/health' && req.method === 'GET') {
+      const indices = new Set(this.documents.map((doc) => doc._index));
+      return this.#send(res, 200, {
+        cluster_name: 'local-elasticsearch',
+        status: 'green',
+        timed_out: false,
+        number_of_nodes: 1,
+        number_of_data_nodes: 1,
+        active_primary_shards: indices.size,
+        active_shards: indices.size
+      });
+    }
+
+    const searchMatch = /^\/([^/]+)\/_search$/.exec(pathname);
+    if (searchMatch && (req.method === 'POST' || req.method === 'GET')) {
+      let body;
+      try {
+        const text = await readBody(req);
+        body = text ? JSON.parse(text) : {};
+      } catch (error) {
+        return this.#send(res, 400, { error: { type: 'parse_exception', reason: error.message }, status: 400 });
+      }
+      try {
+        return this.#send(res, 200, this.search(decodeURIComponent(searchMatch[1]), body));
+      } catch (error) {
+        if (!(error instanceof QueryError)) throw error;
+        return this.#send(res, 400, { error: { type: error.type, reason: error.message }, status: 400 });
+      }
+    }
+
+    const docMatch = /^\/([^/*,]+)\/_doc(?:\/([^/]+))?$/.exec(pathname);
+    if (docMatch && (req.method === 'POST' || req.method === 'PUT')) {
+      const source = JSON.parse(await readBody(req));
+      const _id = this.index(decodeURIComponent(docMatch[1]), source, docMatch[2] && decodeURIComponent(docMatch[2]));
+      return this.#send(res, 201, { _index: docMatch[1], _id, result: 'created' });
+    }
+
+    return this.#send(res, 404, {
+      error: { type: 'resource_not_found_exception', reason: `${req.method} ${pathname}` },
+      status: 404
+    });
+  }
+
+  #send(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+export default LocalElasticsearchServer;
@@ -0,0 +1,217 @@
+// backend/LocalEventGridServer.js
+// Local stand-in for the Azure Event Grid topic endpoint used by EventPublisher.
+// Accepts the same POST /api/events contract (aeg-sas-key header + array of
+// event envelopes), keeps every accepted event in memory and exposes them on
+// GET /api/received so specs can assert on exactly what was published.
+
+import http from 'http';
+
+const REQUIRED_ENVELOPE_FIELDS = ['id', 'eventType', 'dataVersion', 'topic', 'eventTime'];
+
+export const LOCAL_EVENT_GRID_DEFAULT_KEY = 'local-event-grid-key';
+
+/**
+ * Validate a single Event Grid envelope.
+ * @param {any} event
+ * @param {number} index - Position in the posted array (for error messages)
+ * @returns {string[]} List of problems, empty when the envelope is valid
+ */
+export function validateEnvelope(event, index = 0) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return [`event[${index}] must be an object`];
+  }
+
+  const problems = [];
+  for (const field of REQUIRED_ENVELOPE_FIELDS) {
+    if (typeof event[field] !== 'string' || event[field].trim() === '') {
+      problems.push(`event[${index}].${field} is required and must be a non-empty string`);
+    }
+  }
+  if (typeof event.eventTime === 'string' && Number.isNaN(Date.parse(event.eventTime))) {
+    problems.push(`event[${index}].eventTime is not a valid ISO timestamp: ${event.eventTime}`);
+  }
+  if (event.data === undefined) {
+    problems.push(`event[${index}].data is required`);
+  }
+  return problems;
+}
+
+export class LocalEventGridServer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port=0] - 0 picks a free port
+   * @param {string} [options.host='127.0.0.1']
+   * @param {string} [options.sasKey] - Expected aeg-sas-key header value
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 0;
+    this.host = options.host || '127.0.0.1';
+    this.sasKey = options.sasKey || LOCAL_EVENT_GRID_DEFAULT_KEY;
+    this.events = [];
+    this.server = null;
+  }
+
+  /**
+   * Base URL of the running server (no trailing slash)
+   * @returns {string}
+   */
+  get url() {
+    if (!this.server) throw new Error('[LocalEventGrid] Server is not running');
+    const { port } = this.server.address();
+    return `http://${this.host}:${port}`;
+  }
+
+  /**
+   * Publish endpoint, equivalent to the Event Grid topic endpoint (eventGrid.url in the profile)
+   * @returns {string}
+   */
+  get eventsUrl() {
+    return `${this.url}/api/events`;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} The events endpoint URL
+   */
+  async start() {
+    if (this.server) return this.eventsUrl;
+
+    this.server = http.createServer((req, res) => {
+      this.#handle(req, res).catch((error) => {
+        this.#send(res, 500, { error: { code: 'InternalError', message: error.message } });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    console.log(`[LocalEventGrid] Listening on ${this.eventsUrl}`);
+    return this.eventsUrl;
+  }
+
+  /**
+   * Stop listening and drop stored events
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+    console.log(`[LocalEventGrid] Stopped (${this.events.length} events received)`);
+  }
+
+  /**
+   * Received events, optionally filtered on envelope fields
+   * @param {Object} [filter] - e.g. { eventType: 'iSentry Event', topic: '...' }
+   * @returns {Array<Object>}
+   */
+  getEvents(filter = {}) {
+    return this.events.filter((event) =>
+      Object.entries(filter).every(([key, value]) => value === undefined || event[key] === value)
+    );
+  }
+
+  clear() {
+    this.events = [];
+  }
+
+  async #handle(req, res) {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/api/events' && req.method === 'POST') {
+      return this.#publish(req, res);
+    }
+
+    if (pathname === '/api/received' && req.method === 'GET') {
+      const filter = Object.fromEntries(searchParams.entries());
+      return this.#send(res, 200, this.getEvents(filter));
+    }
+
+    if (pathname === '/api/received' && req.method === 'DELETE') {
+      this.clear();
+      return this.#send(res, 204);
+    }
+
+    return this.#send(res, 404, { error: { code: 'NotFound', message: `${req.method} ${pathname}` } });
+  }
+
+  async #publish(req, res) {
+    if (req.headers['aeg-sas-key'] !== this.sasKey) {
+      return this.#send(res, 401, {
+        error: { code: 'Unauthorized', message: 'The request authorization key is not authorized' }
+      });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (error) {
+      return this.#send(res, 400, { error: { code: 'BadRequest', message: `Invalid JSON: ${error.message}` } });
+    }
+
+    if (!Array.isArray(body) || body.length === 0) {
+      return this.#send(res, 400, {
+        error: { code: 'BadRequest', message: 'Request body must be a non-empty array of events' }
+      });
+    }
+
+    const problems = body.flatMap((event, index) => validateEnvelope(event, index));
+    if (problems.length > 0) {
+      console.log(`[LocalEventGrid] ❌ Rejected ${body.length} event(s): ${problems.join('; ')}`);
+      return this.#send(res, 400, { error: { code: 'BadRequest', message: problems.join('; '), details: problems } });
+    }
+
+    const receivedAt = new Date().toISOString();
+    for (const event of body) {
+      this.events.push({ ...event, _receivedAt: receivedAt });
+    }
+    console.log(`[LocalEventGrid] ✅ Accepted ${body.length} event(s): ${body.map(e => e.eventType).join(', ')}`);
+    return this.#send(res, 200);
+  }
+
+  #send(res, status, payload) {
+    if (payload === undefined) {
+      res.writeHead(status);
+      return res.end();
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Query a running stand-in (in this or another process) for received events.
+ * @param {string} baseUrl - Server base URL or its /api/events URL
+ * @param {Object} [filter] - Envelope fields to match, e.g. { eventType: 'iSentry Event' }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchReceivedEvents(baseUrl, filter = {}) {
+  const origin = new URL(baseUrl).origin;
+  const query = new URLSearchParams(filter).toString();
+  const res = await fetch(`${origin}/api/received${query ? `?${query}` : ''}`);
+  if (!res.ok) {
+    throw new Error(`[LocalEventGrid] Query failed with status ${res.status}`);
+  }
+  return res.json();
+}
+
+/**
+ * Clear the events stored by a running stand-in.
+ * @param {string} baseUrl - Server base URL or its /api/events URL
+ */
+export async function clearReceivedEvents(baseUrl) {
+  const origin = new URL(baseUrl).origin;
+  await fetch(`${origin}/api/received`, { method: 'DELETE' });
+}
+
+export default LocalEventGridServer;
@@ -0,0 +1,177 @@
+// backend/LocalIdentityProvider.js
+// Local stand-in for the Microsoft identity platform token endpoint used by ApiLogin.
+// Answers POST /<tenant>/oauth2/v2.0/token for the password (resource owner) and
+// refresh_token grants with unsigned JWTs shaped like Entra ID ones, so offline runs
+// against a local app can sign in without the Microsoft login pages.
+
+import http from 'http';
+import crypto from 'crypto';
+
+export const LOCAL_IDP_DEFAULT_TENANT = 'local-tenant';
+export const LOCAL_IDP_DEFAULT_CLIENT = 'local-proof360';
+
+const TOKEN_PATH = /^\/([^/]+)\/oauth2\/v2\.0\/token$/;
+
+const base64url = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+/** Unsigned JWT (alg none) with the given claims */
+export function unsignedJwt(claims) {
+  return `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(claims)}.`;
+}
+
+// Stable object id per username, so a user keeps the same account across logins
+function objectId(username) {
+  const hex = crypto.createHash('sha256').update(username.toLowerCase()).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+export class LocalIdentityProvider {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port=0] - 0 picks a free port
+   * @param {string} [options.host='127.0.0.1']
+   * @param {Object<string, string>} [options.users] - username -> password; without it any non-empty password is accepted
+   * @param {string} [options.clientId=LOCAL_IDP_DEFAULT_CLIENT] - Only this client may request tokens
+   * @param {number} [options.ttlSeconds=3600] - Access and ID token lifetime
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 0;
+    this.host = options.host || '127.0.0.1';
+    this.users = options.users || null;
+    this.clientId = options.clientId || LOCAL_IDP_DEFAULT_CLIENT;
+    this.ttlSeconds = options.ttlSeconds ?? 3600;
+    this.refreshTokens = new Map();
+    this.issued = [];
+    this.server = null;
+  }
+
+  /**
+   * Base URL of the running server, the "authority" of the login profile (no trailing slash)
+   * @returns {string}
+   */
+  get url() {
+    if (!this.server) throw new Error('[LocalIdentityProvider] Server is not running');
+    const { port } = this.server.address();
+    return `http://${this.host}:${port}`;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} The authority URL
+   */
+  async start() {
+    if (this.server) return this.url;
+
+    this.server = http.createServer((req, res) => {
+      this.#handle(req, res).catch((error) => {
+        this.#send(res, 500, { error: 'server_error', error_description: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    console.log(`[LocalIdentityProvider] Listening on ${this.url}`);
+    return this.url;
+  }
+
+  /**
+   * Stop listening and forget issued refresh tokens
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+    this.refreshTokens.clear();
+    console.log(`[LocalIdentityProvider] Stopped (${this.issued.length} token responses issued)`);
+  }
+
+  async #handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const match = TOKEN_PATH.exec(pathname);
+    if (!match || req.method !== 'POST') {
+      return this.#send(res, 404, { error: 'not_found', error_description: `${req.method} ${pathname}` });
+    }
+
+    const form = new URLSearchParams(await readBody(req));
+    if (form.get('client_id') !== this.clientId) {
+      return this.#send(res, 400, {
+        error: 'unauthorized_client',
+        error_description: `AADSTS700016: Application with identifier '${form.get('client_id')}' was not found in the directory.`
+      });
+    }
+
+    let username;
+    if (form.get('grant_type') === 'password') {
+      username = form.get('username') || '';
+      const password = form.get('password') || '';
+      const known = this.users ? this.users[username] === password : !!username && !!password;
+      if (!known) {
+        console.log(`[LocalIdentityProvider] ❌ Rejected password login for ${username}`);
+        return this.#send(res, 400, {
+          error: 'invalid_grant',
+          error_description: 'AADSTS50126: Error validating credentials due to invalid username or password.'
+        });
+      }
+    } else if (form.get('grant_type') === 'refresh_token') {
+      username = this.refreshTokens.get(form.get('refresh_token'));
+      if (!username) {
+        return this.#send(res, 400, { error: 'invalid_grant', error_description: 'AADSTS70008: The refresh token has expired.' });
+      }
+    } else {
+      return this.#send(res, 400, { error: 'unsupported_grant_type', error_description: `grant_type ${form.get('grant_type')}` });
+    }
+
+    const response = this.#tokens(match[1], username, form.get('scope') || 'openid profile offline_access');
+    this.issued.push({ username, grantType: form.get('grant_type'), issuedAt: new Date().toISOString() });
+    console.log(`[LocalIdentityProvider] ✅ Issued tokens for ${username} (${form.get('grant_type')})`);
+    return this.#send(res, 200, response);
+  }
+
+  #tokens(tenant, username, scope) {
+    const now = Math.floor(Date.now() / 1000);
+    const oid = objectId(username);
+    const claims = {
+      iss: `${this.url}/${tenant}/v2.0`,
+      aud: this.clientId,
+      tid: tenant,
+      oid,
+      sub: oid,
+      preferred_username: username,
+      name: username.split('@')[0],
+      iat: now,
+      nbf: now,
+      exp: now + this.ttlSeconds
+    };
+    const refreshToken = crypto.randomUUID();
+    this.refreshTokens.set(refreshToken, username);
+    return {
+      token_type: 'Bearer',
+      scope,
+      expires_in: this.ttlSeconds,
+      ext_expires_in: this.ttlSeconds,
+      access_token: unsignedJwt({ ...claims, scp: scope }),
+      id_token: unsignedJwt(claims),
+      refresh_token: refreshToken,
+      client_info: base64url({ uid: oid, utid: tenant })
+    };
+  }
+
+  #send(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+export default LocalIdentityProvider;
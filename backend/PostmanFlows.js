@@ -1,10 +1,12 @@
 // Lightweight helper to trigger Postman Flows from Playwright tests
 // Usage contract
 // - Provide Playwright's APIRequestContext (from the `request` fixture)
-// - Optionally configure URLs and API keys via ctor options or environment variables
+// - Optionally configure URLs via ctor options or environment variables, and API keys via
+//   ctor options or the secrets provider (getSecret)
 // - Methods return the Playwright APIResponse
 
 import 'dotenv/config';
+import { getSecret } from '../utils/secrets.js';
 
 /**
  * @typedef {Object} PostmanFlowsOptions
@@ -42,10 +44,10 @@ export class PostmanFlows {
         };
 
         this.keys = {
-            trex: options.trexApiKey || process.env.TREX_API_KEY,
-            trexPrivate: options.trexPrivateApiKey || process.env.TREX_PRIVATE_API_KEY,
-            publicLpr: options.publicLprApiKey || process.env.PUBLIC_LPR_API_KEY,
-            unusualBehaviour: options.unusualBehaviourApiKey || process.env.UNUSUAL_BEHAVIOUR_API_KEY,
+            trex: options.trexApiKey || getSecret('TREX_API_KEY'),
+            trexPrivate: options.trexPrivateApiKey || getSecret('TREX_PRIVATE_API_KEY'),
+            publicLpr: options.publicLprApiKey || getSecret('PUBLIC_LPR_API_KEY'),
+            unusualBehaviour: options.unusualBehaviourApiKey || getSecret('UNUSUAL_BEHAVIOUR_API_KEY'),
         };
 
         this.defaultHeaders = {
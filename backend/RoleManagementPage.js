@@ -0,0 +1,65 @@
+// backend/RoleManagementPage.js
+// @ts-check
+import { expect } from '@playwright/test';
+
+/**
+ * RoleManagementPage - Page Object Model for Role Management functionality
+ *
+ * This class provides methods for interacting with the Role Management page,
+ * including opening the role form, searching, and deleting or archiving roles.
+ * The role form itself is filled by SharedTestSteps.createNewRole.
+ */
+export class RoleManagementPage {
+  /**
+   * @param {import('@playwright/test').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+    // Buttons
+    this.createNewBtn = page.getByRole('button', { name: 'Create New' });
+    this.searchToggleBtn = page.locator('[data-test-id="search-toggle"]');
+    this.searchInput = page.locator('[data-test-id="search-input"]');
+    /** @param {string} name */
+    this.roleRow = (name) => page.locator(`tr:has-text("${name}")`);
+    this.confirmBtn = page.locator('button:has-text("Yes"), button:has-text("Confirm"), [data-test-id="confirmBtn"]');
+  }
+
+  /**
+   * Clicks the Create New button
+   */
+  async clickCreateNew() {
+    console.log('[RoleManagement] Clicking Create New...');
+    await this.createNewBtn.click();
+  }
+
+  /**
+   * Searches for a role by name
+   * @param {string} name
+   */
+  async searchRole(name) {
+    console.log(`[RoleManagement] Searching for role: ${name}`);
+    if (!(await this.searchInput.isVisible())) {
+      await this.searchToggleBtn.click();
+    }
+    await this.searchInput.fill(name);
+    await this.page.waitForTimeout(1000);
+  }
+
+  /**
+   * Deletes a role by name, or archives it where the row has no delete button.
+   * The role must not be assigned to any user.
+   * @param {string} name
+   */
+  async removeRole(name) {
+    console.log(`[RoleManagement] Removing role: ${name}`);
+    const row = this.roleRow(name).first();
+    const deleteBtn = row.locator('[data-test-id="deleteButton"]');
+    if (await deleteBtn.isVisible()) {
+      await deleteBtn.click();
+    } else {
+      await row.locator('[data-test-id="archiveButton"]').click();
+    }
+    await this.confirmBtn.first().click();
+    await expect(this.roleRow(name)).toHaveCount(0, { timeout: 15000 });
+  }
+}
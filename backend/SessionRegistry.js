@@ -0,0 +1,325 @@
+// backend/SessionRegistry.js
+// Saved browser sessions (Playwright storage state) for any number of named identities.
+//
+// An identity is a name such as "admin", "normal", "role-no-edit-stack-filter" or
+// "vodacom-operator" for an account and, optionally, the company it works in. Identities come
+// from the "identities" section of the environment profile:
+//   "role-no-edit-stack-filter": { "account": "NORMAL_MS", "company": "Automation company" }
+// reads NORMAL_MS_USERNAME / NORMAL_MS_PASSWORD through the secrets provider. A name that is not
+// listed uses <NAME>_MS_USERNAME / _PASSWORD.
+//
+// Each identity is saved as userStorageState_<name>.json. A session is valid until the earliest
+// expiry of the auth cookies and tokens inside that file, minus SESSION_EXPIRY_MARGIN_MS (default
+// 5 min), not for a fixed time after login. ensure() refreshes an identity lazily, in the worker
+// that needs it, under a lock file so parallel workers log in once.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getSecret } from '../utils/secrets.js';
+import { getProfile } from '../utils/profile.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const SESSION_DIR = path.resolve(__dirname, '..');
+
+export const DEFAULT_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Storage states without any expiring credential fall back to the file's age
+export const FALLBACK_TTL_MS = 30 * 60 * 1000;
+
+const LOCK_TIMEOUT_MS = 3 * 60 * 1000;
+
+// Cookies that carry the sign-in; analytics cookies with short lifetimes must not expire a session
+const AUTH_COOKIE = /auth|session|token|msal|sid|\.aspnet/i;
+
+// MSAL cache entries that expire (refresh tokens are renewed by the app, so they have no expiry)
+const EXPIRING_CREDENTIALS = ['AccessToken', 'AccessToken_With_AuthScheme', 'IdToken'];
+
+/**
+ * Secret name prefix of an identity: admin -> ADMIN_MS, "vodacom-operator" -> VODACOM_OPERATOR_MS
+ * @param {string} name
+ */
+export function credentialPrefix(name) {
+  return `${String(name).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_MS`;
+}
+
+/**
+ * Storage state file of an identity
+ * @param {string} name
+ * @param {string} [dir=SESSION_DIR]
+ */
+export function storageStatePath(name, dir = SESSION_DIR) {
+  return path.join(dir, `userStorageState_${name}.json`);
+}
+
+/**
+ * `exp` claim of a JWT in ms, or null when the value is not a JWT
+ * @param {string} token
+ * @returns {number|null}
+ */
+export function jwtExpiry(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return Number.isFinite(claims.exp) ? claims.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Expiry of one localStorage value: an MSAL cache entry or a bare JWT
+ * @returns {{source: string, expiresAt: number}|null}
+ */
+function tokenExpiry(key, value) {
+  let entry;
+  try {
+    entry = JSON.parse(value);
+  } catch {
+    const exp = jwtExpiry(value);
+    return exp ? { source: `token ${key}`, expiresAt: exp } : null;
+  }
+  if (entry && EXPIRING_CREDENTIALS.includes(entry.credentialType)) {
+    const expiresAt = Number(entry.expiresOn) * 1000 || jwtExpiry(entry.secret);
+    return expiresAt ? { source: `token ${entry.credentialType}`, expiresAt } : null;
+  }
+  return null;
+}
+
+/**
+ * Every expiring auth cookie and token in a storage state
+ * @param {{cookies?: Array, origins?: Array}} state - Playwright storage state
+ * @returns {Array<{source: string, expiresAt: number}>} expiresAt in ms
+ */
+export function credentialExpiries(state) {
+  const expiries = [];
+  for (const cookie of state.cookies || []) {
+    if (cookie.expires > 0 && AUTH_COOKIE.test(cookie.name)) {
+      expiries.push({ source: `cookie ${cookie.name}`, expiresAt: cookie.expires * 1000 });
+    }
+  }
+  for (const origin of state.origins || []) {
+    for (const { name, value } of origin.localStorage || []) {
+      const expiry = tokenExpiry(name, value);
+      if (expiry) expiries.push(expiry);
+    }
+  }
+  return expiries;
+}
+
+/**
+ * Earliest credential expiry of a storage state
+ * @returns {{source: string, expiresAt: number}|null}
+ */
+export function sessionExpiry(state) {
+  return credentialExpiries(state).reduce((earliest, e) => (!earliest || e.expiresAt < earliest.expiresAt ? e : earliest), null);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class SessionRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir=SESSION_DIR] - Where the storage state files live
+   * @param {Object<string, {account?: string, company?: string}>} [options.identities] - Default: the profile's identities
+   * @param {number} [options.marginMs] - Treat a session as expired this long before it does
+   * @param {() => number} [options.now=Date.now]
+   * @param {(page, identity, registry) => Promise<void>} [options.authenticate] - Signs a fresh page in and saves it (default: AuthService full login)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || SESSION_DIR;
+    this.identities = options.identities || getProfile().identities || {};
+    this.marginMs = options.marginMs ?? (Number(process.env.SESSION_EXPIRY_MARGIN_MS) || DEFAULT_EXPIRY_MARGIN_MS);
+    this.now = options.now || (() => Date.now());
+    this.authenticate = options.authenticate || defaultAuthenticate;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {{name: string, account: string, company: string|null, path: string}}
+   */
+  identity(name) {
+    if (!name || /[\\/]/.test(name)) throw new Error(`[SessionRegistry] Invalid identity name "${name}"`);
+    const config = this.identities[name] || {};
+    return {
+      name,
+      account: config.account || credentialPrefix(name),
+      company: config.company || null,
+      path: storageStatePath(name, this.dir)
+    };
+  }
+
+  /**
+   * Login credentials of an identity, read through the secrets provider
+   * @param {string} name
+   * @returns {{username: string, password: string}}
+   */
+  credentials(name) {
+    const { account } = this.identity(name);
+    return {
+      username: getSecret(`${account}_USERNAME`, { required: true }),
+      password: getSecret(`${account}_PASSWORD`, { required: true })
+    };
+  }
+
+  /**
+   * Saved session of an identity and when it expires
+   * @param {string} name
+   * @returns {{name, path, exists: boolean, valid: boolean, expiresAt: Date|null, expiresInMs: number|null, source: string|null, reason: string}}
+   */
+  status(name) {
+    const { path: file } = this.identity(name);
+    const status = { name, path: file, exists: fs.existsSync(file), valid: false, expiresAt: null, expiresInMs: null, source: null };
+    if (!status.exists) return { ...status, reason: 'no saved session' };
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return { ...status, reason: `unreadable storage state: ${error.message}` };
+    }
+    if (!state.cookies?.length && !state.origins?.length) return { ...status, reason: 'empty storage state' };
+
+    const expiry = sessionExpiry(state)
+      || { source: 'file age', expiresAt: fs.statSync(file).mtimeMs + FALLBACK_TTL_MS };
+    const expiresInMs = expiry.expiresAt - this.now();
+    const valid = expiresInMs > this.marginMs;
+    return {
+      ...status,
+      valid,
+      expiresAt: new Date(expiry.expiresAt),
+      expiresInMs,
+      source: expiry.source,
+      reason: valid ? `valid for ${Math.round(expiresInMs / 60000)} min (${expiry.source})` : `${expiry.source} expires ${expiresInMs > 0 ? 'within the margin' : 'in the past'}`
+    };
+  }
+
+  isValid(name) {
+    return this.status(name).valid;
+  }
+
+  /**
+   * Status of every configured identity and every saved session on disk
+   */
+  list() {
+    const saved = fs.readdirSync(this.dir)
+      .map((file) => /^userStorageState_(.+)\.json$/.exec(file)?.[1])
+      .filter(Boolean);
+    return [...new Set([...Object.keys(this.identities), ...saved])].sort().map((name) => this.status(name));
+  }
+
+  /**
+   * Save a signed-in context as the identity's session
+   * @param {string} name
+   * @param {import('@playwright/test').BrowserContext} context
+   */
+  async save(name, context) {
+    const { path: file } = this.identity(name);
+    await context.storageState({ path: file });
+    const status = this.status(name);
+    console.log(`[SessionRegistry] Saved ${name}: ${status.reason}`);
+    return status;
+  }
+
+  /**
+   * Drop the identity's saved session (and the old sessionValidity_<name>.json)
+   * @param {string} name
+   */
+  invalidate(name) {
+    const { path: file } = this.identity(name);
+    for (const stale of [file, path.join(this.dir, `sessionValidity_${name}.json`)]) {
+      fs.rmSync(stale, { force: true });
+    }
+    console.log(`[SessionRegistry] Cleared ${name}`);
+  }
+
+  /**
+   * Storage state path of a valid session for the identity, logging in first when needed
+   * @param {string} name
+   * @param {Object} options
+   * @param {import('@playwright/test').Browser} options.browser
+   * @param {string} [options.baseURL=getProfile().baseUrl]
+   * @returns {Promise<string>}
+   */
+  async ensure(name, { browser, baseURL } = {}) {
+    const before = this.status(name);
+    if (before.valid) return before.path;
+
+    console.log(`[SessionRegistry] Refreshing ${name}: ${before.reason}`);
+    await this.withLock(name, async () => {
+      // Another worker may have refreshed it while this one waited for the lock
+      if (this.isValid(name)) return;
+      await this.refresh(name, { browser, baseURL });
+    });
+    return before.path;
+  }
+
+  /**
+   * Log the identity in on a fresh context and save its session
+   */
+  async refresh(name, { browser, baseURL = getProfile().baseUrl } = {}) {
+    if (!browser) throw new Error(`[SessionRegistry] Refreshing ${name} needs a browser`);
+    const context = await browser.newContext({ baseURL });
+    const page = await context.newPage();
+    try {
+      await this.authenticate(page, this.identity(name), this);
+    } catch (error) {
+      await page.screenshot({ path: `debug-session-${name}-login-failed.png`, fullPage: true }).catch(() => {});
+      throw error;
+    } finally {
+      await context.close();
+    }
+    const after = this.status(name);
+    if (!after.valid) throw new Error(`[SessionRegistry] Login as ${name} did not leave a valid session (${after.reason})`);
+    return after;
+  }
+
+  /**
+   * Run fn while holding <storage state>.lock; stale locks (a crashed worker) are taken over
+   */
+  async withLock(name, fn) {
+    const lock = `${this.identity(name).path}.lock`;
+    const started = Date.now();
+    for (;;) {
+      try {
+        fs.writeFileSync(lock, String(process.pid), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        const age = Date.now() - (fs.statSync(lock, { throwIfNoEntry: false })?.mtimeMs ?? Date.now());
+        if (age > LOCK_TIMEOUT_MS) {
+          console.log(`[SessionRegistry] Taking over a stale lock for ${name}`);
+          fs.rmSync(lock, { force: true });
+        } else if (Date.now() - started > LOCK_TIMEOUT_MS) {
+          throw new Error(`[SessionRegistry] Timed out waiting for another worker to refresh ${name}`);
+        } else {
+          await sleep(1000);
+        }
+      }
+    }
+    try {
+      return await fn();
+    } finally {
+      fs.rmSync(lock, { force: true });
+    }
+  }
+}
+
+async function defaultAuthenticate(page, identity, registry) {
+  const { AuthService } = await import('./AuthService.js');
+  await new AuthService(page, { registry }).ensure({
+    role: identity.name,
+    company: identity.company,
+    credentials: registry.credentials(identity.name),
+    force: true
+  });
+}
+
+let sharedRegistry = null;
+
+/** Registry of the active profile's identities, shared within a worker */
+export function getSessionRegistry() {
+  return (sharedRegistry ||= new SessionRegistry());
+}
@@ -0,0 +1,207 @@
+// backend/SessionWatchdog.js
+// Watches a page while a test runs and signs it back in when the session runs out partway
+// through: a redirect to the Microsoft login or account selection page, or a 401 from an API
+// call. Recovery goes through AuthService (full login as the page's role, company re-selected),
+// then reopens the URL the test was on and reports what it did.
+//
+// Only pages whose context AuthService believes is signed in, and is not signing in right now,
+// are recovered. Logging out (SharedTestSteps.logout) clears that role first, so it is left alone.
+// A test that expects to be refused (a role without the permission opening a page) lists the
+// URLs it expects 401s on, so those are not taken for a lost session.
+
+import { AuthService } from './AuthService.js';
+import { loginConfig } from './ApiLogin.js';
+
+export const SESSION_LOSS = {
+  LOGIN_PAGE: 'login page',
+  ACCOUNT_SELECTION: 'account selection page',
+  UNAUTHORIZED: '401 response'
+};
+
+const LOGIN_HOSTS = ['login.microsoftonline.com', 'login.live.com', 'login.windows.net'];
+const COMPANY_SELECTOR = '[data-test-id="selected-company"]';
+const API_RESOURCE_TYPES = ['fetch', 'xhr'];
+
+/**
+ * Whether a URL matches one of the expected-401 matchers
+ * @param {string} url
+ * @param {Array<string|RegExp>} matchers - A string matches when the URL contains it
+ */
+export function matchesUrl(url, matchers) {
+  return matchers.some((matcher) => (typeof matcher === 'string' ? url.includes(matcher) : matcher.test(url)));
+}
+
+/**
+ * Why a main-frame URL means the session is gone, or null when it does not
+ * @param {string} url
+ * @param {string[]} [loginHosts]
+ * @returns {string|null} One of SESSION_LOSS
+ */
+export function sessionLossForUrl(url, loginHosts = LOGIN_HOSTS) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!loginHosts.includes(parsed.host)) return null;
+  // Signing out on purpose also passes through the login host
+  if (/logout/i.test(parsed.pathname)) return null;
+  return parsed.searchParams.get('prompt') === 'select_account'
+    ? SESSION_LOSS.ACCOUNT_SELECTION
+    : SESSION_LOSS.LOGIN_PAGE;
+}
+
+function loginHosts() {
+  try {
+    return [...new Set([...LOGIN_HOSTS, loginConfig().environment])];
+  } catch {
+    return LOGIN_HOSTS;
+  }
+}
+
+export class SessionWatchdog {
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} [options]
+   * @param {AuthService} [options.auth=new AuthService(page)] - Signs the page back in
+   * @param {string|null} [options.company] - Company to restore; default the last one seen on the page
+   * @param {number} [options.maxRecoveries=2] - After this many, further session losses are only reported
+   * @param {(request: import('@playwright/test').Request) => boolean} [options.isApiRequest] - Which 401 responses count (default fetch/xhr outside the login hosts)
+   * @param {Array<string|RegExp>} [options.expectUnauthorized=[]] - 401s on these API URLs, or while the page is on these URLs, are expected
+   * @param {(recovery: Object) => void} [options.onRecovery] - Called after every recovery attempt
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.auth = options.auth || new AuthService(page);
+    this.company = options.company || null;
+    this.maxRecoveries = options.maxRecoveries ?? 2;
+    this.loginHosts = loginHosts();
+    this.isApiRequest = options.isApiRequest
+      || ((request) => API_RESOURCE_TYPES.includes(request.resourceType()) && !this.loginHosts.includes(new URL(request.url()).host));
+    this.expectedUnauthorized = [...(options.expectUnauthorized || [])];
+    this.onRecovery = options.onRecovery || (() => {});
+    this.lastAppUrl = null;
+    this.lastCompany = null;
+    this.recoveries = [];
+    this.recovering = null;
+    this.listeners = null;
+  }
+
+  /** Start listening to the page's navigations and responses */
+  start() {
+    if (this.listeners) return this;
+    this.listeners = {
+      framenavigated: (frame) => {
+        if (frame !== this.page.mainFrame()) return;
+        const url = frame.url();
+        const loss = sessionLossForUrl(url, this.loginHosts);
+        if (loss) this.trigger(loss, url);
+        else if (/^https?:/.test(url)) this.remember(url);
+      },
+      response: (response) => {
+        if (response.status() !== 401 || !this.isApiRequest(response.request())) return;
+        if (matchesUrl(response.url(), this.expectedUnauthorized) || matchesUrl(this.page.url(), this.expectedUnauthorized)) {
+          console.log(`[SessionWatchdog] Expected 401 at ${response.url()}; not recovering`);
+          return;
+        }
+        this.trigger(SESSION_LOSS.UNAUTHORIZED, response.url());
+      }
+    };
+    for (const [event, listener] of Object.entries(this.listeners)) this.page.on(event, listener);
+    return this;
+  }
+
+  /**
+   * Treat 401s on these API URLs, or while the page is on these URLs, as refusals the test
+   * expects rather than a lost session
+   * @param {...(string|RegExp)} matchers - A string matches when the URL contains it
+   */
+  expectUnauthorized(...matchers) {
+    this.expectedUnauthorized.push(...matchers);
+    return this;
+  }
+
+  /** Stop listening; waits for a recovery in progress */
+  async stop() {
+    if (this.listeners) {
+      for (const [event, listener] of Object.entries(this.listeners)) this.page.off(event, listener);
+      this.listeners = null;
+    }
+    await this.settled();
+  }
+
+  /** Resolves once no recovery is running */
+  async settled() {
+    while (this.recovering) await this.recovering;
+  }
+
+  /**
+   * Note an app URL (and, in the background, its selected company) to come back to
+   * @param {string} url
+   */
+  remember(url) {
+    if (this.recovering) return;
+    this.lastAppUrl = url;
+    this.page.locator(COMPANY_SELECTOR).textContent({ timeout: 5000 })
+      .then((text) => { if (text?.trim()) this.lastCompany = text.trim(); })
+      .catch(() => {});
+  }
+
+  /**
+   * Start a recovery unless one is running, nobody is signed in, or the limit is reached
+   * @param {string} reason - One of SESSION_LOSS
+   * @param {string} url - Where the loss was seen
+   */
+  trigger(reason, url) {
+    const role = this.auth.currentRole;
+    // AuthService is already signing this context in (or out) itself
+    if (this.recovering || !role || this.auth.busy) return;
+    if (this.recoveries.length >= this.maxRecoveries) {
+      console.log(`[SessionWatchdog] ⚠️ ${reason} at ${url}, but ${this.maxRecoveries} recoveries were already made; not recovering again`);
+      return;
+    }
+    // Set before recover() starts, so the navigations of the login itself are ignored
+    this.recovering = Promise.resolve()
+      .then(() => this.recover({ reason, url, role }))
+      .finally(() => { this.recovering = null; });
+  }
+
+  /**
+   * Sign the page back in as `role`, re-select the company and reopen the last app URL
+   * @returns {Promise<Object>} The recovery record
+   */
+  async recover({ reason, url, role }) {
+    const started = Date.now();
+    const company = this.company || this.lastCompany || null;
+    const restoreUrl = this.lastAppUrl;
+    console.log(`[SessionWatchdog] 🔄 Session lost (${reason} at ${url}); signing ${role} back in...`);
+
+    const recovery = { reason, url, role, company, restoredUrl: restoreUrl, ok: false, path: null, durationMs: 0, error: null };
+    try {
+      const result = await this.auth.ensure({ role, company, force: true });
+      recovery.path = result.path;
+      if (restoreUrl) await this.page.goto(restoreUrl, { waitUntil: 'domcontentloaded' });
+      recovery.ok = true;
+      console.log(`[SessionWatchdog] ✅ Recovered ${role}${company ? ` @ ${company}` : ''}, back on ${restoreUrl ?? this.page.url()}`);
+    } catch (error) {
+      recovery.error = error.message;
+      console.log(`[SessionWatchdog] ❌ Could not recover the session: ${error.message}`);
+    }
+    recovery.durationMs = Date.now() - started;
+    this.recoveries.push(recovery);
+    this.onRecovery(recovery);
+    return recovery;
+  }
+}
+
+/**
+ * One-line description of a recovery for a test annotation
+ * @param {Object} recovery - Record from SessionWatchdog.recover()
+ */
+export function describeRecovery({ reason, url, role, company, restoredUrl, ok, durationMs, error }) {
+  const target = `${role}${company ? ` @ ${company}` : ''}`;
+  return ok
+    ? `${reason} at ${url}: signed ${target} back in and reopened ${restoredUrl ?? 'the page'} in ${durationMs} ms`
+    : `${reason} at ${url}: signing ${target} back in failed after ${durationMs} ms (${error})`;
+}
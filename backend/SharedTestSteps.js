@@ -10,7 +10,11 @@ import { AlertReportsPage } from './AlertReportsPage.js';
 import { DispatchReportsPage } from './DispatchReportsPage.js';
 import { TestIsolationHelper } from './TestIsolationHelper.js';
 import { SessionManager } from './SessionManager.js';
+import { AuthService, roleForUsername } from './AuthService.js';
+import { getProfile } from '../utils/profile.js';
 import { TestReliabilityHelper } from './TestReliabilityHelper.js';
+import { DatePicker } from './DatePicker.js';
+import { getClock, calendarDate, formatDate } from '../utils/clock.js';
 
 /**
  * SharedTestSteps - Centralized library for common test operations
@@ -22,9 +26,12 @@ import { TestReliabilityHelper } from './TestReliabilityHelper.js';
 export class SharedTestSteps {
     /**
      * @param {import('@playwright/test').Page} page
+     * @param {Object} [options]
+     * @param {import('../utils/clock.js').Clock} [options.clock=getClock()] - Reference clock for every date picker
      */
-    constructor(page) {
+    constructor(page, options = {}) {
         this.page = page;
+        this.clock = options.clock || getClock();
         this.adminLoginPage = new AdminLoginPage(page);
         this.menuPage = new MenuPage(page);
         this.appInteractionsPage = new AppInteractionsPage(page);
@@ -33,80 +40,21 @@ export class SharedTestSteps {
         this.sopPage = new SopPage(page);
         this.workflowHelper = new WorkflowHelper(page);
         this.alertReportsPage = new AlertReportsPage(page);
-        this.dispatchReportsPage = new DispatchReportsPage(page);
+        this.dispatchReportsPage = new DispatchReportsPage(page, { clock: this.clock });
         this.testIsolationHelper = new TestIsolationHelper(page);
         this.sessionManager = null; // Will be set when login is called
         this.reliabilityHelper = new TestReliabilityHelper(page);
-        this.lastLoggedInUserType = null; // Track user type to avoid unnecessary logouts
+        // Single source of truth for "signed in as which role, for which company"
+        this.auth = new AuthService(page, { selectCompany: (company) => this.selectCompany(company) });
     }
 
     /**
-     * Determine user type based on username
+     * Determine user type (role) based on username
      * @param {string} username - The username to check
-     * @returns {string} User type ('admin' or 'normal')
+     * @returns {string} Identity ('admin', 'normal' or any identity of the profile); throws for an unknown username
      */
     getUserType(username) {
-        const adminUsername = process.env.ADMIN_MS_USERNAME;
-        const normalUsername = process.env.NORMAL_MS_USERNAME;
-        
-        if (username === adminUsername) {
-            return 'admin';
-        } else if (username === normalUsername) {
-            return 'normal';
-        } else {
-            // Default to admin if unsure
-            console.log(`[SharedSteps] Unknown username, defaulting to admin user type`);
-            return 'admin';
-        }
-    }
-
-    /**
-     * Determines if logout is needed based on current user vs target user
-     * @param {string} targetUsername - The username we want to login as
-     * @returns {Promise<boolean>} True if logout is needed, false otherwise
-     */
-    async shouldLogoutForUserSwitch(targetUsername) {
-        try {
-            // Get the current logged-in user (check URL or page elements)
-            const currentUrl = this.page.url();
-            
-            // Try to get current user info from page elements if available
-            // For now, we'll use a simple approach: if someone is logged in,
-            // we assume it might be a different user and need to check
-            
-            const targetUserType = this.getUserType(targetUsername);
-            
-            // Simple logic: For now, always logout if switching users
-            // In a more complex scenario, you could check session storage,
-            // cookies, or page elements to determine current user
-            
-            // For this fix, we'll be more conservative and only logout
-            // if we detect we're definitely on a different user
-            // Since we can't easily detect current user, we'll use a flag-based approach
-            
-            // Store the last logged-in user type in a class variable
-            if (!this.lastLoggedInUserType) {
-                // First login - no logout needed
-                this.lastLoggedInUserType = targetUserType;
-                return false;
-            }
-            
-            if (this.lastLoggedInUserType !== targetUserType) {
-                // User type has changed - logout needed
-                console.log(`[SharedSteps] User type change detected: ${this.lastLoggedInUserType} -> ${targetUserType}`);
-                this.lastLoggedInUserType = targetUserType;
-                return true;
-            }
-            
-            // Same user type - no logout needed
-            console.log(`[SharedSteps] Same user type (${targetUserType}), no logout needed`);
-            return false;
-            
-        } catch (error) {
-            console.log('[SharedSteps] Error determining if logout needed:', error.message);
-            // Default to no logout on error
-            return false;
-        }
+        return roleForUsername(username);
     }
 
     // ===========================================
@@ -137,187 +85,34 @@ export class SharedTestSteps {
     // ===========================================
 
     /**
-     * Checks if user is already authenticated by looking for company selector
-     * @returns {boolean} true if already authenticated, false otherwise
+     * Checks if user is already authenticated on the current page
+     * @returns {Promise<boolean>} true if already authenticated, false otherwise
      */
     async isAlreadyAuthenticated() {
-        try {
-            // Check if company selector is visible (indicates user is logged in)
-            const companySelector = this.page.locator('[data-test-id="selected-company"]');
-            const isVisible = await companySelector.isVisible({ timeout: 5000 });
-            
-            if (isVisible) {
-                console.log('[SharedSteps] User is already authenticated');
-                return true;
-            } else {
-                console.log('[SharedSteps] User is not authenticated');
-                return false;
-            }
-        } catch (error) {
-            console.log('[SharedSteps] Authentication check failed:', error.message);
-            return false;
-        }
+        return this.auth.hasAuthIndicators();
     }
 
     /**
-     * Performs complete authentication flow with company selection
+     * Performs complete authentication flow; lands on the command page
      * @param {string} username - Admin username
      * @param {string} password - Admin password
      */
     async authenticateAndSetup(username, password) {
         console.log('[SharedSteps] Starting authentication and setup...');
-        
-        // Check if already authenticated first
-        const isAuthenticated = await this.isAlreadyAuthenticated();
-        if (!isAuthenticated) {
-            await this.adminLoginPage.login(username, password);
-            await this.adminLoginPage.verifyLoginSuccessful();
-        } else {
-            console.log('[SharedSteps] Already authenticated, skipping login');
-        }
-        
-        console.log('[SharedSteps] Authentication and setup completed');
+        const result = await this.login(username, password);
+        console.log(`[SharedSteps] Authentication and setup completed (${result.path})`);
+        return result;
     }
 
     /**
      * Basic login without company selection
-     * Always checks base URL first and handles logout only when switching user types
+     * Reuses the context's session when it is signed in as the same role, otherwise logs in again
      * @param {string} username - Username
      * @param {string} password - Password
+     * @returns {Promise<{path: string, role: string, company: string|null, durationMs: number}>}
      */
     async login(username, password) {
-        console.log('[SharedSteps] Starting login process...');
-        
-        try {
-            // Step 1: Always go to base URL first to check authentication state
-            console.log('[SharedSteps] Navigating to base URL to check authentication...');
-            await this.page.goto('/', { timeout: 30000 });
-            console.log('[SharedSteps] ✅ Page navigation completed, waiting for network idle...');
-            await this.page.waitForLoadState('networkidle', { timeout: 30000 });
-            console.log('[SharedSteps] ✅ Network idle state reached');
-            
-            // Step 1.5: Check if we're on the terms and conditions page
-            console.log('[SharedSteps] Checking for terms and conditions page...');
-            const currentUrl = this.page.url();
-            console.log(`[SharedSteps] Current URL: ${currentUrl}`);
-            
-            if (currentUrl.includes('/auth-step/terms-and-conditions')) {
-                console.log('[SharedSteps] ✅ On terms and conditions page - accepting terms...');
-                
-                // Wait for terms button to be visible
-                const termsButton = this.page.locator('[data-test-id="termsAndConditonsAcceptBtn"]');
-                console.log('[SharedSteps] Waiting for terms button to be visible...');
-                await termsButton.waitFor({ state: 'visible', timeout: 15000 });
-                console.log('[SharedSteps] Terms button is visible, clicking...');
-                
-                // Click the terms button
-                await termsButton.click();
-                console.log('[SharedSteps] ✅ Terms and conditions accepted');
-                
-                // Wait for navigation after terms acceptance
-                console.log('[SharedSteps] Waiting for navigation after terms acceptance...');
-                await this.page.waitForLoadState('networkidle', { timeout: 30000 });
-                console.log('[SharedSteps] ✅ Navigation after terms acceptance completed');
-                
-                const newUrl = this.page.url();
-                console.log(`[SharedSteps] New URL after terms acceptance: ${newUrl}`);
-            } else {
-                console.log('[SharedSteps] Not on terms and conditions page, proceeding...');
-            }
-            
-            // Step 2: Check if we're already logged in
-            console.log('[SharedSteps] Step 2: Checking if already logged in...');
-            const isCurrentlyLoggedIn = await this.isLoggedIn();
-            console.log(`[SharedSteps] Current login state: ${isCurrentlyLoggedIn ? 'LOGGED IN' : 'NOT LOGGED IN'}`);
-            
-            if (isCurrentlyLoggedIn) {
-                // NEW LOGIC: Check if we need to switch users
-                const currentUserType = this.getUserType(username);
-                const shouldLogout = await this.shouldLogoutForUserSwitch(username);
-                
-                console.log(`[SharedSteps] Target user type: ${currentUserType}`);
-                console.log(`[SharedSteps] Should logout for user switch: ${shouldLogout}`);
-                
-                if (shouldLogout) {
-                    console.log('[SharedSteps] User type mismatch detected, logging out...');
-                    
-                    // Attempt logout with comprehensive error handling
-                    try {
-                        console.log('[SharedSteps] Attempting logout...');
-                        await this.logout();
-                        console.log('[SharedSteps] ✅ Logout completed successfully');
-                    } catch (logoutError) {
-                        console.log('[SharedSteps] ❌ Logout failed:', logoutError.message);
-                        console.log('[SharedSteps] Attempting to continue with login anyway...');
-                    }
-                    
-                    // Wait a bit for logout to complete
-                    console.log('[SharedSteps] Waiting for logout to complete...');
-                    await this.page.waitForTimeout(3000);
-                    
-                    // Check if logout was successful
-                    console.log('[SharedSteps] Checking logout status...');
-                    const isNowLoggedOut = await this.isLoggedOut();
-                    console.log(`[SharedSteps] Logout status: ${isNowLoggedOut ? 'LOGGED OUT' : 'STILL LOGGED IN'}`);
-                    
-                    if (!isNowLoggedOut) {
-                        console.log('[SharedSteps] ⚠️ Logout may not have completed, but proceeding with login...');
-                        // Force navigate to login page
-                        console.log('[SharedSteps] Force navigating to base URL...');
-                        await this.page.goto('/', { timeout: 30000 });
-                        await this.page.waitForLoadState('networkidle', { timeout: 30000 });
-                        console.log('[SharedSteps] ✅ Force navigation completed');
-                    } else {
-                        console.log('[SharedSteps] ✅ Logout successful, proceeding with login...');
-                    }
-                } else {
-                    console.log('[SharedSteps] Same user type, skipping logout and proceeding...');
-                    // Skip login entirely since we're already logged in with the correct user
-                    console.log('[SharedSteps] ✅ Already logged in with correct user, skipping login');
-                    return;
-                }
-            } else {
-                console.log('[SharedSteps] Not logged in, proceeding with login...');
-            }
-            
-            // Step 3: Perform login with comprehensive error handling
-            console.log('[SharedSteps] Step 3: Performing login...');
-            console.log(`[SharedSteps] Logging in with username: ${username}`);
-            
-            try {
-                await this.adminLoginPage.login(username, password);
-                console.log('[SharedSteps] ✅ AdminLoginPage.login completed');
-            } catch (loginError) {
-                console.log('[SharedSteps] ❌ AdminLoginPage.login failed:', loginError.message);
-                throw new Error(`Login failed: ${loginError.message}`);
-            }
-            
-            try {
-                await this.adminLoginPage.verifyLoginSuccessful();
-                console.log('[SharedSteps] ✅ Login verification completed');
-            } catch (verifyError) {
-                console.log('[SharedSteps] ❌ Login verification failed:', verifyError.message);
-                throw new Error(`Login verification failed: ${verifyError.message}`);
-            }
-            
-            console.log('[SharedSteps] ✅ Login completed successfully');
-            
-        } catch (error) {
-            console.log('[SharedSteps] ❌ Login process failed:', error.message);
-            console.log('[SharedSteps] Current URL:', this.page.url());
-            
-            // Take screenshot for debugging
-            try {
-                await this.page.screenshot({ path: 'debug/login-error.png' });
-                console.log('[SharedSteps] Login error screenshot saved: debug/login-error.png');
-            } catch (screenshotError) {
-                console.log('[SharedSteps] Could not save login error screenshot:', screenshotError.message);
-            }
-            
-            throw error;
-        }
-        
-        console.log('[SharedSteps] Login process completed');
+        return this.auth.ensure({ role: this.getUserType(username), credentials: { username, password } });
     }
 
     /**
@@ -368,40 +163,11 @@ export class SharedTestSteps {
     }
 
     /**
-     * Check if user is logged in by looking for authenticated page elements
+     * Check if user is logged in by looking for authenticated page elements (no navigation)
      * @returns {Promise<boolean>} True if logged in, false if logged out
      */
     async isLoggedIn() {
-        try {
-            // Check for authenticated page indicators
-            const authIndicators = [
-                '[data-test-id="burger-menu-button"]',
-                '[data-test-id="selected-company"]',
-                '[data-test-id="logoutDropdown"]'
-            ];
-            
-            for (const indicator of authIndicators) {
-                const isVisible = await this.page.locator(indicator).isVisible({ timeout: 2000 }).catch(() => false);
-                if (isVisible) {
-                    console.log(`[SharedSteps] ✅ Login confirmed - found auth indicator: ${indicator}`);
-                    return true;
-                }
-            }
-            
-            // Check if URL contains /command (main authenticated page)
-            const currentUrl = this.page.url();
-            if (currentUrl.includes('/command')) {
-                console.log(`[SharedSteps] ✅ Login confirmed - URL contains /command`);
-                return true;
-            }
-            
-            console.log(`[SharedSteps] ❌ Not logged in - URL: ${currentUrl}`);
-            return false;
-            
-        } catch (error) {
-            console.log('[SharedSteps] Error checking login state:', error.message);
-            return false;
-        }
+        return this.auth.hasAuthIndicators();
     }
 
     /**
@@ -477,31 +243,25 @@ export class SharedTestSteps {
     }
 
     /**
-     * Switch to normal user (logout if needed and login with normal user)
-     * @param {string} username - Normal user username
-     * @param {string} password - Normal user password
+     * Switch to normal user (a full login unless the context is already signed in as normal)
+     * @param {string} [username] - Normal user username (default: NORMAL_MS_USERNAME from the secrets provider)
+     * @param {string} [password] - Normal user password
      */
     async switchToNormalUser(username, password) {
         console.log('[SharedSteps] Switching to normal user...');
-        
-        // The login method will handle checking if we're logged in and logout if needed
-        await this.login(username, password);
-        
-        console.log('[SharedSteps] Successfully switched to normal user');
+        const credentials = username && password ? { username, password } : undefined;
+        return this.auth.ensure({ role: 'normal', credentials, attempts: 3 });
     }
 
     /**
-     * Switch to admin user (logout if needed and login with admin user)
-     * @param {string} username - Admin user username
-     * @param {string} password - Admin user password
+     * Switch to admin user (a full login unless the context is already signed in as admin)
+     * @param {string} [username] - Admin user username (default: ADMIN_MS_USERNAME from the secrets provider)
+     * @param {string} [password] - Admin user password
      */
     async switchToAdminUser(username, password) {
         console.log('[SharedSteps] Switching to admin user...');
-        
-        // The login method will handle checking if we're logged in and logout if needed
-        await this.login(username, password);
-        
-        console.log('[SharedSteps] Successfully switched to admin user');
+        const credentials = username && password ? { username, password } : undefined;
+        return this.auth.ensure({ role: 'admin', credentials, attempts: 3 });
     }
 
     // ===========================================
@@ -1155,6 +915,18 @@ export class SharedTestSteps {
         return download;
     }
 
+    /**
+     * Download a dispatch report and parse it (headers, rows and typed records)
+     * @param {string} reportName - Report name to download
+     * @param {string} [expectedExtension='.xlsx'] - Expected file extension
+     * @param {Object} [options] - DispatchReportParser options
+     * @returns {Promise<{download: import('@playwright/test').Download, report: Object}>}
+     */
+    async downloadAndParseDispatchReport(reportName, expectedExtension = '.xlsx', options = {}) {
+        console.log(`[SharedSteps] Downloading and parsing dispatch report: ${reportName}`);
+        return this.dispatchReportsPage.downloadAndParseReport(reportName, expectedExtension, options);
+    }
+
     /**
      * Archive dispatch report
      * @param {string} reportName - Report name to archive
@@ -1951,8 +1723,9 @@ export class SharedTestSteps {
             console.log('[Logout] Step 1: Click on logout dropdown.');
             await this.page.locator("[data-test-id='logoutDropdown']").click();
             
-            // Step 2: Click on "Log out" button
+            // Step 2: Click on "Log out" button (nobody is signed in on this context from here on)
             console.log('[Logout] Step 2: Click on "Log out".');
+            this.auth.assumeRole(null);
             await this.page.locator("[data-test-id='logoutBtn']").click();
             
             // Step 3: Wait for logout process to start
@@ -2096,7 +1869,7 @@ export class SharedTestSteps {
         }
         
         console.log('[Logout] ⚠️ No login indicators found after redirect, forcing navigation');
-        await this.page.goto('https://uat.proof360.io/', { timeout: 20000 });
+        await this.page.goto(getProfile().baseUrl, { timeout: 20000 });
         await this.page.waitForLoadState('networkidle', { timeout: 20000 });
     }
 
@@ -2124,280 +1897,11 @@ export class SharedTestSteps {
         
         // Try to navigate to login page as fallback
         console.log('[Logout] Attempting to navigate to login page as fallback...');
-        await this.page.goto('https://uat.proof360.io/', { timeout: 20000 });
+        await this.page.goto(getProfile().baseUrl, { timeout: 20000 });
         await this.page.waitForLoadState('networkidle', { timeout: 20000 });
         console.log('[Logout] ✅ Fallback navigation to login page completed');
     }
 
-    /**
-     * Switch to admin user method
-     * 1. Navigate to base url
-     * 2. If logged in already, click logout dropdown
-     * 3. Click logout button
-     * 4. Dynamic wait for "Pick an account"
-     * 5. Click prooftestbotsa@vumacam.online or proof360test@vumacam.online
-     * 6. Dynamic wait for "Use another account"
-     * 7. Click "Use another account"
-     * 8. Follow normal login and authenticate flow
-     * If not logged in, use normal login method
-     */
-    async switchToAdminUser() {
-        console.log('[SharedSteps] Switching to admin user...');
-        
-        try {
-            // Step 1: Navigate to base url
-            console.log('[Switch Admin] Step 1: Navigate to base url');
-            await this.page.goto('https://uat.proof360.io/', { timeout: 30000 });
-            
-            // Wait for page load with fallback (avoid networkidle in real-time apps)
-            try {
-                await this.page.waitForLoadState('domcontentloaded', { timeout: 15000 });
-                // Wait for either login form or command dashboard to appear
-                await this.page.waitForFunction(() => {
-                    return document.querySelector('[name="loginfmt"]') || 
-                           document.querySelector('[data-test-id="burger-menu-button"]') ||
-                           document.querySelector('.login-form') ||
-                           document.querySelector('[data-test-id="command"]');
-                }, { timeout: 15000 });
-            } catch (error) {
-                console.log('[Switch Admin] Fallback: Using basic timeout instead of networkidle');
-                await this.page.waitForTimeout(3000);
-            }
-            
-            // Check for terms and conditions page first
-            console.log('[Switch Admin] Checking for terms and conditions page...');
-            const termsButton = this.page.locator('[data-test-id="termsAndConditonsAcceptBtn"]');
-            const termsVisible = await termsButton.isVisible({ timeout: 5000 }).catch(() => false);
-            
-            if (termsVisible) {
-                console.log('[Switch Admin] Terms and conditions page detected - clicking accept');
-                await termsButton.click();
-                await this.page.waitForLoadState('networkidle', { timeout: 20000 });
-            }
-            
-            // Check if already logged in by looking for logout dropdown
-            console.log('[Switch Admin] Checking if already logged in...');
-            const logoutDropdown = this.page.locator('[data-test-id="logoutDropdown"]');
-            const isLoggedIn = await logoutDropdown.isVisible({ timeout: 10000 }).catch(() => false);
-            
-            if (isLoggedIn) {
-                console.log('[Switch Admin] Already logged in - proceeding with logout');
-                
-                // Step 2: Click logout dropdown
-                console.log('[Switch Admin] Step 2: Click logout dropdown');
-                await logoutDropdown.click();
-                
-                // Step 3: Click logout button
-                console.log('[Switch Admin] Step 3: Click logout button');
-                await this.page.locator('[data-test-id="logoutBtn"]').click();
-                
-                // Step 4: Dynamic wait for "Pick an account"
-                console.log('[Switch Admin] Step 4: Dynamic wait for "Pick an account"');
-                await this.page.waitForSelector('text=Pick an account', { timeout: 30000 });
-                
-                // Step 5: Click on the account to sign out
-                console.log('[Switch Admin] Step 5: Click on account to sign out');
-                const accountButton = this.page.getByText('Proof360Test@vumacam.online');
-                const accountVisible = await accountButton.isVisible({ timeout: 5000 }).catch(() => false);
-                
-                if (accountVisible) {
-                    console.log('[Switch Admin] Clicking Proof360Test@vumacam.online account');
-                    await accountButton.click();
-                } else {
-                    console.log('[Switch Admin] Account not found - trying any account with @vumacam.online');
-                    const anyAccount = this.page.locator('text=@vumacam.online').first();
-                    await anyAccount.click();
-                }
-                
-                // Dynamic wait for page to load after clicking account
-                console.log('[Switch Admin] Waiting for page to load after account click...');
-                await this.page.waitForLoadState('networkidle', { timeout: 20000 });
-                
-                // Step 6: Wait for "Use another account" to appear
-                console.log('[Switch Admin] Step 6: Wait for "Use another account" to appear');
-                await this.page.waitForSelector('text=Use another account', { timeout: 30000 });
-                
-                // Step 7: Click "Use another account"
-                console.log('[Switch Admin] Step 7: Click "Use another account"');
-                await this.page.getByText('Use another account').click();
-                
-                // Dynamic wait for login page to load
-                console.log('[Switch Admin] Waiting for login page to load...');
-                await this.page.waitForLoadState('networkidle', { timeout: 20000 });
-                
-                // Step 8: Follow normal login and authenticate flow
-                console.log('[Switch Admin] Step 8: Follow normal login and authenticate flow');
-                await this.page.waitForLoadState('networkidle', { timeout: 20000 });
-                
-                // Use admin credentials
-                const adminUsername = process.env.ADMIN_MS_USERNAME;
-                const adminPassword = process.env.ADMIN_MS_PASSWORD;
-                
-                if (!adminUsername || !adminPassword) {
-                    throw new Error('Admin credentials not found in environment variables');
-                }
-                
-                await this.login(adminUsername, adminPassword);
-                
-            } else {
-                console.log('[Switch Admin] Not logged in - using normal login method');
-                
-                // Use admin credentials
-                const adminUsername = process.env.ADMIN_MS_USERNAME;
-                const adminPassword = process.env.ADMIN_MS_PASSWORD;
-                
-                if (!adminUsername || !adminPassword) {
-                    throw new Error('Admin credentials not found in environment variables');
-                }
-                
-                await this.login(adminUsername, adminPassword);
-            }
-            
-            console.log('[Switch Admin] ✅ Successfully switched to admin user');
-            
-        } catch (error) {
-            console.log('[Switch Admin] ❌ Switch to admin user failed:', error.message);
-            throw error;
-        }
-    }
-
-    /**
-     * Switch to normal user method with 3-retry logic for network resilience
-     * 1. Navigate to base url
-     * 2. If logged in already, click logout dropdown
-     * 3. Click logout button
-     * 4. Dynamic wait for "Pick an account"
-     * 5. Click proof360test@vumacam.online or prooftestbotsa@vumacam.online
-     * 6. Dynamic wait for "Use another account"
-     * 7. Click "Use another account"
-     * 8. Follow normal login and authenticate flow
-     * If not logged in, use normal login method
-     */
-    async switchToNormalUser() {
-        console.log('[SharedSteps] Switching to normal user with retry logic...');
-        
-        const maxRetries = 3;
-        let lastError;
-        
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                console.log(`[Switch Normal] Attempt ${attempt}/${maxRetries} - Starting user switch`);
-                
-                // Step 1: Navigate to base url
-                console.log('[Switch Normal] Step 1: Navigate to base url');
-                await this.page.goto('https://uat.proof360.io/', { timeout: 30000 });
-                await this.page.waitForLoadState('networkidle', { timeout: 20000 });
-                
-                // Check for terms and conditions page first
-                console.log('[Switch Normal] Checking for terms and conditions page...');
-                const termsButton = this.page.locator('[data-test-id="termsAndConditonsAcceptBtn"]');
-                const termsVisible = await termsButton.isVisible({ timeout: 5000 }).catch(() => false);
-                
-                if (termsVisible) {
-                    console.log('[Switch Normal] Terms and conditions page detected - clicking accept');
-                    await termsButton.click();
-                    await this.page.waitForLoadState('networkidle', { timeout: 20000 });
-                }
-                
-                // Check if already logged in by looking for logout dropdown
-                console.log('[Switch Normal] Checking if already logged in...');
-                const logoutDropdown = this.page.locator('[data-test-id="logoutDropdown"]');
-                const isLoggedIn = await logoutDropdown.isVisible({ timeout: 10000 }).catch(() => false);
-                
-                if (isLoggedIn) {
-                    console.log('[Switch Normal] Already logged in - proceeding with logout');
-                    
-                    // Step 2: Click logout dropdown
-                    console.log('[Switch Normal] Step 2: Click logout dropdown');
-                    await logoutDropdown.click();
-                    
-                    // Step 3: Click logout button
-                    console.log('[Switch Normal] Step 3: Click logout button');
-                    await this.page.locator('[data-test-id="logoutBtn"]').click();
-                    
-                    // Step 4: Dynamic wait for "Pick an account"
-                    console.log('[Switch Normal] Step 4: Dynamic wait for "Pick an account"');
-                    await this.page.waitForSelector('text=Pick an account', { timeout: 30000 });
-                    
-                    // Step 5: Click on the account to sign out
-                    console.log('[Switch Normal] Step 5: Click on account to sign out');
-                    const accountButton = this.page.getByText('Proof360Test@vumacam.online');
-                    const accountVisible = await accountButton.isVisible({ timeout: 5000 }).catch(() => false);
-                    
-                    if (accountVisible) {
-                        console.log('[Switch Normal] Clicking Proof360Test@vumacam.online account');
-                        await accountButton.click();
-                    } else {
-                        console.log('[Switch Normal] Account not found - trying any account with @vumacam.online');
-                        const anyAccount = this.page.locator('text=@vumacam.online').first();
-                        await anyAccount.click();
-                    }
-                    
-                    // Dynamic wait for page to load after clicking account
-                    console.log('[Switch Normal] Waiting for page to load after account click...');
-                    await this.page.waitForLoadState('networkidle', { timeout: 20000 });
-                    
-                    // Step 6: Wait for "Use another account" to appear
-                    console.log('[Switch Normal] Step 6: Wait for "Use another account" to appear');
-                    await this.page.waitForSelector('text=Use another account', { timeout: 30000 });
-                    
-                    // Step 7: Click "Use another account"
-                    console.log('[Switch Normal] Step 7: Click "Use another account"');
-                    await this.page.getByText('Use another account').click();
-                    
-                    // Dynamic wait for login page to load
-                    console.log('[Switch Normal] Waiting for login page to load...');
-                    await this.page.waitForLoadState('networkidle', { timeout: 20000 });
-                    
-                    // Step 8: Follow normal login and authenticate flow
-                    console.log('[Switch Normal] Step 8: Follow normal login and authenticate flow');
-                    await this.page.waitForLoadState('networkidle', { timeout: 20000 });
-                    
-                    // Use normal user credentials
-                    const normalUsername = process.env.NORMAL_MS_USERNAME;
-                    const normalPassword = process.env.NORMAL_MS_PASSWORD;
-                    
-                    if (!normalUsername || !normalPassword) {
-                        throw new Error('Normal user credentials not found in environment variables');
-                    }
-                    
-                    await this.login(normalUsername, normalPassword);
-                    
-                } else {
-                    console.log('[Switch Normal] Not logged in - using normal login method');
-                    
-                    // Use normal user credentials
-                    const normalUsername = process.env.NORMAL_MS_USERNAME;
-                    const normalPassword = process.env.NORMAL_MS_PASSWORD;
-                    
-                    if (!normalUsername || !normalPassword) {
-                        throw new Error('Normal user credentials not found in environment variables');
-                    }
-                    
-                    await this.login(normalUsername, normalPassword);
-                }
-                
-                console.log(`[Switch Normal] ✅ Successfully switched to normal user on attempt ${attempt}`);
-                return; // Success, exit retry loop
-                
-            } catch (error) {
-                lastError = error;
-                console.log(`[Switch Normal] ❌ Attempt ${attempt}/${maxRetries} failed:`, error.message);
-                
-                if (attempt < maxRetries) {
-                    const waitTime = attempt * 2000; // Progressive wait: 2s, 4s
-                    console.log(`[Switch Normal] Waiting ${waitTime}ms before retry...`);
-                    await this.page.waitForTimeout(waitTime);
-                } else {
-                    console.log('[Switch Normal] ❌ All retry attempts exhausted');
-                }
-            }
-        }
-        
-        // If we get here, all retries failed
-        throw new Error(`Failed to switch to normal user after ${maxRetries} attempts. Last error: ${lastError.message}`);
-    }
-
     // ===========================================
     // 13. HELPER METHODS FOR ROBUSTNESS
     // ===========================================
@@ -2735,69 +2239,27 @@ export class SharedTestSteps {
     }
 
     /**
-     * Set History date range filter (From 1st to 3rd of current month)
+     * Set History date range filter (default: 1st to 3rd of the current month)
+     * @param {string|number|Date|{year, month, day}} [fromDate] - See DatePicker.toDate; may be in another month than toDate
+     * @param {string|number|Date|{year, month, day}} [toDate]
      */
-    async setHistoryDateRange() {
+    async setHistoryDateRange(fromDate, toDate) {
         console.log('[SharedSteps] Setting History date range filter...');
         
+        const today = this.clock.today();
+        const from = fromDate ?? calendarDate(today.year, today.month, 1);
+        const to = toDate ?? calendarDate(today.year, today.month, 3);
+        
         try {
-            // Step 1: Click on From Date input to open calendar
-            console.log('[History Filter] Step 1: Clicking on From Date input');
-            await this.page.locator('[data-test-id="fromdate_dropdown"]').click();
+            const datePicker = new DatePicker(this.page, { clock: this.clock });
+            const range = await datePicker.pickRange(
+                this.page.locator('[data-test-id="fromdate_dropdown"]'),
+                this.page.locator('[data-test-id="todate_dropdown"]'),
+                from,
+                to
+            );
             
-            // Step 2: Wait for calendar to open and select 1st of the month
-            console.log('[History Filter] Step 2: Waiting for calendar to open and selecting 1st of month');
-            await this.page.waitForTimeout(1000);
-            
-            // Use robust interaction for date selection
-            const fromDateSelected = await this.page.evaluate(() => {
-                const calendar = document.querySelector('.p-datepicker');
-                if (calendar) {
-                    const dateElements = calendar.querySelectorAll('td span');
-                    for (let elem of dateElements) {
-                        if (elem.textContent.trim() === '1' && !elem.classList.contains('p-datepicker-other-month')) {
-                            elem.click();
-                            return true;
-                        }
-                    }
-                }
-                return false;
-            });
-            
-            if (!fromDateSelected) {
-                throw new Error('Could not select 1st of month for from date');
-            }
-            console.log('[History Filter] Selected 1st of month as from date');
-            
-            // Step 3: Click on To Date input to open calendar
-            console.log('[History Filter] Step 3: Clicking on To Date input');
-            await this.page.locator('[data-test-id="todate_dropdown"]').click();
-            
-            // Step 4: Wait for calendar to open and select 3rd of the month
-            console.log('[History Filter] Step 4: Waiting for calendar to open and selecting 3rd of month');
-            await this.page.waitForTimeout(1000);
-            
-            // Use robust interaction for date selection
-            const toDateSelected = await this.page.evaluate(() => {
-                const calendar = document.querySelector('.p-datepicker');
-                if (calendar) {
-                    const dateElements = calendar.querySelectorAll('td span');
-                    for (let elem of dateElements) {
-                        if (elem.textContent.trim() === '3' && !elem.classList.contains('p-datepicker-other-month')) {
-                            elem.click();
-                            return true;
-                        }
-                    }
-                }
-                return false;
-            });
-            
-            if (!toDateSelected) {
-                throw new Error('Could not select 3rd of month for to date');
-            }
-            console.log('[History Filter] Selected 3rd of month as to date');
-            
-            console.log('[SharedSteps] History date range filter set successfully');
+            console.log(`[SharedSteps] History date range filter set: ${formatDate(range.from)} to ${formatDate(range.to)}`);
             
         } catch (error) {
             console.error(`[SharedSteps] Failed to set history date range: ${error.message}`);
@@ -3058,57 +2520,14 @@ export class SharedTestSteps {
     /**
      * Helper method to navigate to correct month in date picker and click the target date
      * @param {string} calendarSelector - Selector for the calendar panel
-     * @param {Date} targetDate - Date to select
+     * @param {Date|string|{year, month, day}} targetDate - Date to select; a Date is read in the reference timezone
      */
     async navigateToDateInCalendar(calendarSelector, targetDate) {
-        const targetDateString = targetDate.toISOString().split('T')[0];
-        console.log(`[Calendar Navigation] Navigating to date: ${targetDateString}`);
-        
-        const calendar = this.page.locator(calendarSelector);
-        
-        // Try to find the date directly first
-        const targetDateCell = calendar.locator(`td[aria-label="${targetDateString}"]`);
-        
-        // Check if the target date is visible
-        let isDateVisible = false;
-        try {
-            await targetDateCell.waitFor({ state: 'visible', timeout: 2000 });
-            isDateVisible = true;
-        } catch (error) {
-            console.log(`[Calendar Navigation] Date ${targetDateString} not visible, need to navigate to correct month`);
-        }
-        
-        // If date is not visible, navigate to the correct month
-        if (!isDateVisible) {
-            const today = new Date();
-            const targetMonth = targetDate.getMonth();
-            const targetYear = targetDate.getFullYear();
-            const currentMonth = today.getMonth();
-            const currentYear = today.getFullYear();
-            
-            // Calculate how many months to navigate (negative = go back, positive = go forward)
-            const monthsToNavigate = (targetYear - currentYear) * 12 + (targetMonth - currentMonth);
-            
-            console.log(`[Calendar Navigation] Need to navigate ${monthsToNavigate} months`);
-            
-            if (monthsToNavigate < 0) {
-                // Navigate backwards (previous months)
-                for (let i = 0; i < Math.abs(monthsToNavigate); i++) {
-                    await calendar.locator('button[aria-label="Previous Month"]').click();
-                    await this.page.waitForTimeout(500); // Wait for calendar to update
-                }
-            } else if (monthsToNavigate > 0) {
-                // Navigate forwards (next months) 
-                for (let i = 0; i < monthsToNavigate; i++) {
-                    await calendar.locator('button[aria-label="Next Month"]').click();
-                    await this.page.waitForTimeout(500); // Wait for calendar to update
-                }
-            }
-        }
+        const datePicker = new DatePicker(this.page, { clock: this.clock, calendar: calendarSelector });
+        const date = datePicker.toDate(targetDate);
+        console.log(`[Calendar Navigation] Navigating to date: ${formatDate(date)}`);
         
-        // Now click the target date
-        console.log(`[Calendar Navigation] Clicking on date: ${targetDateString}`);
-        await calendar.locator(`td[aria-label="${targetDateString}"]`).click();
+        await datePicker.selectDate(date);
     }
 
     /**
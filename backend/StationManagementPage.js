@@ -0,0 +1,101 @@
+// backend/StationManagementPage.js
+// @ts-check
+import { expect } from '@playwright/test';
+
+/**
+ * StationManagementPage - Page Object Model for Station Management functionality
+ *
+ * This class provides methods for interacting with the Station Management page,
+ * including creating stations with linked users and areas, and archiving them.
+ */
+export class StationManagementPage {
+  /**
+   * @param {import('@playwright/test').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+    // Table
+    this.stationTable = page.locator('[data-test-id="LinkedItemsTable"]');
+    /** @param {string} name */
+    this.stationRow = (name) => page.locator('tr', { has: page.getByText(name, { exact: true }) });
+    // Buttons
+    this.createNewBtn = page.getByText('Create new', { exact: true });
+    this.saveAndUpdateBtn = page.locator("//button[span[text()='Save and Update']]");
+    this.archiveConfirmBtn = page.locator('[data-test-id="dialog-button-2"]');
+    // Form fields
+    this.stationNameInput = page.locator('[data-test-id="TextField"]');
+    this.linkUsersInput = page.locator("//label[text()='Link Users']/following-sibling::div//input[@type='search']");
+    this.linkAreasInput = page.locator("//label[text()='Link Areas']/following-sibling::div//input[@type='search']");
+    this.formTitle = page.locator("//div[text()='Station Details']");
+  }
+
+  /**
+   * Waits for the station table
+   */
+  async waitForTable() {
+    await expect(this.stationTable).toBeVisible({ timeout: 15000 });
+  }
+
+  /**
+   * Clicks the Create new button
+   */
+  async clickCreateNew() {
+    console.log('[StationManagement] Clicking Create new...');
+    await this.createNewBtn.click();
+  }
+
+  /**
+   * Fills in the station name field
+   * @param {string} name
+   */
+  async fillStationName(name) {
+    console.log(`[StationManagement] Filling station name: ${name}`);
+    await this.stationNameInput.fill(name);
+  }
+
+  /**
+   * Links a user: types `search` into Link Users and picks the option `name`
+   * @param {string} search
+   * @param {string} name
+   */
+  async linkUser(search, name) {
+    console.log(`[StationManagement] Linking user: ${name}`);
+    await this.linkUsersInput.click();
+    await this.linkUsersInput.fill(search);
+    await this.page.getByText(name).first().click();
+    // Close the option list
+    await this.formTitle.click();
+  }
+
+  /**
+   * Links an area: types `search` into Link Areas and picks the option `name`
+   * @param {string} search
+   * @param {string} name
+   */
+  async linkArea(search, name) {
+    console.log(`[StationManagement] Linking area: ${name}`);
+    await this.linkAreasInput.click();
+    await this.linkAreasInput.fill(search);
+    await this.page.getByText(name).first().click();
+    await this.formTitle.click();
+  }
+
+  /**
+   * Clicks Save and Update
+   */
+  async saveStation() {
+    console.log('[StationManagement] Saving station...');
+    await this.saveAndUpdateBtn.click();
+  }
+
+  /**
+   * Archives a station by name
+   * @param {string} name
+   */
+  async archiveStation(name) {
+    console.log(`[StationManagement] Archiving station: ${name}`);
+    await this.stationRow(name).first().locator("button:has-text('Archive')").click();
+    await this.archiveConfirmBtn.click();
+    await expect(this.stationRow(name)).toHaveCount(0, { timeout: 15000 });
+  }
+}
@@ -0,0 +1,63 @@
+// backend/SuppressionManagementPage.js
+// @ts-check
+import { expect } from '@playwright/test';
+
+/**
+ * SuppressionManagementPage - Page Object Model for suppressions
+ *
+ * Suppressions are created from an alert card on the dashboard and listed, one row per
+ * site, on the Suppression Management page. This class covers both: suppressing the
+ * first alert card and removing the suppression of one site.
+ */
+export class SuppressionManagementPage {
+  /**
+   * @param {import('@playwright/test').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+    // Dashboard
+    this.cardMenuBtn = page.locator("[data-test-id='verticalDots']").first();
+    this.suppressItem = page.locator("[data-test-id='suppressItem']");
+    this.confirmBtn = page.locator('button:has-text("Confirm")').first();
+    // Suppression Management table
+    /** @param {string} site */
+    this.suppressionRow = (site) => page.locator('table tbody tr').filter({ hasText: site });
+    this.unsuppressConfirmBtn = page.locator('button:not([data-test-id])', { hasText: /^\s*UNSUPPRESS\s*$/ });
+  }
+
+  /**
+   * Suppresses the first alert card on the dashboard (filter and expand the site's card first)
+   * @param {Object} options
+   * @param {string} options.reason - e.g. 'Bad Alerts'
+   * @param {string} options.duration - e.g. '15 mins'
+   */
+  async suppressFirstAlert({ reason, duration }) {
+    console.log(`[SuppressionManagement] Suppressing first alert: ${reason}, ${duration}`);
+    await this.cardMenuBtn.click();
+    await this.suppressItem.click();
+
+    const reasonSelect = this.page.getByText('Reason for suppression', { exact: true }).locator('xpath=following::select[1]');
+    const durationSelect = this.page.getByText('Duration of suppression', { exact: true }).locator('xpath=following::select[1]');
+    await expect(reasonSelect).toBeVisible({ timeout: 15000 });
+    await reasonSelect.selectOption({ label: reason });
+    await durationSelect.selectOption({ label: duration });
+
+    // The suppression is confirmed twice
+    await this.confirmBtn.click();
+    await this.page.waitForTimeout(1500);
+    await expect(this.confirmBtn).toBeVisible({ timeout: 5000 });
+    await this.confirmBtn.click();
+    await this.page.waitForTimeout(2000);
+  }
+
+  /**
+   * Removes the suppression of a site on the Suppression Management page
+   * @param {string} site
+   */
+  async unsuppressSite(site) {
+    console.log(`[SuppressionManagement] Unsuppressing: ${site}`);
+    await this.suppressionRow(site).first().locator('button[data-test-id="unsuppressBtn"]').click();
+    await this.unsuppressConfirmBtn.click();
+    await expect(this.suppressionRow(site)).toHaveCount(0, { timeout: 15000 });
+  }
+}
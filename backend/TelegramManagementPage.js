@@ -0,0 +1,105 @@
+// backend/TelegramManagementPage.js
+// @ts-check
+import { expect } from '@playwright/test';
+
+/**
+ * TelegramManagementPage - Page Object Model for Telegram Management functionality
+ *
+ * This class provides methods for interacting with the Standard Messages and
+ * Telegram Groups tabs, including creating, searching, and archiving entries.
+ */
+export class TelegramManagementPage {
+  /**
+   * @param {import('@playwright/test').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+    // Tabs
+    this.telegramGroupsTab = page.getByText('Telegram Groups');
+    // Buttons
+    this.createNewBtn = page.locator("button:has-text('Create New')");
+    this.saveBtn = page.locator("button:has-text('Save')");
+    this.searchToggleBtn = page.locator('[data-test-id="search-toggle"]');
+    this.searchInput = page.locator('[data-test-id="search-input"]');
+    this.archiveYesBtn = page.locator('button:has-text("Yes")');
+    // Form fields
+    this.messageNameInput = page.locator('[data-test-id="messageNameInputField"]');
+    this.messageInput = page.locator('[data-test-id="messageInputField"]');
+    this.groupNameInput = page.locator("[data-test-id='groupNameInputField'], input[placeholder*='name'], input[name*='name']").first();
+    this.groupDescriptionInput = page.locator("[data-test-id='descriptionInputField'], textarea[placeholder*='description'], textarea[name*='description']").first();
+    this.multiSelectInput = page.locator('#search_input');
+    /** @param {string} name */
+    this.row = (name) => page.locator('table tbody tr').filter({ hasText: name });
+  }
+
+  /**
+   * Opens the Telegram Groups tab
+   */
+  async openTelegramGroups() {
+    console.log('[TelegramManagement] Opening Telegram Groups...');
+    await this.telegramGroupsTab.click();
+    await expect(this.page).toHaveURL(/telegram-management\/telegram-groups/);
+  }
+
+  /**
+   * Creates a standard message linked to alert types
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {string} data.message
+   * @param {string[]} data.alertTypes - Option texts, e.g. ['Trex']
+   */
+  async createStandardMessage({ name, message, alertTypes }) {
+    console.log(`[TelegramManagement] Creating standard message: ${name}`);
+    await this.createNewBtn.click();
+    await this.messageNameInput.fill(name);
+    await this.messageInput.fill(message);
+    for (const alertType of alertTypes) {
+      await this.multiSelectInput.click();
+      await this.page.locator(`li.option:has-text('${alertType}')`).click({ timeout: 10000 });
+    }
+    await this.saveBtn.click({ timeout: 10000 });
+  }
+
+  /**
+   * Creates a telegram group linked to areas
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {string} data.description
+   * @param {string[]} data.areas - Option texts, e.g. ['ALL']
+   */
+  async createTelegramGroup({ name, description, areas }) {
+    console.log(`[TelegramManagement] Creating telegram group: ${name}`);
+    await this.createNewBtn.click({ timeout: 10000 });
+    await this.groupNameInput.fill(name);
+    await this.groupDescriptionInput.fill(description);
+    for (const area of areas) {
+      await this.multiSelectInput.click();
+      await this.page.locator(`ul.optionContainer li:has-text('${area}')`).click();
+    }
+    await this.saveBtn.click({ timeout: 10000 });
+  }
+
+  /**
+   * Searches the current tab by name
+   * @param {string} name
+   */
+  async search(name) {
+    console.log(`[TelegramManagement] Searching for: ${name}`);
+    if (!(await this.searchInput.isVisible())) {
+      await this.searchToggleBtn.click();
+    }
+    await this.searchInput.fill(name);
+    await this.page.waitForTimeout(1000);
+  }
+
+  /**
+   * Archives the message or group called `name` on the current tab
+   * @param {string} name
+   */
+  async archiveByName(name) {
+    console.log(`[TelegramManagement] Archiving: ${name}`);
+    await this.row(name).first().locator('[data-test-id="archiveBtn"]').click();
+    await this.archiveYesBtn.click();
+    await expect(this.row(name)).toHaveCount(0, { timeout: 15000 });
+  }
+}
@@ -0,0 +1,479 @@
+// backend/TestDataFactory.js
+// Builders for the entities the management specs create: companies, areas, stations, users,
+// roles, suppressions and Telegram groups and messages. Every builder gives unique, tagged
+// values, creates the entity through its page object and records it, and cleanup() archives
+// (or deletes) everything the test created, newest first, through the same page objects.
+//
+//   const role = await dataFactory.role({ canEditStackFilter: false });
+//   const user = await dataFactory.user({ role: role.name });
+//   // the dataFactory fixture archives the user, then the role, after the test, pass or fail
+//
+// Names carry the report tag (tagReportName) plus a per-factory id and counter, e.g.
+// "Station e2e-20261018T153012Z 3f9a-2", so parallel workers never collide and leftovers are
+// recognisable. Companies and suppressions cannot be named: a company is picked from the
+// Company name dropdown (its contact person carries the tag) and a suppression is one per site.
+// Suppressions are therefore serial-only: the factory finds and removes whatever suppression
+// the site has, so no other worker or person may suppress that site while the test runs.
+
+import crypto from 'crypto';
+import { expect } from '@playwright/test';
+import { SharedTestSteps } from './SharedTestSteps.js';
+import { CompanyManagementPage } from './CompanyManagementPage.js';
+import { AreaManagementPage } from './AreaManagementPage.js';
+import { StationManagementPage } from './StationManagementPage.js';
+import { UserManagementPage } from './UserManagementPage.js';
+import { RoleManagementPage } from './RoleManagementPage.js';
+import { TelegramManagementPage } from './TelegramManagementPage.js';
+import { SuppressionManagementPage } from './SuppressionManagementPage.js';
+import { REPORT_NAME_TAG, tagReportName } from './reports/ReportSweeper.js';
+
+const SELECTED_COMPANY = '[data-test-id="selected-company"] .p-dropdown-label';
+
+/**
+ * Per entity kind: how to build its values, open its list, create it, find it and archive it.
+ * Methods get the TestDataFactory (page, page objects, unique values) and the entity.
+ */
+export const ENTITY_ADAPTERS = {
+  company: {
+    label: 'Company',
+    build(ctx, overrides) {
+      if (!overrides.companyName) {
+        throw new Error('[TestDataFactory] A company needs companyName: an unused name from the Company name dropdown');
+      }
+      return {
+        registrationNumber: ctx.uniqueDigits(8),
+        email: ctx.uniqueEmail('company'),
+        contactPerson: ctx.uniqueName('Contact'),
+        milestoneUsername: ctx.uniqueEmail('milestone').split('@')[0],
+        telegramNumber: `27${ctx.uniqueDigits(9)}`,
+        ...overrides,
+        name: overrides.companyName
+      };
+    },
+    async open(ctx) {
+      await ctx.sharedSteps.navigateToConfigurationSubmenu('Company Management');
+      await expect(ctx.page).toHaveURL(/company-management/);
+    },
+    async create(ctx, company) {
+      await ctx.companyPage.clickCreateNew();
+      await ctx.companyPage.fillCompanyForm(company);
+      await ctx.companyPage.switchToConfigTab();
+      await ctx.companyPage.fillConfigFields(company);
+      await ctx.companyPage.saveAndCreate();
+      await expect(ctx.companyPage.createNewBtn).toBeVisible({ timeout: 15000 });
+    },
+    async exists(ctx, company) {
+      await ctx.companyPage.searchCompany(company.name);
+      return (await ctx.companyPage.archiveBtn(company.name).count()) > 0;
+    },
+    async archive(ctx, company) {
+      await ctx.companyPage.archiveCompany(company.name);
+      await expect(ctx.companyPage.archiveBtn(company.name)).toHaveCount(0, { timeout: 15000 });
+    }
+  },
+
+  area: {
+    label: 'Area',
+    build(ctx, overrides) {
+      return {
+        name: ctx.uniqueName('Area'),
+        description: ctx.description,
+        sites: ['Select WTKP_Cedar Rd and Willow Ave_14'],
+        ...overrides
+      };
+    },
+    async open(ctx) {
+      await ctx.sharedSteps.navigateToConfigurationSubmenu('Area Management');
+    },
+    async create(ctx, area) {
+      await ctx.areaPage.clickCreateNewByList();
+      for (const site of area.sites) await ctx.areaPage.selectAreaCheckboxByName(site);
+      await ctx.areaPage.addToCustomAreaList();
+      await ctx.areaPage.fillAreaName(area.name);
+      await ctx.areaPage.fillAreaDescription(area.description);
+      await ctx.areaPage.saveArea();
+      await expect(ctx.areaPage.searchInput).toBeVisible({ timeout: 30000 });
+    },
+    async exists(ctx, area) {
+      await ctx.areaPage.searchArea(area.name);
+      return (await ctx.page.locator(`tr:has-text('${area.name}')`).count()) > 0;
+    },
+    async archive(ctx, area) {
+      await ctx.areaPage.archiveAreaByName(area.name);
+      await ctx.areaPage.expectAreaNotVisible(area.name);
+    }
+  },
+
+  station: {
+    label: 'Station',
+    build(ctx, overrides) {
+      return {
+        name: ctx.uniqueName('Station'),
+        // { search, name }: text typed into the Link Users / Link Areas field and the option picked
+        users: [{ search: 'Test@', name: 'test test' }],
+        areas: [{ search: 'DO', name: 'DO NOT DELETE' }],
+        ...overrides
+      };
+    },
+    async open(ctx) {
+      await ctx.sharedSteps.navigateToConfigurationSubmenu('Station Management');
+      await ctx.stationPage.waitForTable();
+    },
+    async create(ctx, station) {
+      await ctx.stationPage.clickCreateNew();
+      await ctx.stationPage.fillStationName(station.name);
+      for (const user of station.users) await ctx.stationPage.linkUser(user.search, user.name);
+      for (const area of station.areas) await ctx.stationPage.linkArea(area.search, area.name);
+      await ctx.stationPage.saveStation();
+      await expect(ctx.stationPage.stationRow(station.name).first()).toBeVisible({ timeout: 15000 });
+    },
+    exists: async (ctx, station) => (await ctx.stationPage.stationRow(station.name).count()) > 0,
+    async archive(ctx, station) {
+      await ctx.stationPage.archiveStation(station.name);
+    }
+  },
+
+  user: {
+    label: 'User',
+    build(ctx, overrides) {
+      const firstName = overrides.firstName || 'Test';
+      const lastName = overrides.lastName || ctx.uniqueName('User');
+      return {
+        email: ctx.uniqueEmail('user'),
+        contactNumber: `07${ctx.uniqueDigits(8)}`,
+        role: 'DO NOT DELETE',
+        ...overrides,
+        firstName,
+        lastName,
+        name: `${firstName} ${lastName}`
+      };
+    },
+    async open(ctx) {
+      await ctx.sharedSteps.navigateToConfigurationSubmenu('User Management');
+    },
+    async create(ctx, user) {
+      await ctx.userPage.clickCreateNew();
+      await ctx.userPage.fillUserForm(user);
+      await ctx.userPage.saveNewUser();
+    },
+    // The email is the one value no other user can share
+    async exists(ctx, user) {
+      await ctx.userPage.searchUser(user.email);
+      return (await ctx.userPage.userRow(user.email).count()) > 0;
+    },
+    async archive(ctx, user) {
+      await ctx.userPage.archiveUser(user.email);
+    }
+  },
+
+  role: {
+    label: 'Role',
+    build(ctx, overrides) {
+      return {
+        name: ctx.uniqueName('Role'),
+        description: ctx.description,
+        canEditStackFilter: true,
+        ...overrides
+      };
+    },
+    async open(ctx) {
+      await ctx.sharedSteps.navigateToConfigurationSubmenu('Role Management');
+    },
+    async create(ctx, role) {
+      await ctx.rolePage.clickCreateNew();
+      await ctx.sharedSteps.createNewRole(role.name, role.description, role.canEditStackFilter);
+    },
+    async exists(ctx, role) {
+      await ctx.rolePage.searchRole(role.name);
+      return (await ctx.rolePage.roleRow(role.name).count()) > 0;
+    },
+    async archive(ctx, role) {
+      await ctx.rolePage.removeRole(role.name);
+    }
+  },
+
+  // Serial-only: the Suppression Management row carries only the site, so exists() and
+  // archive() act on any suppression of the site, whoever created it
+  suppression: {
+    label: 'Suppression',
+    build(ctx, overrides) {
+      if (!overrides.site) {
+        throw new Error('[TestDataFactory] A suppression needs the site whose alerts are on the stack');
+      }
+      return { reason: 'Bad Alerts', duration: '15 mins', ...overrides, name: overrides.site };
+    },
+    // Suppressions are created from the site's alert card on the dashboard
+    async open(ctx, purpose) {
+      if (purpose === 'create') return;
+      await ctx.sharedSteps.navigateToConfigurationSubmenu('Suppression Management');
+    },
+    async create(ctx, suppression) {
+      await ctx.sharedSteps.stackFilterUBAndTrex(suppression.site);
+      await ctx.sharedSteps.expandAndSelectUBAndTrexCard(suppression.site);
+      await ctx.suppressionPage.suppressFirstAlert(suppression);
+    },
+    exists: async (ctx, suppression) => (await ctx.suppressionPage.suppressionRow(suppression.site).count()) > 0,
+    async archive(ctx, suppression) {
+      await ctx.suppressionPage.unsuppressSite(suppression.site);
+    }
+  },
+
+  telegramMessage: {
+    label: 'Telegram standard message',
+    build(ctx, overrides) {
+      return {
+        name: ctx.uniqueName('Message'),
+        message: ctx.description,
+        alertTypes: ['Trex'],
+        ...overrides
+      };
+    },
+    async open(ctx) {
+      await ctx.sharedSteps.navigateToConfigurationSubmenu('Telegram Management');
+      await expect(ctx.page).toHaveURL(/telegram-management\/standard-messages/);
+    },
+    async create(ctx, message) {
+      await ctx.telegramPage.createStandardMessage(message);
+      await expect(ctx.telegramPage.createNewBtn.first()).toBeVisible({ timeout: 15000 });
+    },
+    async exists(ctx, message) {
+      await ctx.telegramPage.search(message.name);
+      return (await ctx.telegramPage.row(message.name).count()) > 0;
+    },
+    async archive(ctx, message) {
+      await ctx.telegramPage.archiveByName(message.name);
+    }
+  },
+
+  telegramGroup: {
+    label: 'Telegram group',
+    build(ctx, overrides) {
+      return {
+        name: ctx.uniqueName('Group'),
+        description: ctx.description,
+        areas: ['ALL'],
+        ...overrides
+      };
+    },
+    async open(ctx) {
+      await ctx.sharedSteps.navigateToConfigurationSubmenu('Telegram Management');
+      await ctx.telegramPage.openTelegramGroups();
+    },
+    async create(ctx, group) {
+      await ctx.telegramPage.createTelegramGroup(group);
+      await expect(ctx.telegramPage.createNewBtn.first()).toBeVisible({ timeout: 15000 });
+    },
+    async exists(ctx, group) {
+      await ctx.telegramPage.search(group.name);
+      return (await ctx.telegramPage.row(group.name).count()) > 0;
+    },
+    async archive(ctx, group) {
+      await ctx.telegramPage.archiveByName(group.name);
+    }
+  }
+};
+
+export class TestDataFactory {
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} [options]
+   * @param {import('@playwright/test').TestInfo} [options.testInfo] - Names the test in descriptions
+   * @param {SharedTestSteps} [options.sharedSteps] - Default: a new SharedTestSteps(page)
+   * @param {Object} [options.adapters=ENTITY_ADAPTERS]
+   * @param {string} [options.tag=REPORT_NAME_TAG]
+   * @param {Date} [options.now=new Date()] - Timestamp in the tag
+   * @param {string} [options.id] - Per-factory part of the names; default 4 random hex digits
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.testInfo = options.testInfo || null;
+    this.adapters = options.adapters || ENTITY_ADAPTERS;
+    this.tag = options.tag || REPORT_NAME_TAG;
+    this.runTag = tagReportName('', options.now || new Date(), this.tag).trim();
+    this.id = options.id || crypto.randomBytes(2).toString('hex');
+    this.description = `Test data for ${this.testInfo?.title || 'an automated test'}`;
+    this.sequence = 0;
+    this.created = [];
+    this._sharedSteps = options.sharedSteps || null;
+  }
+
+  get sharedSteps() {
+    return (this._sharedSteps ||= new SharedTestSteps(this.page));
+  }
+
+  get companyPage() {
+    return (this._companyPage ||= new CompanyManagementPage(this.page));
+  }
+
+  get areaPage() {
+    return (this._areaPage ||= new AreaManagementPage(this.page));
+  }
+
+  get stationPage() {
+    return (this._stationPage ||= new StationManagementPage(this.page));
+  }
+
+  get userPage() {
+    return (this._userPage ||= new UserManagementPage(this.page));
+  }
+
+  get rolePage() {
+    return (this._rolePage ||= new RoleManagementPage(this.page));
+  }
+
+  get telegramPage() {
+    return (this._telegramPage ||= new TelegramManagementPage(this.page));
+  }
+
+  get suppressionPage() {
+    return (this._suppressionPage ||= new SuppressionManagementPage(this.page));
+  }
+
+  adapter(kind) {
+    const adapter = this.adapters[kind];
+    if (!adapter) throw new Error(`[TestDataFactory] Unknown entity kind "${kind}" (${Object.keys(this.adapters).join(', ')})`);
+    return adapter;
+  }
+
+  /**
+   * @param {string} base - e.g. "Station"
+   * @returns {string} e.g. "Station e2e-20261018T153012Z 3f9a-2"
+   */
+  uniqueName(base) {
+    return `${base} ${this.runTag} ${this.id}-${++this.sequence}`;
+  }
+
+  /**
+   * @param {string} base - Local part prefix, e.g. "user"
+   * @returns {string} e.g. "user.e2e-20261018t153012z.3f9a-3@proof360.test"
+   */
+  uniqueEmail(base) {
+    return `${base}.${this.runTag}.${this.id}-${++this.sequence}@proof360.test`.toLowerCase();
+  }
+
+  /**
+   * Random digits for registration and phone numbers
+   * @param {number} length - Up to 12
+   */
+  uniqueDigits(length) {
+    return String(crypto.randomInt(0, 10 ** length)).padStart(length, '0');
+  }
+
+  /**
+   * Values for an entity without creating it
+   * @param {string} kind - One of ENTITY_ADAPTERS
+   * @param {Object} [overrides] - Replace any built value
+   * @returns {Object} `{ kind, name, ...values }`
+   */
+  build(kind, overrides = {}) {
+    return { kind, ...this.adapter(kind).build(this, overrides) };
+  }
+
+  /**
+   * Build, create and record an entity for cleanup
+   * @param {string} kind - One of ENTITY_ADAPTERS
+   * @param {Object} [overrides]
+   * @returns {Promise<Object>} The built entity, with the company it was created under
+   */
+  async create(kind, overrides = {}) {
+    const adapter = this.adapter(kind);
+    const entity = this.build(kind, overrides);
+    entity.company = await this.currentCompany();
+    // Recorded before creating: a failure half-way through may still have saved it
+    this.created.push(entity);
+    console.log(`[TestDataFactory] Creating ${adapter.label} "${entity.name}"`);
+    await adapter.open(this, 'create');
+    await adapter.create(this, entity);
+    return entity;
+  }
+
+  /** @param {Object} [overrides] - companyName is required */
+  company(overrides) { return this.create('company', overrides); }
+  /** @param {Object} [overrides] */
+  area(overrides) { return this.create('area', overrides); }
+  /** @param {Object} [overrides] */
+  station(overrides) { return this.create('station', overrides); }
+  /** @param {Object} [overrides] */
+  user(overrides) { return this.create('user', overrides); }
+  /** @param {Object} [overrides] */
+  role(overrides) { return this.create('role', overrides); }
+  /** @param {Object} [overrides] - site is required */
+  suppression(overrides) { return this.create('suppression', overrides); }
+  /** @param {Object} [overrides] */
+  telegramMessage(overrides) { return this.create('telegramMessage', overrides); }
+  /** @param {Object} [overrides] */
+  telegramGroup(overrides) { return this.create('telegramGroup', overrides); }
+
+  /**
+   * Archive one entity now and stop tracking it (for tests that check archiving themselves,
+   * use this instead of the page object so cleanup does not look for it again)
+   * @param {Object} entity - create() result
+   */
+  async archive(entity) {
+    const adapter = this.adapter(entity.kind);
+    await this.selectCompany(entity.company);
+    await adapter.open(this, 'archive');
+    await adapter.archive(this, entity);
+    this.created = this.created.filter((e) => e !== entity);
+  }
+
+  /**
+   * Archive everything this factory created, newest first (users before the roles they hold).
+   * Entities no longer listed count as already gone; a failure is reported and the rest go on.
+   * @returns {Promise<{archived: Object[], alreadyGone: Object[], failed: Object[]}>}
+   */
+  async cleanup() {
+    const summary = { archived: [], alreadyGone: [], failed: [] };
+    if (this.created.length === 0) return summary;
+    console.log(`[TestDataFactory] Cleaning up ${this.created.length} entit${this.created.length === 1 ? 'y' : 'ies'}`);
+    // A failed test may have left a form or dialog open
+    await this.page.keyboard?.press('Escape').catch(() => {});
+
+    for (const entity of [...this.created].reverse()) {
+      const adapter = this.adapter(entity.kind);
+      try {
+        await this.selectCompany(entity.company);
+        await adapter.open(this, 'archive');
+        if (await adapter.exists(this, entity)) {
+          await adapter.archive(this, entity);
+          summary.archived.push(entity);
+        } else {
+          summary.alreadyGone.push(entity);
+        }
+        this.created = this.created.filter((e) => e !== entity);
+      } catch (error) {
+        console.warn(`[TestDataFactory] ⚠️ Could not clean up ${adapter.label} "${entity.name}": ${error.message}`);
+        summary.failed.push({ ...entity, error: error.message });
+      }
+    }
+
+    console.log(`[TestDataFactory] Clean-up: ${summary.archived.length} archived, ${summary.alreadyGone.length} already gone, ${summary.failed.length} failed`);
+    return summary;
+  }
+
+  /**
+   * The company selected in the header, or null when it cannot be read
+   * @returns {Promise<string|null>}
+   */
+  async currentCompany() {
+    const text = await this.page.locator(SELECTED_COMPANY).textContent({ timeout: 5000 }).catch(() => null);
+    return text?.trim() || null;
+  }
+
+  /**
+   * Select the company an entity was created under, when the test moved to another one
+   * @param {string|null} company
+   */
+  async selectCompany(company) {
+    if (!company || company === await this.currentCompany()) return;
+    await this.sharedSteps.selectCompany(company);
+  }
+}
+
+/**
+ * One-line description of an entity clean-up could not archive, for a test annotation
+ * @param {Object} entity - Entry of cleanup().failed
+ */
+export function describeLeftover({ kind, name, company, error }) {
+  return `${kind} "${name}"${company ? ` @ ${company}` : ''} left behind: ${error}`;
+}
@@ -0,0 +1,96 @@
+// backend/UserManagementPage.js
+// @ts-check
+import { expect } from '@playwright/test';
+
+/**
+ * UserManagementPage - Page Object Model for User Management functionality
+ *
+ * This class provides methods for interacting with the User Management page,
+ * including creating, searching, and archiving users.
+ */
+export class UserManagementPage {
+  /**
+   * @param {import('@playwright/test').Page} page
+   */
+  constructor(page) {
+    this.page = page;
+    // Buttons
+    this.createNewBtn = page.locator("//button[.//span[text()='Create New']]");
+    this.createUserBtn = page.locator("//span[text()='CREATE NEW USER']");
+    this.searchToggleBtn = page.locator('[data-test-id="search-toggle"]');
+    this.searchInput = page.locator('[data-test-id="search-input"]');
+    this.archiveYesBtn = page.locator("button:has-text('Yes')");
+    // Form fields
+    this.firstNameInput = page.locator('[data-test-id="firstNameField"]');
+    this.lastNameInput = page.locator('[data-test-id="lastNameField"]');
+    this.emailInput = page.locator('[data-test-id="emailAddressField"]');
+    this.contactNumberInput = page.locator('[data-test-id="contactNumberField"]');
+    this.roleDropdown = page.locator('[data-test-id="roleDropdown"]');
+    /** @param {string} text - Name or email shown in the row */
+    this.userRow = (text) => page.locator('table tbody tr').filter({ hasText: text });
+  }
+
+  /**
+   * Clicks the Create New button
+   */
+  async clickCreateNew() {
+    console.log('[UserManagement] Clicking Create New...');
+    await this.createNewBtn.click();
+  }
+
+  /**
+   * Fills out the user creation form
+   * @param {Object} formData
+   * @param {string} formData.firstName
+   * @param {string} formData.lastName
+   * @param {string} formData.email
+   * @param {string} formData.contactNumber
+   * @param {string} formData.role - Option text in the role dropdown
+   */
+  async fillUserForm({ firstName, lastName, email, contactNumber, role }) {
+    console.log(`[UserManagement] Filling user form: ${firstName} ${lastName}`);
+    await this.firstNameInput.fill(firstName);
+    await this.lastNameInput.fill(lastName);
+    await this.emailInput.fill(email);
+    await this.contactNumberInput.fill(contactNumber);
+
+    await this.roleDropdown.click();
+    // Wait for dropdown options to render
+    await this.page.waitForTimeout(500);
+    await this.page.locator(`text="${role}"`).first().click();
+  }
+
+  /**
+   * Clicks Create New User and waits for the form to close
+   */
+  async saveNewUser() {
+    console.log('[UserManagement] Saving new user...');
+    await this.createUserBtn.click();
+    await expect(this.createUserBtn).toBeHidden({ timeout: 15000 });
+  }
+
+  /**
+   * Searches for a user by name or email
+   * @param {string} text
+   */
+  async searchUser(text) {
+    console.log(`[UserManagement] Searching for user: ${text}`);
+    if (!(await this.searchInput.isVisible())) {
+      await this.searchToggleBtn.click();
+    }
+    await this.searchInput.fill(text);
+    await this.page.waitForTimeout(1000);
+  }
+
+  /**
+   * Archives the user whose row shows `text` (name or email)
+   * @param {string} text
+   */
+  async archiveUser(text) {
+    console.log(`[UserManagement] Archiving user: ${text}`);
+    const row = this.userRow(text).first();
+    await row.locator('[data-test-id="archiveButton"]').click();
+    await this.archiveYesBtn.click();
+    await expect(this.userRow(text)).toHaveCount(0, { timeout: 15000 });
+  }
+}
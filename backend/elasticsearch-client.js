@@ -2,6 +2,8 @@ import axios from 'axios';
 import dotenv from 'dotenv';
 import path from 'path';
 import fs from 'fs';
+import { getProfile } from '../utils/profile.js';
+import { DispatchQuery, DISPATCH_ID_FIELDS } from './DispatchQuery.js';
 
 function ensureEnvLoaded() {
   if (process.env.ELASTICSEARCH_URL) return; // already loaded
@@ -23,24 +25,33 @@ function ensureEnvLoaded() {
 ensureEnvLoaded();
 
 class ElasticsearchClient {
-  constructor() {
-    this.baseURL = process.env.ELASTICSEARCH_URL;
-    this.index = process.env.ELASTICSEARCH_INDEX || 'proof360-dispatch*';
+  /**
+   * @param {Object} [options] - Overrides for the profile's elasticsearch section
+   *   ({ url, index, apiKey, username, password }), e.g. to point at a LocalElasticsearchServer
+   */
+  constructor(options = {}) {
+    // Connection settings come from the environment profile (elasticsearch section)
+    const profile = getProfile();
+    const { url, index, apiKey, username, password } = { ...profile.elasticsearch, ...options };
+    this.fixtures = {
+      companyName: profile.companies?.default || 'Automation company',
+      siteName: profile.sites?.unusual_behaviour || 'WVRD_9th Ave and JG Strydom Rd_62'
+    };
+    this.baseURL = url;
+    this.index = index || 'proof360-dispatch*';
 
     if (!this.baseURL) {
-      throw new Error('ELASTICSEARCH_URL environment variable is required');
+      throw new Error('ELASTICSEARCH_URL environment variable is required (elasticsearch.url in the profile)');
     }
 
     this.headers = {
       'Content-Type': 'application/json',
     };
 
-    if (process.env.ELASTICSEARCH_API_KEY) {
-      this.headers['Authorization'] = `ApiKey ${process.env.ELASTICSEARCH_API_KEY}`;
-    } else if (process.env.ELASTICSEARCH_USERNAME && process.env.ELASTICSEARCH_PASSWORD) {
-      const auth = Buffer.from(
-        `${process.env.ELASTICSEARCH_USERNAME}:${process.env.ELASTICSEARCH_PASSWORD}`
-      ).toString('base64');
+    if (apiKey) {
+      this.headers['Authorization'] = `ApiKey ${apiKey}`;
+    } else if (username && password) {
+      const auth = Buffer.from(`${username}:${password}`).toString('base64');
       this.headers['Authorization'] = `Basic ${auth}`;
     } else {
       throw new Error('Either ELASTICSEARCH_API_KEY or ELASTICSEARCH_USERNAME/PASSWORD must be provided');
@@ -62,8 +73,8 @@ class ElasticsearchClient {
 
   async searchDispatchRecords(filters = {}) {
     const {
-      companyName = 'Automation company',
-      siteName = 'WVRD_9th Ave and JG Strydom Rd_62',
+      companyName = this.fixtures.companyName,
+      siteName = this.fixtures.siteName,
       timeRange = 'now-24h',
       size = 10
     } = filters;
@@ -125,30 +136,46 @@ class ElasticsearchClient {
   }
 
   extractDispatchId(hit) {
-    const source = hit._source;
+    const found = this.#dispatchIdOf(hit._source);
+    if (found) {
+      console.log(`Found dispatch ID in field '${found.field}': ${found.value}`);
+      return found.value;
+    }
+
+    console.warn('No dispatch ID found in record:', hit._source);
+    return null;
+  }
 
+  #dispatchIdOf(source) {
     const valueFrom = (obj, path) => path.split('.').reduce((current, key) => current?.[key], obj);
 
-    const possibleFields = [
-      'dispatchId',
-      'internalDispatchId',
-      'id',
-      'responseData.callout.calloutid',
-      'responseData.callout.acknowledged'
-    ];
+    const possibleFields = [...DISPATCH_ID_FIELDS, 'responseData.callout.acknowledged'];
 
     for (const field of possibleFields) {
       const value = valueFrom(source, field);
-      if (value) {
-        console.log(`Found dispatch ID in field '${field}': ${value}`);
-        return value;
-      }
+      if (value) return { field, value };
     }
-
-    console.warn('No dispatch ID found in record:', source);
     return null;
   }
 
+  /**
+   * Flatten a hit into the record shape searchDispatches() returns
+   * @param {Object} hit
+   * @returns {Object}
+   */
+  toRecord(hit) {
+    const source = hit._source || {};
+    return {
+      dispatchId: this.#dispatchIdOf(source)?.value ?? null,
+      companyName: source.companyName,
+      siteName: source.siteName || source.groupName || source.assetName,
+      alertType: source.alertType,
+      timestamp: source.actionTimestamp,
+      proofStatus: source.proofStatus,
+      ...source
+    };
+  }
+
   async getLatestDispatchId(filters = {}) {
     try {
       const results = await this.searchDispatchRecords({ ...filters, size: 1 });
@@ -184,24 +211,121 @@ class ElasticsearchClient {
       }
 
       // Extract and return the dispatch records as an array
-      return results.hits.hits.map(hit => {
-        const source = hit._source;
-        return {
-          dispatchId: this.extractDispatchId(hit),
-          companyName: source.companyName,
-          siteName: source.siteName || source.groupName || source.assetName,
-          alertType: source.alertType,
-          timestamp: source.actionTimestamp,
-          proofStatus: source.proofStatus,
-          ...source
-        };
-      });
+      return results.hits.hits.map(hit => ({ ...this.toRecord(hit), dispatchId: this.extractDispatchId(hit) }));
     } catch (error) {
       console.error('Failed to search dispatches:', error);
       return [];
     }
   }
 
+  /**
+   * Start a query: filters by company, site, dispatch id, incident id, alert type,
+   * proof/responder status and time window, plus sorting, paging and counts.
+   * @returns {DispatchQuery}
+   */
+  query() {
+    return new DispatchQuery();
+  }
+
+  /**
+   * Run one page of a query
+   * @param {DispatchQuery|Object} query - Builder or raw _search body
+   * @returns {Promise<{total: number, records: Object[], hits: Object[], aggregations: Object, nextAfter: Array|undefined}>}
+   *   nextAfter is set when the page was full; pass it to query.after() for the next page
+   */
+  async search(query) {
+    const body = query instanceof DispatchQuery ? query.toBody() : query;
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/${this.index}/_search`,
+        body,
+        { headers: this.headers }
+      );
+
+      const hits = response.data.hits?.hits || [];
+      const total = response.data.hits?.total;
+      const pageSize = body.size ?? 10;
+      return {
+        total: typeof total === 'number' ? total : total?.value ?? hits.length,
+        records: hits.map((hit) => this.toRecord(hit)),
+        hits,
+        aggregations: response.data.aggregations || {},
+        nextAfter: pageSize > 0 && hits.length === pageSize ? hits[hits.length - 1].sort : undefined
+      };
+    } catch (error) {
+      console.error('Elasticsearch search error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Every record matching a query, paging with search_after
+   * @param {DispatchQuery} query
+   * @param {Object} [options]
+   * @param {number} [options.maxPages=20] - Safety limit; more matches than this throws rather
+   *   than returning a truncated list
+   * @returns {Promise<Object[]>}
+   */
+  async searchAll(query, { maxPages = 20 } = {}) {
+    const records = [];
+    let page = query.clone().after(undefined);
+    for (let i = 0; i < maxPages; i++) {
+      const result = await this.search(page);
+      records.push(...result.records);
+      if (!result.nextAfter) return records;
+      page = page.clone().after(result.nextAfter);
+    }
+    throw new Error(`[ES] searchAll stopped after ${maxPages} pages (${records.length} records) with more matches left; narrow the query or raise maxPages`);
+  }
+
+  /**
+   * Document counts per value of a field, e.g. countBy('proofStatus')
+   * @param {string} field
+   * @param {DispatchQuery} [query] - Restricts which documents are counted
+   * @returns {Promise<Object<string, number>>}
+   */
+  async countBy(field, query = this.query()) {
+    const result = await this.search(query.clone().size(0).countBy(field));
+    const buckets = result.aggregations[`by_${field}`]?.buckets || [];
+    return Object.fromEntries(buckets.map((bucket) => [bucket.key, bucket.doc_count]));
+  }
+
+  /**
+   * Poll until a matching dispatch document is indexed
+   * @param {DispatchQuery|((record: Object) => boolean)} predicate - Query whose first hit wins,
+   *   or a test applied to the records of `options.query`
+   * @param {number} [timeout=60000]
+   * @param {Object} [options]
+   * @param {DispatchQuery} [options.query] - Records to test (default: last 15 minutes, newest 50)
+   * @param {number} [options.interval=2000] - Delay between polls
+   * @returns {Promise<Object>} The matching record
+   */
+  async waitForDocument(predicate, timeout = 60000, { query, interval = 2000 } = {}) {
+    const isQuery = predicate instanceof DispatchQuery;
+    const search = isQuery ? predicate : query || this.query().since('now-15m').size(50);
+    const test = isQuery ? () => true : predicate;
+    const deadline = Date.now() + timeout;
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+      try {
+        const match = (await this.search(search)).records.find(test);
+        if (match) {
+          console.log(`[ES] ✅ Document found after ${attempt} poll(s): ${match.dispatchId}`);
+          return match;
+        }
+      } catch (error) {
+        // A bad query or bad credentials will not fix themselves
+        if ([400, 401, 403].includes(error.response?.status)) throw error;
+      }
+      if (Date.now() + interval > deadline) {
+        throw new Error(`[ES] waitForDocument timed out after ${timeout}ms (${attempt} polls)`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, interval));
+    }
+  }
+
   async close() {
     // Axios doesn't require explicit connection closing like other HTTP clients
     // This method exists for compatibility but doesn't need to do anything
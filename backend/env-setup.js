@@ -1,6 +1,7 @@
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getSecret } from '../utils/secrets.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -8,16 +9,16 @@ const __dirname = path.dirname(__filename);
 // Load environment variables from project root
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
-// Export commonly used environment variables
-export const USERNAME = process.env.ADMIN_MS_USERNAME;
-export const PASSWORD = process.env.ADMIN_MS_PASSWORD;
-export const AURA_EMAIL = process.env.AURA_EMAIL;
-export const AURA_PASSWORD = process.env.AURA_PASSWORD;
+// Export commonly used environment variables (credentials via the secrets provider)
+export const USERNAME = getSecret('ADMIN_MS_USERNAME');
+export const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
+export const AURA_EMAIL = getSecret('AURA_EMAIL');
+export const AURA_PASSWORD = getSecret('AURA_PASSWORD');
 export const DEFAULT_COMPANY = process.env.TEST_COMPANY || 'Automation company';
 export const DISPATCH_ID = process.env.DISPATCH_ID;
 export const TEST_ES_SITE = process.env.TEST_ES_SITE;
 
 // Validate critical environment variables
 if (!USERNAME || !PASSWORD) {
-    throw new Error('ADMIN_MS_USERNAME and ADMIN_MS_PASSWORD environment variables must be set in .env file');
+    throw new Error('ADMIN_MS_USERNAME and ADMIN_MS_PASSWORD must be set (.env or the configured SECRETS_PROVIDER)');
 }
\ No newline at end of file
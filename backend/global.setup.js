@@ -1,8 +1,9 @@
 // e2e/global.setup.js
 import { chromium } from '@playwright/test';
-import { AdminLoginPage } from './AdminLoginPage.js';
-import { SessionManager } from './SessionManager.js';
+import { getSessionRegistry } from './SessionRegistry.js';
 import { testArtifactsCleanup } from './TestArtifactsCleanup.js';
+import { currentRunId } from './reports/ReportRegistry.js';
+import { getProfile } from '../utils/profile.js';
 import dotenv from 'dotenv';
 import path from 'path';
 
@@ -13,69 +14,44 @@ const __dirname = path.dirname(__filename);
 
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
-const ADMIN_USERNAME = process.env.ADMIN_MS_USERNAME;
-const ADMIN_PASSWORD = process.env.ADMIN_MS_PASSWORD;
-const NORMAL_USERNAME = process.env.NORMAL_MS_USERNAME;
-const NORMAL_PASSWORD = process.env.NORMAL_MS_PASSWORD;
+/**
+ * Log an identity in unless its saved session is still valid (see backend/SessionRegistry.js)
+ * @param {string} name - Identity, e.g. 'admin'
+ * @param {string} baseURL
+ * @param {{required?: boolean}} [options] - A failed login of a required identity fails the run
+ */
+async function setupIdentitySession(name, baseURL, { required = false } = {}) {
+  console.log(`[GlobalSetup] Setting up ${name} session...`);
+  const registry = getSessionRegistry();
 
-async function setupUserSession(userType, username, password, baseURL) {
-  console.log(`[GlobalSetup] Setting up ${userType} user session...`);
-  
-  const sessionManager = new SessionManager(userType);
-  
-  // Check if we already have a valid session
-  const hasValidSession = await sessionManager.hasValidSession();
-  if (hasValidSession) {
-    console.log(`[GlobalSetup] Valid ${userType} session found, skipping login`);
+  const status = registry.status(name);
+  if (status.valid) {
+    console.log(`[GlobalSetup] ${name} session ${status.reason}, skipping login`);
+    return;
+  }
+
+  try {
+    registry.credentials(name);
+  } catch (error) {
+    console.log(`[GlobalSetup] Username or Password not provided for ${name}, skipping setup (${error.message})`);
     return;
   }
 
-  console.log(`[GlobalSetup] No valid ${userType} session found, performing login...`);
-  
   const browser = await chromium.launch({ 
     headless: !process.env.PWDEBUG && !process.argv.includes('--headed'),
   });
-  const context = await browser.newContext({ baseURL });
-  const page = await context.newPage();
-
   try {
-    const adminLoginPage = new AdminLoginPage(page);
-    console.log(`[GlobalSetup] Attempting ${userType} login with username: ${username ? 'provided' : 'NOT PROVIDED'}`);
-    
-    if (!username || !password) {
-      console.log(`[GlobalSetup] Username or Password not provided for ${userType} user, skipping setup`);
-      return;
-    }
-    
-    await adminLoginPage.login(username, password);
-    console.log(`[GlobalSetup] ${userType} login method called. Verifying login success...`);
-    
-    await page.waitForURL('**/command', { timeout: 60000 });
-    console.log(`[GlobalSetup] ${userType} successfully navigated to /command. Login appears successful.`);
-
-    console.log(`[GlobalSetup] Waiting for network idle before saving ${userType} state...`);
-    
-
-    await page.context().storageState({ path: sessionManager.getStorageStatePath() });
-    await sessionManager.markSessionValid();
-    console.log(`[GlobalSetup] ${userType} storage state saved and session marked as valid`);
+    await registry.ensure(name, { browser, baseURL });
+    console.log(`[GlobalSetup] ${name} storage state saved`);
   } catch (error) {
-    console.error(`[GlobalSetup] Error during ${userType} login and saving storage state:`, error);
-    
-    // Try to take screenshot for debugging, but don't let it fail the setup
-    try {
-      await page.screenshot({ path: `debug-global-setup-${userType}-login-failed.png`, fullPage: true });
-    } catch (screenshotError) {
-      console.warn(`[GlobalSetup] Could not take debug screenshot for ${userType}:`, screenshotError.message);
-    }
-    
-    // Don't throw error for missing normal user - some environments might not have it
-    if (userType === 'admin') {
+    console.error(`[GlobalSetup] Error during ${name} login and saving storage state:`, error);
+    // Only the identity the default storage state belongs to is required
+    if (required) {
       throw error;
     }
   } finally {
     await browser.close();
-    console.log(`[GlobalSetup] ${userType} browser closed.`);
+    console.log(`[GlobalSetup] ${name} browser closed.`);
   }
 }
 
@@ -89,16 +65,23 @@ async function globalSetup(config) {
     console.warn('[GlobalSetup] Warning: Cleanup failed, continuing with setup:', error.message);
   }
   
+  // One report registry file per run; workers inherit REPORT_RUN_ID
+  console.log(`[GlobalSetup] Report run id: ${currentRunId()}`);
+  
   // Ensure baseURL is correctly accessed
   const baseURL = config.projects && config.projects[0] && config.projects[0].use && config.projects[0].use.baseURL 
                   ? config.projects[0].use.baseURL 
-                  : 'https://uat.proof360.io/';
+                  : getProfile().baseUrl;
 
-  // Setup admin session (required)
-  await setupUserSession('admin', ADMIN_USERNAME, ADMIN_PASSWORD, baseURL);
+  // Admin session (required): the default storageState of every project
+  await setupIdentitySession('admin', baseURL, { required: true });
   
-  // Setup normal user session (optional)
-  await setupUserSession('normal', NORMAL_USERNAME, NORMAL_PASSWORD, baseURL);
+  // Other identities are logged in lazily by the worker that needs them; SESSION_PRELOAD lists
+  // the ones to log in up front (default: normal)
+  const preload = (process.env.SESSION_PRELOAD ?? 'normal').split(',').map((name) => name.trim()).filter(Boolean);
+  for (const name of preload.filter((name) => name !== 'admin')) {
+    await setupIdentitySession(name, baseURL);
+  }
   
   console.log('[GlobalSetup] Global setup completed');
 }
@@ -0,0 +1,46 @@
+// backend/global.teardown.js
+import { chromium } from '@playwright/test';
+import { SessionManager } from './SessionManager.js';
+import { sweepReports, parseAge } from './reports/ReportSweeper.js';
+import { getProfile } from '../utils/profile.js';
+import { getSecret } from '../utils/secrets.js';
+import fs from 'fs';
+
+/**
+ * Sweep the reports this run (or an earlier, crashed run) left behind.
+ * REPORT_SWEEP=0 turns it off; REPORT_SWEEP_MIN_AGE (default 2h) and REPORT_SWEEP_ACTION
+ * (archive | delete) tune it. Failures are logged, never fail the run.
+ */
+async function globalTeardown(config) {
+  if (process.env.REPORT_SWEEP === '0') {
+    console.log('[GlobalTeardown] REPORT_SWEEP=0, skipping report sweep');
+    return;
+  }
+
+  const sessionManager = new SessionManager('admin');
+  if (!fs.existsSync(sessionManager.getStorageStatePath())) {
+    console.log('[GlobalTeardown] No admin session, skipping report sweep');
+    return;
+  }
+
+  const baseURL = config.projects?.[0]?.use?.baseURL || getProfile().baseUrl;
+  const browser = await chromium.launch({ headless: true });
+
+  try {
+    const context = await browser.newContext({ baseURL, storageState: sessionManager.getStorageStatePath() });
+    const page = await context.newPage();
+    await page.goto('/command', { waitUntil: 'domcontentloaded', timeout: 90000 });
+
+    await sweepReports(page, {
+      olderThanMs: parseAge(process.env.REPORT_SWEEP_MIN_AGE || '2h'),
+      action: process.env.REPORT_SWEEP_ACTION || 'archive',
+      createdBy: getSecret('ADMIN_MS_USERNAME')
+    });
+  } catch (error) {
+    console.warn(`[GlobalTeardown] ⚠️ Report sweep failed (non-fatal): ${error.message}`);
+  } finally {
+    await browser.close();
+  }
+}
+
+export default globalTeardown;
@@ -0,0 +1,28 @@
+// backend/local-event-grid.setup.js
+// Global setup for offline API runs: starts the LocalEventGridServer and switches
+// to the 'local' environment profile (profiles/local.json), pointed at its port.
+import { LocalEventGridServer } from './LocalEventGridServer.js';
+
+async function localEventGridSetup() {
+  if (process.env.EVENT_GRID_LOCAL === '0') {
+    console.log('[LocalEventGridSetup] EVENT_GRID_LOCAL=0, publishing to the configured Event Grid endpoint');
+    return;
+  }
+
+  const server = new LocalEventGridServer({ port: Number(process.env.EVENT_GRID_LOCAL_PORT || 0) });
+  const eventsUrl = await server.start();
+
+  // Workers inherit process.env from the runner, so every spec sees the stand-in
+  process.env.ENVIRONMENT = 'local';
+  process.env.EVENT_GRID_URL = eventsUrl;
+  process.env.EVENT_GRID_LOCAL_KEY = server.sasKey;
+  process.env.EVENT_GRID_LOCAL_URL = server.url;
+
+  console.log(`[LocalEventGridSetup] Event Grid stand-in ready at ${eventsUrl}`);
+
+  return async () => {
+    await server.stop();
+  };
+}
+
+export default localEventGridSetup;
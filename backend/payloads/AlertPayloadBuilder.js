@@ -0,0 +1,460 @@
+// backend/payloads/AlertPayloadBuilder.js
+// Builds Event Grid alert bodies from one definition per alert type and
+// validates them against the versioned JSON Schemas in ./schemas before they
+// are sent. Adding an alert type means adding an entry to ALERT_TYPES.
+//
+// Usage:
+//   const body = AlertPayloadBuilder.for('public_lpr', { topic: cfg.topic })
+//     .plate('TESTGP')
+//     .coordinates(-26.12483, 28.08269)
+//     .build();
+//   await api.post('', { data: body });
+
+import { isoTimestamp, guid } from '../../utils/api.js';
+import { loadSchema, validate } from './SchemaValidator.js';
+
+const FIREFLY_IMAGE = 'https://wwwproof360coza.blob.core.windows.net/isentry-firefly-alert-images/128237_1688624021_2023-07-06-06-13-41_9.idat.jpeg';
+const FIREFLY_VIDEO = 'https://wwwproof360coza.blob.core.windows.net/isentry-firefly-alert-videos/128237_1688624021_2023-07-06-06-13-41_9.idat.mp4';
+const ISENTRY_IMAGE = 'https://wwwproof360coza.blob.core.windows.net/isentry/e11001f382d14138a9040a7a3d8a9a5a.jpg';
+
+export class PayloadValidationError extends Error {
+  /**
+   * @param {string} alertType
+   * @param {string} schemaId
+   * @param {string[]} errors
+   */
+  constructor(alertType, schemaId, errors) {
+    super(`[AlertPayloadBuilder] ${alertType} payload does not match schema ${schemaId}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'PayloadValidationError';
+    this.alertType = alertType;
+    this.schemaId = schemaId;
+    this.errors = errors;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Envelopes - one per event contract, shared by the alert types that use it
+// ---------------------------------------------------------------------------
+
+function fireflyEnvelope(f, topic) {
+  const now = isoTimestamp();
+  return {
+    id: guid(),
+    subject: 'iSentry Firefly Alert',
+    data: {
+      source: 'iSentry Firefly',
+      ref: guid(),
+      type: f.reason,
+      timestamp: now,
+      deviceIdList: [f.deviceId],
+      data: {
+        organisationId: [],
+        reason: f.reason,
+        description: f.reason,
+        shortDescription: f.reason,
+        localId: guid(),
+        priority: f.priority,
+        cameraName: f.cameraName,
+        escalationActionName: '',
+        escalationClassificationName: ''
+      },
+      imageList: f.images,
+      videoList: f.videos
+    },
+    eventType: 'iSentry Firefly Event',
+    dataVersion: '2.0',
+    metadataVersion: '1',
+    eventTime: now,
+    topic
+  };
+}
+
+function isentryApiEnvelope(f, topic) {
+  const now = isoTimestamp();
+  return {
+    id: guid(),
+    subject: 'iSentry API',
+    data: {
+      source: 'iSentry API',
+      ref: guid(),
+      type: f.reason,
+      timestamp: now,
+      deviceIdList: [f.deviceId],
+      data: {
+        organisationId: '',
+        reason: f.reason,
+        localId: f.localId,
+        priority: f.priority,
+        cameraName: f.cameraName,
+        timeZone: f.timeZone,
+        frames: [
+          {
+            Number: 0,
+            ActionApplied: 0,
+            MasterFrame: false,
+            AlertFrame: {
+              ImagePixelFormat: 137224,
+              Number: 0,
+              FrameNumber: 130527,
+              HighRes: true,
+              FrameID: guid(),
+              iSentryServerID: guid(),
+              MSCameraID: f.deviceId,
+              Timestamp: Date.now(),
+              TimestampUTC: now,
+              CameraID: 1496,
+              FrameImageType: 0,
+              Width: 384,
+              Height: 288,
+              Bounding_Box_Inclusion_Percentage: 2,
+              Facial_Inflation_Percentage: 15,
+              TrackingID: '00000000-0000-0000-0000-000000000000',
+              Created: now,
+              ImageURL: f.images[0]
+            }
+          }
+        ],
+        alertIdInt: 267
+      },
+      imageList: f.images,
+      videoList: f.videos
+    },
+    eventType: 'iSentry Event',
+    dataVersion: '4.0',
+    metadataVersion: '1',
+    eventTime: now,
+    topic
+  };
+}
+
+function lprEnvelope(f, topic) {
+  const now = isoTimestamp();
+  return {
+    data: {
+      data: {
+        cameraName: f.cameraName,
+        direction: f.direction,
+        imageList: f.images,
+        isSuperVOI: f.isSuperVOI,
+        latitude: f.latitude,
+        levelOfIncidence: {
+          caseNumber: f.caseNumber,
+          crimeType: f.crimeType,
+          id: f.levelId,
+          isPublic: f.voiSource === 'Public' ? 1 : 0,
+          level: 1,
+          organizationId: f.organizationId,
+          schedule: '',
+          timeCreated: f.levelTimeCreated
+        },
+        longitude: f.longitude,
+        organizationId: f.organizationId,
+        plateId: f.plateId,
+        timeCaptured: now,
+        timeDispatched: now,
+        voiSource: f.voiSource
+      },
+      deviceIdList: [f.deviceId],
+      ref: guid(),
+      source: 'proof',
+      timestamp: now,
+      type: 'plate'
+    },
+    dataVersion: '2.0',
+    eventTime: now,
+    eventType: 'Vumacam.LPR.AlertDispatchedEvent',
+    id: guid(),
+    metadataVersion: '1',
+    subject: topic,
+    topic
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Alert type registry
+//   schema   - JSON Schema $id in ./schemas
+//   topicKey - key of the topic in the newApiContext() cfg
+//   envelope - (fields, topic) => Event Grid event
+//   defaults - () => fields, read from env at build time
+//   supports - fluent overrides that make sense for this type
+// ---------------------------------------------------------------------------
+
+const ALERT_TYPES = {
+  trex_public: {
+    schema: 'isentry-firefly.v2.0',
+    topicKey: 'isentryFireflyTopic',
+    envelope: fireflyEnvelope,
+    supports: ['device', 'camera', 'priority', 'media'],
+    defaults: () => ({
+      reason: 'Trex',
+      priority: 'Unknown',
+      deviceId: process.env.TREX_DEVICE_ID || '116444',
+      cameraName: process.env.TREX_CAMERA_NAME || '116444',
+      images: [process.env.TREX_IMAGE_URL || FIREFLY_IMAGE],
+      videos: [process.env.TREX_VIDEO_URL || FIREFLY_VIDEO]
+    })
+  },
+
+  trex_private: {
+    schema: 'isentry-firefly.v2.0',
+    topicKey: 'isentryFireflyTopic',
+    envelope: fireflyEnvelope,
+    supports: ['device', 'camera', 'priority', 'media'],
+    defaults: () => ({
+      reason: 'Trex',
+      priority: 'Unknown',
+      deviceId: process.env.TREX_PRIVATE_DEVICE_ID || '123363',
+      cameraName: process.env.TREX_PRIVATE_CAMERA_ID || '123352',
+      images: [process.env.TREX_IMAGE_URL || FIREFLY_IMAGE],
+      videos: [process.env.TREX_VIDEO_URL || FIREFLY_VIDEO]
+    })
+  },
+
+  unusual_behaviour: {
+    schema: 'isentry-api.v4.0',
+    topicKey: 'isentryTopic',
+    envelope: isentryApiEnvelope,
+    supports: ['device', 'camera', 'priority', 'media'],
+    defaults: () => ({
+      reason: 'Unusual Behaviour',
+      priority: 'HIGH',
+      timeZone: 'Day',
+      localId: guid(),
+      // Timestamp suffix keeps each UB alert on its own card
+      deviceId: `${process.env.UB_DEVICE_ID || '7B2951D9-59AA-4651-87D4-3D27B0B9C0B9'}-${Date.now()}`,
+      cameraName: process.env.UB_CAMERA_NAME || 'Vicp_Opposite 25 Leighton Rd_9.2_T',
+      images: [ISENTRY_IMAGE],
+      videos: []
+    })
+  },
+
+  // Any other iSentry analytic shares the UB contract; only the reason differs
+  object_motion: {
+    schema: 'isentry-api.v4.0',
+    topicKey: 'isentryTopic',
+    envelope: isentryApiEnvelope,
+    supports: ['device', 'camera', 'priority', 'media', 'reason'],
+    defaults: () => ({
+      reason: 'Object Motion',
+      priority: 'HIGH',
+      timeZone: 'Day',
+      localId: guid(),
+      deviceId: `${process.env.OM_DEVICE_ID || process.env.UB_DEVICE_ID || '7B2951D9-59AA-4651-87D4-3D27B0B9C0B9'}-${Date.now()}`,
+      cameraName: process.env.OM_CAMERA_NAME || process.env.UB_CAMERA_NAME || 'Vicp_Opposite 25 Leighton Rd_9.2_T',
+      images: [ISENTRY_IMAGE],
+      videos: []
+    })
+  },
+
+  public_lpr: {
+    schema: 'vumacam-lpr-alert-dispatched.v2.0',
+    topicKey: 'topic',
+    envelope: lprEnvelope,
+    supports: ['device', 'camera', 'plate', 'coordinates', 'media'],
+    defaults: () => ({
+      deviceId: process.env.PUBLIC_LPR_DEVICE_ID || '121467',
+      cameraName: process.env.PUBLIC_LPR_CAMERA_NAME || 'MCLN_Berea Str and Bourke Str_20.4_A',
+      plateId: process.env.PLATE_ID2 || 'TESTGP',
+      latitude: Number(process.env.PUBLIC_LPR_LATITUDE || -26.124830),
+      longitude: Number(process.env.PUBLIC_LPR_LONGITUDE || 28.082690),
+      organizationId: Number(process.env.ORGANIZATION_ID || 100526),
+      direction: 'forward',
+      isSuperVOI: false,
+      voiSource: 'Public',
+      caseNumber: process.env.PUBLIC_LPR_CASE_NUMBER || 'CAS 128/11/20',
+      crimeType: process.env.PUBLIC_LPR_CRIME_TYPE || 'Common Robbery',
+      levelId: process.env.PUBLIC_LPR_LEVEL_ID || '05ce87af-55c0-477e-a148-73c708a859a6',
+      levelTimeCreated: process.env.PUBLIC_LPR_TIME_CREATED || '2022-11-06T13:48:58.843Z',
+      images: [],
+      videos: []
+    })
+  },
+
+  // Private / Super VOI - plate listed by the organisation itself
+  private_lpr: {
+    schema: 'vumacam-lpr-alert-dispatched.v2.0',
+    topicKey: 'topic',
+    envelope: lprEnvelope,
+    supports: ['device', 'camera', 'plate', 'coordinates', 'media'],
+    defaults: () => ({
+      deviceId: process.env.PRIVATE_LPR_DEVICE_ID || process.env.DEVICE_ID_PRIVATE || '127711',
+      cameraName: process.env.PRIVATE_LPR_CAMERA_NAME || 'LYNWRD_#70 Maldon Rd _01.1_A',
+      plateId: process.env.PLATE_ID || 'JH43DHGP',
+      latitude: Number(process.env.PRIVATE_LPR_LATITUDE || -26.115837),
+      longitude: Number(process.env.PRIVATE_LPR_LONGITUDE || 28.08269),
+      organizationId: Number(process.env.ORGANIZATION_ID || 100526),
+      direction: 'forward',
+      isSuperVOI: true,
+      voiSource: 'Private',
+      caseNumber: process.env.PRIVATE_LPR_CASE_NUMBER || 'CAS 128/11/20',
+      crimeType: process.env.PRIVATE_LPR_CRIME_TYPE || 'Common Robbery',
+      levelId: process.env.PRIVATE_LPR_LEVEL_ID || process.env.PUBLIC_LPR_LEVEL_ID || '05ce87af-55c0-477e-a148-73c708a859a6',
+      levelTimeCreated: process.env.PUBLIC_LPR_TIME_CREATED || '2022-11-06T13:48:58.843Z',
+      images: [],
+      videos: []
+    })
+  }
+};
+
+/**
+ * Names of all alert types the builder knows about
+ * @returns {string[]}
+ */
+export function alertTypes() {
+  return Object.keys(ALERT_TYPES);
+}
+
+/**
+ * Identifiers carried by a built event. EventPublisher returns these from every
+ * publish call so a spec can find the exact card its alert produced
+ * (see AlertsDashboardPage.findAlertCard).
+ * @param {Object} event - Event Grid event from buildEvent()
+ * @returns {{eventId: string, ref: string, localId?: string, deviceId: string, cameraName: string,
+ *            plateId?: string, cardLabel: string, eventType: string, topic: string, eventTime: string}}
+ */
+export function correlationIds(event) {
+  const inner = event.data?.data || {};
+  const isPlate = event.data?.type === 'plate';
+  const ids = {
+    eventId: event.id,
+    ref: event.data?.ref,
+    localId: inner.localId,
+    deviceId: event.data?.deviceIdList?.[0],
+    cameraName: inner.cameraName,
+    plateId: inner.plateId,
+    // Alert type text shown on the stack card
+    cardLabel: isPlate ? 'LPR' : inner.reason,
+    eventType: event.eventType,
+    topic: event.topic,
+    eventTime: event.eventTime
+  };
+  return Object.fromEntries(Object.entries(ids).filter(([, value]) => value !== undefined));
+}
+
+export class AlertPayloadBuilder {
+  /**
+   * @param {string} alertType - One of alertTypes()
+   * @param {Object} [options]
+   * @param {string} [options.topic] - Event Grid topic; required by every schema
+   */
+  constructor(alertType, options = {}) {
+    const definition = ALERT_TYPES[alertType];
+    if (!definition) {
+      throw new Error(`[AlertPayloadBuilder] Unknown alert type: ${alertType}. Use: ${alertTypes().join(', ')}`);
+    }
+    this.alertType = alertType;
+    this.definition = definition;
+    this.topic = options.topic;
+    this.overrides = {};
+  }
+
+  /**
+   * Fluent entry point
+   * @param {string} alertType
+   * @param {Object} [options] - See constructor
+   * @returns {AlertPayloadBuilder}
+   */
+  static for(alertType, options = {}) {
+    return new AlertPayloadBuilder(alertType, options);
+  }
+
+  /**
+   * Build from an API config returned by newApiContext(), picking the right topic
+   * @param {string} alertType
+   * @param {Object} cfg - { topic, isentryTopic, isentryFireflyTopic }
+   * @returns {AlertPayloadBuilder}
+   */
+  static fromConfig(alertType, cfg = {}) {
+    const definition = ALERT_TYPES[alertType];
+    return new AlertPayloadBuilder(alertType, { topic: definition ? cfg[definition.topicKey] : undefined });
+  }
+
+  #override(name, fields) {
+    if (!this.definition.supports.includes(name)) {
+      throw new Error(`[AlertPayloadBuilder] '${name}' override is not supported for ${this.alertType} (supports: ${this.definition.supports.join(', ')})`);
+    }
+    Object.assign(this.overrides, fields);
+    return this;
+  }
+
+  /** @param {string} deviceId */
+  device(deviceId) {
+    return this.#override('device', { deviceId: String(deviceId) });
+  }
+
+  /** @param {string} cameraName */
+  camera(cameraName) {
+    return this.#override('camera', { cameraName: String(cameraName) });
+  }
+
+  /** @param {string} plateId */
+  plate(plateId) {
+    return this.#override('plate', { plateId });
+  }
+
+  /** @param {string} priority - e.g. 'HIGH' for iSentry API, 'Unknown' for Firefly */
+  priority(priority) {
+    return this.#override('priority', { priority });
+  }
+
+  /** @param {string} reason - iSentry analytic reason, e.g. 'Object Motion' */
+  reason(reason) {
+    return this.#override('reason', { reason });
+  }
+
+  /**
+   * @param {number} latitude
+   * @param {number} longitude
+   */
+  coordinates(latitude, longitude) {
+    return this.#override('coordinates', { latitude: Number(latitude), longitude: Number(longitude) });
+  }
+
+  /**
+   * @param {Object} media
+   * @param {string[]} [media.images]
+   * @param {string[]} [media.videos]
+   */
+  media({ images, videos } = {}) {
+    const fields = {};
+    if (images) fields.images = images;
+    if (videos) fields.videos = videos;
+    return this.#override('media', fields);
+  }
+
+  /**
+   * Override any raw field of the alert type definition (escape hatch for
+   * fields without a dedicated method, e.g. { voiSource: 'Private' })
+   * @param {Object} fields
+   */
+  with(fields) {
+    Object.assign(this.overrides, fields);
+    return this;
+  }
+
+  /**
+   * Build and validate the single Event Grid event
+   * @returns {Object}
+   * @throws {PayloadValidationError}
+   */
+  buildEvent() {
+    const fields = { ...this.definition.defaults(), ...this.overrides };
+    const event = this.definition.envelope(fields, this.topic);
+    const errors = validate(loadSchema(this.definition.schema), event);
+    if (errors.length > 0) {
+      throw new PayloadValidationError(this.alertType, this.definition.schema, errors);
+    }
+    return event;
+  }
+
+  /**
+   * Build and validate the request body (Event Grid expects an array of events)
+   * @returns {Object[]}
+   * @throws {PayloadValidationError}
+   */
+  build() {
+    return [this.buildEvent()];
+  }
+}
+
+export default AlertPayloadBuilder;
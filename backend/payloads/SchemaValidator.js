@@ -0,0 +1,127 @@
+// backend/payloads/SchemaValidator.js
+// Minimal JSON Schema (draft-07) validator covering the keywords used by the
+// alert payload schemas in ./schemas: type, required, properties, items,
+// const, enum, minItems, minLength, pattern, minimum, maximum and the
+// date-time / uri formats.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SCHEMA_DIR = path.resolve(__dirname, 'schemas');
+
+const schemaCache = new Map();
+
+/**
+ * Load a schema from backend/payloads/schemas by its $id (file name without .json)
+ * @param {string} schemaId - e.g. 'isentry-firefly.v2.0'
+ * @returns {Object}
+ */
+export function loadSchema(schemaId) {
+  if (!schemaCache.has(schemaId)) {
+    const file = path.join(SCHEMA_DIR, `${schemaId}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`[SchemaValidator] Unknown schema '${schemaId}' (looked in ${SCHEMA_DIR})`);
+    }
+    schemaCache.set(schemaId, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return schemaCache.get(schemaId);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+const formats = {
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value)),
+  uri: (value) => {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema
+ * @param {any} value
+ * @param {string} [pointer='$'] - Path prefix used in error messages
+ * @returns {string[]} Validation errors, empty when valid
+ */
+export function validate(schema, value, pointer = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${pointer} should be ${types.join(' or ')} but is ${typeOf(value)}`);
+      return errors; // Deeper checks are meaningless on the wrong type
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${pointer} should equal ${JSON.stringify(schema.const)} but is ${JSON.stringify(value)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pointer} should be one of ${JSON.stringify(schema.enum)} but is ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${pointer} should have at least ${schema.minLength} character(s)`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${pointer} should match ${schema.pattern} but is ${JSON.stringify(value)}`);
+    }
+    if (schema.format && formats[schema.format] && !formats[schema.format](value)) {
+      errors.push(`${pointer} should be a valid ${schema.format} but is ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${pointer} should be >= ${schema.minimum} but is ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${pointer} should be <= ${schema.maximum} but is ${value}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${pointer} should have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${pointer}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${pointer}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validate(propertySchema, value[key], `${pointer}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
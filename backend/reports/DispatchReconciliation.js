@@ -0,0 +1,257 @@
+// backend/reports/DispatchReconciliation.js
+// Row-by-row, field-by-field diff between a downloaded dispatch report (XLSX/CSV parsed
+// by DispatchReportParser to { headers, rows }) and the dispatch documents in Elasticsearch.
+//
+//   const query = esClient.query().company('Automation company').since('now-1d').fields(true);
+//   const records = await esClient.searchAll(query);
+//   const result = reconcileDispatchReport(parsedReport, records, { tolerances: { timestampMs: 120_000 } });
+//   console.log(formatReconciliation(result));
+//   expect(result.ok).toBe(true);
+
+import { DISPATCH_ID_FIELDS, SITE_FIELDS } from '../DispatchQuery.js';
+import { DEFAULT_REPORT_UTC_OFFSET, normaliseHeader, parseReportTimestamp } from './DispatchReportParser.js';
+
+export { DEFAULT_REPORT_UTC_OFFSET, parseReportTimestamp };
+
+export const DEFAULT_TOLERANCES = {
+  timestampMs: 60_000, // report timestamps are rounded to the minute/second
+  coordinate: 0.0001 // degrees, roughly 11 m
+};
+
+/**
+ * Report columns and the document fields they come from. `headers` are matched after
+ * lower-casing and dropping everything but letters and digits ("Incident Id" -> "incidentid").
+ * The first non-empty `es` field wins.
+ */
+export const DISPATCH_REPORT_FIELDS = [
+  { name: 'Dispatch ID', headers: ['dispatchid'], es: DISPATCH_ID_FIELDS, compare: 'id' },
+  { name: 'Incident ID', headers: ['incidentid'], es: ['incidentId'], compare: 'id' },
+  { name: 'Site Name', headers: ['sitename'], es: SITE_FIELDS, compare: 'text' },
+  { name: 'Group Name', headers: ['groupname'], es: ['groupName'], compare: 'text' },
+  { name: 'Company Name', headers: ['companyname', 'company'], es: ['companyName'], compare: 'text' },
+  { name: 'Alert Type', headers: ['alerttype'], es: ['alertType'], compare: 'text' },
+  { name: 'Action Timestamp', headers: ['actiontimestamp'], es: ['actionTimestamp'], compare: 'timestamp' },
+  { name: 'Created At', headers: ['createdat'], es: ['createdAt'], compare: 'timestamp' },
+  { name: 'Proof Status', headers: ['proofstatus'], es: ['proofStatus'], compare: 'text' },
+  { name: 'Responder Status', headers: ['responderstatus'], es: ['responderStatus', 'responseData.callout.status'], compare: 'text' },
+  { name: 'Latitude', headers: ['latitude', 'lat'], es: ['latitude', 'location.lat', 'responseData.callout.latitude'], compare: 'coordinate' },
+  { name: 'Longitude', headers: ['longitude', 'lng', 'lon'], es: ['longitude', 'location.lon', 'responseData.callout.longitude'], compare: 'coordinate' }
+];
+
+const valueAt = (obj, dotted) => dotted.split('.').reduce((value, key) => value?.[key], obj);
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const COMPARATORS = {
+  id: (report, es) => ({ equal: String(report).trim() === String(es).trim() }),
+
+  text: (report, es) => ({
+    equal: String(report).trim().replace(/\s+/g, ' ').toLowerCase() === String(es).trim().replace(/\s+/g, ' ').toLowerCase()
+  }),
+
+  timestamp: (report, es, options) => {
+    const left = parseReportTimestamp(report, options.reportUtcOffset);
+    const right = parseReportTimestamp(es, 'Z');
+    if (left === null || right === null) return { equal: false, note: 'unparseable timestamp' };
+    const delta = left - right;
+    return { equal: Math.abs(delta) <= options.tolerances.timestampMs, delta };
+  },
+
+  coordinate: (report, es, options) => {
+    const left = parseFloat(report);
+    const right = parseFloat(es);
+    if (Number.isNaN(left) || Number.isNaN(right)) return { equal: false, note: 'not a number' };
+    const delta = Number((left - right).toFixed(7));
+    return { equal: Math.abs(delta) <= options.tolerances.coordinate, delta };
+  }
+};
+
+function documentValue(document, field) {
+  const source = document._source ?? document;
+  for (const path of field.es) {
+    const value = valueAt(source, path);
+    if (!isBlank(value)) return value;
+  }
+  return undefined;
+}
+
+/**
+ * Map report columns to the configured fields
+ * @param {string[]} headers
+ * @param {Array} [fields=DISPATCH_REPORT_FIELDS]
+ * @returns {{columns: Array<{field: Object, index: number, header: string}>, unmapped: string[]}}
+ */
+export function mapReportColumns(headers, fields = DISPATCH_REPORT_FIELDS) {
+  const normalised = headers.map(normaliseHeader);
+  const columns = [];
+  for (const field of fields) {
+    const index = normalised.findIndex((header) => field.headers.includes(header));
+    if (index !== -1) columns.push({ field, index, header: headers[index] });
+  }
+  const used = new Set(columns.map((column) => column.index));
+  return { columns, unmapped: headers.filter((header, index) => !used.has(index) && !isBlank(header)) };
+}
+
+/**
+ * Diff a parsed dispatch report against Elasticsearch documents
+ * @param {{headers: string[], rows: Array<Array>}} report - As parsed from the downloaded XLSX/CSV
+ * @param {Object[]} documents - ElasticsearchClient records (search/searchAll) or raw hits
+ * @param {Object} [options]
+ * @param {string} [options.key] - Field that pairs rows with documents; default 'Dispatch ID',
+ *   or 'Incident ID' when the report has no dispatch id column
+ * @param {Array} [options.fields=DISPATCH_REPORT_FIELDS]
+ * @param {{timestampMs?: number, coordinate?: number}} [options.tolerances]
+ * @param {string} [options.reportUtcOffset=DEFAULT_REPORT_UTC_OFFSET]
+ * @param {boolean} [options.requireDocumentFields=false] - Count a report value as a difference
+ *   when the document has no value for that field (default: skip the field for that row)
+ * @returns {Object} { ok, key, summary, rows, missingInReport, unmappedColumns }
+ */
+export function reconcileDispatchReport(report, documents, options = {}) {
+  const fields = options.fields || DISPATCH_REPORT_FIELDS;
+  const settings = {
+    tolerances: { ...DEFAULT_TOLERANCES, ...options.tolerances },
+    reportUtcOffset: options.reportUtcOffset || DEFAULT_REPORT_UTC_OFFSET
+  };
+
+  const { columns, unmapped } = mapReportColumns(report.headers, fields);
+  const keyName = options.key || (columns.some((c) => c.field.name === 'Dispatch ID') ? 'Dispatch ID' : 'Incident ID');
+  const keyColumn = columns.find((column) => column.field.name === keyName);
+  if (!keyColumn) {
+    throw new Error(`[Reconciliation] Report has no "${keyName}" column. Headers: ${report.headers.join(', ')}`);
+  }
+
+  const byKey = new Map();
+  for (const document of documents) {
+    const key = documentValue(document, keyColumn.field);
+    if (!isBlank(key) && !byKey.has(String(key).trim())) byKey.set(String(key).trim(), document);
+  }
+
+  const seen = new Set();
+  const rows = [];
+  report.rows.forEach((row, i) => {
+    if (row.every(isBlank)) return;
+    const rowNumber = i + 2; // header is row 1
+    const key = isBlank(row[keyColumn.index]) ? '' : String(row[keyColumn.index]).trim();
+    const document = key ? byKey.get(key) : undefined;
+
+    if (!document) {
+      rows.push({ key, rowNumber, status: 'missing-in-es', differences: [] });
+      return;
+    }
+    seen.add(key);
+
+    const differences = [];
+    for (const { field, index, header } of columns) {
+      if (field === keyColumn.field) continue;
+      const reportValue = row[index];
+      const esValue = documentValue(document, field);
+
+      if (isBlank(reportValue) && isBlank(esValue)) continue;
+      if (isBlank(esValue)) {
+        if (options.requireDocumentFields) differences.push({ field: field.name, header, report: reportValue, es: undefined, note: 'not in document' });
+        continue;
+      }
+      if (isBlank(reportValue)) {
+        differences.push({ field: field.name, header, report: reportValue ?? '', es: esValue, note: 'blank in report' });
+        continue;
+      }
+
+      const { equal, delta, note } = COMPARATORS[field.compare](reportValue, esValue, settings);
+      if (!equal) {
+        const difference = { field: field.name, header, report: reportValue, es: esValue };
+        if (delta !== undefined) difference.delta = delta;
+        if (note) difference.note = note;
+        differences.push(difference);
+      }
+    }
+    rows.push({ key, rowNumber, status: differences.length > 0 ? 'diff' : 'match', differences });
+  });
+
+  const missingInReport = [...byKey.entries()]
+    .filter(([key]) => !seen.has(key))
+    .map(([key, document]) => ({ key, document: document._source ?? document }));
+
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  const summary = {
+    reportRows: rows.length,
+    documents: byKey.size,
+    matched: count('match'),
+    withDifferences: count('diff'),
+    missingInEs: count('missing-in-es'),
+    missingInReport: missingInReport.length,
+    differences: rows.reduce((sum, row) => sum + row.differences.length, 0)
+  };
+
+  return {
+    ok: summary.withDifferences === 0 && summary.missingInEs === 0 && summary.missingInReport === 0,
+    key: keyName,
+    comparedColumns: columns.map((column) => column.header),
+    unmappedColumns: unmapped,
+    summary,
+    rows,
+    missingInReport
+  };
+}
+
+/**
+ * Fetch the documents covering a report's time span and reconcile them
+ * @param {import('../elasticsearch-client.js').default} esClient
+ * @param {{headers: string[], rows: Array<Array>}} report
+ * @param {Object} [options] - reconcileDispatchReport options, plus:
+ * @param {string} [options.companyName] - Restrict the documents to one company
+ * @param {string} [options.siteName] - Restrict the documents to one site/group/asset
+ * @returns {Promise<Object>} Reconciliation result
+ */
+export async function reconcileWithElasticsearch(esClient, report, options = {}) {
+  const { companyName, siteName, ...reconcileOptions } = options;
+  const settings = {
+    tolerances: { ...DEFAULT_TOLERANCES, ...options.tolerances },
+    reportUtcOffset: options.reportUtcOffset || DEFAULT_REPORT_UTC_OFFSET
+  };
+
+  const { columns } = mapReportColumns(report.headers, options.fields);
+  const timestampColumn = columns.find((column) => column.field.name === 'Action Timestamp');
+  const times = timestampColumn
+    ? report.rows.map((row) => parseReportTimestamp(row[timestampColumn.index], settings.reportUtcOffset)).filter((t) => t !== null)
+    : [];
+
+  const query = esClient.query().fields(true).size(500);
+  if (companyName) query.company(companyName);
+  if (siteName) query.site(siteName);
+  if (times.length > 0) {
+    query.between(Math.min(...times) - settings.tolerances.timestampMs, Math.max(...times) + settings.tolerances.timestampMs);
+  } else {
+    query.since('now-24h');
+  }
+
+  const documents = await esClient.searchAll(query);
+  console.log(`[Reconciliation] ${report.rows.length} report row(s) vs ${documents.length} Elasticsearch document(s)`);
+  return reconcileDispatchReport(report, documents, reconcileOptions);
+}
+
+/**
+ * Human-readable diff report (for logs and test attachments)
+ * @param {Object} result - reconcileDispatchReport() result
+ * @returns {string}
+ */
+export function formatReconciliation(result) {
+  const { summary } = result;
+  const lines = [
+    `${result.ok ? '✅' : '❌'} Dispatch report vs Elasticsearch (key: ${result.key})`,
+    `   rows ${summary.reportRows}, documents ${summary.documents}, matched ${summary.matched}, ` +
+      `with differences ${summary.withDifferences}, missing in ES ${summary.missingInEs}, missing in report ${summary.missingInReport}`
+  ];
+  for (const row of result.rows) {
+    if (row.status === 'missing-in-es') {
+      lines.push(`   row ${row.rowNumber} [${row.key || 'blank key'}]: not found in Elasticsearch`);
+    }
+    for (const diff of row.differences) {
+      const delta = diff.delta !== undefined ? ` (Δ ${diff.delta})` : '';
+      const note = diff.note ? ` - ${diff.note}` : '';
+      lines.push(`   row ${row.rowNumber} [${row.key}] ${diff.field}: report "${diff.report}" ≠ es "${diff.es}"${delta}${note}`);
+    }
+  }
+  for (const { key } of result.missingInReport) {
+    lines.push(`   [${key}]: in Elasticsearch but not in the report`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,321 @@
+// backend/reports/DispatchReportParser.js
+// Parses downloaded dispatch reports (".xlsx - no images attached", ".csv - no images
+// attached" and the xlsx-with-images variants) into the raw { headers, rows } the specs
+// have always indexed, plus typed records keyed by column:
+//
+//   const report = parseDispatchReport('test-downloads/Daily 10-15-00.xlsx');
+//   report.records[0].actionTimestamp   // Date
+//   report.records[0].latitude          // number
+//   report.missingColumns               // required columns the report does not have
+//   report.unknownColumns               // headers no column definition matches
+
+import fs from 'fs';
+import path from 'path';
+import XLSX from 'xlsx';
+import Papa from 'papaparse';
+
+// Report timestamps are written in Proof360's local time (SAST) without an offset
+export const DEFAULT_REPORT_UTC_OFFSET = '+02:00';
+
+export const DISPATCH_STATUSES = [
+  'DISPATCH_CREATED',
+  'RESPONDER_DISPATCHED',
+  'RESPONDER_ARRIVED',
+  'RESPONDER_COMPLETED',
+  'OPERATOR_CANCELLED'
+];
+
+export const RESPONDER_STATUSES = ['open', 'pickedUp', 'responding', 'responderOnSite', 'completed', 'cancelled'];
+
+/**
+ * Known report columns. `aliases` are compared after normaliseHeader(), so
+ * "Incident Id", "Incident ID" and "incident_id" all map to incidentId.
+ */
+export const DISPATCH_REPORT_COLUMNS = [
+  { key: 'dispatchId', label: 'Dispatch ID', aliases: ['dispatchid'], type: 'string' },
+  { key: 'incidentId', label: 'Incident Id', aliases: ['incidentid'], type: 'string', required: true },
+  { key: 'groupName', label: 'Group Name', aliases: ['groupname'], type: 'string', required: true },
+  { key: 'siteName', label: 'Site Name', aliases: ['sitename'], type: 'string', required: true },
+  { key: 'customerSiteId', label: 'Customer Site ID', aliases: ['customersiteid'], type: 'string' },
+  { key: 'dispatchService', label: 'Dispatch Service', aliases: ['dispatchservice'], type: 'string' },
+  { key: 'companyName', label: 'Company Name', aliases: ['companyname', 'company'], type: 'string', required: true },
+  { key: 'alertType', label: 'Alert Type', aliases: ['alerttype'], type: 'string' },
+  { key: 'createdBy', label: 'Created By', aliases: ['createdby'], type: 'string' },
+  { key: 'actionTimestamp', label: 'Action Timestamp', aliases: ['actiontimestamp'], type: 'datetime', required: true },
+  { key: 'proofStatus', label: 'Proof Status', aliases: ['proofstatus'], type: 'enum', values: DISPATCH_STATUSES, required: true },
+  { key: 'responderStatus', label: 'Responder Status', aliases: ['responderstatus'], type: 'enum', values: RESPONDER_STATUSES },
+  { key: 'extendedResponderStatus', label: 'Extended Responder Status', aliases: ['extendedresponderstatus'], type: 'string' },
+  { key: 'responseProvider', label: 'Response Provider', aliases: ['responseprovider'], type: 'string' },
+  { key: 'createdAt', label: 'Created At', aliases: ['createdat'], type: 'datetime' },
+  { key: 'autoDispatch', label: 'Auto Dispatch', aliases: ['autodispatch'], type: 'boolean' },
+  { key: 'latitude', label: 'Latitude', aliases: ['latitude', 'lat'], type: 'number', min: -90, max: 90 },
+  { key: 'longitude', label: 'Longitude', aliases: ['longitude', 'lng', 'lon', 'long'], type: 'number', min: -180, max: 180 }
+];
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
+const HEADER_SEARCH_ROWS = 10;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * "Incident Id" -> "incidentid"
+ * @param {*} header
+ * @returns {string}
+ */
+export function normaliseHeader(header) {
+  return String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function offsetMs(offset) {
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(offset);
+  if (!match) return 0; // 'Z'
+  const ms = (Number(match[2]) * 60 + Number(match[3])) * 60_000;
+  return match[1] === '-' ? -ms : ms;
+}
+
+/**
+ * Parse a report or document timestamp to epoch ms.
+ * Values without an offset ("2025-10-28 11:50:00", "28/10/2025 11:50") and Excel serial
+ * dates are read as report-local time.
+ * @param {string|number|Date} value
+ * @param {string} [utcOffset=DEFAULT_REPORT_UTC_OFFSET]
+ * @returns {number|null}
+ */
+export function parseReportTimestamp(value, utcOffset = DEFAULT_REPORT_UTC_OFFSET) {
+  if (isBlank(value)) return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') {
+    // Excel serial date (days since 1899-12-30), in report-local time
+    return Math.round((value - 25569) * 86_400_000) - offsetMs(utcOffset);
+  }
+
+  const text = String(value).trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  let match = /^(\d{4})[-/](\d{2})[-/](\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(text);
+  if (match) {
+    const [, y, mo, d, h, mi, s = '0'] = match;
+    return Date.UTC(y, mo - 1, d, h, mi, s) - offsetMs(utcOffset);
+  }
+  match = /^(\d{2})[-/](\d{2})[-/](\d{4})[ ,T]+(\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(text);
+  if (match) {
+    const [, d, mo, y, h, mi, s = '0'] = match;
+    return Date.UTC(y, mo - 1, d, h, mi, s) - offsetMs(utcOffset);
+  }
+  return null;
+}
+
+// Each converter returns { value } or { value, problem }
+const CONVERTERS = {
+  string: (raw) => ({ value: String(raw).trim() }),
+
+  datetime: (raw, column, options) => {
+    const ms = parseReportTimestamp(raw, options.utcOffset);
+    return ms === null ? { value: null, problem: 'not a date/time' } : { value: new Date(ms) };
+  },
+
+  number: (raw, column) => {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    if (Number.isNaN(value)) return { value: null, problem: 'not a number' };
+    if ((column.min !== undefined && value < column.min) || (column.max !== undefined && value > column.max)) {
+      return { value, problem: `outside ${column.min}..${column.max}` };
+    }
+    return { value };
+  },
+
+  boolean: (raw) => {
+    const text = String(raw).trim().toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(text)) return { value: true };
+    if (['false', 'no', 'n', '0'].includes(text)) return { value: false };
+    return { value: null, problem: 'not yes/no' };
+  },
+
+  enum: (raw, column) => {
+    const value = String(raw).trim();
+    return column.values.includes(value) ? { value } : { value, problem: `not one of ${column.values.join(', ')}` };
+  }
+};
+
+function zipEntries(buffer) {
+  const container = XLSX.CFB.read(buffer, { type: 'buffer' });
+  return container.FileIndex
+    .map((entry, i) => ({ entry, fullPath: container.FullPaths[i] }))
+    .filter(({ entry }) => entry.type === 2 && !entry.name.startsWith('\u0001'))
+    .map(({ entry, fullPath }) => ({
+      path: fullPath.split('/').slice(1).join('/'),
+      content: Buffer.from(entry.content)
+    }));
+}
+
+/**
+ * Work out what kind of file a download is from its content (not its name)
+ * @param {Buffer} buffer
+ * @returns {{format: 'xlsx'|'xlsx-images'|'xls'|'csv', workbook?: Buffer, images: string[]}}
+ */
+export function detectReportFormat(buffer) {
+  const magic = buffer.subarray(0, 4).toString('hex');
+
+  if (magic === '504b0304') {
+    const entries = zipEntries(buffer);
+    const isWorkbook = entries.some((e) => e.path === 'xl/workbook.xml');
+    if (isWorkbook) {
+      // Pictures embedded in the sheet itself
+      const images = entries.filter((e) => e.path.startsWith('xl/media/')).map((e) => e.path);
+      return { format: images.length > 0 ? 'xlsx-images' : 'xlsx', workbook: buffer, images };
+    }
+    // Zip bundle: the report workbook next to an images folder
+    const inner = entries.find((e) => e.path.toLowerCase().endsWith('.xlsx'));
+    if (!inner) throw new Error('[DispatchReportParser] Zip download contains no .xlsx report');
+    const images = entries
+      .filter((e) => IMAGE_EXTENSIONS.includes(path.extname(e.path).toLowerCase()))
+      .map((e) => e.path);
+    return { format: 'xlsx-images', workbook: inner.content, images };
+  }
+
+  if (magic === 'd0cf11e0') return { format: 'xls', workbook: buffer, images: [] };
+
+  return { format: 'csv', images: [] };
+}
+
+function findHeaderRow(data, columns) {
+  const aliases = new Set(columns.flatMap((column) => column.aliases));
+  for (let i = 0; i < Math.min(HEADER_SEARCH_ROWS, data.length); i++) {
+    const known = (data[i] || []).filter((cell) => aliases.has(normaliseHeader(cell))).length;
+    if (known >= 2) return i;
+  }
+  return 0;
+}
+
+/**
+ * Map headers to column definitions
+ * @param {string[]} headers
+ * @param {Array} [columns=DISPATCH_REPORT_COLUMNS]
+ * @returns {{mapped: Array<Object>, unknownColumns: string[], missingColumns: string[]}}
+ */
+export function mapColumns(headers, columns = DISPATCH_REPORT_COLUMNS) {
+  const normalised = headers.map(normaliseHeader);
+  const mapped = [];
+  for (const column of columns) {
+    const index = normalised.findIndex((header) => column.aliases.includes(header));
+    if (index !== -1) mapped.push({ ...column, header: headers[index], index });
+  }
+  const used = new Set(mapped.map((column) => column.index));
+  return {
+    mapped,
+    unknownColumns: headers.filter((header, index) => !used.has(index) && !isBlank(header)).map(String),
+    missingColumns: columns.filter((column) => column.required && !mapped.some((m) => m.key === column.key)).map((c) => c.label)
+  };
+}
+
+/**
+ * Parse report content
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Used in messages only
+ * @param {Array} [options.columns=DISPATCH_REPORT_COLUMNS]
+ * @param {string} [options.utcOffset=DEFAULT_REPORT_UTC_OFFSET] - Offset of naive report timestamps
+ * @param {boolean} [options.strict=false] - Throw when required columns are missing
+ * @returns {Object} { file, format, sheetName, images, headers, rows, data, columns, records,
+ *   unknownColumns, missingColumns, issues }
+ */
+export function parseDispatchReportBuffer(buffer, options = {}) {
+  const columns = options.columns || DISPATCH_REPORT_COLUMNS;
+  const settings = { utcOffset: options.utcOffset || DEFAULT_REPORT_UTC_OFFSET };
+  const fileName = options.fileName || '(buffer)';
+
+  const detected = detectReportFormat(buffer);
+  let data;
+  let sheetName = null;
+
+  if (detected.format === 'csv') {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const parsed = Papa.parse(text, { header: false, skipEmptyLines: 'greedy' });
+    if (parsed.errors.length > 0) {
+      console.warn(`[DispatchReportParser] CSV parsing warnings for ${fileName}:`, parsed.errors);
+    }
+    data = parsed.data;
+  } else {
+    const workbook = XLSX.read(detected.workbook, { type: 'buffer' });
+    sheetName = workbook.SheetNames[0];
+    data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, blankrows: false });
+  }
+
+  if (data.length === 0) throw new Error(`[DispatchReportParser] ${fileName} is empty`);
+
+  const headerRow = findHeaderRow(data, columns);
+  const headers = data[headerRow].map((header) => (isBlank(header) ? '' : String(header).trim()));
+  const rows = data.slice(headerRow + 1);
+  const { mapped, unknownColumns, missingColumns } = mapColumns(headers, columns);
+
+  if (missingColumns.length > 0 && options.strict) {
+    throw new Error(`[DispatchReportParser] ${fileName} is missing required column(s): ${missingColumns.join(', ')}. Headers: ${headers.join(', ')}`);
+  }
+
+  const issues = [];
+  const records = rows.map((row, i) => {
+    const rowNumber = headerRow + i + 2; // 1-based, after the header
+    const record = { rowNumber };
+    for (const column of mapped) {
+      const raw = row[column.index];
+      if (isBlank(raw)) {
+        record[column.key] = null;
+        continue;
+      }
+      const { value, problem } = CONVERTERS[column.type](raw, column, settings);
+      record[column.key] = value;
+      if (problem) issues.push({ rowNumber, column: column.label, value: raw, problem });
+    }
+    if (unknownColumns.length > 0) {
+      record.extra = Object.fromEntries(unknownColumns.map((header) => [header, row[headers.indexOf(header)] ?? null]));
+    }
+    return record;
+  });
+
+  return {
+    file: fileName,
+    format: detected.format,
+    sheetName,
+    images: detected.images,
+    headers,
+    rows,
+    data,
+    columns: mapped.map(({ key, label, header, index, type }) => ({ key, label, header, index, type })),
+    records,
+    unknownColumns,
+    missingColumns,
+    issues
+  };
+}
+
+/**
+ * Parse a report file from disk
+ * @param {string} filePath
+ * @param {Object} [options] - See parseDispatchReportBuffer
+ * @returns {Object}
+ */
+export function parseDispatchReport(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) throw new Error(`[DispatchReportParser] File not found: ${filePath}`);
+  const report = parseDispatchReportBuffer(fs.readFileSync(filePath), { fileName: filePath, ...options });
+  console.log(`[DispatchReportParser] ${path.basename(filePath)}: ${report.format}, ${report.headers.length} columns, ${report.rows.length} rows` +
+    (report.missingColumns.length ? `, missing: ${report.missingColumns.join(', ')}` : '') +
+    (report.unknownColumns.length ? `, unknown: ${report.unknownColumns.join(', ')}` : ''));
+  return report;
+}
+
+/**
+ * Save a Playwright download and parse it
+ * @param {import('@playwright/test').Download} download
+ * @param {Object} [options] - See parseDispatchReportBuffer, plus:
+ * @param {string} [options.dir='test-downloads'] - Where to save the file
+ * @returns {Promise<Object>} Parsed report with `filePath`
+ */
+export async function parseDownload(download, options = {}) {
+  const { dir = path.join(process.cwd(), 'test-downloads'), ...parseOptions } = options;
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, download.suggestedFilename());
+  await download.saveAs(filePath);
+  return { ...parseDispatchReport(filePath, parseOptions), filePath };
+}
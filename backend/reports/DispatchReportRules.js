@@ -0,0 +1,198 @@
+// backend/reports/DispatchReportRules.js
+// Declarative column rules for parsed dispatch reports. Rules live in
+// backend/reports/rules/dispatch-report.json, keyed by DispatchReportParser column key:
+//
+//   "latitude":    { "range": [-90, 90] }
+//   "incidentId":  { "required": true, "unique": true }
+//   "proofStatus": { "required": true, "enum": ["DISPATCH_CREATED", ...], "expectAll": true }
+//
+// plus cross-column dependencies ("when proofStatus is X, responderStatus must be one of [...]").
+// validateDispatchReport() runs every rule over a parsed report and returns a flat violation list.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mapColumns, parseReportTimestamp } from './DispatchReportParser.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_RULES_FILE = path.join(__dirname, 'rules', 'dispatch-report.json');
+
+const COLUMN_RULE_KEYS = ['present', 'required', 'unique', 'enum', 'ignoreCase', 'expectAll', 'pattern', 'flags', 'range', 'datetime'];
+const DEPENDENCY_KEYS = ['name', 'when', 'then', 'allowed', 'allowBlank', 'expectAll'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+const text = (value) => String(value).trim();
+
+/**
+ * Load and sanity-check a rules file, so a typo fails loudly instead of silently skipping a rule
+ * @param {string} [file=DEFAULT_RULES_FILE]
+ * @returns {{columns: Object, dependencies: Array}}
+ */
+export function loadRules(file = DEFAULT_RULES_FILE) {
+  const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const columns = rules.columns || {};
+  const dependencies = rules.dependencies || [];
+
+  for (const [column, rule] of Object.entries(columns)) {
+    const unknown = Object.keys(rule).filter((key) => !COLUMN_RULE_KEYS.includes(key));
+    if (unknown.length > 0) throw new Error(`[ReportRules] ${path.basename(file)}: unknown rule(s) ${unknown.join(', ')} for column "${column}"`);
+    if (rule.range && (!Array.isArray(rule.range) || rule.range.length !== 2)) {
+      throw new Error(`[ReportRules] ${path.basename(file)}: "range" for "${column}" must be [min, max]`);
+    }
+  }
+  for (const dependency of dependencies) {
+    const unknown = Object.keys(dependency).filter((key) => !DEPENDENCY_KEYS.includes(key));
+    if (unknown.length > 0) throw new Error(`[ReportRules] ${path.basename(file)}: unknown key(s) ${unknown.join(', ')} in dependency "${dependency.name}"`);
+    if (!dependency.when || !dependency.then || !dependency.allowed) {
+      throw new Error(`[ReportRules] ${path.basename(file)}: dependency "${dependency.name}" needs "when", "then" and "allowed"`);
+    }
+  }
+  return { columns, dependencies };
+}
+
+function checkColumn(key, rule, column, rows, violate) {
+  const header = column?.header;
+
+  if (!column) {
+    if (rule.present || rule.required) violate({ rule: 'present', column: key, message: 'column missing from report' });
+    return;
+  }
+
+  const pattern = rule.pattern ? new RegExp(rule.pattern, rule.flags) : null;
+  const allowed = rule.enum && new Set(rule.enum.map((v) => (rule.ignoreCase ? v.toLowerCase() : v)));
+  const seen = new Map();
+
+  for (const { rowNumber, row } of rows) {
+    const raw = row[column.index];
+    const at = { column: key, header, rowNumber, value: raw ?? '' };
+
+    if (isBlank(raw)) {
+      if (rule.required) violate({ ...at, rule: 'required', message: 'blank value' });
+      continue;
+    }
+    const value = text(raw);
+
+    if (allowed && !allowed.has(rule.ignoreCase ? value.toLowerCase() : value)) {
+      violate({ ...at, rule: 'enum', message: `"${value}" is not one of ${rule.enum.join(', ')}` });
+    }
+    if (pattern && !pattern.test(value)) {
+      violate({ ...at, rule: 'pattern', message: `"${value}" does not match /${rule.pattern}/` });
+    }
+    if (rule.range) {
+      const [min, max] = rule.range;
+      const number = typeof raw === 'number' ? raw : Number(value);
+      if (Number.isNaN(number)) violate({ ...at, rule: 'range', message: `"${value}" is not a number` });
+      else if (number < min || number > max) violate({ ...at, rule: 'range', message: `${number} is outside ${min}..${max}` });
+    }
+    if (rule.datetime && parseReportTimestamp(raw) === null) {
+      violate({ ...at, rule: 'datetime', message: `"${value}" is not a date/time` });
+    }
+    if (rule.unique) {
+      if (seen.has(value)) violate({ ...at, rule: 'unique', message: `"${value}" duplicates row ${seen.get(value)}` });
+      else seen.set(value, rowNumber);
+    }
+    if (rule.expectAll && !seen.has(value)) seen.set(value, rowNumber);
+  }
+
+  if (rule.expectAll && rule.enum) {
+    const found = new Set([...seen.keys()].map((v) => (rule.ignoreCase ? v.toLowerCase() : v)));
+    const absent = rule.enum.filter((v) => !found.has(rule.ignoreCase ? v.toLowerCase() : v));
+    if (absent.length > 0) violate({ rule: 'expectAll', column: key, header, message: `never seen: ${absent.join(', ')}` });
+  }
+}
+
+function checkDependency(dependency, columnsByKey, rows, violate) {
+  const when = columnsByKey.get(dependency.when);
+  const then = columnsByKey.get(dependency.then);
+  const name = dependency.name || `${dependency.when} → ${dependency.then}`;
+  if (!when || !then) {
+    violate({ rule: 'dependency', column: dependency.then, dependency: name, message: `needs columns ${dependency.when} and ${dependency.then}` });
+    return;
+  }
+
+  const pairsSeen = new Set();
+  for (const { rowNumber, row } of rows) {
+    const whenValue = row[when.index];
+    if (isBlank(whenValue)) continue;
+    const allowed = dependency.allowed[text(whenValue)];
+    if (!allowed) continue; // values outside the map are the enum rule's business
+
+    const thenValue = row[then.index];
+    const at = { rule: 'dependency', dependency: name, column: dependency.then, header: then.header, rowNumber, value: thenValue ?? '' };
+    if (isBlank(thenValue)) {
+      if (!dependency.allowBlank) violate({ ...at, message: `blank while ${when.header} is ${text(whenValue)}` });
+      continue;
+    }
+    if (!allowed.includes(text(thenValue))) {
+      violate({ ...at, message: `"${text(thenValue)}" with ${when.header} ${text(whenValue)}; expected ${allowed.join(' or ')}` });
+    }
+    pairsSeen.add(`${text(whenValue)}|${text(thenValue)}`);
+  }
+
+  if (dependency.expectAll) {
+    const absent = Object.entries(dependency.allowed)
+      .flatMap(([whenValue, thenValues]) => thenValues.map((thenValue) => `${whenValue}|${thenValue}`))
+      .filter((pair) => !pairsSeen.has(pair));
+    if (absent.length > 0) {
+      violate({ rule: 'expectAll', dependency: name, column: dependency.then, message: `never seen: ${absent.map((p) => p.replace('|', ' ↔ ')).join(', ')}` });
+    }
+  }
+}
+
+/**
+ * Run the rules over a parsed report
+ * @param {{headers: string[], rows: Array<Array>, columns?: Array, records?: Array}} report - DispatchReportParser result
+ * @param {{columns: Object, dependencies: Array}} [rules=loadRules()]
+ * @param {Object} [options]
+ * @param {string[]} [options.only] - Limit to these column keys (and dependencies that involve them)
+ * @param {Object<string, string>} [options.where] - Only check rows whose columns equal these values,
+ *   e.g. { groupName: 'WVRD_9th Ave and JG Strydom Rd_62' }
+ * @returns {{ok: boolean, rowsChecked: number, violations: Array<Object>, counts: Object<string, number>}}
+ */
+export function validateDispatchReport(report, rules = loadRules(), options = {}) {
+  const columns = report.columns || mapColumns(report.headers).mapped;
+  const columnsByKey = new Map(columns.map((column) => [column.key, column]));
+  const only = options.only && new Set(options.only);
+
+  let rows = report.rows
+    .map((row, i) => ({ row, rowNumber: report.records?.[i]?.rowNumber ?? i + 2 }))
+    .filter(({ row }) => !row.every(isBlank));
+  for (const [key, expected] of Object.entries(options.where || {})) {
+    const column = columnsByKey.get(key);
+    if (!column) throw new Error(`[ReportRules] Cannot filter on "${key}": column not in report`);
+    rows = rows.filter(({ row }) => !isBlank(row[column.index]) && text(row[column.index]) === expected);
+  }
+
+  const violations = [];
+  const violate = (violation) => violations.push(violation);
+
+  for (const [key, rule] of Object.entries(rules.columns)) {
+    if (!only || only.has(key)) checkColumn(key, rule, columnsByKey.get(key), rows, violate);
+  }
+  for (const dependency of rules.dependencies) {
+    if (!only || only.has(dependency.when) || only.has(dependency.then)) checkDependency(dependency, columnsByKey, rows, violate);
+  }
+
+  const counts = {};
+  for (const { rule } of violations) counts[rule] = (counts[rule] || 0) + 1;
+  return { ok: violations.length === 0, rowsChecked: rows.length, violations, counts };
+}
+
+/**
+ * Human-readable violation list (for logs and expect messages)
+ * @param {Object} result - validateDispatchReport() result
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Violations listed before "... and N more"
+ * @returns {string}
+ */
+export function formatViolations(result, { limit = 20 } = {}) {
+  if (result.ok) return `✅ ${result.rowsChecked} row(s) pass every rule`;
+  const lines = [`❌ ${result.violations.length} violation(s) in ${result.rowsChecked} row(s): ` +
+    Object.entries(result.counts).map(([rule, count]) => `${rule} ${count}`).join(', ')];
+  for (const v of result.violations.slice(0, limit)) {
+    const where = v.rowNumber ? `row ${v.rowNumber} ` : '';
+    lines.push(`   ${where}${v.header || v.column} [${v.dependency || v.rule}]: ${v.message}`);
+  }
+  if (result.violations.length > limit) lines.push(`   ... and ${result.violations.length - limit} more`);
+  return lines.join('\n');
+}
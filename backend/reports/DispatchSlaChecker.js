@@ -0,0 +1,339 @@
+// backend/reports/DispatchSlaChecker.js
+// Recomputes the numbers in a downloaded Dispatch SLA workbook from the dispatch events
+// behind it (Elasticsearch or a fixture) and flags every cell that disagrees.
+//
+//   const { headers, targets } = readSlaReportFormat();   // SLA_REPORT_FORMAT, see below
+//   const events = await fetchSlaEvents(esClient, { from, to, companyName: 'Vodacom' });
+//   const result = checkSlaReport(parseSlaReport(filePath, { headers }), events, { targets });
+//   console.log(formatSlaCheck(result));
+//   expect(result.ok).toBe(true);
+//
+// The SLA targets and the export's column headers are product configuration, so they are
+// not guessed here: callers pass them, usually from the JSON file SLA_REPORT_FORMAT names:
+//   { "targets": { "timeToDispatchMs": 300000, "timeToArrivalMs": 1200000 },
+//     "headers": { "station": "Station", "site": "Site", "dispatches": "Dispatches", ... } }
+//
+// Per dispatch: time to dispatch = first "dispatched" event - first "created" event, time to
+// arrival = first "arrived" event - first "created" event. A breach is a time above its target.
+// Rows are per station + site; a row with a blank site (or "Total") is the station total, and a
+// "Total" station row covers every event.
+
+import fs from 'fs';
+import XLSX from 'xlsx';
+import { SITE_FIELDS, DISPATCH_ID_FIELDS } from '../DispatchQuery.js';
+import { detectReportFormat, normaliseHeader } from './DispatchReportParser.js';
+
+export const SLA_TARGET_KEYS = ['timeToDispatchMs', 'timeToArrivalMs'];
+
+export const STATION_FIELDS = ['station', 'stationName', 'responseData.callout.station'];
+
+// Event statuses (proof or responder status, compared after normaliseHeader) per milestone
+export const SLA_MILESTONES = {
+  created: ['dispatchcreated', 'created', 'open'],
+  dispatched: ['responderdispatched', 'dispatched', 'pickedup', 'responding', 'enroute'],
+  arrived: ['responderarrived', 'arrived', 'responderonsite', 'onsite']
+};
+
+/**
+ * Columns the checker understands. `metric` columns are recomputed; the header text of each
+ * column comes from the caller (parseSlaReport options.headers).
+ */
+export const SLA_REPORT_COLUMNS = [
+  { key: 'station' },
+  { key: 'site' },
+  { key: 'dispatches', metric: 'count' },
+  { key: 'avgTimeToDispatch', metric: 'duration' },
+  { key: 'avgTimeToArrival', metric: 'duration' },
+  { key: 'dispatchBreaches', metric: 'count' },
+  { key: 'arrivalBreaches', metric: 'count' },
+  { key: 'breaches', metric: 'count' }
+];
+
+const TOTAL = /^(total|all|all sites|all stations|grand total)$/i;
+const valueAt = (obj, dotted) => dotted.split('.').reduce((value, key) => value?.[key], obj);
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+const text = (value) => (isBlank(value) ? '' : String(value).trim());
+const sameName = (a, b) => text(a).toLowerCase() === text(b).toLowerCase();
+
+/**
+ * Read a duration cell: "mm:ss", "hh:mm:ss", "12m 30s", minutes as a number, or an Excel
+ * time (a fraction of a day below 1)
+ * @param {*} value
+ * @returns {number|null} Milliseconds
+ */
+export function parseDuration(value) {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') return Math.round(value < 1 ? value * 86_400_000 : value * 60_000);
+
+  const raw = text(value);
+  const clock = raw.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clock) return ((Number(clock[1] || 0) * 60 + Number(clock[2])) * 60 + Number(clock[3])) * 1000;
+  const units = raw.match(/^(?:(\d+)\s*h(?:rs?|ours?)?)?\s*(?:(\d+)\s*m(?:in)?s?)?\s*(?:(\d+)\s*s(?:ec)?s?)?$/i);
+  if (units && (units[1] || units[2] || units[3])) {
+    return ((Number(units[1] || 0) * 60 + Number(units[2] || 0)) * 60 + Number(units[3] || 0)) * 1000;
+  }
+  const minutes = Number(raw);
+  return Number.isNaN(minutes) ? null : Math.round(minutes * 60_000);
+}
+
+function requireTargets(targets) {
+  const missing = SLA_TARGET_KEYS.filter((key) => !Number.isFinite(targets?.[key]));
+  if (missing.length > 0) {
+    throw new Error(`[DispatchSlaChecker] SLA targets are required (missing ${missing.join(', ')}); take them from the product's SLA configuration`);
+  }
+  return targets;
+}
+
+/**
+ * Read the SLA targets and export headers recorded from the product
+ * @param {string} [file=process.env.SLA_REPORT_FORMAT]
+ * @returns {{targets: Object, headers: Object<string, string|string[]>}|null} null when no file is configured
+ */
+export function readSlaReportFormat(file = process.env.SLA_REPORT_FORMAT) {
+  if (!file) return null;
+  if (!fs.existsSync(file)) throw new Error(`[DispatchSlaChecker] SLA report format file not found: ${file}`);
+  const format = JSON.parse(fs.readFileSync(file, 'utf8'));
+  requireTargets(format.targets);
+  if (!format.headers?.station) throw new Error(`[DispatchSlaChecker] ${file} has no headers.station`);
+  return { targets: format.targets, headers: format.headers };
+}
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Parse a downloaded SLA workbook (first sheet with the station column)
+ * @param {Buffer|string} input - Workbook bytes or file path
+ * @param {Object} options
+ * @param {Object<string, string|string[]>} options.headers - Header text of each SLA_REPORT_COLUMNS key as
+ *   it appears in the product's export, e.g. { station: 'Station', dispatches: 'Dispatches' }; station is required
+ * @returns {{sheetName: string, headers: string[], columns: Array, rows: Array<{rowNumber, station, site, cells}>}}
+ */
+export function parseSlaReport(input, options = {}) {
+  if (!options.headers?.station) {
+    throw new Error('[DispatchSlaChecker] parseSlaReport needs options.headers with at least the station header of the export');
+  }
+  const columns = SLA_REPORT_COLUMNS
+    .filter((column) => options.headers[column.key])
+    .map((column) => ({ ...column, aliases: [].concat(options.headers[column.key]).map(normaliseHeader) }));
+  const buffer = typeof input === 'string' ? fs.readFileSync(input) : input;
+  // CSV exports have no workbook part; SheetJS reads them as one sheet
+  const { workbook: workbookBuffer } = detectReportFormat(buffer);
+  const workbook = XLSX.read(workbookBuffer || buffer, { type: 'buffer' });
+
+  for (const sheetName of workbook.SheetNames) {
+    const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, blankrows: true, defval: null });
+    const headerRow = data.slice(0, 10).findIndex((row) => (row || []).some((cell) => columns[0].aliases.includes(normaliseHeader(cell))));
+    if (headerRow === -1) continue;
+
+    const headers = data[headerRow].map(text);
+    const mapped = columns
+      .map((column) => ({ ...column, index: headers.findIndex((h) => column.aliases.includes(normaliseHeader(h))) }))
+      .filter((column) => column.index !== -1)
+      .map((column) => ({ ...column, header: headers[column.index] }));
+    const at = (row, key) => row[mapped.find((c) => c.key === key)?.index ?? -1];
+
+    let station = '';
+    const rows = [];
+    data.slice(headerRow + 1).forEach((row, i) => {
+      if (!row || row.every(isBlank)) return;
+      // Merged station cells: blank means "same station as above"
+      station = text(at(row, 'station')) || station;
+      const cells = {};
+      for (const column of mapped.filter((c) => c.metric)) cells[column.key] = row[column.index] ?? null;
+      rows.push({ rowNumber: headerRow + i + 2, station, site: text(at(row, 'site')), cells });
+    });
+    return { sheetName, headers, columns: mapped, rows };
+  }
+  throw new Error(`[DispatchSlaChecker] No sheet with a station column (${[].concat(options.headers.station).join(', ')})`);
+}
+
+/**
+ * Dispatch events from Elasticsearch records (one document per status change)
+ * @param {Object[]} records - ElasticsearchClient records or raw _source objects
+ * @returns {Array<{dispatchId, station, site, status, timestamp}>}
+ */
+export function eventsFromRecords(records) {
+  const first = (source, fields) => fields.map((field) => valueAt(source, field)).find((value) => !isBlank(value));
+  return records.map((record) => {
+    const source = record._source ?? record;
+    return {
+      dispatchId: record.dispatchId ?? first(source, DISPATCH_ID_FIELDS) ?? null,
+      station: first(source, STATION_FIELDS) ?? '',
+      site: first(source, SITE_FIELDS) ?? '',
+      status: source.status ?? source.proofStatus ?? source.responderStatus,
+      timestamp: source.timestamp ?? source.actionTimestamp
+    };
+  });
+}
+
+/**
+ * Fetch the dispatch events for an SLA report window
+ * @param {import('../elasticsearch-client.js').default} esClient
+ * @param {Object} options
+ * @param {Date|number|string} options.from
+ * @param {Date|number|string} options.to
+ * @param {string} [options.companyName]
+ * @param {string} [options.site]
+ * @param {string} [options.station] - Matched on the STATION_FIELDS after fetching
+ * @returns {Promise<Array>} eventsFromRecords() result
+ */
+export async function fetchSlaEvents(esClient, { from, to, companyName, site, station } = {}) {
+  const query = esClient.query().between(from, to).fields(true).size(500).sortBy('actionTimestamp', 'asc');
+  if (companyName) query.company(companyName);
+  if (site) query.site(site);
+  const records = await esClient.searchAll(query);
+  const events = eventsFromRecords(records).filter((event) => !station || sameName(event.station, station));
+  console.log(`[DispatchSlaChecker] ${events.length} dispatch event(s) between ${from} and ${to}`);
+  return events;
+}
+
+function milestoneOf(status) {
+  const key = normaliseHeader(status);
+  return Object.keys(SLA_MILESTONES).find((milestone) => SLA_MILESTONES[milestone].includes(key)) || null;
+}
+
+/**
+ * Group events into dispatches and time their milestones
+ * @param {Array<{dispatchId, station, site, status, timestamp}>} events
+ * @returns {Array<{dispatchId, station, site, created, dispatched, arrived, timeToDispatchMs, timeToArrivalMs}>}
+ */
+export function timeDispatches(events) {
+  const byId = new Map();
+  for (const event of events) {
+    if (isBlank(event.dispatchId)) continue;
+    const id = text(event.dispatchId);
+    if (!byId.has(id)) byId.set(id, { dispatchId: id, station: text(event.station), site: text(event.site), created: null, dispatched: null, arrived: null });
+    const dispatch = byId.get(id);
+    dispatch.station ||= text(event.station);
+    dispatch.site ||= text(event.site);
+
+    const milestone = milestoneOf(event.status);
+    const at = Date.parse(event.timestamp);
+    if (milestone && !Number.isNaN(at) && (dispatch[milestone] === null || at < dispatch[milestone])) dispatch[milestone] = at;
+  }
+
+  return [...byId.values()].map((dispatch) => ({
+    ...dispatch,
+    timeToDispatchMs: dispatch.created !== null && dispatch.dispatched !== null ? dispatch.dispatched - dispatch.created : null,
+    timeToArrivalMs: dispatch.created !== null && dispatch.arrived !== null ? dispatch.arrived - dispatch.created : null
+  }));
+}
+
+/**
+ * SLA metrics for a set of timed dispatches
+ * @param {Array} dispatches - timeDispatches() result
+ * @param {{timeToDispatchMs: number, timeToArrivalMs: number}} targets
+ * @returns {{dispatches, avgTimeToDispatch, avgTimeToArrival, dispatchBreaches, arrivalBreaches, breaches}}
+ */
+export function computeSlaMetrics(dispatches, targets) {
+  requireTargets(targets);
+  const average = (values) => (values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+  const toDispatch = dispatches.map((d) => d.timeToDispatchMs).filter((v) => v !== null);
+  const toArrival = dispatches.map((d) => d.timeToArrivalMs).filter((v) => v !== null);
+  const dispatchBreaches = toDispatch.filter((v) => v > targets.timeToDispatchMs).length;
+  const arrivalBreaches = toArrival.filter((v) => v > targets.timeToArrivalMs).length;
+  return {
+    dispatches: dispatches.length,
+    avgTimeToDispatch: average(toDispatch),
+    avgTimeToArrival: average(toArrival),
+    dispatchBreaches,
+    arrivalBreaches,
+    breaches: dispatches.filter((d) => d.timeToDispatchMs > targets.timeToDispatchMs || d.timeToArrivalMs > targets.timeToArrivalMs).length
+  };
+}
+
+/**
+ * Compare every metric cell of a parsed SLA report with the value recomputed from events
+ * @param {Object} report - parseSlaReport() result
+ * @param {Array} events - Dispatch events (fixture or fetchSlaEvents())
+ * @param {Object} options
+ * @param {{timeToDispatchMs: number, timeToArrivalMs: number}} options.targets - The product's SLA targets
+ * @param {number} [options.toleranceMs=1000] - Allowed difference for durations (report rounding)
+ * @returns {Object} { ok, targets, summary, mismatches, missingInReport, rows }
+ */
+export function checkSlaReport(report, events, options = {}) {
+  const targets = requireTargets(options.targets);
+  const toleranceMs = options.toleranceMs ?? 1000;
+  const dispatches = timeDispatches(events);
+  const headerOf = (key) => report.columns.find((c) => c.key === key)?.header || key;
+  const metricColumns = report.columns.filter((c) => c.metric);
+
+  const mismatches = [];
+  const rows = report.rows.map((row) => {
+    const stationTotal = TOTAL.test(row.station);
+    const siteTotal = !row.site || TOTAL.test(row.site);
+    const scope = dispatches.filter((d) => (stationTotal || sameName(d.station, row.station)) && (siteTotal || sameName(d.site, row.site)));
+    const expected = computeSlaMetrics(scope, targets);
+
+    const cells = metricColumns.map(({ key, metric }) => {
+      const raw = row.cells[key];
+      const reported = metric === 'duration' ? parseDuration(raw) : (isBlank(raw) ? null : Number(raw));
+      const want = expected[key];
+      let ok;
+      if (metric === 'duration') {
+        ok = (reported === null && want === null) || (reported !== null && want !== null && Math.abs(reported - want) <= toleranceMs);
+      } else {
+        ok = (reported ?? 0) === want && !Number.isNaN(reported);
+      }
+      const cell = { key, header: headerOf(key), report: raw ?? '', reported, expected: want, ok };
+      if (metric === 'duration' && reported !== null && want !== null) cell.delta = reported - want;
+      if (!ok) mismatches.push({ rowNumber: row.rowNumber, station: row.station, site: row.site || '(station total)', ...cell });
+      return cell;
+    });
+    return { rowNumber: row.rowNumber, station: row.station, site: row.site, dispatches: scope.length, cells };
+  });
+
+  // Station/site combinations with dispatches but no row
+  const covered = (d) => report.rows.some((row) => !isBlank(row.site) && !TOTAL.test(row.site) && sameName(row.station, d.station) && sameName(row.site, d.site));
+  const missing = new Map();
+  for (const dispatch of dispatches.filter((d) => !covered(d))) {
+    const key = `${dispatch.station}|${dispatch.site}`;
+    if (!missing.has(key)) missing.set(key, { station: dispatch.station, site: dispatch.site, dispatches: 0 });
+    missing.get(key).dispatches++;
+  }
+  const hasSiteRows = report.rows.some((row) => !isBlank(row.site) && !TOTAL.test(row.site));
+  const missingInReport = hasSiteRows ? [...missing.values()] : [];
+
+  return {
+    ok: mismatches.length === 0 && missingInReport.length === 0,
+    targets,
+    summary: {
+      rows: rows.length,
+      cells: rows.reduce((sum, row) => sum + row.cells.length, 0),
+      mismatches: mismatches.length,
+      dispatches: dispatches.length,
+      missingInReport: missingInReport.length
+    },
+    mismatches,
+    missingInReport,
+    rows
+  };
+}
+
+/**
+ * Human-readable result (for logs and expect messages)
+ * @param {Object} result - checkSlaReport() result
+ * @returns {string}
+ */
+export function formatSlaCheck(result) {
+  const { summary, targets } = result;
+  const lines = [
+    `${result.ok ? '✅' : '❌'} Dispatch SLA report vs ${summary.dispatches} dispatch(es) ` +
+      `(targets: dispatch ${formatDuration(targets.timeToDispatchMs)}, arrival ${formatDuration(targets.timeToArrivalMs)})`,
+    `   rows ${summary.rows}, cells ${summary.cells}, mismatches ${summary.mismatches}, missing in report ${summary.missingInReport}`
+  ];
+  for (const m of result.mismatches) {
+    const duration = m.key.startsWith('avg');
+    const reported = duration ? formatDuration(m.reported) : m.report;
+    const expected = duration ? formatDuration(m.expected) : m.expected;
+    lines.push(`   row ${m.rowNumber} [${m.station} / ${m.site}] ${m.header}: report ${reported} ≠ recomputed ${expected}`);
+  }
+  for (const m of result.missingInReport) {
+    lines.push(`   [${m.station || 'no station'} / ${m.site || 'no site'}]: ${m.dispatches} dispatch(es) but no report row`);
+  }
+  return lines.join('\n');
+}
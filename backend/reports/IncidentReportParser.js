@@ -0,0 +1,348 @@
+// backend/reports/IncidentReportParser.js
+// Structured view of an Incident Report PDF (Alert Reports → Download), instead of
+// substring checks on the flattened text.
+//
+//   const report = await parseIncidentReport(buffer);           // Buffer or file path
+//   report.header      // { reportDate: '2025-10-28', title: 'Incident Report', reportName, timeZone: 'GMT' }
+//   report.incident    // { site, incidentId, status, start, end, duration, alerts, timeline, operatorNotes }
+//   report.sections    // [{ name: 'header', page: 1 }, { name: 'incident', page: 2 }, { name: 'timeline', page: 2 }]
+//   const { ok, issues } = validateIncidentReport(report, { status: 'Resolved', actions: ['Dispatch Created'] });
+//
+// The layout follows test/data/05-versions-space.pdf: a title page, then per incident a site
+// line, a "start - end (H hrs M min)" line, Incident ID, Status, alert summary and the timeline.
+// Every page ends with the "Powered by" / "Confidential" footer and "n / total".
+
+import fs from 'fs';
+import pdfParse from 'pdf-parse';
+import { parseReportTimestamp } from './DispatchReportParser.js';
+
+export const INCIDENT_STATUSES = ['Resolved', 'Not resolved', 'Dismissed', 'Escalated'];
+export const SECTION_ORDER = ['header', 'incident', 'timeline', 'map'];
+
+const TIMESTAMP = '\\d{4}-\\d{2}-\\d{2} \\d{2}:\\d{2}:\\d{2}';
+const LINE = {
+  pageNumber: /^(\d+)\s*\/\s*(\d+)$/,
+  poweredBy: /^Powered by\b/i,
+  confidential: /^Confidential\b/i,
+  title: /^Incident Report$/i,
+  reportDate: /^(\d{1,2})\s+(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{4})$/i,
+  gmtNotice: /^Reports are created in GMT\b/i,
+  timeRange: new RegExp(`^(${TIMESTAMP})\\s+-\\s+(${TIMESTAMP})\\s+\\((\\d+)\\s*hrs?\\s+(\\d+)\\s*min\\)$`),
+  incidentId: /^Incident ID:\s*(\S+)$/i,
+  status: /^Status:\s*(.+)$/i,
+  alerts: /^(\d+)\s+Alerts?:\s*(.*)$/i,
+  entry: new RegExp(`^(${TIMESTAMP})\\s+-\\s+(.*)$`),
+  detail: /^([^:]{1,40}):\s*(.*)$/,
+  map: /^Map(\s+(Snapshot|Reference))?\b/i
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Report times are GMT (see the notice on the title page)
+const gmt = (timestamp) => new Date(parseReportTimestamp(timestamp, 'Z')).toISOString();
+
+/**
+ * Split pdf-parse text into pages on the "n / total" footer, keeping footer flags per page
+ * @param {string} text
+ * @returns {Array<{page: number, lines: string[], footer: Object}>}
+ */
+export function splitPages(text) {
+  const pages = [];
+  let current = { lines: [], footer: { poweredBy: false, confidential: false, number: null, of: null } };
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (line === '') continue;
+    const pageNumber = line.match(LINE.pageNumber);
+    if (pageNumber) {
+      current.footer.number = Number(pageNumber[1]);
+      current.footer.of = Number(pageNumber[2]);
+      pages.push(current);
+      current = { lines: [], footer: { poweredBy: false, confidential: false, number: null, of: null } };
+    } else if (LINE.poweredBy.test(line)) {
+      current.footer.poweredBy = true;
+    } else if (LINE.confidential.test(line)) {
+      current.footer.confidential = true;
+    } else {
+      current.lines.push(line);
+    }
+  }
+  if (current.lines.length > 0 || current.footer.poweredBy) pages.push(current);
+  return pages.map((page, i) => ({ page: i + 1, ...page }));
+}
+
+/**
+ * "2025-10-28 10:07:53 -  System  Trex  -  NGA_20481_Ramoshie_Eaton.OUT1_O  - [2]" and friends
+ * @param {string} timestamp
+ * @param {string} rest - Everything after "timestamp - "
+ * @returns {Object} Timeline entry
+ */
+function parseEntry(timestamp, rest) {
+  const parts = rest.split(/\s+-\s+/).map((part) => part.trim()).filter(Boolean);
+  const entry = { timestamp, at: gmt(timestamp), actor: '', action: '' };
+
+  const alertNumber = parts[parts.length - 1]?.match(/^\[(\d+)\]$/);
+  if (alertNumber && parts.length >= 3) {
+    // Alert lines: [action -] actor - type - source - [n]
+    const source = parts[parts.length - 2];
+    let leading = parts.slice(0, -2);
+    if (leading.length === 1) leading = leading[0].split(/\s{2,}/);
+    const [type, actor, action] = [leading.pop(), leading.pop(), leading.join(' - ')];
+    return { ...entry, actor: actor || '', action: action || 'Alert received', alert: { number: Number(alertNumber[1]), type, source } };
+  }
+
+  return { ...entry, actor: parts[0] || '', action: parts.slice(1).join(' - ') };
+}
+
+/**
+ * Parse the text pdf-parse extracted from an Incident Report
+ * @param {string} text - pdf-parse `text` (line breaks intact, not flattened)
+ * @param {Object} [options]
+ * @param {number} [options.numpages] - Page count reported by the PDF itself
+ * @returns {Object} { pages, header, incidents, incident, map, branding, sections, text }
+ */
+export function parseIncidentReportText(text, { numpages } = {}) {
+  const pages = splitPages(text || '');
+  const header = { reportDate: null, title: null, reportName: null, timeZone: null, gmtNotice: null };
+  const incidents = [];
+  const sections = [];
+  let map = null;
+  let incident = null;
+  let entry = null;
+
+  const section = (name, page, extra = {}) => sections.push({ name, page, ...extra });
+
+  for (const { page, lines } of pages) {
+    if (lines.length === 0 && page > 1 && !map) {
+      // Image-only page: the map snapshot has no extractable text
+      map = { page, label: null };
+      section('map', page);
+      continue;
+    }
+
+    lines.forEach((line, i) => {
+      let match;
+      if (!map && LINE.map.test(line) && !LINE.entry.test(line)) {
+        map = { page, label: line };
+        section('map', page);
+      } else if ((match = line.match(LINE.reportDate)) && !incident) {
+        header.reportDate = `${match[3]}-${String(MONTHS.indexOf(match[2].toLowerCase()) + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+        if (!sections.some((s) => s.name === 'header')) section('header', page);
+      } else if (LINE.title.test(line) && !incident) {
+        header.title = line;
+        if (!sections.some((s) => s.name === 'header')) section('header', page);
+      } else if (LINE.gmtNotice.test(line)) {
+        header.gmtNotice = line;
+        header.timeZone = 'GMT';
+      } else if ((match = line.match(LINE.timeRange))) {
+        // The site name is the line right above the time range
+        const site = i > 0 ? lines[i - 1] : null;
+        incident = {
+          site,
+          start: match[1],
+          end: match[2],
+          startUtc: gmt(match[1]),
+          endUtc: gmt(match[2]),
+          duration: { hours: Number(match[3]), minutes: Number(match[4]) },
+          incidentId: null,
+          status: null,
+          alerts: null,
+          timeline: [],
+          operatorNotes: [],
+          page
+        };
+        incidents.push(incident);
+        entry = null;
+        section('incident', page, { index: incidents.length - 1 });
+      } else if (!incident) {
+        if (header.title && !header.reportName && !LINE.timeRange.test(lines[i + 1] || '')) header.reportName = line;
+      } else if ((match = line.match(LINE.incidentId)) && !incident.incidentId) {
+        incident.incidentId = match[1];
+      } else if ((match = line.match(LINE.status)) && !incident.status) {
+        incident.status = match[1].trim();
+      } else if ((match = line.match(LINE.alerts)) && !incident.alerts) {
+        const byType = {};
+        for (const [, count, type] of match[2].matchAll(/(\d+)\s+([^,]+?)(?=\s*(?:,|$))/g)) byType[type.trim()] = Number(count);
+        incident.alerts = { count: Number(match[1]), byType };
+      } else if ((match = line.match(LINE.entry))) {
+        if (incident.timeline.length === 0) section('timeline', page, { index: incidents.length - 1 });
+        entry = { ...parseEntry(match[1], match[2]), page };
+        incident.timeline.push(entry);
+      } else if (LINE.timeRange.test(lines[i + 1] || '')) {
+        // Site line of the next incident, read together with its time range
+      } else if (entry) {
+        // Continuation lines belong to the entry above (SOP answers, operator comments)
+        const detail = line.match(LINE.detail);
+        const note = detail ? { label: detail[1].trim(), value: detail[2].trim() } : { label: null, value: line };
+        (entry.details ||= []).push(note);
+        incident.operatorNotes.push({ timestamp: entry.timestamp, actor: entry.actor, action: entry.action, ...note });
+      }
+    });
+  }
+
+  const footers = pages.map(({ page, footer }) => ({ page, ...footer }));
+  return {
+    pages: numpages ?? pages.length,
+    header,
+    incidents,
+    incident: incidents[0] || null,
+    map,
+    branding: {
+      poweredBy: footers.filter((f) => f.poweredBy).map((f) => f.page),
+      confidential: footers.filter((f) => f.confidential).map((f) => f.page),
+      pageNumbers: footers.map((f) => (f.number ? `${f.number} / ${f.of}` : null))
+    },
+    sections,
+    text: (text || '').replace(/\s+/g, ' ').trim()
+  };
+}
+
+/**
+ * Parse an Incident Report PDF
+ * @param {Buffer|string} input - PDF bytes or a file path
+ * @returns {Promise<Object>} parseIncidentReportText() result plus `file`
+ */
+export async function parseIncidentReport(input) {
+  const file = typeof input === 'string' ? input : null;
+  const buffer = file ? fs.readFileSync(file) : input;
+  const parsed = await pdfParse(buffer);
+  const report = parseIncidentReportText(parsed.text, { numpages: parsed.numpages });
+  console.log(`[IncidentReport] Parsed ${report.pages} page(s), ${report.incidents.length} incident(s)` +
+    (report.incident ? `: ${report.incident.incidentId} (${report.incident.status})` : ''));
+  return { file, ...report };
+}
+
+/**
+ * Structural checks, plus optional expected field values
+ * @param {Object} report - parseIncidentReport() result
+ * @param {Object} [expected]
+ * @param {string} [expected.reportName]
+ * @param {string} [expected.reportDate] - YYYY-MM-DD
+ * @param {string} [expected.incidentId]
+ * @param {string} [expected.site]
+ * @param {string} [expected.status]
+ * @param {string} [expected.alertType] - Must appear in the alert summary
+ * @param {string[]} [expected.actions] - Timeline actions that must appear in this order (gaps allowed)
+ * @param {string[]} [expected.sections] - Exact section order, e.g. ['header', 'incident', 'timeline', 'map']
+ * @param {boolean} [expected.map] - Require (true) or forbid (false) a map page
+ * @returns {{ok: boolean, issues: Array<{check: string, message: string}>}}
+ */
+export function validateIncidentReport(report, expected = {}) {
+  const issues = [];
+  const fail = (check, message) => issues.push({ check, message });
+  const same = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+  const { header, branding } = report;
+
+  if (!header.title) fail('title', 'no "Incident Report" title');
+  if (!header.reportDate) fail('reportDate', 'no report date on the title page');
+  if (header.timeZone !== 'GMT') fail('gmtNotice', 'GMT notice missing');
+
+  if (report.incidents.length === 0) fail('incident', 'no incident section');
+  report.incidents.forEach((incident, n) => {
+    const label = report.incidents.length > 1 ? `incident ${n + 1}: ` : '';
+    if (!incident.site) fail('site', `${label}site name missing`);
+    if (!/^[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}$/i.test(incident.incidentId || '')) {
+      fail('incidentId', `${label}"${incident.incidentId}" is not an incident id`);
+    }
+    if (!incident.status) fail('status', `${label}status missing`);
+
+    const start = Date.parse(incident.startUtc);
+    const end = Date.parse(incident.endUtc);
+    if (end < start) fail('timeRange', `${label}ends (${incident.end}) before it starts (${incident.start})`);
+    const minutes = Math.floor((end - start) / 60000);
+    const stated = incident.duration.hours * 60 + incident.duration.minutes;
+    if (Math.abs(minutes - stated) > 1) fail('duration', `${label}stated ${stated} min, time range is ${minutes} min`);
+
+    if (incident.timeline.length === 0) fail('timeline', `${label}empty timeline`);
+    incident.timeline.forEach((entry, i) => {
+      const at = Date.parse(entry.at);
+      if (i > 0 && at < Date.parse(incident.timeline[i - 1].at)) fail('timelineOrder', `${label}${entry.timestamp} ${entry.action} is out of order`);
+      if (at < start || at > end) fail('timelineWindow', `${label}${entry.timestamp} ${entry.action} is outside ${incident.start} - ${incident.end}`);
+    });
+
+    const alertNumbers = incident.timeline.filter((e) => e.alert).map((e) => e.alert.number);
+    if (incident.alerts) {
+      const byType = Object.values(incident.alerts.byType).reduce((sum, count) => sum + count, 0);
+      if (byType !== incident.alerts.count) fail('alerts', `${label}${incident.alerts.count} alert(s) but ${byType} by type`);
+      if (alertNumbers.length > 0 && Math.max(...alertNumbers) !== incident.alerts.count) {
+        fail('alerts', `${label}${incident.alerts.count} alert(s) but the timeline numbers them up to [${Math.max(...alertNumbers)}]`);
+      }
+    }
+    if (incident.status && incident.timeline.length > 0 && !/^not\b/i.test(incident.status) &&
+      !incident.timeline.some((e) => e.action.toLowerCase().startsWith(incident.status.toLowerCase()))) {
+      fail('status', `${label}status ${incident.status} never appears in the timeline`);
+    }
+  });
+
+  const pages = report.pages;
+  const missing = (list) => Array.from({ length: pages }, (_, i) => i + 1).filter((page) => !list.includes(page));
+  if (missing(branding.poweredBy).length > 0) fail('branding', `"Powered by" footer missing on page(s) ${missing(branding.poweredBy).join(', ')}`);
+  if (missing(branding.confidential).length > 0) fail('branding', `"Confidential" footer missing on page(s) ${missing(branding.confidential).join(', ')}`);
+  const numbering = Array.from({ length: pages }, (_, i) => `${i + 1} / ${pages}`);
+  if (branding.pageNumbers.join('|') !== numbering.join('|')) {
+    fail('pageNumbers', `page numbers ${branding.pageNumbers.join(', ')}; expected ${numbering.join(', ')}`);
+  }
+
+  const order = report.sections.map((s) => SECTION_ORDER.indexOf(s.name));
+  // A report with several incidents starts over at 'incident' for each one
+  if (order.some((rank, i) => i > 0 && rank < order[i - 1] && report.sections[i].name !== 'incident')) {
+    fail('sectionOrder', `sections out of order: ${report.sections.map((s) => s.name).join(' → ')}`);
+  }
+
+  // Expected values
+  const incident = report.incident || {};
+  const fields = [
+    ['reportName', header.reportName],
+    ['reportDate', header.reportDate],
+    ['incidentId', incident.incidentId],
+    ['site', incident.site],
+    ['status', incident.status]
+  ];
+  for (const [field, actual] of fields) {
+    if (expected[field] !== undefined && !same(actual, expected[field])) fail(field, `expected "${expected[field]}", found "${actual ?? ''}"`);
+  }
+  if (expected.alertType && !Object.keys(incident.alerts?.byType || {}).some((type) => same(type, expected.alertType))) {
+    fail('alertType', `no ${expected.alertType} alerts (found ${Object.keys(incident.alerts?.byType || {}).join(', ') || 'none'})`);
+  }
+  if (expected.actions) {
+    let from = 0;
+    for (const action of expected.actions) {
+      const index = (incident.timeline || []).findIndex((e, i) => i >= from && same(e.action, action));
+      if (index === -1) {
+        fail('actions', `"${action}" not found${from > 0 ? ` after "${incident.timeline[from - 1].action}"` : ''}`);
+        break;
+      }
+      from = index + 1;
+    }
+  }
+  if (expected.sections) {
+    const names = report.sections.map((s) => s.name);
+    if (names.join('|') !== expected.sections.join('|')) fail('sections', `expected ${expected.sections.join(' → ')}, found ${names.join(' → ')}`);
+  }
+  if (expected.map === true && !report.map) fail('map', 'no map page');
+  if (expected.map === false && report.map) fail('map', `unexpected map on page ${report.map.page}`);
+
+  return { ok: issues.length === 0, issues };
+}
+
+/**
+ * Human-readable summary (for logs and expect messages)
+ * @param {Object} report - parseIncidentReport() result
+ * @param {{ok: boolean, issues: Array}} [result] - validateIncidentReport() result
+ * @returns {string}
+ */
+export function formatIncidentReport(report, result) {
+  const incident = report.incident || {};
+  const lines = [
+    `${result ? (result.ok ? '✅' : '❌') : '📄'} ${reportTitle(report)} (${report.pages} page(s))`,
+    `   ${incident.incidentId || 'no incident id'} | ${incident.site || 'no site'} | ${incident.status || 'no status'} | ` +
+      `${incident.start || '?'} - ${incident.end || '?'} GMT | ${incident.timeline?.length ?? 0} timeline entries`,
+    `   sections: ${report.sections.map((s) => `${s.name}@${s.page}`).join(' → ') || 'none'}`
+  ];
+  for (const issue of result?.issues || []) lines.push(`   [${issue.check}] ${issue.message}`);
+  return lines.join('\n');
+}
+
+function reportTitle(report) {
+  return [report.header.title, report.header.reportName, report.header.reportDate].filter(Boolean).join(' - ') || 'Untitled report';
+}
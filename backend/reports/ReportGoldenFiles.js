@@ -0,0 +1,339 @@
+// backend/reports/ReportGoldenFiles.js
+// Golden-file regression for downloaded reports (Incident Report PDFs, Dispatch XLSX exports).
+// A report is reduced to a JSON snapshot - page count, section order and text for PDFs;
+// sheet names, column sets and cell text for workbooks - with volatile values (ids,
+// timestamps, operator names) replaced by placeholders, then compared with the committed
+// baseline in test/data/golden/<name>.json.
+//
+//   await expectReportToMatchGolden(download path or Buffer, 'incident-report');
+//   await expectReportToMatchGolden(buffer, 'dispatch-report-layout', { compare: ['sheets', 'columns'] });
+//
+// Update baselines (like VisualTestHelper.updateBaseline for screenshots) with
+// UPDATE_GOLDEN=1, `npx playwright test -u`, or updateGoldenBaseline(input, name).
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import XLSX from 'xlsx';
+import pdfParse from 'pdf-parse';
+import { test } from '@playwright/test';
+import { detectReportFormat, mapColumns } from './DispatchReportParser.js';
+import { parseIncidentReportText, splitPages } from './IncidentReportParser.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const GOLDEN_DIR = path.resolve(__dirname, '../../test/data/golden');
+
+export const ASPECTS = {
+  pdf: ['pages', 'sections', 'titlePage', 'text'],
+  xlsx: ['sheets', 'columns', 'text']
+};
+
+/**
+ * Applied in order to every text line / cell. Add report-specific ones through options.normalisers.
+ */
+export const DEFAULT_NORMALISERS = [
+  { name: 'uuid', pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, replacement: '<uuid>' },
+  { name: 'timestamp', pattern: /\b\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g, replacement: '<timestamp>' },
+  { name: 'timestamp', pattern: /\b\d{1,2}\/\d{1,2}\/\d{2,4}(,?\s+\d{1,2}:\d{2}(:\d{2})?(\s?[AP]M)?)?/gi, replacement: '<timestamp>' },
+  { name: 'date', pattern: /\b\d{1,2} (January|February|March|April|May|June|July|August|September|October|November|December) \d{4}\b/g, replacement: '<date>' },
+  { name: 'duration', pattern: /\(\d+ hrs? \d+ min\)/g, replacement: '(<duration>)' },
+  { name: 'email', pattern: /\b[\w.+-]+@[\w-]+(\.[\w-]+)+\b/g, replacement: '<email>' },
+  // "<timestamp> -  Proof360 Test - Reserve": the operator who acted
+  { name: 'operator', pattern: /^(<timestamp>\s+-\s+)(?!System\b|Incident created\b)(\S.*?)(\s+-\s+)/, replacement: '$1<operator>$3' },
+  { name: 'id', pattern: /\b[A-Z]{1,4}-\d{2,}\b/g, replacement: '<id>' }
+];
+
+// Dispatch report columns whose values change on every run (DispatchReportParser column keys)
+export const VOLATILE_COLUMNS = ['dispatchId', 'incidentId', 'actionTimestamp', 'createdAt', 'createdBy'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Replace volatile values in one line of text
+ * @param {string} text
+ * @param {Array<{pattern: RegExp, replacement: string}>} [normalisers=DEFAULT_NORMALISERS]
+ * @returns {string}
+ */
+export function normaliseText(text, normalisers = DEFAULT_NORMALISERS) {
+  let value = String(text).replace(/\s+/g, ' ').trim();
+  for (const { pattern, replacement } of normalisers) value = value.replace(pattern, replacement);
+  return value;
+}
+
+/**
+ * Snapshot of an Incident Report PDF
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {Array} [options.normalisers] - Extra normalisers, applied after the defaults
+ * @returns {Promise<Object>} { kind: 'pdf', pages, sections, titlePage, text }
+ */
+export async function snapshotPdf(buffer, options = {}) {
+  const normalisers = [...DEFAULT_NORMALISERS, ...(options.normalisers || [])];
+  const parsed = await pdfParse(buffer);
+  const report = parseIncidentReportText(parsed.text, { numpages: parsed.numpages });
+
+  // Footers are kept, so a lost "Powered by" or page number shows up as a text change
+  const pageText = splitPages(parsed.text).map(({ lines, footer }) => [
+    ...lines,
+    ...(footer.poweredBy ? ['Powered by'] : []),
+    ...(footer.confidential ? ['Confidential - Do not Distribute'] : []),
+    ...(footer.number ? [`${footer.number} / ${footer.of}`] : [])
+  ].map((line) => normaliseText(line, normalisers)));
+
+  return {
+    kind: 'pdf',
+    pages: parsed.numpages,
+    sections: report.sections.map((section) => section.name),
+    titlePage: pageText[0] || [],
+    text: pageText.flatMap((lines, i) => [`--- page ${i + 1} ---`, ...lines])
+  };
+}
+
+/**
+ * Snapshot of an XLSX export (every sheet; a zip bundle's inner workbook)
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {Array} [options.normalisers] - Extra normalisers, applied after the defaults
+ * @param {string[]} [options.volatileColumns=VOLATILE_COLUMNS] - Column keys blanked to '<volatile>'
+ * @returns {Object} { kind: 'xlsx', sheets, columns, text }
+ */
+export function snapshotXlsx(buffer, options = {}) {
+  const normalisers = [...DEFAULT_NORMALISERS, ...(options.normalisers || [])];
+  const volatileKeys = options.volatileColumns || VOLATILE_COLUMNS;
+  const { format, workbook: workbookBuffer } = detectReportFormat(buffer);
+  if (!workbookBuffer) throw new Error(`[Golden] Expected a workbook, got ${format}`);
+
+  const workbook = XLSX.read(workbookBuffer, { type: 'buffer' });
+  const columns = {};
+  const text = [];
+
+  for (const sheetName of workbook.SheetNames) {
+    const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: false, blankrows: false, defval: '' });
+    // Header row: the fullest of the first rows (titles above it have one cell)
+    const candidates = data.slice(0, 10).map((row) => row.filter((cell) => !isBlank(cell)).length);
+    const headerRow = candidates.length > 0 ? candidates.indexOf(Math.max(...candidates)) : 0;
+    const headers = (data[headerRow] || []).map((header) => String(header).trim());
+    const volatile = new Set(mapColumns(headers).mapped.filter((c) => volatileKeys.includes(c.key)).map((c) => c.index));
+
+    columns[sheetName] = headers;
+    text.push(`--- sheet ${sheetName} ---`);
+    data.forEach((row, i) => {
+      if (i === headerRow) return text.push(`# ${headers.join(' | ')}`);
+      const cells = row.map((cell, index) => {
+        if (isBlank(cell)) return '';
+        return i > headerRow && volatile.has(index) ? '<volatile>' : normaliseText(cell, normalisers);
+      });
+      text.push(cells.join(' | ').replace(/(\s\|\s?)+$/, ''));
+    });
+  }
+
+  return { kind: 'xlsx', sheets: workbook.SheetNames, columns, text };
+}
+
+/**
+ * Snapshot any downloaded report, detected from its content
+ * @param {Buffer|string} input - Report bytes or a file path
+ * @param {Object} [options] - snapshotPdf / snapshotXlsx options
+ * @returns {Promise<Object>}
+ */
+export async function snapshotReport(input, options = {}) {
+  const buffer = typeof input === 'string' ? fs.readFileSync(input) : input;
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return snapshotPdf(buffer, options);
+  return snapshotXlsx(buffer, options);
+}
+
+/**
+ * Line diff (longest common subsequence), as "- expected" / "+ actual" lines with line numbers
+ * @param {string[]} expected
+ * @param {string[]} actual
+ * @returns {string[]}
+ */
+function diffLines(expected, actual) {
+  const n = expected.length;
+  const m = actual.length;
+  if (n * m > 4_000_000) {
+    // Too big for the table: compare position by position
+    return Array.from({ length: Math.max(n, m) }, (_, i) => i)
+      .filter((i) => expected[i] !== actual[i])
+      .flatMap((i) => [
+        ...(i < n ? [`- ${i + 1}: ${expected[i]}`] : []),
+        ...(i < m ? [`+ ${i + 1}: ${actual[i]}`] : [])
+      ]);
+  }
+
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = expected[i] === actual[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && expected[i] === actual[j]) {
+      i++;
+      j++;
+    } else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      lines.push(`+ ${j + 1}: ${actual[j++]}`);
+    } else {
+      lines.push(`- ${i + 1}: ${expected[i++]}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Compare a snapshot with its baseline
+ * @param {Object} expected - Baseline snapshot
+ * @param {Object} actual - Snapshot of the new report
+ * @param {Object} [options]
+ * @param {string[]} [options.compare] - Aspects to compare (default: all for the kind, see ASPECTS)
+ * @returns {{ok: boolean, compared: string[], differences: Array<{aspect: string, message: string, diff?: string[]}>}}
+ */
+export function compareSnapshots(expected, actual, options = {}) {
+  const differences = [];
+  if (expected.kind !== actual.kind) {
+    return { ok: false, compared: ['kind'], differences: [{ aspect: 'kind', message: `baseline is ${expected.kind}, report is ${actual.kind}` }] };
+  }
+  const compared = options.compare || ASPECTS[actual.kind];
+  const unknown = compared.filter((aspect) => !ASPECTS[actual.kind].includes(aspect));
+  if (unknown.length > 0) throw new Error(`[Golden] Unknown aspect(s) for ${actual.kind}: ${unknown.join(', ')}`);
+
+  const list = (values) => (values.length > 0 ? values.join(', ') : 'none');
+  for (const aspect of compared) {
+    if (aspect === 'pages' && expected.pages !== actual.pages) {
+      differences.push({ aspect, message: `${expected.pages} page(s) expected, got ${actual.pages}` });
+    }
+    if ((aspect === 'sections' || aspect === 'sheets') && expected[aspect].join('|') !== actual[aspect].join('|')) {
+      differences.push({ aspect, message: `expected ${list(expected[aspect])}; got ${list(actual[aspect])}` });
+    }
+    if (aspect === 'columns') {
+      for (const sheet of new Set([...Object.keys(expected.columns), ...Object.keys(actual.columns)])) {
+        const before = expected.columns[sheet] || [];
+        const after = actual.columns[sheet] || [];
+        if (before.join('|') === after.join('|')) continue;
+        const added = after.filter((c) => !before.includes(c));
+        const removed = before.filter((c) => !after.includes(c));
+        const message = added.length === 0 && removed.length === 0
+          ? `${sheet}: columns reordered (${list(after)})`
+          : `${sheet}: added ${list(added)}; removed ${list(removed)}`;
+        differences.push({ aspect, message });
+      }
+    }
+    if (aspect === 'text' || aspect === 'titlePage') {
+      const diff = diffLines(expected[aspect], actual[aspect]);
+      if (diff.length > 0) differences.push({ aspect, message: `${diff.length} line(s) differ`, diff });
+    }
+  }
+  return { ok: differences.length === 0, compared, differences };
+}
+
+/**
+ * Human-readable comparison (for logs and errors)
+ * @param {Object} result - compareSnapshots() result
+ * @param {Object} [options]
+ * @param {string} [options.name] - Baseline name
+ * @param {number} [options.limit=30] - Diff lines shown per aspect
+ * @returns {string}
+ */
+export function formatGoldenDiff(result, { name = 'report', limit = 30 } = {}) {
+  if (result.ok) return `✅ ${name} matches its golden baseline (${result.compared.join(', ')})`;
+  const lines = [`❌ ${name} differs from its golden baseline:`];
+  for (const { aspect, message, diff } of result.differences) {
+    lines.push(`   [${aspect}] ${message}`);
+    for (const line of (diff || []).slice(0, limit)) lines.push(`      ${line}`);
+    if (diff && diff.length > limit) lines.push(`      ... and ${diff.length - limit} more`);
+  }
+  return lines.join('\n');
+}
+
+function currentTestInfo() {
+  try {
+    return test.info();
+  } catch {
+    return null; // not inside a test (scripts, REPL)
+  }
+}
+
+/**
+ * Whether baselines should be rewritten: UPDATE_GOLDEN=1 or `playwright test -u`
+ * @returns {boolean}
+ */
+export function shouldUpdateGolden() {
+  if (['1', 'true', 'all'].includes(String(process.env.UPDATE_GOLDEN || '').toLowerCase())) return true;
+  return currentTestInfo()?.config.updateSnapshots === 'all';
+}
+
+/**
+ * Path of a baseline file
+ * @param {string} name
+ * @param {string} [dir=GOLDEN_DIR]
+ * @returns {string}
+ */
+export function goldenPath(name, dir = GOLDEN_DIR) {
+  return path.join(dir, name.endsWith('.json') ? name : `${name}.json`);
+}
+
+function writeBaseline(file, snapshot) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(snapshot, null, 2)}\n`);
+}
+
+/**
+ * Compare a downloaded report with its golden baseline; throws with a diff on mismatch.
+ * Baselines are only written in update mode. Without one the test is skipped (the snapshot
+ * is attached), so a new baseline is created deliberately and reviewed before it is committed.
+ * @param {Buffer|string} input - Report bytes or a file path
+ * @param {string} name - Baseline name (test/data/golden/<name>.json)
+ * @param {Object} [options] - snapshotReport and compareSnapshots options, plus:
+ * @param {string} [options.dir=GOLDEN_DIR]
+ * @param {boolean} [options.update=shouldUpdateGolden()] - Rewrite the baseline instead of comparing
+ * @param {'skip'|'fail'} [options.missing='skip'] - Without a baseline: skip the current test, or throw
+ *   (outside a test it always throws)
+ * @returns {Promise<Object>} compareSnapshots() result plus { file, snapshot, updated }
+ */
+export async function expectReportToMatchGolden(input, name, options = {}) {
+  const file = goldenPath(name, options.dir);
+  const snapshot = await snapshotReport(input, options);
+  const update = options.update ?? shouldUpdateGolden();
+
+  if (update) {
+    writeBaseline(file, snapshot);
+    console.log(`[Golden] ✅ Baseline updated: ${path.relative(process.cwd(), file)}`);
+    return { ok: true, compared: [], differences: [], file, snapshot, updated: true };
+  }
+  if (!fs.existsSync(file)) {
+    const message = `[Golden] No baseline for "${name}" (${path.relative(process.cwd(), file)}). ` +
+      'Run with UPDATE_GOLDEN=1 against a known-good report, review the file and commit it.';
+    const testInfo = currentTestInfo();
+    if (!testInfo || options.missing === 'fail') throw new Error(message);
+    await testInfo.attach(`${name}.actual.json`, { body: JSON.stringify(snapshot, null, 2), contentType: 'application/json' });
+    console.log(`${message} Skipping.`);
+    testInfo.skip(true, message);
+  }
+
+  const baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const result = compareSnapshots(baseline, snapshot, options);
+  console.log(`[Golden] ${formatGoldenDiff(result, { name, limit: 10 })}`);
+
+  if (!result.ok) {
+    await currentTestInfo()?.attach(`${name}.actual.json`, {
+      body: JSON.stringify(snapshot, null, 2),
+      contentType: 'application/json'
+    });
+    throw new Error(`${formatGoldenDiff(result, { name })}\n   Run with UPDATE_GOLDEN=1 if the change is intended.`);
+  }
+  return { ...result, file, snapshot, updated: false };
+}
+
+/**
+ * Rewrite a baseline from a report (use when the layout legitimately changes)
+ * @param {Buffer|string} input
+ * @param {string} name
+ * @param {Object} [options] - expectReportToMatchGolden options
+ * @returns {Promise<Object>}
+ */
+export async function updateGoldenBaseline(input, name, options = {}) {
+  return expectReportToMatchGolden(input, name, { ...options, update: true });
+}
@@ -0,0 +1,352 @@
+// backend/reports/ReportLifecycle.js
+// One create -> wait -> download -> archive flow for the three report types (Dispatch,
+// Dispatch SLA and Incident reports), on top of their page objects.
+//
+//   const reports = new ReportLifecycle(page, { testInfo });
+//   const report = await reports.createReady('dispatchSla', `SLA ${Date.now()}`, { station: 'Cape town' });
+//   const { filePath, sha256 } = await reports.download(report);
+//   await reports.cleanup();   // archives everything this test created
+//
+// - Status is polled with backoff (ReportPolling.js) through Pending -> Processing -> Ready/Failed.
+// - A Failed report is re-created (up to `maxRetries` times) under "<name> (retry n)".
+// - Every report is recorded in the ReportRegistry, so the reports of a test that crashed are
+//   still archived by a later cleanup of the run.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { expect } from '@playwright/test';
+import { MenuPage } from '../MenuPage.js';
+import { DispatchReportsPage } from '../DispatchReportsPage.js';
+import { DispatchSLAReportsPage } from '../DispatchSLAReportsPage.js';
+import { DEFAULT_POLLING, pollReportState, readRowState } from './ReportPolling.js';
+import { ReportRegistry } from './ReportRegistry.js';
+
+/**
+ * The row of a report in a report list
+ * @param {import('@playwright/test').Page} page
+ * @param {string} name
+ */
+export const reportRow = (page, name) => page.getByRole('row').filter({ hasText: name }).first();
+
+async function reloadList(page) {
+  await page.reload({ waitUntil: 'domcontentloaded' });
+  await page.locator('table').first().waitFor({ state: 'visible', timeout: 15000 }).catch(() => {});
+}
+
+/**
+ * Per report type: how to open the list, create, find and read the status of a row, download and archive.
+ * Methods get the ReportLifecycle (page and page objects), the report name and its config.
+ */
+export const REPORT_ADAPTERS = {
+  dispatch: {
+    label: 'Dispatch report',
+    async open(ctx) {
+      await ctx.menuPage.navigateToAlertReports();
+      await ctx.dispatchReportsPage.navigateToDispatchReports();
+    },
+    async create(ctx, name, config) {
+      await ctx.dispatchReportsPage.createCompleteReport({ ...config, reportName: name });
+    },
+    async refresh(ctx) {
+      await reloadList(ctx.page);
+    },
+    exists: async (ctx, name) => (await ctx.dispatchReportsPage.getReportRow(name).count()) > 0,
+    status: (ctx, name) => readRowState(ctx.dispatchReportsPage.getReportRow(name)),
+    async download(ctx, name, config) {
+      const extension = /csv/i.test(config.fileFormat || '') ? '.csv' : '.xlsx';
+      return { download: await ctx.dispatchReportsPage.downloadReport(name, extension) };
+    },
+    async archive(ctx, name) {
+      await ctx.dispatchReportsPage.archiveReport(name);
+    }
+  },
+
+  dispatchSla: {
+    label: 'Dispatch SLA report',
+    async open(ctx) {
+      await ctx.menuPage.navigateToAlertReports();
+      await ctx.slaPage.openFromAlertReports();
+    },
+    async create(ctx, name, config) {
+      await ctx.slaPage.createCompleteReport({ ...config, reportName: name });
+    },
+    async refresh(ctx) {
+      // The list opens on the Incident reports tab after a reload
+      await reloadList(ctx.page);
+      await ctx.slaPage.openFromAlertReports();
+    },
+    exists: async (ctx, name) => (await reportRow(ctx.page, name).count()) > 0,
+    status: (ctx, name) => readRowState(reportRow(ctx.page, name)),
+    download: (ctx, name, config, dir) => ctx.slaPage.downloadReportFile(name, dir),
+    async archive(ctx, name) {
+      await ctx.slaPage.archiveReport(name);
+      await ctx.slaPage.expectArchived(name);
+    }
+  },
+
+  incident: {
+    label: 'Incident report',
+    async open(ctx) {
+      await ctx.menuPage.navigateToAlertReports();
+    },
+    // Incident reports come out of the incident wizard (select incidents, snapshot, export),
+    // which lives with the specs; pass it as config.create(page, name)
+    async create(ctx, name, config) {
+      if (typeof config.create !== 'function') {
+        throw new Error('[ReportLifecycle] Incident reports need config.create(page, name) to run the incident wizard');
+      }
+      await config.create(ctx.page, name);
+    },
+    async refresh(ctx) {
+      await reloadList(ctx.page);
+    },
+    exists: async (ctx, name) => (await reportRow(ctx.page, name).count()) > 0,
+    status: (ctx, name) => readRowState(reportRow(ctx.page, name)),
+    // Download opens the PDF in a new tab; fetch its bytes with the page's session
+    async download(ctx, name) {
+      const row = reportRow(ctx.page, name);
+      const [pdfPage] = await Promise.all([
+        ctx.page.waitForEvent('popup', { timeout: 30000 }),
+        row.getByRole('button', { name: 'Download' }).click()
+      ]);
+      await pdfPage.waitForLoadState('domcontentloaded', { timeout: 45000 }).catch(() => {});
+      const response = await ctx.page.request.get(pdfPage.url());
+      await pdfPage.close().catch(() => {});
+      if (!response.ok()) throw new Error(`[ReportLifecycle] Failed to fetch ${name} (HTTP ${response.status()})`);
+      return { buffer: await response.body(), suggestedFilename: `${name}.pdf` };
+    },
+    async archive(ctx, name) {
+      const row = reportRow(ctx.page, name);
+      await row.getByRole('button', { name: 'Archive' }).click();
+      await expect(row).toBeHidden({ timeout: 30000 });
+    }
+  }
+};
+
+export class ReportLifecycle {
+  /**
+   * @param {import('@playwright/test').Page} page
+   * @param {Object} [options]
+   * @param {import('@playwright/test').TestInfo} [options.testInfo] - Tags reports with the test that created them
+   * @param {ReportRegistry} [options.registry]
+   * @param {Object} [options.polling] - Overrides DEFAULT_POLLING (initialMs, factor, maxMs, timeoutMs)
+   * @param {number} [options.maxRetries=1] - Re-creations after a Failed report
+   * @param {Object} [options.adapters=REPORT_ADAPTERS]
+   * @param {string} [options.downloadDir] - Default: testInfo.outputPath('reports') or test-downloads/
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.testInfo = options.testInfo || null;
+    this.registry = options.registry || new ReportRegistry();
+    this.polling = { ...DEFAULT_POLLING, ...options.polling };
+    this.maxRetries = options.maxRetries ?? 1;
+    this.adapters = options.adapters || REPORT_ADAPTERS;
+    this.downloadDir = options.downloadDir
+      || (this.testInfo ? this.testInfo.outputPath('reports') : path.join(process.cwd(), 'test-downloads'));
+    this.currentList = null;
+  }
+
+  get menuPage() {
+    return (this._menuPage ||= new MenuPage(this.page));
+  }
+
+  get dispatchReportsPage() {
+    return (this._dispatchReportsPage ||= new DispatchReportsPage(this.page));
+  }
+
+  get slaPage() {
+    return (this._slaPage ||= new DispatchSLAReportsPage(this.page));
+  }
+
+  adapter(type) {
+    const adapter = this.adapters[type];
+    if (!adapter) throw new Error(`[ReportLifecycle] Unknown report type "${type}" (${Object.keys(this.adapters).join(', ')})`);
+    return adapter;
+  }
+
+  async openList(type) {
+    if (this.currentList === type) return;
+    await this.adapter(type).open(this);
+    this.currentList = type;
+  }
+
+  /**
+   * Create a report and record it for clean-up
+   * @param {'dispatch'|'dispatchSla'|'incident'} type
+   * @param {string} name
+   * @param {Object} [config] - Passed to the page object's createCompleteReport (or config.create for incidents)
+   * @returns {Promise<{type, name, baseName, config, attempt}>}
+   */
+  async create(type, name, config = {}) {
+    const handle = { type, name, baseName: name, config, attempt: 1 };
+    await this.createAttempt(handle);
+    return handle;
+  }
+
+  async createAttempt(handle) {
+    const adapter = this.adapter(handle.type);
+    await this.openList(handle.type);
+    console.log(`[ReportLifecycle] Creating ${adapter.label} "${handle.name}" (attempt ${handle.attempt})`);
+    // Recorded before creating: a crash half-way through still leaves a clean-up entry
+    this.registry.record('created', handle, { testId: this.testInfo?.testId, title: this.testInfo?.title, attempt: handle.attempt });
+    await adapter.create(this, handle.name, handle.config);
+    // Creation flows (the incident wizard in particular) may end on another page
+    this.currentList = null;
+  }
+
+  /**
+   * Poll until Ready; a Failed report is re-created under "<name> (retry n)" up to maxRetries times
+   * @param {Object} handle - create() result (updated in place on retry)
+   * @param {Object} [options]
+   * @param {Object} [options.polling] - Overrides this.polling for this wait
+   * @returns {Promise<Object>} The handle with `state` and `history`
+   */
+  async waitUntilReady(handle, options = {}) {
+    const adapter = this.adapter(handle.type);
+    const polling = { ...this.polling, ...options.polling };
+
+    while (true) {
+      await this.openList(handle.type);
+      let first = true;
+      const result = await pollReportState(async () => {
+        if (!first) await adapter.refresh(this);
+        first = false;
+        return adapter.status(this, handle.name);
+      }, { polling, label: `${adapter.label} "${handle.name}"`, wait: (ms) => this.page.waitForTimeout(ms) });
+
+      handle.state = result.state;
+      handle.history = [...(handle.history || []), ...result.history.map((h) => ({ ...h, name: handle.name }))];
+
+      if (result.state === 'Ready') {
+        this.registry.record('ready', handle, { elapsedMs: result.elapsedMs, polls: result.polls });
+        return handle;
+      }
+
+      this.registry.record('failed', handle, { elapsedMs: result.elapsedMs });
+      if (handle.attempt > this.maxRetries) {
+        throw new Error(`[ReportLifecycle] ${adapter.label} "${handle.baseName}" failed ${handle.attempt} time(s)`);
+      }
+      console.log(`[ReportLifecycle] ⚠️ ${adapter.label} "${handle.name}" Failed; re-creating`);
+      handle.attempt++;
+      handle.name = `${handle.baseName} (retry ${handle.attempt - 1})`;
+      await this.createAttempt(handle);
+    }
+  }
+
+  /**
+   * create() + waitUntilReady()
+   * @returns {Promise<Object>} Ready handle
+   */
+  async createReady(type, name, config = {}) {
+    return this.waitUntilReady(await this.create(type, name, config));
+  }
+
+  /**
+   * Download a Ready report, save it and record its SHA-256
+   * @param {Object} handle
+   * @param {Object} [options]
+   * @param {string} [options.dir=this.downloadDir]
+   * @param {string} [options.expectedSha256] - Fail when the file differs (e.g. a re-download)
+   * @returns {Promise<{filePath: string, sha256: string, size: number}>}
+   */
+  async download(handle, options = {}) {
+    const adapter = this.adapter(handle.type);
+    const dir = options.dir || this.downloadDir;
+    fs.mkdirSync(dir, { recursive: true });
+    await this.openList(handle.type);
+
+    const result = await adapter.download(this, handle.name, handle.config, dir);
+    let filePath = result.filePath;
+    if (!filePath && result.download) {
+      filePath = path.join(dir, result.download.suggestedFilename());
+      await result.download.saveAs(filePath);
+    } else if (!filePath && result.buffer) {
+      filePath = path.join(dir, result.suggestedFilename || handle.name);
+      fs.writeFileSync(filePath, result.buffer);
+    }
+
+    const content = fs.readFileSync(filePath);
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    if (content.length === 0) throw new Error(`[ReportLifecycle] ${filePath} is empty`);
+    if (options.expectedSha256 && options.expectedSha256 !== sha256) {
+      throw new Error(`[ReportLifecycle] ${filePath} checksum ${sha256} does not match expected ${options.expectedSha256}`);
+    }
+
+    this.registry.record('downloaded', handle, { file: filePath, sha256, size: content.length });
+    console.log(`[ReportLifecycle] Downloaded "${handle.name}" to ${filePath} (sha256 ${sha256.slice(0, 12)}…, ${content.length} bytes)`);
+    handle.file = { filePath, sha256, size: content.length };
+    return handle.file;
+  }
+
+  /**
+   * Archive one report
+   * @param {{type: string, name: string}} report
+   */
+  async archive(report) {
+    await this.openList(report.type);
+    await this.adapter(report.type).archive(this, report.name);
+    this.registry.record('archived', report);
+  }
+
+  /**
+   * Delete one report; report types without a delete action are archived
+   * @param {{type: string, name: string}} report
+   */
+  async remove(report) {
+    const adapter = this.adapter(report.type);
+    if (!adapter.remove) return this.archive(report);
+    await this.openList(report.type);
+    await adapter.remove(this, report.name);
+    this.registry.record('deleted', report);
+  }
+
+  /**
+   * Archive (or delete) every open report in the registry, one list per report type.
+   * Reports no longer in the list count as archived.
+   * @param {Object} [options]
+   * @param {'test'|'run'} [options.scope='test'] - Only this test's reports, or the whole run's
+   * @param {'archive'|'delete'} [options.action='archive']
+   * @returns {Promise<{archived: Array, failed: Array}>}
+   */
+  async cleanup(options = {}) {
+    const scope = options.scope || (this.testInfo ? 'test' : 'run');
+    const open = this.registry.open(scope === 'test' ? { testId: this.testInfo?.testId } : {});
+    const summary = { archived: [], failed: [] };
+    if (open.length === 0) return summary;
+    console.log(`[ReportLifecycle] Cleaning up ${open.length} report(s) (${scope})`);
+
+    for (const type of [...new Set(open.map((report) => report.type))]) {
+      this.currentList = null;
+      try {
+        await this.openList(type);
+      } catch (error) {
+        for (const report of open.filter((r) => r.type === type)) {
+          this.registry.record('cleanupFailed', report, { error: error.message });
+          summary.failed.push({ ...report, error: error.message });
+        }
+        continue;
+      }
+
+      for (const report of open.filter((r) => r.type === type)) {
+        try {
+          if (!(await this.adapter(type).exists(this, report.name))) {
+            this.registry.record('archived', report, { alreadyGone: true });
+          } else if (options.action === 'delete') {
+            await this.remove(report);
+          } else {
+            await this.archive(report);
+          }
+          summary.archived.push(report);
+        } catch (error) {
+          console.warn(`[ReportLifecycle] ⚠️ Could not clean up ${report.type} "${report.name}": ${error.message}`);
+          this.registry.record('cleanupFailed', report, { error: error.message });
+          summary.failed.push({ ...report, error: error.message });
+        }
+      }
+    }
+
+    console.log(`[ReportLifecycle] Clean-up: ${summary.archived.length} archived, ${summary.failed.length} failed`);
+    return summary;
+  }
+}
@@ -0,0 +1,114 @@
+// backend/reports/ReportPolling.js
+// Report status polling shared by the report page objects and ReportLifecycle.
+// Reports go Pending -> Processing -> Ready (or Failed); the list is re-read with
+// exponential backoff instead of one fixed wait.
+
+export const REPORT_STATES = ['Pending', 'Processing', 'Ready', 'Failed', 'Archived'];
+
+// Status text shown in the report tables -> lifecycle state
+const STATE_PATTERNS = [
+  ['Failed', /\b(failed|error)\b/i],
+  ['Ready', /\b(ready|completed?|available)\b/i],
+  ['Processing', /\b(processing|generating|in progress)\b/i],
+  ['Pending', /\b(pending|queued|in queue|waiting)\b/i],
+  ['Archived', /\barchived\b/i]
+];
+
+export const DEFAULT_POLLING = {
+  initialMs: 1000,
+  factor: 2,
+  maxMs: 10000,
+  timeoutMs: Number(process.env.REPORT_READY_TIMEOUT_MS) || 120000
+};
+
+/**
+ * Map the text of a status cell to a lifecycle state
+ * @param {string|null|undefined} text
+ * @returns {string|null} One of REPORT_STATES, or null when no state is shown
+ */
+export function normaliseReportState(text) {
+  if (!text) return null;
+  return STATE_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] ?? null;
+}
+
+/**
+ * Delays between polls: initialMs, initialMs * factor, ... capped at maxMs
+ * @param {Object} [polling=DEFAULT_POLLING]
+ * @returns {Generator<number>}
+ */
+export function* backoffDelays(polling = DEFAULT_POLLING) {
+  const { initialMs, factor, maxMs } = { ...DEFAULT_POLLING, ...polling };
+  let delay = initialMs;
+  while (true) {
+    yield delay;
+    delay = Math.min(Math.round(delay * factor), maxMs);
+  }
+}
+
+/**
+ * Text of the Status cell of a table row, found by the column header; null when the table
+ * has no Status column. Runs in the browser (row.evaluate), so it must stay self-contained.
+ * @param {Element} row
+ * @returns {string|null}
+ */
+export function readStatusCell(row) {
+  const table = row.closest('table, [role="table"], [role="grid"]');
+  const headers = table ? [...table.querySelectorAll('th, [role="columnheader"]')] : [];
+  const column = headers.findIndex((header) => /^\s*status\s*$/i.test(header.textContent || ''));
+  if (column < 0) return null;
+  const cell = row.querySelectorAll('td, [role="cell"], [role="gridcell"]')[column];
+  return cell ? cell.textContent : null;
+}
+
+/**
+ * Lifecycle state of a report row, read from its Status cell only (a name, creator or
+ * file column saying "error" or "completed" must not count); null when the row is not in the list
+ * @param {import('@playwright/test').Locator} row
+ * @returns {Promise<string|null>}
+ */
+export async function readRowState(row) {
+  if ((await row.count()) === 0) return null;
+  const status = await row.evaluate(readStatusCell, undefined, { timeout: 5000 });
+  if (status === null) throw new Error('[ReportPolling] The report table has no Status column');
+  return normaliseReportState(status);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Read a report's state until it is Ready or Failed
+ * @param {() => Promise<string|null>} readState - Returns the current state (normaliseReportState)
+ * @param {Object} [options]
+ * @param {Object} [options.polling] - Overrides DEFAULT_POLLING
+ * @param {string} [options.label='report'] - For logs and the timeout error
+ * @param {(ms: number) => Promise<void>} [options.wait] - Pause between polls (e.g. page.waitForTimeout)
+ * @returns {Promise<{state: string, polls: number, elapsedMs: number, history: Array<{state, atMs}>}>}
+ */
+export async function pollReportState(readState, options = {}) {
+  const polling = { ...DEFAULT_POLLING, ...options.polling };
+  const label = options.label || 'report';
+  const wait = options.wait || sleep;
+  const started = Date.now();
+  const delays = backoffDelays(polling);
+  const history = [];
+  let polls = 0;
+
+  while (true) {
+    const state = await readState();
+    polls++;
+    const elapsedMs = Date.now() - started;
+    if (history.at(-1)?.state !== state) {
+      history.push({ state, atMs: elapsedMs });
+      console.log(`[ReportPolling] ${label}: ${state ?? 'no status'} after ${Math.round(elapsedMs / 1000)}s`);
+    }
+    if (state === 'Ready' || state === 'Failed') return { state, polls, elapsedMs, history };
+
+    const delay = delays.next().value;
+    if (elapsedMs + delay > polling.timeoutMs) {
+      const error = new Error(`[ReportPolling] ${label} not Ready after ${Math.round(polling.timeoutMs / 1000)}s (last state: ${state ?? 'none'})`);
+      error.history = history;
+      throw error;
+    }
+    await wait(delay);
+  }
+}
@@ -0,0 +1,108 @@
+// backend/reports/ReportRegistry.js
+// Append-only record of the reports a test run creates, so they can be archived at the end
+// of the run even when the test that created them crashed or timed out.
+//
+// One JSON line per event in `.report-registry/<runId>.jsonl`. Appends are atomic for lines
+// this size, so parallel workers can share a file. The directory is outside test-results/
+// because Playwright empties that at the start of each run.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_REGISTRY_DIR = process.env.REPORT_REGISTRY_DIR
+  || path.resolve(__dirname, '../../.report-registry');
+
+// Events that end a report's life
+const FINAL_EVENTS = new Set(['archived', 'deleted']);
+
+/**
+ * Id shared by the runner and its workers: REPORT_RUN_ID, set once per run
+ * (global setup sets it; workers inherit the environment)
+ * @returns {string}
+ */
+export function currentRunId() {
+  if (!process.env.REPORT_RUN_ID) {
+    process.env.REPORT_RUN_ID = `run-${new Date().toISOString().replace(/[:.]/g, '-')}-${process.pid}`;
+  }
+  return process.env.REPORT_RUN_ID;
+}
+
+export class ReportRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir=DEFAULT_REGISTRY_DIR]
+   * @param {string} [options.runId=currentRunId()]
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_REGISTRY_DIR;
+    this.runId = options.runId || currentRunId();
+    this.file = path.join(this.dir, `${this.runId}.jsonl`);
+  }
+
+  /**
+   * Record an event for a report
+   * @param {'created'|'failed'|'ready'|'downloaded'|'archived'|'deleted'|'cleanupFailed'} event
+   * @param {{type: string, name: string}} report
+   * @param {Object} [details] - e.g. { testId, sha256, error }
+   */
+  record(event, { type, name }, details = {}) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const entry = { event, type, name, runId: this.runId, at: new Date().toISOString(), pid: process.pid, ...details };
+    fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+    return entry;
+  }
+
+  /** @returns {Object[]} Every event of this run, oldest first */
+  events() {
+    if (!fs.existsSync(this.file)) return [];
+    return fs.readFileSync(this.file, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          // A worker killed mid-write leaves a partial last line
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Current state of each report of this run (latest event wins)
+   * @returns {Array<{type, name, state, createdAt, testId, events: number}>}
+   */
+  reports() {
+    const byKey = new Map();
+    for (const entry of this.events()) {
+      const key = `${entry.type}\u0000${entry.name}`;
+      const report = byKey.get(key) || { type: entry.type, name: entry.name, state: null, createdAt: null, testId: null, events: 0 };
+      report.events++;
+      if (entry.event === 'created') {
+        report.createdAt = entry.at;
+        report.testId = entry.testId ?? null;
+      }
+      // A failed clean-up leaves the report open
+      if (entry.event !== 'cleanupFailed') report.state = entry.event;
+      byKey.set(key, report);
+    }
+    return [...byKey.values()];
+  }
+
+  /**
+   * Reports still in the app: created and not archived or deleted
+   * @param {Object} [filter]
+   * @param {string} [filter.type]
+   * @param {string} [filter.testId]
+   * @returns {Array}
+   */
+  open({ type, testId } = {}) {
+    return this.reports().filter((report) => !FINAL_EVENTS.has(report.state)
+      && (!type || report.type === type)
+      && (!testId || report.testId === testId));
+  }
+}
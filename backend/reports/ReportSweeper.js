@@ -0,0 +1,218 @@
+// backend/reports/ReportSweeper.js
+// Archives (or deletes) the reports automation left behind on the shared environment: runs that
+// died before their clean-up leave Dispatch, Dispatch SLA and Incident reports in UAT.
+//
+// Automation report names carry a tag with their creation time, "<base> e2e-20261018T153012Z"
+// (tagReportName). The sweeper reads each report list, keeps the tagged rows older than
+// `olderThanMs` (other runs may still be using newer ones) and created by the automation user
+// when the list shows a creator, then archives them. Reports still open in this run's
+// ReportRegistry are swept whatever their name or age. Every decision is appended to an audit
+// log (JSON lines).
+//
+// Runs from `npm run reports:sweep` (scripts/sweep-reports.js) and from global teardown.
+
+import fs from 'fs';
+import path from 'path';
+import { ReportLifecycle, REPORT_ADAPTERS } from './ReportLifecycle.js';
+import { DEFAULT_REGISTRY_DIR, ReportRegistry } from './ReportRegistry.js';
+
+export const REPORT_NAME_TAG = process.env.REPORT_NAME_TAG || 'e2e';
+
+export const DEFAULT_SWEEP = {
+  types: Object.keys(REPORT_ADAPTERS),
+  action: 'archive',
+  olderThanMs: 2 * 60 * 60 * 1000,
+  maxPasses: 5
+};
+
+export const DEFAULT_AUDIT_FILE = process.env.REPORT_SWEEP_AUDIT
+  || path.join(DEFAULT_REGISTRY_DIR, 'sweeper-audit.jsonl');
+
+// Headers of the creator column in the report lists
+const CREATED_BY_HEADER = /created\s*by|requested\s*by|owner|user/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const tagPattern = (tag) => new RegExp(`(?:^|\\s)${escapeRegExp(tag)}-(\\d{8})T(\\d{6})Z(?=\\s|$)`);
+
+/**
+ * Add the automation tag and creation time to a report name
+ * @param {string} base - e.g. "Dispatch ID Test"
+ * @param {Date} [date=new Date()]
+ * @param {string} [tag=REPORT_NAME_TAG]
+ * @returns {string} e.g. "Dispatch ID Test e2e-20261018T153012Z"
+ */
+export function tagReportName(base, date = new Date(), tag = REPORT_NAME_TAG) {
+  const stamp = date.toISOString().slice(0, 19).replace(/[-:]/g, '');
+  return `${base} ${tag}-${stamp}Z`;
+}
+
+/**
+ * Creation time from a tagged report name
+ * @param {string} name
+ * @param {string} [tag=REPORT_NAME_TAG]
+ * @returns {Date|null} null when the name has no tag
+ */
+export function parseReportTag(name, tag = REPORT_NAME_TAG) {
+  const match = tagPattern(tag).exec(name || '');
+  if (!match) return null;
+  const [, d, t] = match;
+  const date = new Date(`${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6)}T${t.slice(0, 2)}:${t.slice(2, 4)}:${t.slice(4)}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * "90m", "2h", "1d" or plain milliseconds
+ * @param {string|number} value
+ * @returns {number}
+ */
+export function parseAge(value) {
+  if (typeof value === 'number') return value;
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i.exec(String(value).trim());
+  if (!match) throw new Error(`[ReportSweeper] Invalid age "${value}" (use e.g. 30m, 2h, 1d)`);
+  const unit = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 }[(match[2] || 'ms').toLowerCase()];
+  return Math.round(Number(match[1]) * unit);
+}
+
+/**
+ * Rows of the visible report table
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<{headers: string[], rows: string[][]}>}
+ */
+export async function readReportTable(page) {
+  const table = page.locator('table').first();
+  if ((await table.count()) === 0) return { headers: [], rows: [] };
+  return table.evaluate((el) => {
+    const text = (cell) => (cell.innerText || cell.textContent || '').replace(/\s+/g, ' ').trim();
+    const headers = [...el.querySelectorAll('thead th, thead td')].map(text);
+    const rows = [...el.querySelectorAll('tbody tr')].map((row) => [...row.querySelectorAll('td, th')].map(text));
+    return { headers, rows };
+  });
+}
+
+/**
+ * Decide which rows of a report list to sweep
+ * @param {{headers: string[], rows: string[][]}} table
+ * @param {Object} [options]
+ * @param {string} [options.tag=REPORT_NAME_TAG]
+ * @param {number} [options.olderThanMs=DEFAULT_SWEEP.olderThanMs]
+ * @param {string} [options.createdBy] - Automation user; only checked when the list has a creator column
+ * @param {string[]} [options.registered] - Names open in this run's registry: swept at any age, tagged or not
+ * @param {Date} [options.now=new Date()]
+ * @returns {{sweep: Array, skipped: Array}} Entries: { name, createdAt, ageMs, createdBy, reason }
+ */
+export function selectOrphans(table, options = {}) {
+  const tag = options.tag || REPORT_NAME_TAG;
+  const olderThanMs = options.olderThanMs ?? DEFAULT_SWEEP.olderThanMs;
+  const now = options.now || new Date();
+  const registered = new Set(options.registered || []);
+  const creatorColumn = table.headers.findIndex((header) => CREATED_BY_HEADER.test(header));
+  const result = { sweep: [], skipped: [] };
+
+  for (const cells of table.rows) {
+    const name = cells.find((cell) => registered.has(cell))
+      || cells.find((cell) => parseReportTag(cell, tag));
+    if (!name) continue;
+
+    const createdAt = parseReportTag(name, tag);
+    const entry = {
+      name,
+      createdAt: createdAt?.toISOString() ?? null,
+      ageMs: createdAt ? now - createdAt : null,
+      createdBy: creatorColumn >= 0 ? cells[creatorColumn] ?? null : null
+    };
+
+    if (registered.has(name)) {
+      result.sweep.push({ ...entry, reason: 'open in this run' });
+    } else if (options.createdBy && entry.createdBy && !entry.createdBy.toLowerCase().includes(options.createdBy.toLowerCase())) {
+      result.skipped.push({ ...entry, reason: `created by ${entry.createdBy}` });
+    } else if (entry.ageMs < olderThanMs) {
+      result.skipped.push({ ...entry, reason: `younger than ${Math.round(olderThanMs / 60000)} min` });
+    } else {
+      result.sweep.push({ ...entry, reason: 'tagged orphan' });
+    }
+  }
+  return result;
+}
+
+/**
+ * Sweep the report lists
+ * @param {import('@playwright/test').Page} page - Logged-in page
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Report types (REPORT_ADAPTERS keys); default all three
+ * @param {'archive'|'delete'} [options.action='archive']
+ * @param {number} [options.olderThanMs=2h]
+ * @param {string} [options.createdBy] - Automation user name or e-mail
+ * @param {string} [options.tag=REPORT_NAME_TAG]
+ * @param {boolean} [options.dryRun=false] - Audit what would be swept without touching it
+ * @param {string} [options.auditFile=DEFAULT_AUDIT_FILE]
+ * @param {ReportRegistry} [options.registry] - This run's registry; its open reports are swept too
+ * @param {ReportLifecycle} [options.lifecycle] - Defaults to one on `page` sharing the registry
+ * @returns {Promise<{swept: Array, skipped: Array, failed: Array, auditFile: string}>}
+ */
+export async function sweepReports(page, options = {}) {
+  const defined = Object.entries(options).filter(([, value]) => value !== undefined);
+  const settings = { ...DEFAULT_SWEEP, ...Object.fromEntries(defined) };
+  const registry = options.registry || new ReportRegistry();
+  const lifecycle = options.lifecycle || new ReportLifecycle(page, { registry });
+  const auditFile = options.auditFile || DEFAULT_AUDIT_FILE;
+  const sweepId = `sweep-${new Date().toISOString()}`;
+  const summary = { swept: [], skipped: [], failed: [], auditFile };
+
+  fs.mkdirSync(path.dirname(auditFile), { recursive: true });
+  const audit = (type, entry, result, details = {}) => {
+    const line = { at: new Date().toISOString(), sweepId, runId: registry.runId, type, action: settings.action, result, ...entry, ...details };
+    fs.appendFileSync(auditFile, `${JSON.stringify(line)}\n`);
+    return line;
+  };
+
+  console.log(`[ReportSweeper] ${settings.dryRun ? 'Dry run: ' : ''}${settings.action} reports tagged "${settings.tag || REPORT_NAME_TAG}" older than ${Math.round(settings.olderThanMs / 60000)} min (${settings.types.join(', ')})`);
+
+  for (const type of settings.types) {
+    const registered = registry.open({ type }).map((report) => report.name);
+    const seen = new Set();
+
+    try {
+      lifecycle.currentList = null;
+      await lifecycle.openList(type);
+    } catch (error) {
+      console.warn(`[ReportSweeper] ⚠️ Could not open the ${type} list: ${error.message}`);
+      summary.failed.push(audit(type, { name: null }, 'failed', { error: error.message }));
+      continue;
+    }
+
+    // Archived rows leave the list and older ones move up; read again until a pass finds nothing new
+    for (let pass = 0; pass < settings.maxPasses; pass++) {
+      const table = await readReportTable(page);
+      const { sweep, skipped } = selectOrphans(table, { ...settings, registered, now: new Date() });
+      const fresh = sweep.filter((entry) => !seen.has(entry.name));
+      for (const entry of skipped.filter((s) => !seen.has(s.name))) {
+        seen.add(entry.name);
+        summary.skipped.push(audit(type, entry, 'skipped'));
+      }
+      if (fresh.length === 0) break;
+
+      for (const entry of fresh) {
+        seen.add(entry.name);
+        if (settings.dryRun) {
+          summary.swept.push(audit(type, entry, 'dry-run'));
+          continue;
+        }
+        try {
+          const report = { type, name: entry.name };
+          if (settings.action === 'delete') await lifecycle.remove(report);
+          else await lifecycle.archive(report);
+          summary.swept.push(audit(type, entry, settings.action === 'delete' ? 'deleted' : 'archived'));
+          console.log(`[ReportSweeper] ✅ ${settings.action === 'delete' ? 'Deleted' : 'Archived'} ${type} "${entry.name}" (${entry.reason})`);
+        } catch (error) {
+          console.warn(`[ReportSweeper] ⚠️ Could not ${settings.action} ${type} "${entry.name}": ${error.message}`);
+          summary.failed.push(audit(type, entry, 'failed', { error: error.message }));
+        }
+      }
+      if (settings.dryRun) break;
+    }
+  }
+
+  console.log(`[ReportSweeper] ${summary.swept.length} ${settings.dryRun ? 'to sweep' : 'swept'}, ${summary.skipped.length} skipped, ${summary.failed.length} failed (audit: ${auditFile})`);
+  return summary;
+}
@@ -1,5 +1,10 @@
 import { test as base } from '@playwright/test';
 import { SharedTestSteps } from './SharedTestSteps.js';
+import { ReportLifecycle } from './reports/ReportLifecycle.js';
+import { getSessionRegistry } from './SessionRegistry.js';
+import { AuthService, roleOfStorageState } from './AuthService.js';
+import { SessionWatchdog, describeRecovery } from './SessionWatchdog.js';
+import { TestDataFactory, describeLeftover } from './TestDataFactory.js';
 
 /**
  * Enhanced test fixtures with automatic cleanup and stability helpers
@@ -10,6 +15,24 @@ import { SharedTestSteps } from './SharedTestSteps.js';
  * test('my test', async ({ page, sharedSteps, autoCleanup }) => {
  *   // Your test code - cleanup happens automatically
  * });
+ *
+ * test.use({ authRole: 'normal', authCompany: 'Vodacom' });
+ * test('as a normal user', async ({ page, auth }) => {
+ *   // Signed in as the normal user with Vodacom selected; auth.lastResult.path says how
+ * });
+ *
+ * test('admin and a restricted user side by side', async ({ page, identities }) => {
+ *   const userPage = await identities.newPage('role-no-edit-stack-filter');
+ * });
+ *
+ * test('station with a new area', async ({ page, dataFactory }) => {
+ *   const area = await dataFactory.area();
+ *   // Both are archived after the test, pass or fail
+ *   const station = await dataFactory.station({ areas: [{ search: area.name, name: area.name }] });
+ * });
+ *
+ * A session that runs out mid-test is signed back in when the test asks for the
+ * sessionWatchdog fixture: test('...', async ({ page, sessionWatchdog }) => { ... }).
  */
 export const test = base.extend({
   /**
@@ -52,6 +75,88 @@ export const test = base.extend({
     await use(sharedSteps);
   },
   
+  /**
+   * Role and company the `auth` fixture signs in as (any identity of backend/SessionRegistry.js)
+   */
+  authRole: [undefined, { option: true }],
+  authCompany: [undefined, { option: true }],
+  
+  /**
+   * Saved sessions per named identity, refreshed lazily by the worker that needs one
+   */
+  sessions: [async ({}, use) => {
+    await use(getSessionRegistry());
+  }, { scope: 'worker' }],
+  
+  /**
+   * Start the context from the role's saved session, logging the role in first if it has expired
+   */
+  storageState: async ({ storageState, authRole, sessions, browser, baseURL }, use) => {
+    await use(authRole ? await sessions.ensure(authRole, { browser, baseURL }) : storageState);
+  },
+  
+  /**
+   * Pages signed in as other identities next to `page` (no logout/login inside the test);
+   * their contexts are closed after the test
+   */
+  identities: async ({ sessions, browser, baseURL, timezoneId }, use) => {
+    const contexts = [];
+    
+    await use({
+      async newPage(name) {
+        const storageState = await sessions.ensure(name, { browser, baseURL });
+        const context = await browser.newContext({ baseURL, storageState, timezoneId });
+        contexts.push(context);
+        const identityPage = await context.newPage();
+        new AuthService(identityPage).assumeRole(name);
+        return identityPage;
+      }
+    });
+    
+    for (const context of contexts) {
+      await context.close().catch(() => {});
+    }
+  },
+  
+  /**
+   * Unified auth service (backend/AuthService.js). With authRole or authCompany set the page is
+   * signed in before the test, and the path taken is added to the test's annotations
+   */
+  auth: async ({ sharedSteps, storageState, authRole, authCompany }, use, testInfo) => {
+    const auth = sharedSteps.auth;
+    auth.assumeRole(roleOfStorageState(storageState));
+    
+    if (authRole || authCompany) {
+      const result = await auth.ensure({ role: authRole, company: authCompany ?? null });
+      testInfo.annotations.push({
+        type: 'auth',
+        description: `${result.path}: ${result.role}${result.company ? ` @ ${result.company}` : ''} in ${result.durationMs} ms`
+      });
+    }
+    
+    await use(auth);
+  },
+  
+  /**
+   * Sign the page back in when its session runs out mid-test (login or account selection page,
+   * 401 from an API call), restoring the URL and company; recoveries are added to the annotations.
+   * Only tests that ask for the sessionWatchdog fixture are watched; 401s on the URLs in
+   * expectUnauthorized (API or page URLs, strings or RegExps) are refusals the test expects.
+   */
+  expectUnauthorized: [[], { option: true }],
+  sessionWatchdog: async ({ page, auth, authCompany, expectUnauthorized }, use, testInfo) => {
+    const watchdog = new SessionWatchdog(page, {
+      auth,
+      company: authCompany ?? null,
+      expectUnauthorized,
+      onRecovery: (recovery) => testInfo.annotations.push({ type: 'session-recovery', description: describeRecovery(recovery) })
+    }).start();
+    
+    await use(watchdog);
+    
+    await watchdog.stop();
+  },
+  
   /**
    * Enhanced wait helper with automatic retries
    */
@@ -122,6 +227,39 @@ export const test = base.extend({
     await use(helper);
   },
   
+  /**
+   * Report create/wait/download/archive service; archives the reports this test created
+   */
+  reportLifecycle: async ({ page }, use, testInfo) => {
+    const reports = new ReportLifecycle(page, { testInfo });
+    
+    await use(reports);
+    
+    // Reports left open here stay in the run's registry for a later clean-up
+    await reports.cleanup({ scope: 'test' }).catch((e) => {
+      console.log(`[ReportLifecycle] Report clean-up failed (non-fatal): ${e.message}`);
+    });
+  },
+  
+  /**
+   * Builders for companies, areas, stations, users, roles, suppressions and Telegram groups and
+   * messages (backend/TestDataFactory.js). Everything the test created is archived afterwards,
+   * also when it failed; what could not be is added to the test's annotations
+   */
+  dataFactory: async ({ page, sharedSteps }, use, testInfo) => {
+    const factory = new TestDataFactory(page, { testInfo, sharedSteps });
+    
+    await use(factory);
+    
+    const summary = await factory.cleanup().catch((e) => {
+      console.log(`[TestDataFactory] Clean-up failed (non-fatal): ${e.message}`);
+      return { failed: [] };
+    });
+    for (const leftover of summary.failed) {
+      testInfo.annotations.push({ type: 'data-cleanup', description: describeLeftover(leftover) });
+    }
+  },
+  
   /**
    * Automatic cleanup helper that runs after each test
    */
@@ -1,12 +1,13 @@
 import { test, expect } from '@playwright/test';
 import { SharedTestSteps } from '../../backend/SharedTestSteps.js';
 import { ApiHelper } from '../../backend/ApiHelper.js';
+import { getSecret } from '../../utils/secrets.js';
 
 // Import global failure handler for automatic failure screenshots
 import '../../backend/GlobalFailureHandler.js';
 
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 
 test.describe('Dashboard - Company alerts not bleeding over', () => {
     let sharedSteps;
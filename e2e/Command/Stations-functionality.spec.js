@@ -1,19 +1,23 @@
-import { test, expect } from '@playwright/test';
+import { test, expect } from '../../backend/test-fixtures.js';
 import { SharedTestSteps } from '../../backend/SharedTestSteps.js';
+import { getSecret } from '../../utils/secrets.js';
 
 // Import global failure handler for automatic failure screenshots
 import '../../backend/GlobalFailureHandler.js';
 
-const NORMAL_USERNAME = process.env.NORMAL_MS_USERNAME;
-const NORMAL_PASSWORD = process.env.NORMAL_MS_PASSWORD;
-const ADMIN_USERNAME = process.env.ADMIN_MS_USERNAME;
-const ADMIN_PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const NORMAL_USERNAME = getSecret('NORMAL_MS_USERNAME');
+const NORMAL_PASSWORD = getSecret('NORMAL_MS_PASSWORD');
+const ADMIN_USERNAME = getSecret('ADMIN_MS_USERNAME');
+const ADMIN_PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 
 test.describe('Dashboard - Stations functionality', () => {
+    // Start from the saved normal user session instead of logging admin out and normal in
+    test.use({ authRole: 'normal' });
+
     /** @type {SharedTestSteps} */
     let sharedSteps;
     
-    test.beforeEach(async ({ page }) => {
+    test.beforeEach(async ({ page, auth }) => {
         test.setTimeout(120000); // 2 minutes for complex operations
         
         // Instantiate SharedTestSteps
@@ -23,17 +27,8 @@ test.describe('Dashboard - Stations functionality', () => {
         if (!NORMAL_USERNAME || !NORMAL_PASSWORD || !ADMIN_USERNAME || !ADMIN_PASSWORD) {
             throw new Error('NORMAL_MS_USERNAME, NORMAL_MS_PASSWORD, ADMIN_MS_USERNAME and ADMIN_MS_PASSWORD environment variables must be set.');
         }
-        
-         await page.goto('https://uat.proof360.io/');
-         await sharedSteps.authenticateAndSetup(ADMIN_USERNAME, ADMIN_PASSWORD);
 
-        // Logout first to ensure clean state, then login with normal user
-        console.log('[Stations Functionality] Logging out to switch to normal user...');
-        await sharedSteps.logout();
-        
-        // Switch to normal user for this test
-        console.log('[Stations Functionality] Switching to normal user...');
-        await sharedSteps.switchToNormalUser(NORMAL_USERNAME, NORMAL_PASSWORD);
+        console.log(`[Stations Functionality] Signed in as ${auth.currentRole}`);
     });
 
     test('should verify stations dropdown and filtering functionality', async ({ page }) => {
@@ -130,19 +125,9 @@ test.describe('Dashboard - Stations functionality', () => {
             console.log('[Stations Functionality] Step 3: Cleaning up manual alerts');
             await sharedSteps.cleanupManualAlerts();
             
-            // Step 4: Logout from normal user and login back with admin user
-            console.log('[Stations Functionality] Switching back to admin user...');
-            await sharedSteps.switchToAdminUser(ADMIN_USERNAME, ADMIN_PASSWORD);
-            
             console.log('[Stations Functionality] Cleanup completed successfully');
         } catch (error) {
             console.log(`[Stations Functionality] Cleanup failed: ${error instanceof Error ? error.message : String(error)}`);
-            // Try to login with admin user anyway
-            try {
-                await sharedSteps.switchToAdminUser(ADMIN_USERNAME, ADMIN_PASSWORD);
-            } catch (loginError) {
-                console.log(`[Stations Functionality] Failed to restore admin session: ${loginError instanceof Error ? loginError.message : String(loginError)}`);
-            }
         }
     });
 });
@@ -4,6 +4,7 @@ import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { ApiHelper } from '../../backend/ApiHelper.js';
 import { SharedTestSteps } from '../../backend/SharedTestSteps.js';
+import { getSecret } from '../../utils/secrets.js';
 
 // ESM setup
 const __filename = fileURLToPath(import.meta.url);
@@ -13,8 +14,8 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, '../../.env') });
 
 // Environment variables
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 const SITE_NAME = 'WVRD_9th Ave';
 
 test.describe('Unusual Behaviour Alert Test - Automation Company', () => {
@@ -3,6 +3,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { SharedTestSteps } from '../../backend/SharedTestSteps.js';
+import { getSecret } from '../../utils/secrets.js';
 
 // ESM setup
 const __filename = fileURLToPath(import.meta.url);
@@ -10,8 +11,8 @@ const __dirname = path.dirname(__filename);
 
 dotenv.config({ path: path.resolve(__dirname, '../../.env') });
 
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 
 test.describe('Manual Alert Cleanup - Automation company', () => {
   let steps;
@@ -1,15 +1,22 @@
 import { test, expect } from '@playwright/test';
 import { SharedTestSteps } from '../../backend/SharedTestSteps.js'; // Corrected import path
+import { getClock, resolveTimezone } from '../../utils/clock.js';
+import { getSecret } from '../../utils/secrets.js';
 
 // Import global failure handler for automatic failure screenshots
 import '../../backend/GlobalFailureHandler.js';
 
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+// The date pickers here work in the reference timezone of utils/clock.js; so does the browser
+test.use({ timezoneId: resolveTimezone() });
+
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 const SITE_NAME = 'BDFD_Boeing'; // Define the site name for cleanup
 
 test.describe('Full E2E Manual Alert, Flagging, and Sorting Workflow', () => {
     let sharedTestSteps;
+    // Card times are wall-clock times of the reference timezone (REPORT_TIMEZONE), like the browser's
+    const clock = getClock();
     
     // Helper function to extract and parse time from an alert card
     async function getTimeFromCard(cardLocator) {
@@ -21,16 +28,14 @@ test.describe('Full E2E Manual Alert, Flagging, and Sorting Workflow', () => {
             const timeMatch = timeText?.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?/);
             if (!timeMatch) {
                 console.log(`[E2E Test] Warning: Could not parse time from "${timeText}"`);
-                return new Date(); // Return current time as fallback
+                return clock.now(); // Return current time as fallback
             }
             
             const [, hours, minutes, seconds = '0'] = timeMatch;
-            const date = new Date();
-            date.setHours(parseInt(hours), parseInt(minutes), parseInt(seconds), 0);
-            return date;
+            return clock.toInstant(clock.today(), `${hours}:${minutes}:${seconds}`);
         } catch (error) {
             console.log(`[E2E Test] Error parsing time: ${error.message}`);
-            return new Date(); // Return current time as fallback
+            return clock.now(); // Return current time as fallback
         }
     }
     
@@ -53,7 +58,7 @@ test.describe('Full E2E Manual Alert, Flagging, and Sorting Workflow', () => {
                 const card = alertCards.nth(i);
                 const time = await getTimeFromCard(card);
                 times.push(time);
-                console.log(`[E2E Test] Card ${i + 1} time: ${time.toTimeString()}`);
+                console.log(`[E2E Test] Card ${i + 1} time: ${clock.time(time)}`);
             }
             
             // Verify order based on orderType
@@ -64,12 +69,12 @@ test.describe('Full E2E Manual Alert, Flagging, and Sorting Workflow', () => {
                 if (orderType === 'newest') {
                     // Newest to Oldest: current time should be >= next time
                     if (currentTime < nextTime) {
-                        console.log(`[E2E Test] ⚠️ Order violation: Card ${i + 1} (${currentTime.toTimeString()}) is older than Card ${i + 2} (${nextTime.toTimeString()})`);
+                        console.log(`[E2E Test] ⚠️ Order violation: Card ${i + 1} (${clock.time(currentTime)}) is older than Card ${i + 2} (${clock.time(nextTime)})`);
                     }
                 } else if (orderType === 'oldest') {
                     // Oldest to Newest: current time should be <= next time
                     if (currentTime > nextTime) {
-                        console.log(`[E2E Test] ⚠️ Order violation: Card ${i + 1} (${currentTime.toTimeString()}) is newer than Card ${i + 2} (${nextTime.toTimeString()})`);
+                        console.log(`[E2E Test] ⚠️ Order violation: Card ${i + 1} (${clock.time(currentTime)}) is newer than Card ${i + 2} (${clock.time(nextTime)})`);
                     }
                 }
             }
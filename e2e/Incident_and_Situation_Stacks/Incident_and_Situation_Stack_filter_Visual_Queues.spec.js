@@ -5,12 +5,13 @@ import { SharedTestSteps } from '../../backend/SharedTestSteps.js';
 import { AlertsDashboardPage } from '../../backend/AlertsDashboardPage.js';
 import { VisualTestHelper } from '../../backend/VisualTestHelper.js'; // Robust visual testing
 import { EventPublisher } from '../../backend/EventPublisher.js';
+import { getSecret } from '../../utils/secrets.js';
 
 // Import global failure handler for automatic failure screenshots
 import '../../backend/GlobalFailureHandler.js';
 
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 const SITE_NAME = 'WVRD_9th Ave and JG Strydom Rd_62';
 
 test.describe('Incident_and_Situation Stack filter Visual Queues', () => {
@@ -2,13 +2,14 @@
 // @ts-check
 import { test, expect } from '@playwright/test';
 import { SharedTestSteps } from '../../backend/SharedTestSteps.js';
+import { getSecret } from '../../utils/secrets.js';
 
 // Import global failure handler for enhanced debugging
 import '../../backend/GlobalFailureHandler.js';
 
 const SITE_NAME = 'BDFD_Boeing'; // Site name used in the test
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 
 test.describe('Receiving alerts on the Situation stack - Escalation method & Auto Escalation', () => {
     /** @type {SharedTestSteps} */
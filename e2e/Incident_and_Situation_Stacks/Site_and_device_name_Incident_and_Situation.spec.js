@@ -4,10 +4,11 @@ import { test, expect } from '@playwright/test';
 import '../../backend/GlobalFailureHandler.js';
 
 import { SharedTestSteps } from '../../backend/SharedTestSteps.js';
+import { getSecret } from '../../utils/secrets.js';
 
 const SITE_NAME = 'BDFD_Boeing'; // Site name used in the test
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 
 test.describe('Escalate Test Flow', () => {
     let sharedTestSteps;
@@ -0,0 +1,30 @@
+import { test, expect } from '@playwright/test';
+import { AdminLoginPage } from '../../backend/AdminLoginPage.js';
+import { AuthService } from '../../backend/AuthService.js';
+import { getSecret } from '../../utils/secrets.js';
+
+// Import global failure handler for automatic failure screenshots
+import '../../backend/GlobalFailureHandler.js';
+
+// Smoke test of the Microsoft login pages. Other specs may sign in through ApiLogin
+// (LOGIN_STRATEGY=api), so this one always drives the UI flow from a signed-out context.
+test.describe('Login - Microsoft SSO pages', () => {
+    test.use({ storageState: { cookies: [], origins: [] } });
+
+    test('admin signs in through the Microsoft login pages', async ({ page }) => {
+        test.setTimeout(120000); // 2 minutes for the full SSO flow
+
+        const credentials = {
+            username: getSecret('ADMIN_MS_USERNAME', { required: true }),
+            password: getSecret('ADMIN_MS_PASSWORD', { required: true })
+        };
+
+        const auth = new AuthService(page, { loginPage: new AdminLoginPage(page) });
+        const result = await auth.ensure({ role: 'admin', credentials, force: true });
+
+        expect(result.path).toBe('full-login');
+        await expect(page).toHaveURL(/.*command/);
+        await expect(page.locator('[data-test-id="selected-company"]')).toBeVisible();
+        console.log(`[SSO Login] ✅ Signed in through the login pages in ${result.durationMs} ms`);
+    });
+});
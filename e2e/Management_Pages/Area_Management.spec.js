@@ -4,6 +4,7 @@ import { test, expect } from '@playwright/test';
 import { SharedTestSteps } from '../../backend/SharedTestSteps.js';
 import { MenuPage } from '../../backend/MenuPage.js';
 import { AreaManagementPage } from '../../backend/AreaManagementPage.js';
+import { getSecret } from '../../utils/secrets.js';
 
 // Import global failure handler for automatic failure screenshots
 import '../../backend/GlobalFailureHandler.js';
@@ -11,8 +12,8 @@ import '../../backend/GlobalFailureHandler.js';
 /**
  * Environment variables for authentication
  */
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 
 // Default company for tests
 const COMPANY_NAME = 'Automation company';
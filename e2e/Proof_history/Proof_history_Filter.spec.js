@@ -2,12 +2,17 @@
 // @ts-check
 import { test, expect } from '@playwright/test';
 import { SharedTestSteps } from '../../backend/SharedTestSteps.js';
+import { getSecret } from '../../utils/secrets.js';
+import { resolveTimezone } from '../../utils/clock.js';
 
 // Import global failure handler for automatic failure screenshots
 import '../../backend/GlobalFailureHandler.js';
 
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+// The date pickers here work in the reference timezone of utils/clock.js; so does the browser
+test.use({ timezoneId: resolveTimezone() });
+
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 
 test.describe('Proof history - Filter', () => {
     /** @type {SharedTestSteps} */
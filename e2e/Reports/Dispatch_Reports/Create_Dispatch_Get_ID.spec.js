@@ -8,6 +8,7 @@ import dotenv from 'dotenv';
 import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
+import { getSecret } from '../../../utils/secrets.js';
 
 // =========================
 // Environment Setup
@@ -19,8 +20,8 @@ dotenv.config({ path: path.resolve(__dirname, '../../../.env') });
 // =========================
 // Constants
 // =========================
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 const SITE_NAME = 'WVRD_9th Ave and JG Strydom Rd_62';
 const SITE_PREFIX = 'WVRD_9th Ave';
 
@@ -1,27 +1,73 @@
 import { test, expect } from '@playwright/test';
 import { AuthHelper } from '../../../backend/AuthHelper.js';
 import { SharedTestSteps } from '../../../backend/SharedTestSteps.js';
+import { getProfile } from '../../../utils/profile.js';
+import { getSecret } from '../../../utils/secrets.js';
+import ElasticsearchClient from '../../../backend/elasticsearch-client.js';
+import { reconcileWithElasticsearch, formatReconciliation } from '../../../backend/reports/DispatchReconciliation.js';
 import fs from 'fs';
 import path from 'path';
-import XLSX from 'xlsx';
-import Papa from 'papaparse';
+import { parseDownload, parseDispatchReport } from '../../../backend/reports/DispatchReportParser.js';
+import { loadRules, validateDispatchReport, formatViolations } from '../../../backend/reports/DispatchReportRules.js';
+import { expectReportToMatchGolden } from '../../../backend/reports/ReportGoldenFiles.js';
+import { tagReportName } from '../../../backend/reports/ReportSweeper.js';
+import { getClock, resolveTimezone } from '../../../utils/clock.js';
+import { ReportLifecycle } from '../../../backend/reports/ReportLifecycle.js';
+
+// The date pickers here work in the reference timezone of utils/clock.js; so does the browser
+test.use({ timezoneId: resolveTimezone() });
+
+// "Today" and "now" in the reference timezone (REPORT_TIMEZONE), the browser's timezone too
+const clock = getClock();
 
 // Test configuration
 const TEST_CONFIG = {
+    // Credentials come from the secrets provider; AuthHelper fails fast when they are missing
     authentication: {
-        username: process.env.ADMIN_MS_USERNAME || "proof360test@vumacam.online",
-        password: process.env.ADMIN_MS_PASSWORD || "J~rM!b8twq3J#4!",
-        baseUrl: "https://uat.proof360.io/"
+        username: getSecret('ADMIN_MS_USERNAME'),
+        password: getSecret('ADMIN_MS_PASSWORD'),
+        baseUrl: getProfile().baseUrl
     },
     testData: {
-        currentTime: new Date().toTimeString().slice(0, 8).replace(/:/g, '-'),
-        currentDate: new Date().toISOString().slice(0, 10),
+        // "e2e-<UTC time>" on every report name, so scripts/sweep-reports.js can find leftovers
+        reportTag: tagReportName('').trim(),
+        currentDate: clock.dateString(),
         // Use today's date dynamically - acts like "Today" button functionality
-        fromDate: new Date().getDate().toString(),
-        toDate: new Date().getDate().toString()
+        fromDate: String(clock.today().day),
+        toDate: String(clock.today().day)
     }
 };
 
+// Column rules (backend/reports/rules/dispatch-report.json)
+const REPORT_RULES = loadRules();
+
+/**
+ * Today's xlsx report settings, with overrides
+ * @param {Object} [config]
+ */
+function dispatchReportConfig(config = {}) {
+    return {
+        fileFormat: '.xlsx - no images attached',
+        fromDate: TEST_CONFIG.testData.fromDate,
+        toDate: TEST_CONFIG.testData.toDate,
+        ...config
+    };
+}
+
+/**
+ * Create a dispatch report through ReportLifecycle, wait until it is Ready and parse its download.
+ * The report is archived by reports.cleanup(), not by the afterEach clean-up list.
+ * @param {ReportLifecycle} reports
+ * @param {string} testName - Base name for the report
+ * @param {Object} [config] - Overrides dispatchReportConfig()
+ * @returns {Promise<Object>} Parsed report (DispatchReportParser) with `filePath`
+ */
+async function createReadyAndParse(reports, testName, config = {}) {
+    const report = await reports.createReady('dispatch', `${testName} ${TEST_CONFIG.testData.reportTag}`, dispatchReportConfig(config));
+    const { filePath } = await reports.download(report);
+    return { ...parseDispatchReport(filePath), filePath };
+}
+
 /**
  * Helper function to create dispatch report with automatic cleanup tracking
  * @param {Object} sharedSteps - SharedTestSteps instance
@@ -31,14 +77,11 @@ const TEST_CONFIG = {
  * @returns {Promise<Object>} Download object and report name
  */
 async function createAndTrackReport(sharedSteps, createdReports, testName, config = {}) {
-    const reportName = `${testName} ${TEST_CONFIG.testData.currentTime}`;
+    const reportName = `${testName} ${TEST_CONFIG.testData.reportTag}`;
     
     const reportConfig = {
         reportName: reportName,
-        fileFormat: '.xlsx - no images attached',
-        fromDate: TEST_CONFIG.testData.fromDate,
-        toDate: TEST_CONFIG.testData.toDate,
-        ...config // Allow overriding default config
+        ...dispatchReportConfig(config)
     };
     
     // Create the report
@@ -53,112 +96,21 @@ async function createAndTrackReport(sharedSteps, createdReports, testName, confi
     return { download, reportName };
 }
 
-/**
- * Enhanced parseDownloadedFile function with robust error handling
- * @param {string} filePath - Path to the downloaded file
- * @returns {Object} Parsed data with rows and headers
- */
-async function parseDownloadedFile(filePath) {
-    console.log(`[FileParser] Attempting to parse file: ${filePath}`);
-    
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-        throw new Error(`File not found: ${filePath}`);
-    }
-    
-    try {
-        const fileExtension = path.extname(filePath).toLowerCase();
-        console.log(`[FileParser] File extension detected: ${fileExtension}`);
-        
-        if (fileExtension === '.xlsx' || fileExtension === '.xls') {
-            console.log(`[FileParser] Reading Excel file...`);
-            const workbook = XLSX.readFile(filePath);
-            
-            // Debug: Show available sheet names
-            console.log(`[FileParser] Available sheets: ${workbook.SheetNames.join(', ')}`);
-            
-            const sheetName = workbook.SheetNames[0];
-            console.log(`[FileParser] Using sheet: ${sheetName}`);
-            
-            const worksheet = workbook.Sheets[sheetName];
-            
-            // Debug: Show worksheet range
-            if (worksheet['!ref']) {
-                console.log(`[FileParser] Worksheet range: ${worksheet['!ref']}`);
-            } else {
-                console.log(`[FileParser] ⚠️ Worksheet has no range defined`);
-            }
-            
-            const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-            
-            console.log(`[FileParser] Raw JSON data length: ${jsonData.length}`);
-            if (jsonData.length > 0) {
-                console.log(`[FileParser] First row (headers): ${JSON.stringify(jsonData[0])}`);
-                if (jsonData.length > 1) {
-                    console.log(`[FileParser] Second row (first data): ${JSON.stringify(jsonData[1])}`);
-                }
-            }
-            
-            if (jsonData.length === 0) {
-                throw new Error('Excel file appears to be empty');
-            }
-            
-            const headers = jsonData[0];
-            const rows = jsonData.slice(1);
-            console.log(`[FileParser] Successfully parsed Excel file. Headers: ${headers.length}, Rows: ${rows.length}`);
-            return { headers, rows, data: jsonData };
-        } else if (fileExtension === '.csv') {
-            console.log(`[FileParser] Reading CSV file...`);
-            const fileContent = fs.readFileSync(filePath, 'utf8');
-            const parsed = Papa.parse(fileContent, { header: false });
-            
-            if (parsed.errors.length > 0) {
-                console.warn(`[FileParser] CSV parsing warnings:`, parsed.errors);
-            }
-            
-            if (parsed.data.length === 0) {
-                throw new Error('CSV file appears to be empty');
-            }
-            
-            const headers = parsed.data[0];
-            const rows = parsed.data.slice(1);
-            console.log(`[FileParser] Successfully parsed CSV file. Headers: ${headers.length}, Rows: ${rows.length}`);
-            return { headers, rows, data: parsed.data };
-        } else {
-            throw new Error(`Unsupported file format: ${fileExtension}`);
-        }
-    } catch (error) {
-        console.error(`[FileParser] Error parsing file ${filePath}:`, error.message);
-        throw error;
-    }
-}
-
 /**
  * Helper function to save and parse downloaded reports
  * @param {Object} download - Playwright download object
- * @param {string} testName - Name of the test for directory creation
- * @returns {Object} Parsed file data
+ * @param {string} testName - Name of the test for logging
+ * @returns {Promise<Object>} Parsed report: raw headers/rows plus typed records (DispatchReportParser)
  */
 async function saveAndParseDownload(download, testName) {
     console.log(`[DownloadHelper] Processing download for test: ${testName}`);
-    
-    // Create test-downloads directory if it doesn't exist
-    const downloadsDir = path.join(process.cwd(), 'test-downloads');
-    if (!fs.existsSync(downloadsDir)) {
-        fs.mkdirSync(downloadsDir, { recursive: true });
-        console.log(`[DownloadHelper] Created downloads directory: ${downloadsDir}`);
+    const parsedData = await parseDownload(download, { dir: path.join(process.cwd(), 'test-downloads') });
+    if (parsedData.missingColumns.length > 0) {
+        console.warn(`[DownloadHelper] ⚠️ Missing columns: ${parsedData.missingColumns.join(', ')}`);
+    }
+    if (parsedData.unknownColumns.length > 0) {
+        console.log(`[DownloadHelper] ℹ️ Unknown columns: ${parsedData.unknownColumns.join(', ')}`);
     }
-    
-    // Save the file
-    const fileName = download.suggestedFilename();
-    const filePath = path.join(downloadsDir, fileName);
-    await download.saveAs(filePath);
-    console.log(`[DownloadHelper] File saved to: ${filePath}`);
-    
-    // Parse the file
-    const parsedData = await parseDownloadedFile(filePath);
-    console.log(`[DownloadHelper] File parsed successfully for test: ${testName}`);
-    
     return parsedData;
 }
 
@@ -677,7 +629,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Dispatch ID duplication logic', async ({ page }) => {
         console.log('[DispatchValidation] Testing Dispatch ID duplication logic...');
         
-        const reportName = `Dispatch Duplication Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Dispatch Duplication Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -737,7 +689,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Incident ID accuracy and presence', async ({ page }) => {
         console.log('[DispatchValidation] Testing Incident ID validation...');
         
-        const reportName = `Incident ID Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Incident ID Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -789,7 +741,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Group Name presence', async ({ page }) => {
         console.log('[DispatchValidation] Testing Group Name validation...');
         
-        const reportName = `Group Name Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Group Name Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -841,7 +793,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Site Name accuracy', async ({ page }) => {
         console.log('[DispatchValidation] Testing Site Name validation...');
         
-        const reportName = `Site Name Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Site Name Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -893,7 +845,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Customer Site ID handling', async ({ page }) => {
         console.log('[DispatchValidation] Testing Customer Site ID validation...');
         
-        const reportName = `Customer Site ID Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Customer Site ID Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -947,7 +899,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Dispatch Service entries', async ({ page }) => {
         console.log('[DispatchValidation] Testing Dispatch Service validation...');
         
-        const reportName = `Dispatch Service Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Dispatch Service Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -1006,7 +958,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Company Name source accuracy', async ({ page }) => {
         console.log('[DispatchValidation] Testing Company Name validation...');
         
-        const reportName = `Company Name Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Company Name Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -1069,7 +1021,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Alert Type accuracy', async ({ page }) => {
         console.log('[DispatchValidation] Testing Alert Type validation...');
         
-        const reportName = `Alert Type Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Alert Type Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -1115,7 +1067,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify CreatedBy operator accuracy', async ({ page }) => {
         console.log('[DispatchValidation] Testing CreatedBy validation...');
         
-        const reportName = `CreatedBy Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `CreatedBy Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -1161,7 +1113,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Action Timestamp accuracy', async ({ page }) => {
         console.log('[DispatchValidation] Testing Action Timestamp validation...');
         
-        const reportName = `Action Timestamp Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Action Timestamp Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -1213,7 +1165,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Cross-check Action Timestamp consistency', async ({ page }) => {
         console.log('[DispatchValidation] Testing Action Timestamp consistency...');
         
-        const reportName = `Timestamp Consistency Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Timestamp Consistency Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -1265,12 +1217,11 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Proof Status accuracy', async ({ page }) => {
         console.log('[DispatchValidation] Testing Proof Status validation for WVRD_9th Ave and JG Strydom Rd_62...');
         
-        const reportName = `Proof Status Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Proof Status Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Get current date and time for today's full range
-        const now = new Date();
-        const currentDay = now.getDate().toString();
-        const currentTime = now.toTimeString().slice(0, 8); // HH:MM:SS format
+        const currentDay = String(clock.today().day);
+        const currentTime = clock.time(); // HH:MM:SS format
         
         console.log(`[DispatchValidation] Creating report for today (${currentDay}) from 00:00:00 to ${currentTime}`);
         console.log('[DispatchValidation] No station filter applied (All Stations)');
@@ -1463,12 +1414,11 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Extended Responder Status values', async ({ page }) => {
         console.log('[DispatchValidation] Testing Extended Responder Status validation for WVRD_9th Ave and JG Strydom Rd_62...');
         
-        const reportName = `Extended Responder Status Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Extended Responder Status Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Get current date and time for today's full range
-        const now = new Date();
-        const currentDay = now.getDate().toString();
-        const currentTime = now.toTimeString().slice(0, 8); // HH:MM:SS format
+        const currentDay = String(clock.today().day);
+        const currentTime = clock.time(); // HH:MM:SS format
         
         console.log(`[DispatchValidation] Creating report for today (${currentDay}) from 00:00:00 to ${currentTime}`);
         console.log('[DispatchValidation] No station filter applied (All Stations)');
@@ -1666,12 +1616,11 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Both Column Status Pairs', async ({ page }) => {
         console.log('[DispatchValidation] Testing Both Column Status Pairs validation for WVRD_9th Ave and JG Strydom Rd_62...');
         
-        const reportName = `Both Column Status Pairs Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Both Column Status Pairs Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Get current date and time for today's full range
-        const now = new Date();
-        const currentDay = now.getDate().toString();
-        const currentTime = now.toTimeString().slice(0, 8); // HH:MM:SS format
+        const currentDay = String(clock.today().day);
+        const currentTime = clock.time(); // HH:MM:SS format
         
         console.log(`[DispatchValidation] Creating report for today (${currentDay}) from 00:00:00 to ${currentTime}`);
         console.log('[DispatchValidation] No station filter applied (All Stations)');
@@ -1697,167 +1646,28 @@ test.describe('Dispatch Report Data Field Validation', () => {
         
         // Parse the downloaded file
         const parsedData = await saveAndParseDownload(download, 'Both_Column_Status_Pairs_Validation');
-        
-        // Find column indices
-        const proofStatusColumnIndex = 10; // Column 10 (0-based index)
-        const responderStatusColumnIndex = 11; // Column 11 (0-based index)
-        
-        // Find Group Name column for filtering
-        const groupNameColumnIndex = parsedData.headers.findIndex(header => 
-            header && header.toLowerCase().includes('group') && header.toLowerCase().includes('name')
-        );
-        
-        // Verify columns exist
-        if (parsedData.headers.length <= responderStatusColumnIndex) {
-            console.log(`[DispatchValidation] ❌ Columns not found. Available columns: ${parsedData.headers.length}`);
-            console.log('[DispatchValidation] 📋 Available columns:', parsedData.headers.join(', '));
-            throw new Error(`Columns not found. Report only has ${parsedData.headers.length} columns.`);
-        }
-        
-        expect(groupNameColumnIndex).toBeGreaterThanOrEqual(0);
-        
-        console.log(`[DispatchValidation] ✅ Proof Status column found at index ${proofStatusColumnIndex}: "${parsedData.headers[proofStatusColumnIndex]}"`);
-        console.log(`[DispatchValidation] ✅ Responder Status column found at index ${responderStatusColumnIndex}: "${parsedData.headers[responderStatusColumnIndex]}"`);
-        console.log(`[DispatchValidation] ✅ Group Name column found at index ${groupNameColumnIndex}: "${parsedData.headers[groupNameColumnIndex]}"`);
-        
+
         // Target group name to filter by
         const targetGroupName = 'WVRD_9th Ave and JG Strydom Rd_62';
         
-        // Expected status pairs: [Proof Status, Responder Status]
-        const expectedStatusPairs = [
-            ['DISPATCH_CREATED', 'open'],
-            ['RESPONDER_DISPATCHED', 'pickedUp'],
-            ['RESPONDER_DISPATCHED', 'responding'],
-            ['RESPONDER_ARRIVED', 'responderOnSite'],
-            ['RESPONDER_COMPLETED', 'completed'],
-            ['OPERATOR_CANCELLED', 'cancelled']
-        ];
-        
-        if (parsedData.rows.length === 0) {
-            console.log('[DispatchValidation] ❌ Report contains no data rows - this indicates a system issue');
-            console.log('[DispatchValidation] 📋 Available columns:', parsedData.headers.join(', '));
-            console.log(`[DispatchValidation] 🎯 Expected to find these status pairs for group "${targetGroupName}":`, expectedStatusPairs.map(pair => `${pair[0]} ↔ ${pair[1]}`).join(', '));
-            throw new Error('Dispatch report should contain data for the selected time period. Empty report suggests system problem or incorrect date range.');
-        }
-        
-        // Filter rows by target group name
-        const targetGroupRows = parsedData.rows.filter(row => {
-            const groupName = row[groupNameColumnIndex];
-            return groupName && groupName.toString().trim() === targetGroupName;
+        // Proof/responder status pairs are declared in backend/reports/rules/dispatch-report.json;
+        // every declared pair must also appear at least once for this group
+        const pairRules = {
+            ...REPORT_RULES,
+            dependencies: REPORT_RULES.dependencies.map(dependency => ({ ...dependency, expectAll: true }))
+        };
+        const result = validateDispatchReport(parsedData, pairRules, {
+            only: ['responderStatus'],
+            where: { groupName: targetGroupName }
         });
+        console.log(`[DispatchValidation] Rows for group "${targetGroupName}": ${result.rowsChecked}`);
+        console.log(`[DispatchValidation] ${formatViolations(result)}`);
         
-        console.log(`[DispatchValidation] 📊 BOTH COLUMN STATUS PAIRS ANALYSIS FOR GROUP "${targetGroupName}":`);
-        console.log(`[DispatchValidation] Total data rows: ${parsedData.rows.length}`);
-        console.log(`[DispatchValidation] Rows matching target group: ${targetGroupRows.length}`);
-        
-        if (targetGroupRows.length === 0) {
-            console.log(`[DispatchValidation] ❌ No rows found for group name "${targetGroupName}"`);
-            console.log('[DispatchValidation] 🔍 Available group names in report:');
-            const allGroupNames = new Set();
-            parsedData.rows.forEach((row, index) => {
-                const groupName = row[groupNameColumnIndex];
-                if (groupName && groupName.toString().trim() !== '') {
-                    allGroupNames.add(groupName.toString().trim());
-                }
-            });
-            Array.from(allGroupNames).sort().forEach(groupName => {
-                console.log(`[DispatchValidation]    • ${groupName}`);
-            });
-            throw new Error(`No data found for target group "${targetGroupName}". Check if this group name exists in the current data.`);
-        }
-        
-        // Collect all unique status pairs found for the target group
-        const foundStatusPairs = new Set();
-        let invalidRows = 0;
-        
-        targetGroupRows.forEach((row, index) => {
-            const proofStatus = row[proofStatusColumnIndex];
-            const responderStatus = row[responderStatusColumnIndex];
-            
-            if (!proofStatus || proofStatus.toString().trim() === '' || 
-                !responderStatus || responderStatus.toString().trim() === '') {
-                invalidRows++;
-                console.warn(`[DispatchValidation] Group "${targetGroupName}" Row ${index + 1}: Missing status data`);
-            } else {
-                const pair = `${proofStatus.toString().trim()}|${responderStatus.toString().trim()}`;
-                foundStatusPairs.add(pair);
-            }
-        });
-        
-        console.log(`[DispatchValidation] Rows with missing status data: ${invalidRows}`);
-        console.log(`[DispatchValidation] Unique status pairs found: ${foundStatusPairs.size}`);
-        
-        // ENHANCED VALIDATION WITH VISUAL INDICATORS
-        console.log(`\n[DispatchValidation] 🔍 BOTH COLUMN STATUS PAIRS VALIDATION FOR GROUP "${targetGroupName}":`);
-        console.log(`[DispatchValidation] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-        
-        // Check each expected status pair individually with visual indicators
-        let allPairsPresent = true;
-        expectedStatusPairs.forEach(([expectedProof, expectedResponder]) => {
-            const expectedPair = `${expectedProof}|${expectedResponder}`;
-            const isPresent = foundStatusPairs.has(expectedPair);
-            
-            if (isPresent) {
-                const count = targetGroupRows.filter(row => 
-                    row[proofStatusColumnIndex] && row[proofStatusColumnIndex].toString().trim() === expectedProof &&
-                    row[responderStatusColumnIndex] && row[responderStatusColumnIndex].toString().trim() === expectedResponder
-                ).length;
-                console.log(`[DispatchValidation] ✅ ${expectedProof.padEnd(25)} ↔ ${expectedResponder.padEnd(20)} (${count} occurrence${count > 1 ? 's' : ''})`);
-            } else {
-                console.log(`[DispatchValidation] ❌ ${expectedProof.padEnd(25)} ↔ ${expectedResponder.padEnd(20)} NOT FOUND`);
-                allPairsPresent = false;
-            }
-        });
-        
-        console.log(`[DispatchValidation] ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-        
-        // Show summary with overall result
-        if (allPairsPresent) {
-            console.log(`[DispatchValidation] 🎉 VALIDATION RESULT: ✅ PASS - All ${expectedStatusPairs.length} expected status pairs are present!`);
-        } else {
-            const missingCount = expectedStatusPairs.filter(([expectedProof, expectedResponder]) => {
-                const expectedPair = `${expectedProof}|${expectedResponder}`;
-                return !foundStatusPairs.has(expectedPair);
-            }).length;
-            console.log(`[DispatchValidation] 💥 VALIDATION RESULT: ❌ FAIL - ${missingCount} expected status pair(s) missing!`);
-        }
-        
-        // Show additional status pairs found (if any)
-        const unexpectedPairs = Array.from(foundStatusPairs).filter(foundPair => {
-            return !expectedStatusPairs.some(([expectedProof, expectedResponder]) => {
-                const expectedPair = `${expectedProof}|${expectedResponder}`;
-                return foundPair === expectedPair;
-            });
-        });
-        
-        if (unexpectedPairs.length > 0) {
-            console.log(`\n[DispatchValidation] 🟡 ADDITIONAL STATUS PAIRS FOUND (not in expected list):`);
-            unexpectedPairs.forEach(pair => {
-                const [proofStatus, responderStatus] = pair.split('|');
-                const count = targetGroupRows.filter(row => 
-                    row[proofStatusColumnIndex] && row[proofStatusColumnIndex].toString().trim() === proofStatus &&
-                    row[responderStatusColumnIndex] && row[responderStatusColumnIndex].toString().trim() === responderStatus
-                ).length;
-                console.log(`[DispatchValidation] ℹ️ ${proofStatus.padEnd(25)} ↔ ${responderStatus.padEnd(20)} (${count} occurrence${count > 1 ? 's' : ''})`);
-            });
-        }
-        
-        // Detailed summary
-        console.log(`\n[DispatchValidation] 📊 DETAILED SUMMARY:`);
-        console.log(`[DispatchValidation] • Expected status pair types: ${expectedStatusPairs.length}`);
-        console.log(`[DispatchValidation] • Status pair types found: ${foundStatusPairs.size}`);
-        console.log(`[DispatchValidation] • Missing from expected: ${expectedStatusPairs.length - (allPairsPresent ? expectedStatusPairs.length : (expectedStatusPairs.length - expectedStatusPairs.filter(([expectedProof, expectedResponder]) => foundStatusPairs.has(`${expectedProof}|${expectedResponder}`)).length))}`);
-        console.log(`[DispatchValidation] • Additional unexpected: ${unexpectedPairs.length}`);
-        console.log(`[DispatchValidation] • Total rows for this group: ${targetGroupRows.length}\n`);
-        
-        // Fail the test if any status pairs are missing
-        if (!allPairsPresent) {
-            const missingPairs = expectedStatusPairs.filter(([expectedProof, expectedResponder]) => {
-                const expectedPair = `${expectedProof}|${expectedResponder}`;
-                return !foundStatusPairs.has(expectedPair);
-            });
-            throw new Error(`❌ VALIDATION FAILED: Missing expected status pairs: ${missingPairs.map(([proof, responder]) => `${proof} ↔ ${responder}`).join(', ')}`);
-        }
+        // Only missing columns and declared pairs never seen fail the test; undeclared pairs
+        // and blank statuses on individual rows are reported above but do not
+        const missingPairs = result.violations.filter(violation => !violation.rowNumber);
+        expect(result.rowsChecked, `No data found for target group "${targetGroupName}"`).toBeGreaterThan(0);
+        expect(missingPairs, missingPairs.map(violation => violation.message).join('; ')).toEqual([]);
         
         console.log('[DispatchValidation] ✅ Test completed: Verify Both Column Status Pairs');
     });
@@ -1865,7 +1675,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Responder Status accuracy', async ({ page }) => {
         console.log('[DispatchValidation] Testing Responder Status validation...');
         
-        const reportName = `Responder Status Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Responder Status Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -1998,7 +1808,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Response Provider logic', async ({ page }) => {
         console.log('[DispatchValidation] Testing Response Provider validation...');
         
-        const reportName = `Response Provider Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Response Provider Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -2044,7 +1854,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Created At timestamp accuracy', async ({ page }) => {
         console.log('[DispatchValidation] Testing Created At validation...');
         
-        const reportName = `Created At Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Created At Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -2090,7 +1900,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Auto Dispatch handling', async ({ page }) => {
         console.log('[DispatchValidation] Testing Auto Dispatch validation...');
         
-        const reportName = `Auto Dispatch Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Auto Dispatch Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -2136,7 +1946,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Latitude accuracy', async ({ page }) => {
         console.log('[DispatchValidation] Testing Latitude validation...');
         
-        const reportName = `Latitude Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Latitude Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -2155,31 +1965,11 @@ test.describe('Dispatch Report Data Field Validation', () => {
         
         // Parse the downloaded file
         const parsedData = await saveAndParseDownload(download, 'Latitude_Validation');
-        
-        // Find Latitude column
-        const latitudeColumnIndex = parsedData.headers.findIndex(header => 
-            header && header.toLowerCase().includes('lat')
-        );
-        
-        if (latitudeColumnIndex >= 0) {
-            // Verify Latitude values are valid
-            let invalidLatitudes = 0;
-            parsedData.rows.forEach((row, index) => {
-                const latitude = row[latitudeColumnIndex];
-                if (latitude && latitude.toString().trim() !== '') {
-                    const lat = parseFloat(latitude);
-                    if (isNaN(lat) || lat < -90 || lat > 90) {
-                        invalidLatitudes++;
-                        console.warn(`[DispatchValidation] Row ${index + 1}: Invalid latitude: ${latitude}`);
-                    }
-                }
-            });
-            
-            expect(invalidLatitudes).toBe(0);
-            console.log('[DispatchValidation] ✅ Latitude accuracy verified');
-        } else {
-            console.log('[DispatchValidation] ℹ️ Latitude column not found - may be optional');
-        }
+
+        // Declared in backend/reports/rules/dispatch-report.json ("range": [-90, 90])
+        const result = validateDispatchReport(parsedData, REPORT_RULES, { only: ['latitude'] });
+        console.log(`[DispatchValidation] ${formatViolations(result)}`);
+        expect(result.violations, formatViolations(result)).toEqual([]);
         
         console.log('[DispatchValidation] ✅ Test completed: Verify Latitude accuracy');
     });
@@ -2187,7 +1977,7 @@ test.describe('Dispatch Report Data Field Validation', () => {
     test('Verify Longitude accuracy', async ({ page }) => {
         console.log('[DispatchValidation] Testing Longitude validation...');
         
-        const reportName = `Longitude Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `Longitude Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report
         await sharedSteps.createDispatchReport({
@@ -2206,33 +1996,63 @@ test.describe('Dispatch Report Data Field Validation', () => {
         
         // Parse the downloaded file
         const parsedData = await saveAndParseDownload(download, 'Longitude_Validation');
+
+        // Declared in backend/reports/rules/dispatch-report.json ("range": [-180, 180])
+        const result = validateDispatchReport(parsedData, REPORT_RULES, { only: ['longitude'] });
+        console.log(`[DispatchValidation] ${formatViolations(result)}`);
+        expect(result.violations, formatViolations(result)).toEqual([]);
         
-        // Find Longitude column
-        const longitudeColumnIndex = parsedData.headers.findIndex(header => 
-            header && header.toLowerCase().includes('lon') || header.toLowerCase().includes('lng')
-        );
-        
-        if (longitudeColumnIndex >= 0) {
-            // Verify Longitude values are valid
-            let invalidLongitudes = 0;
-            parsedData.rows.forEach((row, index) => {
-                const longitude = row[longitudeColumnIndex];
-                if (longitude && longitude.toString().trim() !== '') {
-                    const lng = parseFloat(longitude);
-                    if (isNaN(lng) || lng < -180 || lng > 180) {
-                        invalidLongitudes++;
-                        console.warn(`[DispatchValidation] Row ${index + 1}: Invalid longitude: ${longitude}`);
-                    }
-                }
+        console.log('[DispatchValidation] ✅ Test completed: Verify Longitude accuracy');
+    });
+
+    test('Reconcile report rows against Elasticsearch', async ({ page }, testInfo) => {
+        console.log('[DispatchValidation] Reconciling report against Elasticsearch...');
+
+        let esClient;
+        try {
+            esClient = new ElasticsearchClient();
+        } catch (error) {
+            test.skip(true, `Elasticsearch not configured: ${error.message}`);
+        }
+
+        const reports = new ReportLifecycle(page, { testInfo });
+        try {
+            const parsedData = await createReadyAndParse(reports, 'Reconciliation Test');
+            expect(parsedData.rows.length).toBeGreaterThan(0);
+
+            // Row-by-row, field-by-field diff against the source documents
+            const result = await reconcileWithElasticsearch(esClient, parsedData, { companyName: 'Automation company' });
+            const summary = formatReconciliation(result);
+            console.log(`[DispatchValidation] ${summary}`);
+            await testInfo.attach('dispatch-reconciliation.json', {
+                body: JSON.stringify(result, null, 2),
+                contentType: 'application/json'
             });
-            
-            expect(invalidLongitudes).toBe(0);
-            console.log('[DispatchValidation] ✅ Longitude accuracy verified');
-        } else {
-            console.log('[DispatchValidation] ℹ️ Longitude column not found - may be optional');
+
+            expect(result.ok, summary).toBe(true);
+        } finally {
+            await reports.cleanup();
         }
-        
-        console.log('[DispatchValidation] ✅ Test completed: Verify Longitude accuracy');
+        console.log('[DispatchValidation] ✅ Test completed: Reconcile report rows against Elasticsearch');
+    });
+
+    // Turn back into test() once the baseline is recorded from a real report with UPDATE_GOLDEN=1
+    test.fixme('Dispatch report layout matches golden baseline', {
+        annotation: { type: 'fixme', description: 'test/data/golden/dispatch-report-aura-layout.json is not recorded from a real report yet' }
+    }, async ({ page }, testInfo) => {
+        console.log('[DispatchValidation] Comparing report layout with test/data/golden/dispatch-report-aura-layout.json...');
+
+        const reports = new ReportLifecycle(page, { testInfo });
+        try {
+            const parsedData = await createReadyAndParse(reports, 'Golden Layout Test');
+
+            // Sheet names and column set only; row content depends on the day's dispatches
+            await expectReportToMatchGolden(parsedData.filePath, 'dispatch-report-aura-layout', { compare: ['sheets', 'columns'] });
+        } finally {
+            await reports.cleanup();
+        }
+
+        console.log('[DispatchValidation] ✅ Test completed: Dispatch report layout matches golden baseline');
     });
 });
 
@@ -2243,9 +2063,9 @@ test.describe('Dispatch Report CSV Format Validation', () => {
 
     // Get dynamic dates for CSV test
     const dynamicDates = {
-        currentTime: new Date().toTimeString().slice(0, 8),
-        hyphenatedTime: new Date().toTimeString().slice(0, 8).replace(/:/g, '-'),
-        currentDate: new Date().toISOString().slice(0, 10)
+        currentTime: clock.time(),
+        hyphenatedTime: clock.time().replace(/:/g, '-'),
+        currentDate: clock.dateString()
     };
 
     test.beforeEach(async ({ page }) => {
@@ -2396,20 +2216,20 @@ test.describe('Dispatch Report CSV Format Validation', () => {
     test('Verify WVRD_9th Ave Group Name Data Presence', async ({ page }) => {
         console.log('[DispatchValidation] Testing WVRD_9th Ave and JG Strydom Rd_62 data presence...');
         
-        const reportName = `WVRD_9th Ave Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `WVRD_9th Ave Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report with wider date range for better data coverage
         const sharedSteps = new SharedTestSteps(page);
-        const today = new Date();
-        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const today = clock.today();
+        const yesterday = clock.daysFromToday(-1);
         
         await sharedSteps.createDispatchReport({
             reportName: reportName,
             fileFormat: '.xlsx - no images attached',
-            fromDate: yesterday.getDate().toString(), // Yesterday's date
-            toDate: today.getDate().toString(),       // Today's date  
+            fromDate: String(yesterday.day),        // Yesterday's date
+            toDate: String(today.day),              // Today's date  
             fromTime: '00:00',                       // Start of yesterday
-            toTime: today.toTimeString().slice(0, 5), // Current time today (HH:MM format)
+            toTime: clock.time().slice(0, 5), // Current time today (HH:MM format)
             // Remove station filter to get data from all stations
             // station: 'Rustenburg'  
         });
@@ -2491,19 +2311,19 @@ test.describe('Dispatch Report CSV Format Validation', () => {
     test('Verify Dispatch flow for WVRD_9th Ave', async ({ page }) => {
         console.log('[DispatchValidation] Testing WVRD_9th Ave and JG Strydom Rd_62 dispatch workflow statuses...');
         
-        const reportName = `WVRD_9th Ave Dispatch Flow Test ${TEST_CONFIG.testData.currentTime}`;
+        const reportName = `WVRD_9th Ave Dispatch Flow Test ${TEST_CONFIG.testData.reportTag}`;
         
         // Create dispatch report with today's date only for current dispatch data
         const sharedSteps = new SharedTestSteps(page);
-        const today = new Date();
+        const today = clock.today();
         
         await sharedSteps.createDispatchReport({
             reportName: reportName,
             fileFormat: '.xlsx - no images attached',
-            fromDate: today.getDate().toString(),     // Today's date
-            toDate: today.getDate().toString(),       // Today's date  
+            fromDate: String(today.day),            // Today's date
+            toDate: String(today.day),              // Today's date  
             fromTime: '00:00',                       // Start of today
-            toTime: today.toTimeString().slice(0, 5), // Current time today (HH:MM format)
+            toTime: clock.time().slice(0, 5), // Current time today (HH:MM format)
             // Remove station filter to get data from all stations
             // station: 'Rustenburg'  
         });
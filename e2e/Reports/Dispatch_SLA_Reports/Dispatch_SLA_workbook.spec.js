@@ -0,0 +1,52 @@
+import { test } from '@playwright/test';
+import { SharedTestSteps } from '../../../backend/SharedTestSteps.js';
+import { DispatchSLAReportsPage } from '../../../backend/DispatchSLAReportsPage.js';
+import { getSecret } from '../../../utils/secrets.js';
+import { readSlaTestCases, planSlaTestCases, runSlaTestCase } from '../../../backend/DispatchSlaTestCases.js';
+import { resolveTimezone } from '../../../utils/clock.js';
+
+// The date pickers here work in the reference timezone of utils/clock.js; so does the browser
+test.use({ timezoneId: resolveTimezone() });
+
+/**
+ * Dispatch SLA Reports - generated from "Dispatch SLA creation.xlsx"
+ *
+ * One test per test case in the QA workbook, one test.step per workbook row. Adding, removing
+ * or rewording a case in the workbook changes this suite; cases with steps no rule recognises
+ * are listed as fixme with the unmapped rows (see `node scripts/parse-dispatch-sla-xlsx.js`).
+ */
+const plans = planSlaTestCases(readSlaTestCases());
+
+test.describe('Dispatch SLA Reports - Workbook Test Cases', () => {
+  let sharedSteps;
+  let dispatchSLAReportsPage;
+
+  test.beforeEach(async ({ page }) => {
+    test.setTimeout(300000);
+
+    sharedSteps = new SharedTestSteps(page);
+    dispatchSLAReportsPage = new DispatchSLAReportsPage(page);
+    await sharedSteps.authenticateAndSetup(
+      getSecret('ADMIN_MS_USERNAME', { required: true }),
+      getSecret('ADMIN_MS_PASSWORD', { required: true })
+    );
+  });
+
+  for (const plan of plans) {
+    const annotation = [
+      { type: 'workbook row', description: String(plan.row) },
+      ...plan.warnings.map((warning) => ({ type: 'workbook warning', description: warning })),
+      ...plan.unmapped.map((u) => ({ type: 'unmapped step', description: `row ${u.row} ${u.column}: ${u.text}` }))
+    ];
+
+    if (!plan.automatable) {
+      const reason = plan.fixme || `${plan.unmapped.length} workbook step(s) not mapped`;
+      test.fixme(plan.name, { annotation: [...annotation, { type: 'fixme', description: reason }] }, async () => {});
+      continue;
+    }
+
+    test(plan.name, { annotation }, async ({}, testInfo) => {
+      await runSlaTestCase(plan, { sharedSteps, slaPage: dispatchSLAReportsPage, testInfo });
+    });
+  }
+});
@@ -2,6 +2,7 @@ import { test, expect } from '@playwright/test';
 import { SharedTestSteps } from '../../../backend/SharedTestSteps.js';
 import { ApiHelper } from '../../../backend/ApiHelper.js';
 import ElasticsearchClient from '../../../backend/elasticsearch-client.js';
+import { getProfile } from '../../../utils/profile.js';
 import '../../../backend/GlobalFailureHandler.js';
 
 // Node/ESM utilities used across the merged specs
@@ -9,6 +10,7 @@ import dotenv from 'dotenv';
 import path from 'path';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
+import { getSecret } from '../../../utils/secrets.js';
 
 // =========================
 // Common env bootstrap
@@ -22,8 +24,8 @@ dotenv.config({ path: path.resolve(__dirname, '../../../.env') });
 // =========================
 // Shared constants
 // =========================
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 const SITE_NAME = 'WVRD_9th Ave and JG Strydom Rd_62';
 
 const COMPANIES = ['Automation company', 'Vumacam'];
@@ -31,69 +33,45 @@ const DEFAULT_SITE = 'WVRD_9th Ave';
 const SITE = process.env.TEST_ES_SITE || DEFAULT_SITE;
 
 // AURA + cross-spec env (hoisted for helper scope)
-const AURA_EMAIL = process.env.AURA_EMAIL;
-const AURA_PASSWORD = process.env.AURA_PASSWORD;
+const PROFILE = getProfile();
+const AURA_URL = PROFILE.aura?.url;
+const AURA_EMAIL = PROFILE.aura?.email;
+const AURA_PASSWORD = PROFILE.aura?.password;
 const DEFAULT_COMPANY = process.env.TEST_COMPANY || 'Automation company';
 const SEEDED_DISPATCH_ID = process.env.DISPATCH_ID; // optional seed
 
 let esClient = null; // shared across tests in this file
 
-// Elasticsearch helper functions - Enhanced with proven broad search strategy
+// Elasticsearch helper: newest dispatch for the site, else for any site of the company.
+// One query per step — the newest hit in now-7d is the newest hit of every narrower window.
 async function getLatestId(
   esClient,
-  { site = SITE, windows = ['now-5m', 'now-10m', 'now-15m', 'now-30m', 'now-1h', 'now-2h', 'now-3h', 'now-6h', 'now-12h', 'now-24h', 'now-48h', 'now-7d'] } = {}
+  { site = SITE, since = 'now-7d', companies = COMPANIES } = {}
 ) {
   if (!esClient) return null;
-  
-  console.log(`[ES Integration] Searching for most recent dispatch: company="Automation company", site="${site}"`);
-  console.log(`[ES Integration] Using ${windows.length} time windows (${windows[0]} to ${windows[windows.length - 1]})`);
-  
-  // Strategy: Try multiple site name variations with expanded time windows
-  const siteVariations = [
-    site,                    // Full site name
-    'WVRD_9th Ave',         // Prefix
-    'WVRD',                 // Just site code
-    '',                     // No site filter (any site)
+
+  console.log(`[ES Integration] Searching for most recent dispatch since ${since}: company="${companies[0]}", site="${site}"`);
+
+  const attempts = [
+    { companyName: companies[0], site },
+    ...companies.map((companyName) => ({ companyName, site: '' }))
   ];
-  
-  // First priority: Search for specific Automation company + site variations
-  for (const timeRange of windows) {
-    for (const siteName of siteVariations) {
-      try {
-        const siteDesc = siteName ? `site="${siteName}"` : 'any site';
-        console.log(`[ES Integration] Trying: ${timeRange} + ${siteDesc}`);
-        const id = await esClient.getLatestDispatchId({ 
-          companyName: 'Automation company', 
-          siteName: siteName, 
-          timeRange 
-        });
-        if (id) {
-          console.log(`[ES Integration] ✅ Found target dispatch ID: ${id}`);
-          console.log(`[ES Integration] Match: timeRange=${timeRange}, siteName="${siteName || 'any'}"`);
-          return { id, companyName: 'Automation company', timeRange, site: siteName || 'any' };
-        }
-      } catch (error) {
-        // Silent fail, continue searching
-      }
-    }
-  }
-  
-  // Final fallback: Any company (last resort)
-  for (const timeRange of windows) {
-    for (const companyName of COMPANIES) {
-      try {
-        const id = await esClient.getLatestDispatchId({ companyName, siteName: '', timeRange });
-        if (id) {
-          console.log(`[ES Integration] ⚠️ Using any available dispatch ID: ${id} (${companyName})`);
-          return { id, companyName, timeRange, site: '' };
-        }
-      } catch (error) {
-        // Silent fail
+
+  for (const attempt of attempts) {
+    try {
+      const query = esClient.query().company(attempt.companyName).site(attempt.site).since(since).size(1);
+      const { records: [latest] } = await esClient.search(query);
+      if (latest?.dispatchId) {
+        const siteDesc = attempt.site ? `site="${attempt.site}"` : 'any site';
+        console.log(`[ES Integration] ✅ Found dispatch ID: ${latest.dispatchId} (${attempt.companyName}, ${siteDesc}, ${latest.timestamp})`);
+        return { id: latest.dispatchId, companyName: attempt.companyName, timeRange: since, site: attempt.site || 'any' };
       }
+    } catch (error) {
+      console.log(`[ES Integration] Search failed for ${attempt.companyName}: ${error.message}`);
     }
   }
-  
-  console.log(`[ES Integration] ❌ No dispatch records found in any time window`);
+
+  console.log(`[ES Integration] ❌ No dispatch records found since ${since}`);
   return null;
 }
 
@@ -161,9 +139,9 @@ test.describe('Comprehensive Aura Dispatch and AURA Validation Workflow', () =>
 
   // Single shared beforeAll for the suite (matching original pattern)
   test.beforeAll(async () => {
-    console.log('[ES Smoke] ENV URL:', process.env.ELASTICSEARCH_URL);
-    console.log('[ES Smoke] ENV API KEY set:', !!process.env.ELASTICSEARCH_API_KEY);
-    console.log('[ES Smoke] ENV INDEX:', process.env.ELASTICSEARCH_INDEX);
+    console.log('[ES Smoke] ENV URL:', PROFILE.elasticsearch?.url);
+    console.log('[ES Smoke] ENV API KEY set:', !!PROFILE.elasticsearch?.apiKey);
+    console.log('[ES Smoke] ENV INDEX:', PROFILE.elasticsearch?.index);
 
     try {
       esClient = new ElasticsearchClient();
@@ -275,7 +253,7 @@ test.describe('Comprehensive Aura Dispatch and AURA Validation Workflow', () =>
     // Steps 2-3: Navigate and Authenticate
     // ===========================================
     console.log('[Step 2] Navigating to Proof360 and authenticating...');
-    await page.goto('https://uat.proof360.io/');
+    await page.goto(PROFILE.baseUrl);
     await sharedTestSteps.authenticateAndSetup(USERNAME, PASSWORD);
     
     // VALIDATION: Must be on command page after authentication
@@ -550,26 +528,14 @@ async function getDispatchContext() {
   console.log('[Aura→Proof360] Fallback: Fetching latest dispatch ID from Elasticsearch...');
   try {
     const es = new ElasticsearchClient();
-    
-    // Use same enhanced strategy as getLatestId() for consistency
-    const expandedWindows = ['now-5m', 'now-10m', 'now-15m', 'now-30m', 'now-1h', 'now-2h', 'now-3h', 'now-6h', 'now-12h', 'now-24h', 'now-48h'];
-    const siteVariations = ['WVRD_9th Ave and JG Strydom Rd_62', 'WVRD_9th Ave', 'WVRD', ''];
-    
-    console.log('[Aura→Proof360] Enhanced search: Automation company with multiple time windows and site variations');
-    
-    for (const timeRange of expandedWindows) {
-      for (const siteName of siteVariations) {
-        const id = await es.getLatestDispatchId({ 
-          companyName: 'Automation company', 
-          siteName: siteName,
-          timeRange 
-        });
-        if (id) {
-          const siteDesc = siteName || 'any site';
-          console.log(`[Aura→Proof360] ✅ Found dispatch: ${id} (${timeRange} + ${siteDesc})`);
-          return { id: `${id}`, companyName: 'Automation company', site: siteName || 'any' };
-        }
-      }
+    const result = await getLatestId(es, {
+      site: 'WVRD_9th Ave and JG Strydom Rd_62',
+      since: 'now-48h',
+      companies: ['Automation company']
+    });
+    if (result?.id) {
+      console.log(`[Aura→Proof360] ✅ Found dispatch: ${result.id} (${result.site})`);
+      return { id: `${result.id}`, companyName: result.companyName, site: result.site };
     }
     
     throw new Error('No dispatch ID found for Automation company in ES');
@@ -593,7 +559,7 @@ async function focusSiteCard(page, site) {
 
 async function ensureResponderSimulatorReady(auraPage, email, password) {
   console.log('[Aura→Proof360][AURA] Navigating to portal and logging in...');
-  await auraPage.goto('https://staging-portal.aura.services/', { timeout: 60000 });
+  await auraPage.goto(AURA_URL, { timeout: 60000 });
   await auraPage.waitForLoadState('domcontentloaded');
 
   await auraSimpleLogin(auraPage, email, password);
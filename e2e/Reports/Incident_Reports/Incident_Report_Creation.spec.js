@@ -3,9 +3,15 @@ import { test, expect } from '@playwright/test';
 import { SharedTestSteps } from '../../../backend/SharedTestSteps.js';
 import { AuthHelper } from '../../../backend/AuthHelper.js';
 import { ApiHelper } from '../../../backend/ApiHelper.js';
+import { ReportLifecycle } from '../../../backend/reports/ReportLifecycle.js';
+import { getSecret } from '../../../utils/secrets.js';
+import { resolveTimezone } from '../../../utils/clock.js';
 
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+// The date pickers here work in the reference timezone of utils/clock.js; so does the browser
+test.use({ timezoneId: resolveTimezone() });
+
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 const SITE_NAME = process.env.trex_private || process.env.SITE_NAME || '';
 
 // Utility: get a unique report name to avoid collisions
@@ -227,6 +233,41 @@ async function selfHealProceedToExport(page, maxAttempts = 5) {
   throw new Error('Failed to reach Export step after self-healing attempts');
 }
 
+// Incident wizard: name the report, add the first incident, take the map snapshot and export.
+// Runs as ReportLifecycle's config.create(page, name) from the Alert Reports list.
+async function exportIncidentReport(page, reportName) {
+  await page.getByText('Create new', { exact: false }).click();
+
+  const reportNameField = page.locator('.input-container input[type="text"], input.input, .row.input-container input').first();
+  await reportNameField.waitFor({ state: 'visible' });
+  await reportNameField.fill(reportName);
+  await page.getByText('Next', { exact: false }).click();
+
+  // Skip site selection - proceed without filtering by site
+  await page.waitForTimeout(2000);
+  await waitForIncidentsLoaded(page, 30000);
+
+  // Select first incident if present
+  const incidentCheckboxes = page.locator('table input[type="checkbox"], .incidents input[type="checkbox"], tbody input[type="checkbox"]');
+  const icCount = await incidentCheckboxes.count();
+  await expect(icCount, 'Expected at least one incident to proceed with snapshot/export flow').toBeGreaterThan(0);
+  await incidentCheckboxes.first().click();
+  await page.getByText('Add to export selection', { exact: false }).click();
+
+  await page.getByText('Next', { exact: false }).click();
+
+  // Snapshot step with self-healing to reach export
+  await selfHealProceedToExport(page, 3);
+
+  // Export
+  const exportBtn = page.locator('button:has-text("Export")');
+  await expect(exportBtn).toBeEnabled({ timeout: 30000 });
+  await exportBtn.click();
+
+  // Toast or message for generation
+  await expect(page.getByText(/Report generation|has been generated|export started/i)).toBeVisible({ timeout: 15000 }).catch(() => {});
+}
+
 test.describe('Incident Reports - Creation & UI Validations', () => {
   let sharedSteps; let authHelper;
 
@@ -477,43 +518,17 @@ test.describe('Incident Reports - Creation & UI Validations', () => {
     }
   });
 
-  test('Map snapshot → Clear image → Preview export → Export', async ({ page }) => {
-    // Reuse the previous flow up to selection step
-    await gotoIncidentReports(sharedSteps);
-    await page.getByText('Create new', { exact: false }).click();
-
-    const reportNameField = page.locator('.input-container input[type="text"], input.input, .row.input-container input').first();
-    await reportNameField.waitFor({ state: 'visible' });
-    await reportNameField.fill(uniqueReportName());
-    await page.getByText('Next', { exact: false }).click();
-
-    // Skip site selection - proceed without filtering by site
-    await page.waitForTimeout(2000);
-    await waitForIncidentsLoaded(page, 30000);
-
-    // Select first incident if present
-    const incidentCheckboxes = page.locator('table input[type="checkbox"], .incidents input[type="checkbox"], tbody input[type="checkbox"]');
-    const icCount = await incidentCheckboxes.count();
-    await expect(icCount, 'Expected at least one incident to proceed with snapshot/export flow').toBeGreaterThan(0);
-    await incidentCheckboxes.first().click();
-    await page.getByText('Add to export selection', { exact: false }).click();
-
-    await page.getByText('Next', { exact: false }).click();
-
-    // Snapshot step with self-healing to reach export
-    await selfHealProceedToExport(page, 3);
-
-    // Export
-  const exportBtn = page.locator('button:has-text("Export")');
-  await expect(exportBtn).toBeEnabled({ timeout: 30000 });
-  await exportBtn.click();
-
-    // Toast or message for generation
-    await expect(page.getByText(/Report generation|has been generated|export started/i)).toBeVisible({ timeout: 15000 }).catch(() => {});
-
-    // Wait for first-row Download to become enabled
-    const dlBtn = page.locator('tbody tr:first-child button:has-text("Download"), table tr:first-child button:has-text("Download")').first();
-    await expect(dlBtn).toBeEnabled({ timeout: 5 * 60 * 1000 });
+  test('Map snapshot → Clear image → Preview export → Export', async ({ page }, testInfo) => {
+    const reports = new ReportLifecycle(page, { testInfo });
+    try {
+      const report = await reports.create('incident', uniqueReportName(), { create: exportIncidentReport });
+      // Incident PDFs with map snapshots take minutes to generate
+      await reports.waitUntilReady(report, { polling: { timeoutMs: 5 * 60 * 1000 } });
+      const { size } = await reports.download(report);
+      expect(size).toBeGreaterThan(0);
+    } finally {
+      await reports.cleanup();
+    }
   });
 
   test('Download an existing report and Archive it', async ({ page }) => {
@@ -2,12 +2,20 @@
 import { test, expect } from '@playwright/test';
 import { SharedTestSteps } from '../../../backend/SharedTestSteps.js';
 import { AuthHelper } from '../../../backend/AuthHelper.js';
+import { AlertReportsPage } from '../../../backend/AlertReportsPage.js';
 import fs from 'fs';
 import path from 'path';
-import pdfParse from 'pdf-parse';
-
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+import {
+  parseIncidentReport,
+  validateIncidentReport,
+  formatIncidentReport,
+  INCIDENT_STATUSES
+} from '../../../backend/reports/IncidentReportParser.js';
+import { expectReportToMatchGolden } from '../../../backend/reports/ReportGoldenFiles.js';
+import { getSecret } from '../../../utils/secrets.js';
+
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 
 // Soft matcher to find text (case-insensitive, ignore extra whitespace)
 function containsCI(haystack, needle) {
@@ -16,37 +24,7 @@ function containsCI(haystack, needle) {
   return h.includes(n);
 }
 
-// Common regexes
-const re = {
-  date: /(\d{4}[-\/]\d{2}[-\/]\d{2}|\d{1,2} \w{3,9} \d{4})/, // 2025-10-28 or 28 Oct 2025
-  time: /(\d{1,2}:\d{2}(?::\d{2})?)/, // 14:05 or 14:05:33
-  incidentId: /(incident\s*id\s*[:#-]?\s*[A-Za-z0-9\-_/]+)/i,
-};
-
-// Extract and normalize full PDF text using test page API context
-async function extractPdfTextFromPage(apiPage, pdfPage, downloadsDir = 'Downloads') {
-  // Prefer waiting for a PDF-like URL rather than load state
-  await pdfPage.waitForLoadState('load', { timeout: 45000 }).catch(() => {});
-  
-  // Wait for the PDF to be fully rendered
-  await pdfPage.waitForTimeout(2000);
-  
-  const url = pdfPage.url();
-  console.log(`[PDF Extract] Downloading PDF from URL: ${url}`);
-  
-  const response = await apiPage.request.get(url);
-  const pdfBuffer = await response.body();
-
-  if (!fs.existsSync(downloadsDir)) fs.mkdirSync(downloadsDir, { recursive: true });
-  const filePath = path.join(downloadsDir, `incident-report-${Date.now()}.pdf`);
-  fs.writeFileSync(filePath, pdfBuffer);
-  console.log(`[PDF Extract] PDF saved to: ${filePath}`);
-
-  const parsed = await pdfParse(pdfBuffer);
-  const text = parsed.text.replace(/\s+/g, ' ').trim();
-  console.log(`[PDF Extract] Extracted ${text.length} characters from ${parsed.numpages} pages`);
-  return { text, pages: parsed.numpages, filePath };
-}
+const INCIDENT_ID = /^[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}$/i;
 
 // Find the first visible Download button across paginated results
 async function findFirstDownloadOnAnyPage(page, maxPages = 25) {
@@ -71,7 +49,7 @@ async function findFirstDownloadOnAnyPage(page, maxPages = 25) {
   return null;
 }
 
-// Download-first retrieval: wait for browser download, save, and parse PDF text
+// Download-first retrieval: wait for browser download, save, and parse the PDF
 async function downloadAndParseFirstReport(page, downloadsDir = 'Downloads') {
   const found = await findFirstDownloadOnAnyPage(page);
   if (!found) return null;
@@ -80,7 +58,7 @@ async function downloadAndParseFirstReport(page, downloadsDir = 'Downloads') {
 
   let download = null;
   let pdfPage = null;
-  let buffer = null;
+  let report = null;
   let filePath = null;
 
   try {
@@ -111,32 +89,19 @@ async function downloadAndParseFirstReport(page, downloadsDir = 'Downloads') {
     if (!fs.existsSync(downloadsDir)) fs.mkdirSync(downloadsDir, { recursive: true });
     filePath = path.join(downloadsDir, suggested || `incident-report-${Date.now()}.pdf`);
     await download.saveAs(filePath);
-    buffer = fs.readFileSync(filePath);
+    report = await parseIncidentReport(fs.readFileSync(filePath));
   }
   // Handle popup
   else if (pdfPage) {
     await pdfPage.waitForLoadState('networkidle', { timeout: 45000 }).catch(() => {});
-    const pdfUrl = pdfPage.url();
-    console.log(`[Download] PDF URL from popup: ${pdfUrl}`);
-    
-    // Fetch the PDF bytes from the URL
-    const resp = await page.request.get(pdfUrl);
-    if (resp && resp.ok()) {
-      buffer = await resp.body();
-      if (!fs.existsSync(downloadsDir)) fs.mkdirSync(downloadsDir, { recursive: true });
-      filePath = path.join(downloadsDir, `incident-report-${Date.now()}.pdf`);
-      fs.writeFileSync(filePath, buffer);
-    } else {
-      throw new Error(`Failed to fetch PDF from URL: ${pdfUrl}`);
-    }
+    filePath = path.join(downloadsDir, `incident-report-${Date.now()}.pdf`);
+    report = await new AlertReportsPage(page).readIncidentReport(pdfPage, { saveTo: filePath });
     
     // Close the popup
     await pdfPage.close().catch(() => {});
   }
 
-  const parsed = await pdfParse(buffer);
-  const text = parsed.text.replace(/\s+/g, ' ').trim();
-  return { text, pages: parsed.numpages, filePath, uiRowText };
+  return { text: report.text, pages: report.pages, report, filePath, uiRowText };
 }
 
 test.describe('Incident Report – PDF Content Validation', () => {
@@ -164,43 +129,39 @@ test.describe('Incident Report – PDF Content Validation', () => {
   console.log('[Test] Extracting PDF content via download...');
   const downloaded = await downloadAndParseFirstReport(page);
   if (!downloaded) test.skip(true, 'No downloadable report found');
-  const { text, pages } = downloaded;
-  console.log(`[Test] PDF extracted: ${text.substring(0, 200)}...`);
-
-    // Always present expectations
-    console.log('[Test] Verifying: PDF contains "Incident Report"');
-    expect.soft(containsCI(text, 'Incident Report')).toBeTruthy();
-
-    // Report date exists
-    console.log('[Test] Verifying: PDF contains date pattern');
-    expect.soft(re.date.test(text)).toBeTruthy();
-
-  // Footer/branding hints (optional, don't fail test if branding text varies)
-  const brandingPresent = ['Proof', 'Proof 360', 'Powered by'].some(b => containsCI(text, b));
-  console.log(`[Test] Branding present: ${brandingPresent}`);
-
-    // Basic incident fields
-    console.log('[Test] Verifying: PDF contains incident ID');
-    expect.soft(re.incidentId.test(text)).toBeTruthy();
-
-    // Status variants – presence depends on data; validate softly
-    const statusHints = ['Resolved', 'Not resolved', 'Dismissed', 'Escalated', 'Dispatch'];
-    const presentStatuses = statusHints.filter(s => containsCI(text, s));
-    console.log(`[Test] Found status indicators: ${presentStatuses.join(', ')}`);
-    expect.soft(presentStatuses.length > 0).toBeTruthy();
-
-  // Alert types – UB/LPR/Object Motion keywords when applicable (optional)
-  const typeHints = ['Unusual Behaviour', 'Object Motion', 'LPR'];
-  const presentTypes = typeHints.filter(t => containsCI(text, t));
-  console.log(`[Test] Found alert types: ${presentTypes.join(', ') || 'none'}`);
-
-    // Timestamp patterns should occur
-    console.log('[Test] Verifying: PDF contains time patterns');
-    expect.soft(re.time.test(text)).toBeTruthy();
-
-  // Map snapshot label (image not verifiable by text) - treat as optional
-  const mapRef = ['Map', 'Map Snapshot', 'Map Reference'].some(k => containsCI(text, k));
-  console.log(`[Test] Map reference present: ${mapRef}`);
+  const { report, pages } = downloaded;
+  const incident = report.incident;
+  console.log(`[Test] PDF parsed:\n${formatIncidentReport(report)}`);
+
+    // Header: title page with report date and GMT notice
+    console.log('[Test] Verifying: header section');
+    expect.soft(report.header.title).toBe('Incident Report');
+    expect.soft(report.header.reportDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect.soft(report.header.timeZone, 'GMT notice on the title page').toBe('GMT');
+
+    // Incident fields
+    console.log('[Test] Verifying: incident fields');
+    expect(incident, 'PDF should contain an incident section').toBeTruthy();
+    expect.soft(incident.incidentId).toMatch(INCIDENT_ID);
+    expect.soft(incident.site).toBeTruthy();
+    expect.soft(INCIDENT_STATUSES.map(s => s.toLowerCase())).toContain(incident.status?.toLowerCase());
+    expect.soft(incident.startUtc <= incident.endUtc, `${incident.start} - ${incident.end} GMT`).toBeTruthy();
+
+    // Status timeline starts with the incident being created
+    console.log(`[Test] Verifying: status timeline (${incident.timeline.length} entries)`);
+    expect.soft(incident.timeline.length).toBeGreaterThan(0);
+    expect.soft(incident.timeline[0]?.action).toBe('Incident created');
+
+  // Alert types, operator notes and map snapshot depend on the data (logged only)
+  console.log(`[Test] Alert types: ${Object.keys(incident.alerts?.byType || {}).join(', ') || 'none'}`);
+  console.log(`[Test] Operator notes: ${incident.operatorNotes.length}`);
+  console.log(`[Test] Map page: ${report.map ? report.map.page : 'none'}`);
+
+    // Section order, footer branding on every page, page numbering, timeline order/window
+    console.log(`[Test] Verifying: section order ${report.sections.map(s => s.name).join(' → ')}`);
+    expect.soft(report.sections.map(s => s.name).slice(0, 3)).toEqual(['header', 'incident', 'timeline']);
+    const result = validateIncidentReport(report);
+    expect.soft(result.issues, formatIncidentReport(report, result)).toEqual([]);
 
     // Page count > 0
     console.log(`[Test] Verifying: PDF has pages (found ${pages} pages)`);
@@ -209,6 +170,28 @@ test.describe('Incident Report – PDF Content Validation', () => {
     console.log('[Test] ✅ Test completed: Open an existing Incident Report PDF and verify key content');
   });
 
+  // Turn back into test() once the baseline is recorded from a real report with UPDATE_GOLDEN=1
+  test.fixme('Incident Report title page layout matches golden baseline', {
+    annotation: { type: 'fixme', description: 'test/data/golden/incident-report-layout.json is not recorded from a real Incident Report yet' }
+  }, async ({ page }) => {
+    console.log('[Test] Starting: Incident Report layout vs test/data/golden/incident-report-layout.json');
+
+  await sharedSteps.menuPage.navigateToAlertReports();
+  await page.waitForLoadState('networkidle', { timeout: 30000 }).catch(() => {});
+  await page.waitForTimeout(1000);
+
+  const downloaded = await downloadAndParseFirstReport(page);
+  if (!downloaded) test.skip(true, 'No downloadable report found');
+  const { report, filePath } = downloaded;
+
+    // Title page: report date, title, GMT notice and footer; the report name and page total vary per report
+    const normalisers = [{ pattern: /^(\d+) \/ \d+$/, replacement: '$1 / <pages>' }];
+    if (report.header.reportName) normalisers.push({ pattern: report.header.reportName, replacement: '<report name>' });
+    await expectReportToMatchGolden(filePath, 'incident-report-layout', { compare: ['titlePage'], normalisers });
+
+    console.log('[Test] ✅ Test completed: Incident Report title page layout matches golden baseline');
+  });
+
   test('Validate dispatch provider actions (Response 24 / Aura) when present', async ({ page }) => {
     console.log('[Test] Starting: Validate dispatch provider actions');
     
@@ -220,7 +203,8 @@ test.describe('Incident Report – PDF Content Validation', () => {
   console.log('[Test] Extracting PDF content via download...');
   const downloaded = await downloadAndParseFirstReport(page);
   if (!downloaded) test.skip(true, 'No downloadable report found');
-  const { text } = downloaded;
+  const { report } = downloaded;
+  const actions = report.incidents.flatMap(incident => incident.timeline.map(entry => entry.action.toLowerCase()));
 
     // Response 24 lifecycle
     const r24 = [
@@ -233,7 +217,7 @@ test.describe('Incident Report – PDF Content Validation', () => {
       'Responder Cancelled',
       'Dispatch Closed',
     ];
-  const r24Present = r24.filter(k => containsCI(text, k));
+  const r24Present = r24.filter(k => actions.includes(k.toLowerCase()));
   console.log(`[Test] Found Response24 indicators: ${r24Present.join(', ') || 'none'}`);
 
     // Aura lifecycle
@@ -244,13 +228,19 @@ test.describe('Incident Report – PDF Content Validation', () => {
       'Responder Completed',
       'Dispatch Closed',
     ];
-    const auraPresent = aura.filter(k => containsCI(text, k));
+    const auraPresent = aura.filter(k => actions.includes(k.toLowerCase()));
     console.log(`[Test] Found Aura indicators: ${auraPresent.join(', ') || 'none'}`);
 
     // If neither provider lifecycle is present, treat as data-dependent and skip instead of failing
     if (r24Present.length === 0 && auraPresent.length === 0) {
       test.skip(true, 'No dispatch provider lifecycle found in the PDF for this report (data-dependent).');
     }
+
+    // Lifecycle steps that are present must appear in lifecycle order on the timeline
+    const lifecycle = r24Present.length >= auraPresent.length ? r24Present : auraPresent;
+    const result = validateIncidentReport(report, { actions: lifecycle });
+    const orderIssues = result.issues.filter(issue => issue.check === 'actions');
+    expect.soft(orderIssues, `Lifecycle out of order: ${lifecycle.join(' → ')}`).toEqual([]);
     
     console.log('[Test] ✅ Test completed: Validate dispatch provider actions');
   });
@@ -288,7 +278,7 @@ test.describe('Incident Report – PDF Content Validation', () => {
     console.log('[Test] Clicking download button and waiting for PDF...');
     let download = null;
     let pdfPage = null;
-    let buffer = null;
+    let report = null;
     
     try {
       // Try download event first
@@ -319,37 +309,25 @@ test.describe('Incident Report – PDF Content Validation', () => {
       if (!fs.existsSync(downloadsDir)) fs.mkdirSync(downloadsDir, { recursive: true });
       const filePath = path.join(downloadsDir, suggested || `incident-report-${Date.now()}.pdf`);
       await download.saveAs(filePath);
-      buffer = fs.readFileSync(filePath);
+      report = await parseIncidentReport(fs.readFileSync(filePath));
     }
     // Handle popup
     else if (pdfPage) {
       await pdfPage.waitForLoadState('networkidle', { timeout: 45000 }).catch(() => {});
-      const pdfUrl = pdfPage.url();
-      console.log(`[Test] PDF URL from popup: ${pdfUrl}`);
-      
-      // Fetch the PDF bytes from the URL
-      const resp = await page.request.get(pdfUrl);
-      if (resp && resp.ok()) {
-        buffer = await resp.body();
-        const downloadsDir = 'Downloads';
-        if (!fs.existsSync(downloadsDir)) fs.mkdirSync(downloadsDir, { recursive: true });
-        const filePath = path.join(downloadsDir, `incident-report-${Date.now()}.pdf`);
-        fs.writeFileSync(filePath, buffer);
-      } else {
-        throw new Error(`Failed to fetch PDF from URL: ${pdfUrl}`);
-      }
+      const filePath = path.join('Downloads', `incident-report-${Date.now()}.pdf`);
+      report = await new AlertReportsPage(page).readIncidentReport(pdfPage, { saveTo: filePath });
       
       // Close the popup
       await pdfPage.close().catch(() => {});
     }
 
-    const parsed = await pdfParse(buffer);
-    const text = parsed.text.replace(/\s+/g, ' ').trim();
-
-    // Normalize and compare
-    const pdfText = text;
+    // Compare the report name on the title page first, then fall back to the full text
+    const pdfText = report.text;
     const nameToCheck = reportName || uiRowText.split('|')[0];
-    const simpleNameMatch = nameToCheck && nameToCheck.length > 0 ? containsCI(pdfText, nameToCheck) : false;
+    console.log(`[Test] PDF report name: ${report.header.reportName || '(none)'}`);
+    const simpleNameMatch = nameToCheck && nameToCheck.length > 0
+      ? containsCI(report.header.reportName || '', nameToCheck) || containsCI(pdfText, nameToCheck)
+      : false;
 
     // Token-based fuzzy matching
     const rawTokens = (reportName || uiRowText).split(/[^A-Za-z0-9]+/).filter(Boolean);
@@ -4,6 +4,7 @@ import { AuthHelper } from '../../../backend/AuthHelper.js';
 import fs from 'fs';
 import pdfParse from 'pdf-parse';
 import path from 'path';
+import { getSecret } from '../../../utils/secrets.js';
 
 // Import global failure handler for automatic failure screenshots
 import '../../../backend/GlobalFailureHandler.js';
@@ -21,8 +22,8 @@ function containsNormalized(haystack, needle) {
     return normalizeText(haystack).toLowerCase().includes(normalizeText(needle).toLowerCase());
 }
 
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 const SITE_NAME = process.env.trex_private;
 
 test.describe('Combined Alert Reports Workflow & PDF Text Extraction', () => {
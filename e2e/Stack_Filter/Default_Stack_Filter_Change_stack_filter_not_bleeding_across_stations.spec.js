@@ -1,17 +1,18 @@
-import { test, expect } from '@playwright/test';
+import { test, expect } from '../../backend/test-fixtures.js';
 import { AdminLoginPage } from '../../backend/AdminLoginPage.js';
 import { AppInteractionsPage } from '../../backend/AppInteractionsPage.js';
 import { SharedTestSteps } from '../../backend/SharedTestSteps.js';
 import { MenuPage } from '../../backend/MenuPage.js';
 import { ApiHelper } from '../../backend/ApiHelper.js';
+import { getSecret } from '../../utils/secrets.js';
 
 // Import global failure handler for automatic failure screenshots
 import '../../backend/GlobalFailureHandler.js';
 
-const NORMAL_USERNAME = process.env.NORMAL_MS_USERNAME;
-const NORMAL_PASSWORD = process.env.NORMAL_MS_PASSWORD;
-const ADMIN_USERNAME = process.env.ADMIN_MS_USERNAME;
-const ADMIN_PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const NORMAL_USERNAME = getSecret('NORMAL_MS_USERNAME');
+const NORMAL_PASSWORD = getSecret('NORMAL_MS_PASSWORD');
+const ADMIN_USERNAME = getSecret('ADMIN_MS_USERNAME');
+const ADMIN_PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 
 test.describe('Default Stack Filter - Change stack filter / Filter persistence between stations validation', () => {
     let adminLoginPage;
@@ -20,7 +21,10 @@ test.describe('Default Stack Filter - Change stack filter / Filter persistence b
     let menuPage;
     let apiHelper;
 
-    test.beforeEach(async ({ page }) => {
+    // Start from the saved normal user session; the next test's context starts as admin again
+    test.use({ authRole: 'normal' });
+
+    test.beforeEach(async ({ page, auth }) => {
         test.setTimeout(180000); // 3 minutes for complex workflow
         adminLoginPage = new AdminLoginPage(page);
         appInteractionsPage = new AppInteractionsPage(page);
@@ -45,11 +49,8 @@ test.describe('Default Stack Filter - Change stack filter / Filter persistence b
         // Allow time for alerts to be processed
         await page.waitForTimeout(3000);
         
-        await page.goto('https://uat.proof360.io/');
-        
-        // Steps 1-2: Login using enhanced switchToNormalUser with built-in retry logic
-        console.log('[E2E Filter Isolation Test] Step 1-2: Switching to normal user...');
-        await sharedTestSteps.switchToNormalUser();
+        // Steps 1-2: The auth fixture opened the command page as the normal user
+        console.log(`[E2E Filter Isolation Test] Step 1-2: Signed in as ${auth.currentRole} (${auth.lastResult?.path})`);
         
         // Navigate to command if not already there
         console.log(`[E2E Filter Isolation Test] Current URL after login: ${page.url()}`);
@@ -149,9 +150,5 @@ test.describe('Default Stack Filter - Change stack filter / Filter persistence b
             console.log(`[E2E Filter Isolation Test] Cleanup failed: ${error.message}`);
             // Don't fail the test if cleanup fails
         }
-        
-        // Switch back to admin user
-        console.log('[E2E Filter Isolation Test] Switching back to admin user...');
-        await sharedTestSteps.switchToAdminUser(ADMIN_USERNAME, ADMIN_PASSWORD);
     });
 });
@@ -3,12 +3,13 @@ import { AdminLoginPage } from '../../backend/AdminLoginPage.js';
 import { AppInteractionsPage } from '../../backend/AppInteractionsPage.js';
 import { MenuPage } from '../../backend/MenuPage.js';
 import { SharedTestSteps } from '../../backend/SharedTestSteps.js';
+import { getSecret } from '../../utils/secrets.js';
 
 // Import global failure handler for automatic failure screenshots
 import '../../backend/GlobalFailureHandler.js';
 
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 
 test.describe('Default Stack filter - Implement Filter Creation for Station Management', () => {
     let adminLoginPage;
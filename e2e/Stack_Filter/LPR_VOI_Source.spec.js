@@ -1,24 +1,40 @@
 import { test, expect } from '@playwright/test';
 import { SharedTestSteps } from '../../backend/SharedTestSteps.js';
+import { ApiHelper } from '../../backend/ApiHelper.js';
+import { getSecret } from '../../utils/secrets.js';
 
 // Import global failure handler for automatic failure screenshots
 import '../../backend/GlobalFailureHandler.js';
 
-const USERNAME = process.env.ADMIN_MS_USERNAME;
-const PASSWORD = process.env.ADMIN_MS_PASSWORD;
+const USERNAME = getSecret('ADMIN_MS_USERNAME');
+const PASSWORD = getSecret('ADMIN_MS_PASSWORD');
 
 test.describe('LPR VOI Source filter functionality', () => {
     let sharedTestSteps;
+    let apiHelper;
 
     test.beforeEach(async ({ page }) => {
         test.setTimeout(120000);
         
         sharedTestSteps = new SharedTestSteps(page);
+        apiHelper = new ApiHelper();
 
         if (!USERNAME || !PASSWORD) {
             throw new Error('ADMIN_MS_USERNAME and ADMIN_MS_PASSWORD environment variables must be set.');
         }
         
+        // Seed one Private (Super VOI) and one Public LPR alert so both filter paths have data
+        if (apiHelper.validateApiConfig()) {
+            console.log('[LPR VOI Source Test] Sending Private and Public LPR alerts for test data...');
+            const privateResult = await apiHelper.sendAlert('private_lpr');
+            expect(privateResult.status).toBe(200);
+            const publicResult = await apiHelper.sendAlert('public_lpr');
+            expect(publicResult.status).toBe(200);
+            
+            // Allow time for alerts to be processed
+            await page.waitForTimeout(3000);
+        }
+        
         // Authentication and company selection
         console.log('[LPR VOI Source Test] Authentication and company selection...');
         await sharedTestSteps.authenticateAndSetup(USERNAME, PASSWORD);
@@ -0,0 +1,32 @@
+// @ts-check
+import { defineConfig } from '@playwright/test';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const projectRoot = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(projectRoot, process.env.ENV_FILE || '.env') });
+
+/**
+ * API-only configuration for tests/api.
+ * Publishes to the local Event Grid stand-in by default (no network needed);
+ * set EVENT_GRID_LOCAL=0 to publish to the endpoint configured in .env instead.
+ */
+export default defineConfig({
+  testDir: './tests/api',
+  fullyParallel: false,
+  forbidOnly: !!process.env.CI,
+  retries: 0,
+  workers: 1,
+  reporter: 'list',
+  timeout: 60_000,
+
+  globalSetup: path.resolve(projectRoot, 'backend/local-event-grid.setup.js'),
+
+  use: {
+    storageState: undefined,
+    baseURL: undefined,
+  },
+});
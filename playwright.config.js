@@ -3,6 +3,7 @@ import { defineConfig, devices } from '@playwright/test';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getProfile, profileName } from './utils/profile.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const projectRoot = path.dirname(__filename);
@@ -10,6 +11,12 @@ const projectRoot = path.dirname(__filename);
 // Allow ENV_FILE override (e.g. ENV_FILE=.env.uat)
 dotenv.config({ path: path.resolve(projectRoot, process.env.ENV_FILE || '.env') });
 
+// Environment profile (profiles/<ENVIRONMENT>.json, default uat)
+const profile = getProfile();
+if (!profile.baseUrl) {
+  console.warn(`[Config] Profile '${profileName()}' has no baseUrl; set the variable it references (see profiles/${profileName()}.json)`);
+}
+
 /**
  * @see https://playwright.dev/docs/test-configuration
  */
@@ -27,11 +34,14 @@ export default defineConfig({
   // Runs once before all tests (kept from your original)
   globalSetup: path.resolve(projectRoot, 'backend/global.setup.js'),
 
+  // Sweeps reports left behind by this or an earlier run (REPORT_SWEEP=0 to skip)
+  globalTeardown: path.resolve(projectRoot, 'backend/global.teardown.js'),
+
   snapshotPathTemplate: 'snapshots/{testFilePath}/{arg}-{projectName}-{platform}{ext}',
 
   use: {
     // UI base URL
-    baseURL: 'https://uat.proof360.io/',
+    baseURL: profile.baseUrl,
 
     trace: 'on-first-retry',
     storageState: path.resolve(projectRoot, 'userStorageState_admin.json'),
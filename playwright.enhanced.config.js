@@ -1,4 +1,5 @@
 import { defineConfig, devices } from '@playwright/test';
+import { getProfile } from './utils/profile.js';
 
 /**
  * Enhanced Playwright configuration with improved reliability settings
@@ -49,6 +50,7 @@ export default defineConfig({
   
   // Global setup
   globalSetup: require.resolve('./backend/global.setup.js'),
+  globalTeardown: require.resolve('./backend/global.teardown.js'),
   
   // Use projects for different test categories
   projects: [
@@ -175,8 +177,8 @@ export default defineConfig({
   
   // Enhanced test configuration
   use: {
-    // Base URL
-    baseURL: process.env.BASE_URL || 'https://uat.proof360.io',
+    // Base URL from the environment profile (ENVIRONMENT, default uat)
+    baseURL: getProfile().baseUrl,
     
     // Enhanced timeouts
     actionTimeout: 30000,
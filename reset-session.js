@@ -1,40 +1,29 @@
 #!/usr/bin/env node
 /**
  * Session Reset Utility
- * Use this when you want to force a fresh login for one or both user types
+ * Use this when you want to force a fresh login for one identity or all of them
  */
 
-import { SessionManager } from './backend/SessionManager.js';
-import { fileURLToPath } from 'url';
-import path from 'path';
+import { getSessionRegistry } from './backend/SessionRegistry.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const registry = getSessionRegistry();
+const identity = process.argv[2]; // Get identity from command line
 
-const userType = process.argv[2]; // Get user type from command line
-
-if (userType && ['admin', 'normal'].includes(userType)) {
-    console.log(`🔄 Clearing stored session for ${userType} user...`);
-    const sessionManager = new SessionManager(userType);
-    await sessionManager.clearSession();
-    console.log(`✅ ${userType} session cleared! Next test run will perform fresh login.`);
+if (identity) {
+    console.log(`🔄 Clearing stored session for ${identity}...`);
+    registry.invalidate(identity);
+    console.log(`✅ ${identity} session cleared! Next test run will perform fresh login.`);
 } else {
-    console.log('🔄 Clearing stored sessions for all user types...');
-    
-    // Clear admin session
-    const adminSessionManager = new SessionManager('admin');
-    await adminSessionManager.clearSession();
-    
-    // Clear normal user session
-    const normalSessionManager = new SessionManager('normal');
-    await normalSessionManager.clearSession();
-    
+    console.log('🔄 Clearing stored sessions for all identities...');
+    for (const { name, exists } of registry.list()) {
+        if (exists) registry.invalidate(name);
+    }
     console.log('✅ All sessions cleared! Next test run will perform fresh login.');
 }
 
 console.log('');
 console.log('Usage:');
-console.log('  node reset-session.js        # Clear all sessions (admin + normal)');
-console.log('  node reset-session.js admin  # Clear only admin session');
-console.log('  node reset-session.js normal # Clear only normal user session');
-console.log('  npx playwright test          # Will now perform fresh login as needed');
+console.log('  node reset-session.js                            # Clear all sessions');
+console.log('  node reset-session.js admin                      # Clear only the admin session');
+console.log('  node reset-session.js role-no-edit-stack-filter  # Clear one named identity');
+console.log('  npx playwright test                              # Will now perform fresh login as needed');
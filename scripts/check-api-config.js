@@ -3,32 +3,37 @@
 /**
  * Environment Configuration Checker
  * 
- * This script validates that all required environment variables are set
- * for the 4 Proof360 API alert types to work correctly.
+ * This script validates that the active environment profile (profiles/<ENVIRONMENT>.json)
+ * resolves every setting the Proof360 API alert types need.
  */
 
 import 'dotenv/config';
+import { eventGridConfig, getProfile, isSecretSetting, missingSettings, profileName } from '../utils/profile.js';
+import { activeProviders } from '../utils/secrets.js';
 
 console.log('🔍 Proof360 API Environment Configuration Check');
 console.log('='.repeat(60));
 
-const env = process.env.ENVIRONMENT || 'uat';
-console.log(`Environment: ${env.toUpperCase()}\n`);
-
-// Critical variables that MUST be set for APIs to work
-const criticalVars = [
-    'ENVIRONMENT',
-    env === 'dev' ? 'DEV_URL' : 'UAT_URL',
-    env === 'dev' ? 'DEV_SASKEY' : 'UAT_SASKEY',
-    env === 'dev' ? 'DEV_TOPIC' : 'UAT_TOPIC',
-    env === 'dev' ? 'DEV_ISENTRY_TOPIC' : 'UAT_ISENTRY_TOPIC',
-    env === 'dev' ? 'DEV_ISENTRY_FIREFLY_TOPIC' : 'UAT_ISENTRY_FIREFLY_TOPIC'
+const env = profileName();
+const profile = getProfile();
+console.log(`Environment profile: ${env.toUpperCase()} (profiles/${env}.json)`);
+if (profile.description) console.log(profile.description);
+console.log(`Secrets provider: ${activeProviders().map((provider) => provider.name).join(' → ')}`);
+console.log('');
+
+// Critical settings that MUST resolve for APIs to work
+const criticalSettings = [
+    'eventGrid.url',
+    'eventGrid.sasKey',
+    'eventGrid.topics.alerts',
+    'eventGrid.topics.isentry',
+    'eventGrid.topics.isentryFirefly'
 ];
 
 // TREX public has separate endpoint (from Postman collection)
-const trexVars = [
-    'TREX_PUBLIC_URL',
-    'TREX_PUBLIC_SASKEY'
+const trexSettings = [
+    'eventGrid.trexPublic.url',
+    'eventGrid.trexPublic.sasKey'
 ];
 
 // Optional variables with sensible defaults
@@ -36,37 +41,54 @@ const optionalVars = [
     'CAMERA_ID_PRIVATE',
     'DEVICE_ID_PUBLIC', 
     'ORGANIZATION_ID',
-    'PLATE_ID2',
-    'trex_private'
+    'PLATE_ID2'
 ];
 
+const settingValue = (setting) => setting.split('.').reduce((value, key) => value?.[key], profile);
+// Secrets are never printed, not even partially
+const preview = (setting, length) => {
+    if (isSecretSetting(setting)) return 'set (secret)';
+    const value = settingValue(setting);
+    return `${value.substring(0, length)}${value.length > length ? '...' : ''}`;
+};
+const describeMissing = ({ setting, variables }) =>
+    `${setting}: NOT SET${variables.length ? ` (set ${variables.join(' or ')})` : ''}`;
+
 let allGood = true;
 
-console.log('🚨 CRITICAL VARIABLES (API will fail without these):');
+console.log('🚨 CRITICAL SETTINGS (API will fail without these):');
 console.log('-'.repeat(50));
-for (const varName of criticalVars) {
-    const value = process.env[varName];
-    if (value) {
-        console.log(`✅ ${varName}: ${value.substring(0, 20)}${value.length > 20 ? '...' : ''}`);
-    } else {
-        console.log(`❌ ${varName}: NOT SET`);
+const missingCritical = missingSettings(criticalSettings);
+for (const setting of criticalSettings) {
+    const missing = missingCritical.find((entry) => entry.setting === setting);
+    if (missing) {
+        console.log(`❌ ${describeMissing(missing)}`);
         allGood = false;
+    } else {
+        console.log(`✅ ${setting}: ${preview(setting, 20)}`);
     }
 }
 
-console.log('\n🔗 TREX PUBLIC VARIABLES (uses separate endpoint):');
+console.log('\n🔗 TREX PUBLIC SETTINGS (uses separate endpoint):');
 console.log('-'.repeat(50));
 let trexConfigured = true;
-for (const varName of trexVars) {
-    const value = process.env[varName];
-    if (value) {
-        console.log(`✅ ${varName}: ${value.substring(0, 30)}${value.length > 30 ? '...' : ''}`);
-    } else {
-        console.log(`⚠️  ${varName}: NOT SET (will use defaults from Postman collection)`);
+const missingTrex = missingSettings(trexSettings);
+for (const setting of trexSettings) {
+    const missing = missingTrex.find((entry) => entry.setting === setting);
+    if (missing) {
+        console.log(`⚠️  ${describeMissing(missing)}`);
         trexConfigured = false;
+    } else {
+        console.log(`✅ ${setting}: ${preview(setting, 30)}`);
     }
 }
 
+console.log('\n🏢 SITES (profile sites.<alert type>):');
+console.log('-'.repeat(50));
+for (const [alertType, siteName] of Object.entries(profile.sites || {})) {
+    console.log(`${siteName ? '✅' : '⚠️ '} ${alertType}: ${siteName || 'NOT SET'}`);
+}
+
 console.log('\n📝 OPTIONAL VARIABLES (have defaults):');
 console.log('-'.repeat(50));
 for (const varName of optionalVars) {
@@ -82,15 +104,15 @@ console.log('\n' + '='.repeat(60));
 
 if (allGood && trexConfigured) {
     console.log('🎉 ALL CONFIGURATION COMPLETE!');
-    console.log('✅ All 4 alert types should work correctly.');
+    console.log('✅ All alert types should work correctly.');
 } else if (allGood) {
     console.log('✅ BASIC CONFIGURATION COMPLETE!');
-    console.log('⚠️  TREX Public will use Postman collection defaults.');
-    console.log('✅ All 4 alert types should work.');
+    console.log('⚠️  TREX Public is not configured and will be skipped.');
+    console.log('✅ All other alert types should work.');
 } else {
     console.log('❌ CONFIGURATION INCOMPLETE!');
-    console.log('💡 Create a .env file with the missing variables.');
-    console.log('📄 See .env.template for the complete list.');
+    console.log('💡 Set the missing variables in .env or choose another profile with ENVIRONMENT=<name>.');
+    console.log('📄 See .env.example and profiles/ for the complete list.');
     console.log('🚫 API tests will be skipped until configuration is complete.');
 }
 
@@ -102,15 +124,15 @@ console.log('4. Public LPR/VOI → Main Event Grid endpoint');
 
 // Show what the actual URLs would be
 console.log('\n🌐 Endpoint Summary:');
-const mainUrl = process.env[env === 'dev' ? 'DEV_URL' : 'UAT_URL'];
-const trexUrl = process.env.TREX_PUBLIC_URL || 'https://staging-vum-eventgriddomain-licenseplatereads-san.southafricanorth-1.eventgrid.azure.net/api/events';
+const { url: mainUrl, trexPublicUrl } = eventGridConfig(profile);
 
+console.log(`🖥️  Web app: ${profile.baseUrl || 'NOT CONFIGURED'}`);
 if (mainUrl) {
     console.log(`📡 Main Event Grid: ${mainUrl}`);
 } else {
     console.log('📡 Main Event Grid: NOT CONFIGURED');
 }
 
-console.log(`📡 TREX Public: ${trexUrl} ${process.env.TREX_PUBLIC_URL ? '(custom)' : '(default)'}`);
+console.log(`📡 TREX Public: ${trexPublicUrl || 'NOT CONFIGURED'}`);
 
 console.log('\n' + '='.repeat(60));
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Run the local Elasticsearch stand-in seeded with the dispatch fixtures so dispatch specs
+// can query it with ENVIRONMENT=local.
+// Usage: node scripts/local-elasticsearch.js [port] [fixture.json ...]
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LocalElasticsearchServer } from '../backend/LocalElasticsearchServer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES = [path.resolve(__dirname, '../test/data/elasticsearch/proof360-dispatch.json')];
+
+const [portArg, ...fixtureArgs] = process.argv.slice(2);
+const port = Number(portArg || process.env.ELASTICSEARCH_LOCAL_PORT || 9201);
+const fixtures = fixtureArgs.length > 0 ? fixtureArgs.map((file) => path.resolve(file)) : DEFAULT_FIXTURES;
+
+let server;
+try {
+  server = new LocalElasticsearchServer({ port, apiKey: process.env.ELASTICSEARCH_LOCAL_KEY, fixtures });
+  const url = await server.start();
+  console.log('');
+  console.log('Point the client at the stand-in with the local profile:');
+  console.log('  ENVIRONMENT=local');
+  if (port !== 9201) console.log(`  ELASTICSEARCH_LOCAL_URL="${url}"`);
+  console.log('');
+  console.log(`Fixtures: ${fixtures.map((file) => path.relative(process.cwd(), file)).join(', ')}`);
+  console.log('Press Ctrl+C to stop.');
+} catch (err) {
+  console.error('[LocalElasticsearch] Failed to start:', err?.message || err);
+  process.exit(1);
+}
+
+const shutdown = async () => {
+  await server.stop();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
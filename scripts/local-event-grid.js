@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// Run the local Event Grid stand-in on its own so UI specs or manual runs can publish to it.
+// Usage: node scripts/local-event-grid.js [port]
+
+import { LocalEventGridServer } from '../backend/LocalEventGridServer.js';
+
+const port = Number(process.argv[2] || process.env.EVENT_GRID_LOCAL_PORT || 7071);
+const server = new LocalEventGridServer({ port, sasKey: process.env.EVENT_GRID_LOCAL_KEY });
+
+try {
+  const eventsUrl = await server.start();
+  console.log('');
+  console.log('Point the publisher at the stand-in with the local profile:');
+  console.log('  ENVIRONMENT=local');
+  if (port !== 7071) console.log(`  EVENT_GRID_URL="${eventsUrl}"`);
+  console.log('');
+  console.log(`Received events: GET ${server.url}/api/received[?eventType=...]`);
+  console.log('Press Ctrl+C to stop.');
+} catch (err) {
+  console.error('[LocalEventGrid] Failed to start:', err?.message || err);
+  process.exit(1);
+}
+
+const shutdown = async () => {
+  await server.stop();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
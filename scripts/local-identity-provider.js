@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// Run the local identity provider stand-in so offline runs sign in without the Microsoft login pages.
+// Usage: node scripts/local-identity-provider.js [port]
+// Accepts the ADMIN_MS / NORMAL_MS credentials from .env; any other username needs a non-empty
+// password when neither is set.
+
+import 'dotenv/config';
+import { LocalIdentityProvider } from '../backend/LocalIdentityProvider.js';
+import { getSecret } from '../utils/secrets.js';
+
+const port = Number(process.argv[2] || process.env.LOGIN_LOCAL_PORT || 7072);
+const users = Object.fromEntries(['ADMIN_MS', 'NORMAL_MS']
+  .map((account) => [getSecret(`${account}_USERNAME`), getSecret(`${account}_PASSWORD`)])
+  .filter(([username, password]) => username && password));
+const server = new LocalIdentityProvider({
+  port,
+  clientId: process.env.LOGIN_CLIENT_ID,
+  users: Object.keys(users).length > 0 ? users : undefined
+});
+
+try {
+  const authority = await server.start();
+  console.log('');
+  console.log('Sign in through the stand-in with the local profile:');
+  console.log('  ENVIRONMENT=local');
+  if (port !== 7072) console.log(`  LOGIN_AUTHORITY="${authority}"`);
+  console.log('');
+  console.log(`Accepting: ${Object.keys(users).join(', ') || 'any username with a password'}`);
+  console.log('Press Ctrl+C to stop.');
+} catch (err) {
+  console.error('[LocalIdentityProvider] Failed to start:', err?.message || err);
+  process.exit(1);
+}
+
+const shutdown = async () => {
+  await server.stop();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -1,14 +1,20 @@
-// Parse the Dispatch SLA creation.xlsx to list test cases and steps
-import path from 'path';
+// Parse the Dispatch SLA creation.xlsx and report which test cases the generated
+// suite (e2e/Reports/Dispatch_SLA_Reports/Dispatch_SLA_workbook.spec.js) can run.
+//
+//   node scripts/parse-dispatch-sla-xlsx.js [workbook.xlsx] [--json] [--strict]
+//
+// --json prints the planned page-object calls per row; --strict exits with 1 when a
+// step or expected result is not mapped.
 import fs from 'fs';
-import { fileURLToPath } from 'url';
-import xlsx from 'xlsx';
+import {
+  DEFAULT_SLA_WORKBOOK,
+  readSlaTestCases,
+  planSlaTestCases,
+  formatSlaCoverage
+} from '../backend/DispatchSlaTestCases.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const projectRoot = path.resolve(__dirname, '..');
-
-const xlsxPath = path.resolve(projectRoot, 'e2e', 'Reports', 'Dispatch_SLA_Reports', 'Dispatch SLA creation.xlsx');
+const args = process.argv.slice(2);
+const xlsxPath = args.find((arg) => !arg.startsWith('--')) || DEFAULT_SLA_WORKBOOK;
 
 if (!fs.existsSync(xlsxPath)) {
   console.error(`[parse-dispatch-sla-xlsx] File not found: ${xlsxPath}`);
@@ -16,27 +22,17 @@ if (!fs.existsSync(xlsxPath)) {
 }
 
 try {
-  const wb = xlsx.readFile(xlsxPath);
-  const output = [];
-
-  wb.SheetNames.forEach((sheetName) => {
-    const ws = wb.Sheets[sheetName];
-    const rows = xlsx.utils.sheet_to_json(ws, { header: 1, raw: false, defval: '' });
-    if (!rows.length) return;
-
-    // Assume first row is header
-    const headers = rows[0].map((h) => String(h).trim());
-    const records = rows.slice(1).map((r, idx) => {
-      const rec = {};
-      headers.forEach((h, i) => { rec[h || `col_${i+1}`] = (r[i] ?? '').toString().trim(); });
-      rec.__row = idx + 2; // Excel row number
-      return rec;
-    });
+  const plans = planSlaTestCases(readSlaTestCases(xlsxPath));
 
-    output.push({ sheet: sheetName, headers, recordsCount: records.length, sample: records.slice(0, 10) });
-  });
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ file: xlsxPath, testCases: plans }, null, 2));
+  } else {
+    console.log(formatSlaCoverage(plans));
+  }
 
-  console.log(JSON.stringify({ file: xlsxPath, sheets: output }, null, 2));
+  if (args.includes('--strict') && plans.some((plan) => plan.unmapped.length > 0)) {
+    process.exit(1);
+  }
 } catch (err) {
   console.error(`[parse-dispatch-sla-xlsx] Error: ${err.message}`);
   process.exit(2);
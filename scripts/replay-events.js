@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// Replay captured Event Grid envelopes from a JSONL file against the configured environment.
+// Usage: node scripts/replay-events.js <capture.jsonl> [--speed 10] [--max-gap 5000] [--dry-run]
+//   --speed    timing compression (1 = original gaps, 10 = ten times faster, 0 = no waits)
+//   --max-gap  cap any single wait in milliseconds
+//   --dry-run  print the rewritten events instead of sending them
+
+import 'dotenv/config';
+import path from 'path';
+import fs from 'fs';
+import { replayEventLog } from '../backend/EventReplay.js';
+
+function parseArgs(argv) {
+  const args = { speed: 1, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--speed') args.speed = Number(argv[++i]);
+    else if (arg === '--max-gap') args.maxGapMs = Number(argv[++i]);
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (!args.file) args.file = arg;
+  }
+  if (args.speed === 0) args.speed = Infinity;
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.file) {
+  console.error('Usage: node scripts/replay-events.js <capture.jsonl> [--speed 10] [--max-gap 5000] [--dry-run]');
+  process.exit(2);
+}
+
+const file = path.resolve(args.file);
+if (!fs.existsSync(file)) {
+  console.error(`File not found: ${file}`);
+  process.exit(2);
+}
+
+try {
+  const results = await replayEventLog(file, args);
+  if (args.dryRun) {
+    console.log(JSON.stringify(results.flatMap((r) => r.events), null, 2));
+  }
+  process.exit(results.some((r) => !r.skipped && !r.ok) ? 1 : 0);
+} catch (err) {
+  console.error('[EventReplay] Replay failed:', err?.message || err);
+  process.exit(1);
+}
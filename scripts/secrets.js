@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Manage the encrypted secrets file used by SECRETS_PROVIDER=file (utils/secrets.js).
+// SECRETS_PASSPHRASE unlocks the file; SECRETS_FILE overrides its path (default .secrets.enc).
+//
+// Usage:
+//   node scripts/secrets.js list                    names only, values are never printed
+//   echo -n "$VALUE" | node scripts/secrets.js set NAME
+//   node scripts/secrets.js import .env NAME...     copy the named keys from a dotenv file
+//   node scripts/secrets.js delete NAME
+
+import 'dotenv/config';
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { readSecretsFile, writeSecretsFile } from '../utils/secrets.js';
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    if (process.stdin.isTTY) {
+      reject(new Error('Pipe the value on stdin, e.g. echo -n "$VALUE" | node scripts/secrets.js set NAME'));
+      return;
+    }
+    const chunks = [];
+    process.stdin.on('data', (chunk) => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '')));
+    process.stdin.on('error', reject);
+  });
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+try {
+  const secrets = readSecretsFile();
+
+  switch (command) {
+    case 'list':
+      Object.keys(secrets).sort().forEach((name) => console.log(name));
+      break;
+
+    case 'set': {
+      const [name] = args;
+      if (!name) throw new Error('Usage: node scripts/secrets.js set NAME  (value on stdin)');
+      const value = await readStdin();
+      if (!value) throw new Error(`No value given for ${name}`);
+      writeSecretsFile({ ...secrets, [name]: value });
+      console.log(`[Secrets] ✅ Stored ${name}`);
+      break;
+    }
+
+    case 'import': {
+      const [file, ...names] = args;
+      if (!file || names.length === 0) throw new Error('Usage: node scripts/secrets.js import <dotenv file> NAME...');
+      const parsed = dotenv.parse(fs.readFileSync(file, 'utf8'));
+      const missing = names.filter((name) => !parsed[name]);
+      if (missing.length > 0) throw new Error(`Not found in ${file}: ${missing.join(', ')}`);
+      writeSecretsFile({ ...secrets, ...Object.fromEntries(names.map((name) => [name, parsed[name]])) });
+      console.log(`[Secrets] ✅ Imported ${names.join(', ')}`);
+      break;
+    }
+
+    case 'delete': {
+      const [name] = args;
+      if (!(name in secrets)) throw new Error(`${name} is not in the secrets file`);
+      delete secrets[name];
+      writeSecretsFile(secrets);
+      console.log(`[Secrets] ✅ Deleted ${name}`);
+      break;
+    }
+
+    default:
+      console.error('Usage: node scripts/secrets.js <list|set|import|delete> ...');
+      process.exit(2);
+  }
+} catch (err) {
+  console.error('[Secrets] ❌', err?.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// Archive or delete the reports automation runs left behind (Dispatch, Dispatch SLA, Incident).
+// Usage: node scripts/sweep-reports.js [--older-than 2h] [--action archive|delete]
+//          [--types dispatch,dispatchSla,incident] [--run <runId>] [--tag e2e] [--dry-run] [--headed]
+//   --older-than  only tagged reports at least this old (30m, 2h, 1d); default 2h
+//   --run         also sweep every report still open in that run's .report-registry file
+//   --dry-run     write the audit log without touching any report
+// Every decision is appended to .report-registry/sweeper-audit.jsonl (REPORT_SWEEP_AUDIT).
+
+import 'dotenv/config';
+import { chromium } from '@playwright/test';
+import { createLoginPage } from '../backend/ApiLogin.js';
+import { SessionManager } from '../backend/SessionManager.js';
+import { ReportRegistry } from '../backend/reports/ReportRegistry.js';
+import { DEFAULT_SWEEP, parseAge, sweepReports } from '../backend/reports/ReportSweeper.js';
+import { getProfile } from '../utils/profile.js';
+import { getSecret } from '../utils/secrets.js';
+
+function parseArgs(argv) {
+  const args = { dryRun: false, headed: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--older-than') args.olderThanMs = parseAge(argv[++i]);
+    else if (arg === '--action') args.action = argv[++i];
+    else if (arg === '--types') args.types = argv[++i].split(',').map((t) => t.trim()).filter(Boolean);
+    else if (arg === '--run') args.runId = argv[++i];
+    else if (arg === '--tag') args.tag = argv[++i];
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--headed') args.headed = true;
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (args.action && !['archive', 'delete'].includes(args.action)) {
+  console.error(`--action must be archive or delete (got ${args.action})`);
+  process.exit(2);
+}
+const unknown = (args.types || []).filter((type) => !DEFAULT_SWEEP.types.includes(type));
+if (unknown.length) {
+  console.error(`Unknown report type(s): ${unknown.join(', ')} (use ${DEFAULT_SWEEP.types.join(', ')})`);
+  process.exit(2);
+}
+
+const username = getSecret('ADMIN_MS_USERNAME');
+const sessionManager = new SessionManager('admin');
+const hasSession = await sessionManager.hasValidSession();
+const browser = await chromium.launch({ headless: !args.headed });
+
+try {
+  const context = await browser.newContext({
+    baseURL: getProfile().baseUrl,
+    storageState: hasSession ? sessionManager.getStorageStatePath() : undefined
+  });
+  const page = await context.newPage();
+  if (hasSession) {
+    await page.goto('/command', { waitUntil: 'domcontentloaded', timeout: 90000 });
+  } else {
+    await createLoginPage(page).login(username, getSecret('ADMIN_MS_PASSWORD', { required: true }));
+    await page.waitForURL('**/command', { timeout: 60000 });
+  }
+
+  const { runId, headed, ...options } = args;
+  const summary = await sweepReports(page, {
+    ...options,
+    createdBy: username,
+    registry: runId ? new ReportRegistry({ runId }) : undefined
+  });
+  process.exitCode = summary.failed.length ? 1 : 0;
+} catch (err) {
+  console.error('[ReportSweeper] Sweep failed:', err?.message || err);
+  process.exitCode = 1;
+} finally {
+  await browser.close();
+}
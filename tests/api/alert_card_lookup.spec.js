@@ -0,0 +1,59 @@
+// tests/api/alert_card_lookup.spec.js
+import { test, expect } from '@playwright/test';
+import { AlertsDashboardPage, matchAlertCard } from '../../backend/AlertsDashboardPage.js';
+import { AlertPayloadBuilder, correlationIds } from '../../backend/payloads/AlertPayloadBuilder.js';
+
+const cfg = { topic: 'test-alerts', isentryTopic: 'test-isentry', isentryFireflyTopic: 'test-firefly' };
+
+/** Two TREX publishes on the same camera and device: only their event ids differ */
+function twoTrexPublishes() {
+  return [1, 2].map(() => {
+    const [event] = AlertPayloadBuilder.fromConfig('trex_public', cfg).build();
+    return { ...correlationIds(event), siteName: 'WVRD_9th Ave and JG Strydom Rd_62' };
+  });
+}
+
+const cardHtml = (publish) => `<div data-test-id="alert-card" data-ref="${publish.ref}">Trex ${publish.cameraName} ${publish.deviceId}</div>`;
+
+/**
+ * A dashboard whose expanded site card shows the alert cards `poll` returns on each read
+ */
+function fakeDashboard(poll) {
+  let reads = 0;
+  const alertCards = {
+    first: () => ({ isVisible: async () => true, waitFor: async () => {} }),
+    evaluateAll: async (fn) => fn(poll(reads++).map((outerHTML) => ({ outerHTML }))),
+    nth: (index) => ({ index })
+  };
+  const siteCard = { waitFor: async () => {}, locator: () => alertCards };
+  const page = {
+    getByTestId: () => ({}),
+    locator: () => ({ filter: () => ({ first: () => siteCard }) }),
+    waitForTimeout: async () => {}
+  };
+  return new AlertsDashboardPage(/** @type {any} */ (page));
+}
+
+test.describe('Alert card lookup', () => {
+  test('matches on the ids of the publish, not on the shared device or camera', () => {
+    const [mine, theirs] = twoTrexPublishes();
+    expect(mine.deviceId).toBe(theirs.deviceId);
+
+    expect(matchAlertCard([cardHtml(theirs), cardHtml(mine)], mine)).toBe(1);
+    expect(matchAlertCard([cardHtml(theirs)], mine)).toBe(-1);
+    expect(() => matchAlertCard([cardHtml(mine), cardHtml(mine)], mine)).toThrow(/2 cards carry the ids of event/);
+  });
+
+  test('waits for the card of the publish and fails when it never arrives', async () => {
+    const [mine, theirs] = twoTrexPublishes();
+
+    const arriving = fakeDashboard((read) => (read < 2 ? [cardHtml(theirs)] : [cardHtml(theirs), cardHtml(mine)]));
+    const found = await arriving.findAlertCard(mine, { timeout: 5000 });
+    expect(found).toEqual({ card: { index: 1 }, matchedBy: 'id' });
+
+    // Someone else's card on the same device is never taken for ours
+    const missing = fakeDashboard(() => [cardHtml(theirs)]);
+    await expect(missing.findAlertCard(mine, { timeout: 50 })).rejects.toThrow(`No card found for event ${mine.eventId}`);
+    await expect(missing.findAlertCard({ siteName: 'X', deviceId: mine.deviceId })).rejects.toThrow(/needs the eventId, ref or localId/);
+  });
+});
@@ -0,0 +1,91 @@
+// tests/api/alert_payload_builder.spec.js
+import { test, expect } from '@playwright/test';
+import { AlertPayloadBuilder, PayloadValidationError, alertTypes } from '../../backend/payloads/AlertPayloadBuilder.js';
+
+/**
+ * Schema checks for the alert payload builder. No network needed.
+ */
+test.describe('AlertPayloadBuilder', () => {
+  const cfg = {
+    topic: 'test-alerts',
+    isentryTopic: 'test-isentry-alerts',
+    isentryFireflyTopic: 'test-isentry-firefly-alerts'
+  };
+
+  for (const alertType of alertTypes()) {
+    test(`default ${alertType} payload matches its schema`, async () => {
+      const body = AlertPayloadBuilder.fromConfig(alertType, cfg).build();
+      expect(body).toHaveLength(1);
+      expect(body[0].topic).toBeTruthy();
+    });
+  }
+
+  test('applies fluent overrides', async () => {
+    const [lpr] = AlertPayloadBuilder.fromConfig('public_lpr', cfg)
+      .device('999001')
+      .camera('TEST_Camera_01')
+      .plate('ABC123GP')
+      .coordinates(-25.7479, 28.2293)
+      .media({ images: ['https://example.com/plate.jpg'] })
+      .build();
+
+    expect(lpr.data.deviceIdList).toEqual(['999001']);
+    expect(lpr.data.data.cameraName).toBe('TEST_Camera_01');
+    expect(lpr.data.data.plateId).toBe('ABC123GP');
+    expect(lpr.data.data.latitude).toBe(-25.7479);
+    expect(lpr.data.data.imageList).toEqual(['https://example.com/plate.jpg']);
+
+    const [ub] = AlertPayloadBuilder.fromConfig('unusual_behaviour', cfg)
+      .priority('LOW')
+      .media({ images: ['https://example.com/frame.jpg'] })
+      .build();
+
+    expect(ub.data.data.priority).toBe('LOW');
+    expect(ub.data.data.frames[0].AlertFrame.ImageURL).toBe('https://example.com/frame.jpg');
+  });
+
+  test('private LPR is a Super VOI from a private source', async () => {
+    const [lpr] = AlertPayloadBuilder.fromConfig('private_lpr', cfg).build();
+
+    expect(lpr.data.data.isSuperVOI).toBe(true);
+    expect(lpr.data.data.voiSource).toBe('Private');
+    expect(lpr.data.data.levelOfIncidence.isPublic).toBe(0);
+  });
+
+  test('iSentry reasons share the iSentry API contract', async () => {
+    const [objectMotion] = AlertPayloadBuilder.fromConfig('object_motion', cfg).build();
+    expect(objectMotion.eventType).toBe('iSentry Event');
+    expect(objectMotion.data.data.reason).toBe('Object Motion');
+
+    const [loitering] = AlertPayloadBuilder.fromConfig('object_motion', cfg).reason('Loitering').build();
+    expect(loitering.data.type).toBe('Loitering');
+    expect(loitering.data.data.reason).toBe('Loitering');
+  });
+
+  test('rejects overrides the alert type does not support', async () => {
+    expect(() => AlertPayloadBuilder.for('trex_public').plate('ABC123GP'))
+      .toThrow(/'plate' override is not supported for trex_public/);
+  });
+
+  test('fails locally on a malformed payload', async () => {
+    const build = () => AlertPayloadBuilder.fromConfig('public_lpr', cfg)
+      .plate('not a plate')
+      .coordinates(-126.1, 28.08)
+      .build();
+
+    expect(build).toThrow(PayloadValidationError);
+    try {
+      build();
+    } catch (error) {
+      expect(error.errors).toEqual([
+        '$.data.data.latitude should be >= -90 but is -126.1',
+        '$.data.data.plateId should match ^[A-Z0-9]{2,10}$ but is "not a plate"'
+      ]);
+    }
+  });
+
+  test('fails locally when the topic is not configured', async () => {
+    expect(() => AlertPayloadBuilder.for('unusual_behaviour').build())
+      .toThrow(/\$\.topic is required/);
+  });
+});
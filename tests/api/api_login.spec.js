@@ -0,0 +1,175 @@
+// tests/api/api_login.spec.js
+import { test, expect } from '@playwright/test';
+import {
+  ApiLogin,
+  createLoginPage,
+  decodeJwt,
+  loginConfig,
+  msalCacheEntries,
+  requestTokens,
+  tokenStorageState
+} from '../../backend/ApiLogin.js';
+import { AdminLoginPage } from '../../backend/AdminLoginPage.js';
+import { LocalIdentityProvider } from '../../backend/LocalIdentityProvider.js';
+import { sessionExpiry } from '../../backend/SessionRegistry.js';
+import { loadProfile } from '../../utils/profile.js';
+
+const USER = { username: 'admin@proof360.io', password: 'correct horse' };
+
+/**
+ * A page that records what ApiLogin does; `redirectTo` plays an app that rejects the tokens,
+ * `redirectAfter` polls after /command has loaded (MSAL redirects once the app has started)
+ */
+function fakePage({ redirectTo, redirectAfter = 0 } = {}) {
+  const state = { url: 'about:blank', calls: [], localStorage: {}, routes: [], polls: 0 };
+  const storage = {
+    setItem: (name, value) => { state.localStorage[name] = value; },
+    removeItem: (name) => { delete state.localStorage[name]; }
+  };
+  const page = {
+    url: () => state.url,
+    async route(url) { state.routes.push(url); },
+    async unroute(url) { state.routes = state.routes.filter((r) => r !== url); },
+    async goto(url) {
+      state.calls.push(`goto ${url}`);
+      state.url = url === '/command' && redirectTo && redirectAfter === 0 ? redirectTo : url;
+    },
+    async evaluate(fn, arg) {
+      globalThis.localStorage = storage;
+      try {
+        return fn(arg);
+      } finally {
+        delete globalThis.localStorage;
+      }
+    },
+    locator: () => ({ first: () => ({ isVisible: async () => state.url === '/command' && !redirectTo }) }),
+    async waitForTimeout() {
+      state.polls++;
+      if (redirectTo && state.url === '/command' && state.polls >= redirectAfter) state.url = redirectTo;
+    }
+  };
+  const uiLogin = { async login(username) { state.calls.push(`ui login ${username}`); } };
+  return { page, state, uiLogin };
+}
+
+test.describe('ApiLogin', () => {
+  const idp = new LocalIdentityProvider({ users: { [USER.username]: USER.password } });
+  let config;
+
+  test.beforeAll(async () => {
+    const local = loadProfile('local');
+    config = loginConfig({ ...local, login: { ...local.login, authority: await idp.start() } });
+  });
+
+  test.afterAll(async () => {
+    await idp.stop();
+  });
+
+  test('reads the strategy and token endpoint from the profile', () => {
+    const local = loginConfig(loadProfile('local'));
+    expect(local).toMatchObject({ strategy: 'api', tenantId: 'local-tenant', clientId: 'local-proof360', environment: '127.0.0.1:7072' });
+    expect(local.tokenUrl).toBe('http://127.0.0.1:7072/local-tenant/oauth2/v2.0/token');
+    expect(local.scopes).toEqual(['openid', 'profile', 'offline_access']);
+
+    const page = { locator: () => ({}) };
+    expect(createLoginPage(page, { ...local, strategy: 'ui' })).toBeInstanceOf(AdminLoginPage);
+    expect(createLoginPage(page, local)).toBeInstanceOf(ApiLogin);
+    expect(() => loginConfig({ login: { strategy: 'magic-link' } })).toThrow(/Unknown login strategy "magic-link"/);
+  });
+
+  test('gets tokens with the password grant and reports the provider error', async () => {
+    const tokens = await requestTokens(USER, config);
+    expect(decodeJwt(tokens.id_token)).toMatchObject({ preferred_username: USER.username, tid: 'local-tenant', aud: 'local-proof360' });
+    expect(tokens.expires_in).toBe(3600);
+
+    await expect(requestTokens({ ...USER, password: 'wrong' }, config)).rejects.toThrow(
+      `[ApiLogin] Token request for ${USER.username} failed (invalid_grant: AADSTS50126: Error validating credentials due to invalid username or password.)`
+    );
+    await expect(requestTokens(USER, { ...config, clientId: '' })).rejects.toThrow(/no clientId \(LOGIN_TENANT_ID \/ LOGIN_CLIENT_ID\)/);
+  });
+
+  test('reads the client secret only when the api strategy requests tokens', async () => {
+    let reads = 0;
+    const profileWith = (strategy) => ({
+      baseUrl: 'http://localhost:3000',
+      login: { strategy, tenantId: 't', clientId: 'c', get clientSecret() { reads++; return 's3cret'; } }
+    });
+    const bodies = [];
+    const fakeFetch = async (url, { body }) => {
+      bodies.push(new URLSearchParams(body));
+      return { ok: true, status: 200, json: async () => ({ access_token: 'a' }) };
+    };
+
+    const ui = loginConfig(profileWith('ui'));
+    createLoginPage({ locator: () => ({}) }, ui);
+    await requestTokens(USER, ui, fakeFetch);
+    expect(reads).toBe(0);
+    expect(bodies[0].has('client_secret')).toBe(false);
+
+    await requestTokens(USER, loginConfig(profileWith('api')), fakeFetch);
+    expect(reads).toBe(1);
+    expect(bodies[1].get('client_secret')).toBe('s3cret');
+  });
+
+  test('builds the MSAL cache whose expiry the session registry reads', async () => {
+    const tokens = await requestTokens(USER, config);
+    const now = Date.parse('2026-03-10T12:00:00Z');
+    const entries = Object.fromEntries(msalCacheEntries(tokens, config, now).map(({ name, value }) => [name, JSON.parse(value)]));
+    const { oid } = decodeJwt(tokens.id_token);
+    const account = `${oid}.local-tenant-127.0.0.1:${new URL(config.authority).port}-local-tenant`;
+
+    expect(entries['msal.account.keys']).toEqual([account]);
+    expect(entries[account]).toMatchObject({ username: USER.username, realm: 'local-tenant', authorityType: 'MSSTS' });
+    const keys = entries['msal.token.keys.local-proof360'];
+    expect(keys.refreshToken).toHaveLength(1);
+    expect(entries[keys.accessToken[0]]).toMatchObject({
+      credentialType: 'AccessToken',
+      target: 'openid profile offline_access',
+      expiresOn: String(now / 1000 + 3600)
+    });
+    expect(entries[keys.idToken[0]].secret).toBe(tokens.id_token);
+
+    const state = tokenStorageState(tokens, config, now);
+    expect(state.origins[0].origin).toBe('http://localhost:3000');
+    expect(sessionExpiry(state)).toEqual({ source: 'token AccessToken', expiresAt: now + 3600 * 1000 });
+  });
+
+  test('injects the tokens on a blank page of the app origin, then opens the app', async () => {
+    const { page, state, uiLogin } = fakePage();
+    await new ApiLogin(page, { config, fallback: uiLogin }).login(USER.username, USER.password);
+
+    expect(state.calls).toEqual(['goto http://localhost:3000/__api-login', 'goto /command']);
+    expect(state.routes).toEqual([]);
+    expect(JSON.parse(state.localStorage['msal.account.keys'])).toHaveLength(1);
+  });
+
+  test('falls back to the login pages unless the fallback is off', async () => {
+    const rejected = fakePage();
+    await new ApiLogin(rejected.page, { config, fallback: rejected.uiLogin }).login(USER.username, 'wrong');
+    expect(rejected.state.calls).toEqual([`ui login ${USER.username}`]);
+
+    // The app ignored the tokens and sent the browser to the identity provider
+    const redirected = fakePage({ redirectTo: `${config.authority}/authorize` });
+    await new ApiLogin(redirected.page, { config, fallback: redirected.uiLogin }).login(USER.username, USER.password);
+    expect(redirected.state.calls.at(-1)).toBe(`ui login ${USER.username}`);
+
+    // The app loaded /command and only then handed the tokens back to the identity provider
+    const late = fakePage({ redirectTo: `${config.authority}/authorize`, redirectAfter: 3 });
+    await new ApiLogin(late.page, { config, fallback: late.uiLogin }).login(USER.username, USER.password);
+    expect(late.state.polls).toBe(3);
+    expect(late.state.calls).toEqual([
+      'goto http://localhost:3000/__api-login', 'goto /command',
+      'goto http://localhost:3000/__api-login', `ui login ${USER.username}`
+    ]);
+    expect(late.state.localStorage).toEqual({});
+    expect(late.state.routes).toEqual([]);
+
+    // Neither signed in nor redirected
+    const stuck = fakePage();
+    stuck.page.locator = () => ({ first: () => ({ isVisible: async () => false }) });
+    await expect(new ApiLogin(stuck.page, { config, fallback: null }).waitUntilSignedIn(0)).rejects.toThrow(/No signed-in page 0s after opening the app/);
+
+    const strict = fakePage();
+    await expect(new ApiLogin(strict.page, { config, fallback: null }).login(USER.username, 'wrong')).rejects.toThrow(/AADSTS50126/);
+  });
+});
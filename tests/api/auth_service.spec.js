@@ -0,0 +1,164 @@
+// tests/api/auth_service.spec.js
+import { test, expect } from '@playwright/test';
+import {
+  AuthService,
+  AUTH_PATHS,
+  chooseAuthPath,
+  credentialPrefix,
+  roleCredentials,
+  roleForUsername,
+  roleOfStorageState
+} from '../../backend/AuthService.js';
+import { SessionRegistry } from '../../backend/SessionRegistry.js';
+
+const CREDENTIALS = {
+  admin: { username: 'admin@proof360.io', password: 'a' },
+  normal: { username: 'normal@proof360.io', password: 'n' }
+};
+
+/**
+ * Proof360 behind a fake page: the command page shows the app only while someone is signed in
+ */
+function fakeApp({ signedInAs = CREDENTIALS.admin.username, company = 'Automation company', failLogins = 0 } = {}) {
+  const state = { signedInAs, company, url: 'about:blank', calls: [], failLogins };
+  const appShown = () => !!state.signedInAs && state.url.endsWith('/command');
+  const visible = (selector) => !selector.includes('termsAndConditons') && appShown();
+  const context = {
+    async clearCookies() { state.signedInAs = null; state.calls.push('clear cookies'); },
+    async storageState({ path }) { state.calls.push(`save ${path}`); }
+  };
+  const page = {
+    context: () => context,
+    url: () => state.url,
+    async goto(url) { state.url = state.signedInAs ? `https://uat.proof360.io${url}` : 'https://login.microsoftonline.com/'; },
+    async waitForURL() {},
+    async waitForLoadState() {},
+    async waitForTimeout() {},
+    async evaluate() {},
+    locator(selector) {
+      const locator = {
+        first: () => locator,
+        isVisible: async () => visible(selector),
+        async waitFor() { if (!visible(selector)) throw new Error(`Timeout waiting for ${selector}`); },
+        textContent: async () => state.company,
+        async click() {}
+      };
+      return locator;
+    }
+  };
+  const loginPage = {
+    async login(username) {
+      state.calls.push(`login ${username}`);
+      if (state.failLogins-- > 0) return;
+      state.signedInAs = username;
+      state.url = 'https://uat.proof360.io/command';
+    }
+  };
+  const auth = new AuthService(page, {
+    loginPage,
+    selectCompany: async (name) => { state.calls.push(`select ${name}`); state.company = name; },
+    registry: {
+      credentials: (role) => CREDENTIALS[role],
+      async save(role) { state.calls.push(`save ${role}`); }
+    },
+    timeouts: { indicator: 10 }
+  });
+  return { page, state, auth };
+}
+
+test.describe('AuthService', () => {
+  test('picks the cheapest path', () => {
+    const state = { authenticated: true, currentRole: 'admin', role: 'admin', companySelected: true };
+    expect(chooseAuthPath(state)).toBe(AUTH_PATHS.STORAGE_STATE);
+    expect(chooseAuthPath({ ...state, companySelected: false })).toBe(AUTH_PATHS.COMPANY_SWITCH);
+    expect(chooseAuthPath({ ...state, role: 'normal' })).toBe(AUTH_PATHS.FULL_LOGIN);
+    expect(chooseAuthPath({ ...state, authenticated: false })).toBe(AUTH_PATHS.FULL_LOGIN);
+  });
+
+  test('reuses the session, then switches only the company', async () => {
+    const { auth, state } = fakeApp();
+    // What the auth fixture records from the storage state the context started from
+    auth.assumeRole('admin');
+
+    const pending = auth.ensure({ role: 'admin', company: 'Automation company', credentials: CREDENTIALS.admin });
+    expect(auth.busy).toBe(true);
+    const reused = await pending;
+    expect(auth.busy).toBe(false);
+    expect(reused).toMatchObject({ path: 'storage-state', role: 'admin', company: 'Automation company' });
+
+    const switched = await auth.ensure({ role: 'admin', company: 'Vodacom', credentials: CREDENTIALS.admin });
+    expect(switched.path).toBe('company-switch');
+    expect(state.calls).toEqual(['select Vodacom']);
+  });
+
+  test('signs in afresh when nobody recorded the role of the context', async () => {
+    const { auth, state } = fakeApp({ signedInAs: CREDENTIALS.normal.username });
+
+    // Someone is signed in, but not necessarily the admin
+    const result = await auth.ensure({ role: 'admin', credentials: CREDENTIALS.admin });
+    expect(result.path).toBe('full-login');
+    expect(state.calls).toContain('login admin@proof360.io');
+  });
+
+  test('logs in again for another role or an expired session and saves the session', async () => {
+    const { auth, state } = fakeApp();
+
+    // Credentials come from the registry; the session is saved once the company is selected
+    const normal = await auth.ensure({ role: 'normal', company: 'Vodacom' });
+    expect(normal.path).toBe('full-login');
+    expect(auth.currentRole).toBe('normal');
+    expect(state.calls).toEqual(['clear cookies', 'login normal@proof360.io', 'select Vodacom', 'save normal']);
+
+    // The session ran out: same role, but the command page shows the Microsoft login
+    state.calls = [];
+    state.signedInAs = null;
+    const again = await auth.ensure({ role: 'normal', credentials: CREDENTIALS.normal });
+    expect(again.path).toBe('full-login');
+    expect(state.calls).toContain('login normal@proof360.io');
+    expect(state.calls).not.toContain('select Vodacom');
+  });
+
+  test('retries a failed login and shares the role across services on the context', async () => {
+    const { auth, page, state } = fakeApp({ signedInAs: null, failLogins: 1 });
+
+    await expect(auth.ensure({ role: 'admin', credentials: CREDENTIALS.admin })).rejects.toThrow(/without an authenticated page/);
+    expect(auth.currentRole).toBeNull();
+
+    state.failLogins = 1;
+    const result = await auth.ensure({ role: 'admin', credentials: CREDENTIALS.admin, attempts: 2 });
+    expect(result.path).toBe('full-login');
+    expect(new AuthService(page).currentRole).toBe('admin');
+  });
+
+  test('reads credentials per role, including custom roles', () => {
+    const env = {
+      ADMIN_MS_USERNAME: CREDENTIALS.admin.username,
+      ADMIN_MS_PASSWORD: 'a',
+      SITE_MANAGER_MS_USERNAME: 'manager@proof360.io',
+      SITE_MANAGER_MS_PASSWORD: 'm'
+    };
+    const saved = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+    Object.assign(process.env, env);
+    try {
+      expect(credentialPrefix('site manager')).toBe('SITE_MANAGER_MS');
+      expect(roleCredentials('site manager')).toEqual({ username: 'manager@proof360.io', password: 'm' });
+      // Identities come from the registry; of two on one account, the one named after it wins
+      const registry = new SessionRegistry({
+        identities: { admin: { account: 'ADMIN_MS' }, 'night-shift': { account: 'SITE_MANAGER_MS' }, 'site-manager': {} }
+      });
+      expect(roleForUsername('manager@proof360.io', registry)).toBe('site-manager');
+      expect(roleForUsername(CREDENTIALS.admin.username, registry)).toBe('admin');
+      expect(roleForUsername(CREDENTIALS.admin.username)).toBe('admin');
+      expect(() => roleForUsername('manager@proof360.io')).toThrow(/No identity signs in as "manager@proof360.io"/);
+      expect(() => roleForUsername('someone@proof360.io', registry)).toThrow(/\(admin, night-shift, site-manager\)/);
+      expect(() => roleCredentials('auditor')).toThrow(/Secret AUDITOR_MS_USERNAME is not set/);
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+    expect(roleOfStorageState('/repo/userStorageState_normal.json')).toBe('normal');
+    expect(roleOfStorageState(undefined)).toBeNull();
+  });
+});
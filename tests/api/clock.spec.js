@@ -0,0 +1,87 @@
+// tests/api/clock.spec.js
+import { test, expect } from '@playwright/test';
+import {
+  Clock,
+  resolveTimezone,
+  calendarDate,
+  addDays,
+  addMonths,
+  daysInMonth,
+  monthsBetween,
+  formatDate,
+  parseDate
+} from '../../utils/clock.js';
+
+// 23:30 UTC on 31 October: already 1 November in South Africa
+const NEAR_MIDNIGHT = '2026-10-31T23:30:00Z';
+
+test.describe('Clock', () => {
+  test('resolves SAST and GMT and rejects unknown timezones', () => {
+    expect(resolveTimezone('SAST')).toBe('Africa/Johannesburg');
+    expect(resolveTimezone('gmt')).toBe('UTC');
+    expect(resolveTimezone('Europe/London')).toBe('Europe/London');
+    expect(() => resolveTimezone('Mars/Olympus')).toThrow(/Unknown timezone "Mars\/Olympus"/);
+  });
+
+  test('gives today and the time in the reference timezone, not the machine one', () => {
+    const sast = new Clock({ timezone: 'SAST', now: NEAR_MIDNIGHT });
+    const gmt = new Clock({ timezone: 'GMT', now: NEAR_MIDNIGHT });
+
+    expect(sast.today()).toEqual({ year: 2026, month: 11, day: 1 });
+    expect(sast.time()).toBe('01:30:00');
+    expect(gmt.dateString()).toBe('2026-10-31');
+    expect(gmt.time()).toBe('23:30:00');
+    expect(sast.offsetMs()).toBe(2 * 3600000);
+
+    // Start of the SAST day is 22:00 UTC the evening before
+    expect(sast.toInstant(sast.today()).toISOString()).toBe('2026-10-31T22:00:00.000Z');
+    expect(gmt.toInstant('2026-10-31', '23:59:59').toISOString()).toBe('2026-10-31T23:59:59.000Z');
+  });
+
+  test('takes "now" from a function, CLOCK_NOW or the system clock', () => {
+    let now = new Date('2026-02-28T10:00:00Z');
+    const moving = new Clock({ timezone: 'GMT', now: () => now });
+    expect(moving.dateString()).toBe('2026-02-28');
+    now = new Date('2026-03-01T00:00:01Z');
+    expect(moving.dateString()).toBe('2026-03-01');
+
+    process.env.CLOCK_NOW = NEAR_MIDNIGHT;
+    try {
+      expect(new Clock({ timezone: 'GMT' }).now().toISOString()).toBe('2026-10-31T23:30:00.000Z');
+    } finally {
+      delete process.env.CLOCK_NOW;
+    }
+    expect(() => new Clock({ now: 'yesterday-ish' })).toThrow(/Invalid "now"/);
+  });
+
+  test('does calendar arithmetic across month and year ends', () => {
+    expect(addDays(calendarDate(2026, 2, 28), 1)).toEqual({ year: 2026, month: 3, day: 1 });
+    expect(addDays(calendarDate(2028, 2, 28), 1)).toEqual({ year: 2028, month: 2, day: 29 });
+    expect(addDays(calendarDate(2026, 1, 1), -1)).toEqual({ year: 2025, month: 12, day: 31 });
+    expect(addMonths(calendarDate(2026, 1, 31), 1)).toEqual({ year: 2026, month: 2, day: 28 });
+    expect(daysInMonth(2026, 4)).toBe(30);
+    expect(monthsBetween({ year: 2025, month: 11 }, { year: 2026, month: 2 })).toBe(3);
+    expect(formatDate(parseDate('2026-03-05'))).toBe('2026-03-05');
+    expect(() => parseDate('05/03/2026')).toThrow(/Invalid date/);
+  });
+
+  test('builds ranges relative to today that span months', () => {
+    const clock = new Clock({ timezone: 'SAST', now: '2026-03-02T08:00:00Z' });
+
+    const week = clock.range(-7);
+    expect(formatDate(week.from)).toBe('2026-02-23');
+    expect(formatDate(week.to)).toBe('2026-03-02');
+    expect(week).toMatchObject({ spansMonths: true, months: 1 });
+
+    expect(clock.range(-1, 0).spansMonths).toBe(false);
+    expect(() => clock.range(1, 0)).toThrow(/starts after it ends/);
+  });
+
+  test('handles daylight saving changes in IANA timezones', () => {
+    // Clocks in London go forward at 01:00 UTC on 29 March 2026
+    const london = new Clock({ timezone: 'Europe/London', now: '2026-03-29T12:00:00Z' });
+    expect(london.time()).toBe('13:00:00');
+    expect(london.toInstant('2026-03-29', '00:30:00').toISOString()).toBe('2026-03-29T00:30:00.000Z');
+    expect(london.toInstant('2026-03-29', '12:00:00').toISOString()).toBe('2026-03-29T11:00:00.000Z');
+  });
+});
@@ -0,0 +1,139 @@
+// tests/api/dispatch_reconciliation.spec.js
+import { test, expect } from '@playwright/test';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ElasticsearchClient from '../../backend/elasticsearch-client.js';
+import { LocalElasticsearchServer } from '../../backend/LocalElasticsearchServer.js';
+import {
+  reconcileDispatchReport,
+  reconcileWithElasticsearch,
+  formatReconciliation,
+  parseReportTimestamp
+} from '../../backend/reports/DispatchReconciliation.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.resolve(__dirname, '../../test/data/elasticsearch/proof360-dispatch.json');
+
+const HEADERS = [
+  'Dispatch ID', 'Incident Id', 'Site Name', 'Company Name', 'Action Timestamp',
+  'Proof Status', 'Responder Status', 'Latitude', 'Longitude', 'Created By'
+];
+
+// Reports show SAST wall-clock time without an offset
+const sast = (iso, shiftMs = 0) =>
+  new Date(Date.parse(iso) + 2 * 3_600_000 + shiftMs).toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * Dispatch report reconciliation against the local Elasticsearch stand-in
+ */
+test.describe('Dispatch report reconciliation', () => {
+  let server;
+  let client;
+  let documents;
+  let report;
+
+  test.beforeAll(async () => {
+    // Fixed clock, so fixture timestamps stay exactly at their anchor
+    server = new LocalElasticsearchServer({ fixtures: [FIXTURES], now: () => Date.parse('2025-10-28T10:00:00.000Z') });
+    await server.start();
+    client = new ElasticsearchClient({ url: server.url, index: 'proof360-dispatch*', apiKey: server.apiKey });
+    documents = await client.searchAll(client.query().company('Automation company').since('now-7d').fields(true));
+    const byId = Object.fromEntries(documents.map((record) => [record.dispatchId, record]));
+
+    report = {
+      headers: HEADERS,
+      rows: [
+        // Within tolerance: 30 s later, latitude off in the 5th decimal
+        ['D-1001', 'INC-5001', 'WVRD_9th Ave and JG Strydom Rd_62', 'Automation company', sast(byId['D-1001'].actionTimestamp, 30_000),
+          'Dispatched', 'Arrived', '-26.12961', '27.9764', 'operator@example.com'],
+        // Group dispatch: proof status differs, responder status only in case
+        ['CO-77', 'INC-5002', 'NGA_20481_Ramoshie_Eaton', 'Automation company', sast(byId['CO-77'].actionTimestamp),
+          'Closed', 'en route', '', '', 'operator@example.com'],
+        // Timestamp 5 minutes out
+        ['D-1000', 'INC-5000', 'WVRD_9th Ave and JG Strydom Rd_62', 'Automation company', sast(byId['D-1000'].actionTimestamp, 300_000),
+          'Closed', 'Completed', '-26.1296', '27.9764', 'operator@example.com'],
+        // Not in Elasticsearch
+        ['D-9999', 'INC-9999', 'WVRD_9th Ave and JG Strydom Rd_62', 'Automation company', sast(byId['D-1000'].actionTimestamp),
+          'Dispatched', '', '', '', 'operator@example.com'],
+        ['', '', '', '', '', '', '', '', '', '']
+      ]
+    };
+  });
+
+  test.afterAll(async () => {
+    await server?.stop();
+  });
+
+  test('reports field differences, missing rows and missing documents', async () => {
+    const result = reconcileDispatchReport(report, documents);
+
+    expect(result.ok).toBe(false);
+    expect(result.key).toBe('Dispatch ID');
+    expect(result.unmappedColumns).toEqual(['Created By']);
+    expect(result.summary).toEqual({
+      reportRows: 4,
+      documents: 4,
+      matched: 1,
+      withDifferences: 2,
+      missingInEs: 1,
+      missingInReport: 1,
+      differences: 2
+    });
+
+    const row = (key) => result.rows.find((r) => r.key === key);
+    expect(row('D-1001')).toMatchObject({ rowNumber: 2, status: 'match', differences: [] });
+    expect(row('CO-77').differences).toEqual([
+      { field: 'Proof Status', header: 'Proof Status', report: 'Closed', es: 'Dispatched' }
+    ]);
+    expect(row('D-1000').differences).toEqual([
+      expect.objectContaining({ field: 'Action Timestamp', delta: 300_000 })
+    ]);
+    expect(row('D-9999')).toMatchObject({ rowNumber: 5, status: 'missing-in-es' });
+    expect(result.missingInReport.map((m) => m.key)).toEqual(['D-0999']);
+
+    const text = formatReconciliation(result);
+    expect(text).toContain('row 3 [CO-77] Proof Status: report "Closed" ≠ es "Dispatched"');
+    expect(text).toContain('row 5 [D-9999]: not found in Elasticsearch');
+    expect(text).toContain('[D-0999]: in Elasticsearch but not in the report');
+  });
+
+  test('tolerances are configurable', async () => {
+    const loose = reconcileDispatchReport(report, documents, { tolerances: { timestampMs: 600_000 } });
+    expect(loose.rows.find((r) => r.key === 'D-1000').status).toBe('match');
+
+    const strict = reconcileDispatchReport(report, documents, { tolerances: { timestampMs: 0, coordinate: 0 } });
+    expect(strict.rows.find((r) => r.key === 'D-1001').differences.map((d) => d.field))
+      .toEqual(['Action Timestamp', 'Latitude']);
+  });
+
+  test('falls back to Incident ID when the report has no Dispatch ID column', async () => {
+    const byIncident = {
+      headers: HEADERS.slice(1),
+      rows: report.rows.slice(0, 1).map((row) => row.slice(1))
+    };
+    const result = reconcileDispatchReport(byIncident, documents.filter((d) => d.incidentId === 'INC-5001'));
+    expect(result.key).toBe('Incident ID');
+    expect(result.ok).toBe(true);
+
+    expect(() => reconcileDispatchReport({ headers: ['Site Name'], rows: [] }, documents))
+      .toThrow('Report has no "Incident ID" column');
+  });
+
+  test('reconcileWithElasticsearch fetches the documents in the report window', async () => {
+    const result = await reconcileWithElasticsearch(client, report, { companyName: 'Automation company' });
+
+    // D-0999 is a day older than every report row, so it is outside the window
+    expect(result.missingInReport).toEqual([]);
+    expect(result.summary).toMatchObject({ matched: 1, withDifferences: 2, missingInEs: 1 });
+  });
+
+  test('report timestamps are read as SAST', async () => {
+    const utc = Date.parse('2025-10-28T09:50:00Z');
+    expect(parseReportTimestamp('2025-10-28 11:50:00')).toBe(utc);
+    expect(parseReportTimestamp('28/10/2025 11:50')).toBe(utc);
+    expect(parseReportTimestamp('2025-10-28T09:50:00Z')).toBe(utc);
+    expect(parseReportTimestamp('2025-10-28 09:50:00', 'Z')).toBe(utc);
+    expect(parseReportTimestamp(45958 + (11 * 60 + 50) / 1440)).toBe(utc); // Excel serial date
+    expect(parseReportTimestamp('')).toBeNull();
+  });
+});
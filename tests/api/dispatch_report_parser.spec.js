@@ -0,0 +1,138 @@
+// tests/api/dispatch_report_parser.spec.js
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import XLSX from 'xlsx';
+import {
+  parseDispatchReportBuffer,
+  parseDownload,
+  detectReportFormat
+} from '../../backend/reports/DispatchReportParser.js';
+
+const HEADERS = [
+  'Incident Id', 'Group Name', 'Site Name', 'Company Name', 'Action Timestamp', 'Proof Status',
+  'Responder Status', 'Auto Dispatch', 'Latitude', 'Longitude', 'Operator Notes'
+];
+
+const ROWS = [
+  ['INC-5001', 'WVRD_9th Ave and JG Strydom Rd_62', 'WVRD_9th Ave and JG Strydom Rd_62', 'Automation company',
+    '2025-10-28 11:50:00', 'RESPONDER_ARRIVED', 'responderOnSite', 'Yes', -26.1296, 27.9764, 'gate open'],
+  ['INC-5002', 'NGA_20481_Ramoshie_Eaton', '', 'Automation company',
+    45958 + (11 * 60 + 30) / 1440, 'ESCALATED', '', 'no', '-26.2', '181', '']
+];
+
+function xlsxBuffer(aoa) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(aoa), 'Dispatches');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function zipWith(files) {
+  const zip = XLSX.CFB.utils.cfb_new();
+  for (const [name, content] of Object.entries(files)) XLSX.CFB.utils.cfb_add(zip, name, content);
+  return XLSX.CFB.write(zip, { type: 'buffer', fileType: 'zip' });
+}
+
+/**
+ * DispatchReportParser: format detection, header aliases, typed records and column reporting
+ */
+test.describe('Dispatch report parser', () => {
+  test('xlsx rows are typed and the header row is found below a title', async () => {
+    const report = parseDispatchReportBuffer(xlsxBuffer([['Dispatch Report - Automation company'], [], HEADERS, ...ROWS]));
+
+    expect(report.format).toBe('xlsx');
+    expect(report.sheetName).toBe('Dispatches');
+    expect(report.headers).toEqual(HEADERS);
+    expect(report.rows).toHaveLength(2);
+    expect(report.unknownColumns).toEqual(['Operator Notes']);
+    expect(report.missingColumns).toEqual([]);
+
+    const [first, second] = report.records;
+    expect(first).toMatchObject({
+      rowNumber: 3,
+      incidentId: 'INC-5001',
+      companyName: 'Automation company',
+      proofStatus: 'RESPONDER_ARRIVED',
+      autoDispatch: true,
+      latitude: -26.1296,
+      longitude: 27.9764,
+      extra: { 'Operator Notes': 'gate open' }
+    });
+    // Report timestamps are SAST
+    expect(first.actionTimestamp.toISOString()).toBe('2025-10-28T09:50:00.000Z');
+    // Excel serial date cell
+    expect(second.actionTimestamp.toISOString()).toBe('2025-10-28T09:30:00.000Z');
+    expect(second.siteName).toBeNull();
+    expect(second.autoDispatch).toBe(false);
+    expect(second.latitude).toBe(-26.2);
+
+    expect(report.issues).toEqual([
+      { rowNumber: 4, column: 'Proof Status', value: 'ESCALATED', problem: expect.stringContaining('not one of DISPATCH_CREATED') },
+      { rowNumber: 4, column: 'Longitude', value: '181', problem: 'outside -180..180' }
+    ]);
+  });
+
+  test('csv with a BOM and header aliases', async () => {
+    const csv = '\uFEFFincident_id,GROUP NAME,Site name,Company,action timestamp,Proof status,Lat,Lng\n' +
+      'INC-6001,MCLN,MCLN_Berea Str and Bourke Str_20.4_A,Vodacom,28/10/2025 11:55,DISPATCH_CREATED,-26.19,28.05\n\n';
+    const report = parseDispatchReportBuffer(Buffer.from(csv, 'utf8'));
+
+    expect(report.format).toBe('csv');
+    expect(report.unknownColumns).toEqual([]);
+    expect(report.columns.map((c) => c.key)).toEqual([
+      'incidentId', 'groupName', 'siteName', 'companyName', 'actionTimestamp', 'proofStatus', 'latitude', 'longitude'
+    ]);
+    expect(report.records).toHaveLength(1);
+    expect(report.records[0]).toMatchObject({ incidentId: 'INC-6001', companyName: 'Vodacom', latitude: -26.19, longitude: 28.05 });
+    expect(report.records[0].actionTimestamp.toISOString()).toBe('2025-10-28T09:55:00.000Z');
+  });
+
+  test('missing required columns are reported, or thrown in strict mode', async () => {
+    const buffer = xlsxBuffer([['Incident Id', 'Site Name', 'Proof Status'], ['INC-1', 'WVRD', 'DISPATCH_CREATED']]);
+
+    const report = parseDispatchReportBuffer(buffer);
+    expect(report.missingColumns).toEqual(['Group Name', 'Company Name', 'Action Timestamp']);
+
+    expect(() => parseDispatchReportBuffer(buffer, { strict: true, fileName: 'broken.xlsx' }))
+      .toThrow('broken.xlsx is missing required column(s): Group Name, Company Name, Action Timestamp');
+  });
+
+  test('xlsx with images: embedded pictures and zip bundles', async () => {
+    const png = Buffer.from('89504e470d0a1a0a', 'hex');
+
+    // Pictures inside the workbook
+    const container = XLSX.CFB.read(xlsxBuffer([HEADERS, ...ROWS]), { type: 'buffer' });
+    XLSX.CFB.utils.cfb_add(container, '/xl/media/image1.png', png);
+    const embedded = XLSX.CFB.write(container, { type: 'buffer', fileType: 'zip' });
+    expect(detectReportFormat(embedded)).toMatchObject({ format: 'xlsx-images', images: ['xl/media/image1.png'] });
+    expect(parseDispatchReportBuffer(embedded).records).toHaveLength(2);
+
+    // Workbook next to an images folder
+    const bundle = zipWith({
+      '/Daily report.xlsx': xlsxBuffer([HEADERS, ...ROWS]),
+      '/images/INC-5001.jpg': png,
+      '/images/INC-5002.png': png
+    });
+    const report = parseDispatchReportBuffer(bundle);
+    expect(report.format).toBe('xlsx-images');
+    expect(report.images).toEqual(['images/INC-5001.jpg', 'images/INC-5002.png']);
+    expect(report.records.map((r) => r.incidentId)).toEqual(['INC-5001', 'INC-5002']);
+
+    expect(() => parseDispatchReportBuffer(zipWith({ '/readme.txt': Buffer.from('x') })))
+      .toThrow('Zip download contains no .xlsx report');
+  });
+
+  test('parseDownload saves a Playwright download before parsing', async ({}, testInfo) => {
+    const source = testInfo.outputPath('source.xlsx');
+    fs.writeFileSync(source, xlsxBuffer([HEADERS, ...ROWS]));
+    const download = {
+      suggestedFilename: () => 'Daily 10-15-00.xlsx',
+      saveAs: async (target) => fs.copyFileSync(source, target)
+    };
+
+    const dir = testInfo.outputPath('downloads');
+    const report = await parseDownload(download, { dir });
+    expect(report.filePath).toBe(`${dir}/Daily 10-15-00.xlsx`);
+    expect(fs.existsSync(report.filePath)).toBe(true);
+    expect(report.records).toHaveLength(2);
+  });
+});
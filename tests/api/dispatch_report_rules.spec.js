@@ -0,0 +1,133 @@
+// tests/api/dispatch_report_rules.spec.js
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import { parseDispatchReportBuffer } from '../../backend/reports/DispatchReportParser.js';
+import { loadRules, validateDispatchReport, formatViolations } from '../../backend/reports/DispatchReportRules.js';
+
+const HEADERS = 'Incident Id,Group Name,Site Name,Company Name,Action Timestamp,Proof Status,Responder Status,Auto Dispatch,Latitude,Longitude';
+const GROUP = 'WVRD_9th Ave and JG Strydom Rd_62';
+
+const csvReport = (...lines) => parseDispatchReportBuffer(Buffer.from([HEADERS, ...lines].join('\n'), 'utf8'));
+
+const VALID = [
+  `INC-1,${GROUP},${GROUP},Automation company,2025-10-28 11:50:00,DISPATCH_CREATED,open,Yes,-26.1296,27.9764`,
+  `INC-2,${GROUP},${GROUP},Automation company,2025-10-28 11:51:00,RESPONDER_DISPATCHED,pickedUp,no,,`,
+  `INC-3,${GROUP},${GROUP},Automation company,2025-10-28 11:52:00,RESPONDER_DISPATCHED,responding,TRUE,,`,
+  `INC-4,${GROUP},${GROUP},Automation company,2025-10-28 11:53:00,RESPONDER_ARRIVED,responderOnSite,false,,`,
+  `INC-5,${GROUP},${GROUP},Automation company,2025-10-28 11:54:00,RESPONDER_COMPLETED,completed,yes,,`,
+  `INC-6,${GROUP},${GROUP},Automation company,2025-10-28 11:55:00,OPERATOR_CANCELLED,cancelled,no,,`
+];
+
+/**
+ * DispatchReportRules: declarative column rules over parsed dispatch reports
+ */
+test.describe('Dispatch report rules', () => {
+  test('a clean report passes the shipped rules', async () => {
+    const result = validateDispatchReport(csvReport(...VALID));
+
+    expect(result).toEqual({ ok: true, rowsChecked: 6, violations: [], counts: {} });
+    expect(formatViolations(result)).toBe('✅ 6 row(s) pass every rule');
+  });
+
+  test('column rules report row, header and value', async () => {
+    const result = validateDispatchReport(csvReport(
+      VALID[0],
+      `INC-1,${GROUP},,Automation company,yesterday,ESCALATED,open,maybe,-91,27.9`,
+      `INC-7,,,Automation company,2025-10-28 12:00:00,DISPATCH_CREATED,open,,abc,181`
+    ));
+
+    expect(result.ok).toBe(false);
+    expect(result.rowsChecked).toBe(3);
+    expect(result.counts).toEqual({ unique: 1, datetime: 1, enum: 2, range: 3, required: 1 });
+
+    const at = (rowNumber, column) => result.violations.filter((v) => v.rowNumber === rowNumber && v.column === column);
+    expect(at(3, 'incidentId')).toEqual([
+      { rule: 'unique', column: 'incidentId', header: 'Incident Id', rowNumber: 3, value: 'INC-1', message: '"INC-1" duplicates row 2' }
+    ]);
+    expect(at(3, 'actionTimestamp')[0]).toMatchObject({ rule: 'datetime', value: 'yesterday' });
+    expect(at(3, 'proofStatus')[0].message).toContain('"ESCALATED" is not one of DISPATCH_CREATED');
+    expect(at(3, 'autoDispatch')[0]).toMatchObject({ rule: 'enum', value: 'maybe' });
+    expect(at(3, 'latitude')[0].message).toBe('-91 is outside -90..90');
+    expect(at(4, 'groupName')[0]).toMatchObject({ rule: 'required', message: 'blank value' });
+    expect(at(4, 'latitude')[0].message).toBe('"abc" is not a number');
+    expect(at(4, 'longitude')[0].message).toBe('181 is outside -180..180');
+    // Proof status outside the dependency map is left to the enum rule
+    expect(result.violations.filter((v) => v.rule === 'dependency')).toEqual([]);
+
+    const text = formatViolations(result, { limit: 2 });
+    expect(text.split('\n')[0]).toBe('❌ 8 violation(s) in 3 row(s): unique 1, required 1, datetime 1, enum 2, range 3');
+    expect(text).toContain('row 3 Incident Id [unique]: "INC-1" duplicates row 2');
+    expect(text).toContain('... and 6 more');
+  });
+
+  test('missing columns: required/present fail, optional rules are skipped', async () => {
+    const report = parseDispatchReportBuffer(Buffer.from('Incident Id,Group Name,Proof Status\nINC-1,WVRD,DISPATCH_CREATED\n', 'utf8'));
+    const result = validateDispatchReport(report);
+
+    expect(result.violations.filter((v) => v.rule === 'present').map((v) => v.column))
+      .toEqual(['siteName', 'companyName', 'actionTimestamp']);
+    // proofStatus → responderStatus cannot be checked without the responder column
+    expect(result.violations.find((v) => v.rule === 'dependency').message)
+      .toBe('needs columns proofStatus and responderStatus');
+    expect(result.violations.some((v) => v.column === 'latitude')).toBe(false);
+  });
+
+  test('status pairs: mismatches per row, expectAll for coverage, only/where to focus', async () => {
+    const rules = loadRules();
+    const report = csvReport(
+      ...VALID.slice(0, 3),
+      `INC-8,${GROUP},${GROUP},Automation company,2025-10-28 12:00:00,RESPONDER_ARRIVED,completed,no,,`,
+      'INC-9,NGA_20481_Ramoshie_Eaton,,Automation company,2025-10-28 12:01:00,RESPONDER_COMPLETED,,no,,'
+    );
+
+    const pairs = validateDispatchReport(report, rules, { only: ['responderStatus'] });
+    expect(pairs.violations.map((v) => [v.rowNumber, v.message])).toEqual([
+      [5, '"completed" with Proof Status RESPONDER_ARRIVED; expected responderOnSite'],
+      [6, 'blank while Proof Status is RESPONDER_COMPLETED']
+    ]);
+    expect(pairs.violations[0].dependency).toBe('Proof/responder status pairs');
+
+    const coverage = {
+      ...rules,
+      dependencies: rules.dependencies.map((dependency) => ({ ...dependency, expectAll: true }))
+    };
+    const group = validateDispatchReport(report, coverage, { only: ['responderStatus'], where: { groupName: GROUP } });
+    expect(group.rowsChecked).toBe(4);
+    expect(group.violations.map((v) => v.rule)).toEqual(['dependency', 'expectAll']);
+    expect(group.violations[1].message).toBe(
+      'never seen: RESPONDER_ARRIVED ↔ responderOnSite, RESPONDER_COMPLETED ↔ completed, OPERATOR_CANCELLED ↔ cancelled'
+    );
+
+    expect(validateDispatchReport(csvReport(...VALID), coverage, { where: { groupName: GROUP } }).ok).toBe(true);
+    expect(() => validateDispatchReport(report, rules, { where: { dispatchService: 'Armed' } }))
+      .toThrow('Cannot filter on "dispatchService": column not in report');
+  });
+
+  test('custom rules files: pattern, enum expectAll and typo detection', async ({}, testInfo) => {
+    const file = testInfo.outputPath('rules.json');
+    fs.writeFileSync(file, JSON.stringify({
+      columns: {
+        incidentId: { pattern: '^inc-\\d+$', flags: 'i' },
+        companyName: { enum: ['Automation company', 'Vodacom'], expectAll: true }
+      }
+    }));
+    const result = validateDispatchReport(csvReport(
+      VALID[0],
+      `5002,${GROUP},${GROUP},Automation company,2025-10-28 11:50:00,DISPATCH_CREATED,open,Yes,,`
+    ), loadRules(file));
+
+    expect(result.violations.map((v) => [v.rule, v.column, v.message])).toEqual([
+      ['pattern', 'incidentId', '"5002" does not match /^inc-\\d+$/'],
+      ['expectAll', 'companyName', 'never seen: Vodacom']
+    ]);
+
+    fs.writeFileSync(file, JSON.stringify({ columns: { latitude: { ragne: [-90, 90] } } }));
+    expect(() => loadRules(file)).toThrow('rules.json: unknown rule(s) ragne for column "latitude"');
+
+    fs.writeFileSync(file, JSON.stringify({ columns: { latitude: { range: [-90] } } }));
+    expect(() => loadRules(file)).toThrow('"range" for "latitude" must be [min, max]');
+
+    fs.writeFileSync(file, JSON.stringify({ dependencies: [{ name: 'pairs', when: 'proofStatus', allowed: {} }] }));
+    expect(() => loadRules(file)).toThrow('dependency "pairs" needs "when", "then" and "allowed"');
+  });
+});
@@ -0,0 +1,142 @@
+// tests/api/dispatch_sla_checker.spec.js
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import XLSX from 'xlsx';
+import {
+  parseSlaReport,
+  parseDuration,
+  eventsFromRecords,
+  timeDispatches,
+  checkSlaReport,
+  formatSlaCheck,
+  readSlaReportFormat
+} from '../../backend/reports/DispatchSlaChecker.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../test/data/sla/dispatch-events.json'), 'utf8'));
+const EVENTS = eventsFromRecords(FIXTURE.events);
+
+const HEADERS = ['Station', 'Site', 'Dispatches', 'Avg Time to Dispatch', 'Avg Time to Arrival', 'Dispatch Breaches', 'Arrival Breaches', 'SLA Breaches'];
+// Header text per column key, as an SLA_REPORT_FORMAT file gives it for the real export
+const FORMAT = {
+  station: 'Station',
+  site: 'Site',
+  dispatches: 'Dispatches',
+  avgTimeToDispatch: 'Avg Time to Dispatch',
+  avgTimeToArrival: 'Avg Time to Arrival',
+  dispatchBreaches: 'Dispatch Breaches',
+  arrivalBreaches: 'Arrival Breaches',
+  breaches: 'SLA Breaches'
+};
+const TARGETS = { timeToDispatchMs: 5 * 60_000, timeToArrivalMs: 20 * 60_000 };
+// What the fixture should produce with 5 min / 20 min targets
+const CORRECT = [
+  ['Cape Town', 'CEN_Central', 2, '05:15', '20:00', 1, 1, 1],
+  [null, 'WVRD_9th Ave and JG Strydom Rd_62', 1, '02:00', '12:00', 0, 0, 0],
+  [null, 'Total', 3, '04:10', '17:20', 1, 1, 1],
+  ['Durban', 'NGA_20481_Ramoshie_Eaton', 2, '02:30', '30:00', 0, 1, 1],
+  ['Total', null, 5, '03:30', '20:30', 1, 2, 2]
+];
+
+function slaWorkbook(rows = CORRECT) {
+  const sheet = XLSX.utils.aoa_to_sheet([['Dispatch SLA Report - Automation company'], [], HEADERS, ...rows]);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'SLA');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * DispatchSlaChecker: SLA workbook cells vs metrics recomputed from dispatch events
+ */
+test.describe('Dispatch SLA checker', () => {
+  test('durations and dispatch milestones', async () => {
+    expect(parseDuration('05:15')).toBe(315_000);
+    expect(parseDuration('1:02:03')).toBe(3_723_000);
+    expect(parseDuration('12m 30s')).toBe(750_000);
+    expect(parseDuration(7.5)).toBe(450_000);
+    expect(parseDuration(5 / 1440)).toBe(300_000);
+    expect(parseDuration('')).toBeNull();
+
+    const dispatches = timeDispatches(EVENTS);
+    expect(dispatches).toHaveLength(5);
+    expect(dispatches[1]).toMatchObject({ dispatchId: 'SLA-2', station: 'Cape Town', site: 'CEN_Central', timeToDispatchMs: 450_000, timeToArrivalMs: 1_500_000 });
+    // Cancelled before arrival: counted, but no time to arrival
+    expect(dispatches[4]).toMatchObject({ dispatchId: 'SLA-5', timeToDispatchMs: 60_000, timeToArrivalMs: null });
+  });
+
+  test('a correct workbook matches the recomputed metrics', async () => {
+    const report = parseSlaReport(slaWorkbook(), { headers: FORMAT });
+    expect(report.sheetName).toBe('SLA');
+    expect(report.rows.map((row) => [row.rowNumber, row.station, row.site])).toEqual([
+      [4, 'Cape Town', 'CEN_Central'],
+      [5, 'Cape Town', 'WVRD_9th Ave and JG Strydom Rd_62'],
+      [6, 'Cape Town', 'Total'],
+      [7, 'Durban', 'NGA_20481_Ramoshie_Eaton'],
+      [8, 'Total', '']
+    ]);
+
+    const result = checkSlaReport(report, EVENTS, { targets: TARGETS });
+    expect(result.summary).toEqual({ rows: 5, cells: 30, mismatches: 0, dispatches: 5, missingInReport: 0 });
+    expect(result.ok).toBe(true);
+    expect(formatSlaCheck(result).split('\n')[0]).toBe('✅ Dispatch SLA report vs 5 dispatch(es) (targets: dispatch 5:00, arrival 20:00)');
+  });
+
+  test('cells that disagree are flagged with report and recomputed values', async () => {
+    const rows = CORRECT.map((row) => [...row]);
+    rows[0][3] = '04:15';
+    rows[3][6] = 0;
+    rows[4][2] = 6;
+    const result = checkSlaReport(parseSlaReport(slaWorkbook(rows), { headers: FORMAT }), EVENTS, { targets: TARGETS });
+
+    expect(result.ok).toBe(false);
+    expect(result.mismatches.map(({ rowNumber, site, key, report, expected }) => ({ rowNumber, site, key, report, expected }))).toEqual([
+      { rowNumber: 4, site: 'CEN_Central', key: 'avgTimeToDispatch', report: '04:15', expected: 315_000 },
+      { rowNumber: 7, site: 'NGA_20481_Ramoshie_Eaton', key: 'arrivalBreaches', report: 0, expected: 1 },
+      { rowNumber: 8, site: '(station total)', key: 'dispatches', report: 6, expected: 5 }
+    ]);
+    expect(result.mismatches[0].delta).toBe(-60_000);
+
+    const text = formatSlaCheck(result);
+    expect(text).toContain('row 4 [Cape Town / CEN_Central] Avg Time to Dispatch: report 4:15 ≠ recomputed 5:15');
+    expect(text).toContain('row 7 [Durban / NGA_20481_Ramoshie_Eaton] Arrival Breaches: report 0 ≠ recomputed 1');
+  });
+
+  test('targets change the breaches; missing stations and sites are reported', async () => {
+    const withoutDurban = CORRECT.filter((row) => row[0] !== 'Durban');
+    const result = checkSlaReport(parseSlaReport(slaWorkbook(withoutDurban), { headers: FORMAT }), EVENTS, {
+      targets: { ...TARGETS, timeToDispatchMs: 150_000 }
+    });
+
+    expect(result.missingInReport).toEqual([{ station: 'Durban', site: 'NGA_20481_Ramoshie_Eaton', dispatches: 2 }]);
+    // 3, 7.5 and (Durban) 4 min are over a 2.5 min target now
+    expect(result.mismatches.filter((m) => m.key === 'dispatchBreaches').map((m) => [m.rowNumber, m.report, m.expected])).toEqual([
+      [4, 1, 2],
+      [6, 1, 2],
+      [7, 1, 3]
+    ]);
+    expect(formatSlaCheck(result)).toContain('[Durban / NGA_20481_Ramoshie_Eaton]: 2 dispatch(es) but no report row');
+
+    // Not an SLA workbook
+    expect(() => parseSlaReport(Buffer.from('Site,Dispatches\nCEN,1', 'utf8'), { headers: FORMAT })).toThrow('[DispatchSlaChecker] No sheet with a station column (Station)');
+  });
+
+  test('targets and headers come from the caller, never from built-in guesses', async ({}, testInfo) => {
+    const report = parseSlaReport(slaWorkbook(), { headers: FORMAT });
+    expect(() => parseSlaReport(slaWorkbook())).toThrow('parseSlaReport needs options.headers');
+    expect(() => checkSlaReport(report, EVENTS)).toThrow('SLA targets are required (missing timeToDispatchMs, timeToArrivalMs)');
+    expect(() => checkSlaReport(report, EVENTS, { targets: { timeToDispatchMs: 300_000 } })).toThrow('(missing timeToArrivalMs)');
+
+    // Columns without a header are not checked
+    const { dispatches, station, site } = FORMAT;
+    expect(parseSlaReport(slaWorkbook(), { headers: { station, site, dispatches } }).columns.map((c) => c.key)).toEqual(['station', 'site', 'dispatches']);
+
+    expect(readSlaReportFormat('')).toBeNull();
+    const file = testInfo.outputPath('sla-format.json');
+    fs.writeFileSync(file, JSON.stringify({ targets: TARGETS, headers: FORMAT }));
+    expect(readSlaReportFormat(file)).toEqual({ targets: TARGETS, headers: FORMAT });
+    fs.writeFileSync(file, JSON.stringify({ headers: FORMAT }));
+    expect(() => readSlaReportFormat(file)).toThrow('SLA targets are required');
+  });
+});
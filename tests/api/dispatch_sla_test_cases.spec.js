@@ -0,0 +1,139 @@
+// tests/api/dispatch_sla_test_cases.spec.js
+import { test, expect } from '@playwright/test';
+import XLSX from 'xlsx';
+import {
+  readSlaTestCases,
+  planSlaTestCase,
+  planSlaTestCases,
+  formatSlaCoverage,
+  runSlaTestCase
+} from '../../backend/DispatchSlaTestCases.js';
+
+const AUTHOR = 'QA <qa@example.com>';
+const calls = (step) => step.ops.map((o) => `${o.target}.${o.method}`);
+
+function workbookFile(testInfo, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+  const file = testInfo.outputPath('cases.xlsx');
+  XLSX.writeFile(workbook, file);
+  return file;
+}
+
+/**
+ * DispatchSlaTestCases: QA workbook rows -> DispatchSLAReportsPage calls
+ */
+test.describe('Dispatch SLA workbook test cases', () => {
+  test('every case of the shipped workbook is read and planned', async () => {
+    const cases = readSlaTestCases();
+    expect(cases.map((c) => c.title)).toEqual([
+      'Navigate to Dispatch SLA Reports',
+      'Ensure a Dispatch SLA report can be created',
+      'Validation for Missing Mandatory Fields',
+      'Validation for an Invalid date',
+      'Ensure Future date should be disabled',
+      'Data displays correctly with Specific Station Filter',
+      'Ensure a user can select Multiple Sites',
+      'No data for report displayed on an empty report',
+      'Ensure Archive Functionality works',
+      'Download CSV Format',
+      'Download XLSX Format',
+      'Verify Time Range Selection'
+    ]);
+    expect(cases[0]).toMatchObject({ id: 'TC1', row: 1, state: 'New', automation: 'Not Automated' });
+    expect(cases[0].steps).toHaveLength(5);
+
+    const plans = planSlaTestCases(cases);
+    expect(plans.flatMap((plan) => plan.unmapped)).toEqual([]);
+    expect(plans.filter((plan) => !plan.automatable).map((plan) => [plan.id, plan.fixme])).toEqual([
+      ['TC8', 'needs filters with a known-empty data window']
+    ]);
+    expect(plans[10].warnings).toEqual(['title says XLSX but the steps select CSV']);
+    expect(formatSlaCoverage(plans)).toContain('11/12 workbook test case(s) automatable');
+  });
+
+  test('steps map onto page-object calls with defaults for unmentioned fields', async () => {
+    const [navigate, create, , invalidDate, , station, sites, , archive, csv, , timeRange] = planSlaTestCases(readSlaTestCases());
+
+    expect(navigate.steps.map(calls)).toEqual([[], [], [], ['shared.navigateToReportsSubmenu'], ['sla.openFromAlertReports', 'sla.verifyPageElements']]);
+    expect(navigate.steps[0].notes).toEqual(['authenticated in beforeEach', 'checked by authenticateAndSetup']);
+
+    expect(create.steps[0].ops).toEqual([
+      { target: 'shared', method: 'navigateToReportsSubmenu', args: ['Alert Reports'] },
+      { target: 'sla', method: 'openFromAlertReports', args: [] },
+      { target: 'sla', method: 'clickCreateNew', args: [] }
+    ]);
+    expect(create.steps[1].rules).toEqual(['reportName', 'format', 'dates', 'times', 'station', 'site', 'submit']);
+    expect(calls(create.steps[1]).slice(-3)).toEqual(['sla.submitReportCreation', 'sla.verifyReportInList', 'sla.waitForReportProcessing']);
+
+    expect(invalidDate.steps[1].ops).toEqual([{ target: 'sla', method: 'expectDayDisabled', args: ['to', -1] }]);
+
+    // "Select a specific station filter ... click Continue": name, format, dates and times are filled in
+    expect(calls(station.steps[1])).toEqual([
+      'sla.fillReportDetails', 'sla.selectFileFormat', 'sla.setDateRange', 'sla.setTimeRange', 'sla.selectStation',
+      'sla.submitReportCreation', 'sla.waitForReportProcessing', 'sla.downloadReportFile', 'check.downloadedFile'
+    ]);
+    expect(station.steps[1].ops.at(-1).args).toEqual([{ contains: 'Cape town' }]);
+    expect(sites.steps[1].ops.find((o) => o.method === 'selectSites').args).toEqual([['CEN', 'BDFD']]);
+    expect(calls(archive.steps[1]).slice(-2)).toEqual(['sla.archiveReport', 'sla.expectArchived']);
+    expect(csv.steps[1].ops.find((o) => o.method === 'selectFileFormat').args).toEqual(['csv']);
+    expect(timeRange.steps[1].ops).toEqual([
+      { target: 'sla', method: 'setTimeRange', args: ['00:00:00', '23:59:59'] },
+      { target: 'sla', method: 'expectTimeRange', args: ['00:00:00', '23:59:59'] }
+    ]);
+  });
+
+  test('unrecognised steps, expectations and shared steps are reported', async ({}, testInfo) => {
+    const file = workbookFile(testInfo, [
+      ['Export to PDF', null, null, AUTHOR, 'New', 'Not Automated'],
+      [null, 'Shared steps 11111: Login and open something else'],
+      [null, 'Select .pdf format, click "Continue".', 'PDF opens in a new tab'],
+      [],
+      ['Station report for Durban', null, null, AUTHOR, 'New', 'Not Automated'],
+      [null, 'Shared steps 29775: Login, Navigate to Dispatch SLA report and Click on Create new Button'],
+      [null, 'Select a specific station filter and verify data consistency, click "Continue".', 'Generated report accurately reflects data filtered by selected station only.']
+    ]);
+    const [pdf, durban] = readSlaTestCases(file);
+    expect(pdf.steps.map((s) => s.row)).toEqual([2, 3]);
+    expect(durban).toMatchObject({ id: 'TC2', row: 5 });
+
+    const plan = planSlaTestCase(pdf);
+    expect(plan.automatable).toBe(false);
+    expect(plan.unmapped).toEqual([
+      { row: 2, column: 'step', text: 'Shared steps 11111: Login and open something else', reason: 'no shared steps registered for id 11111' },
+      { row: 3, column: 'expected', text: 'PDF opens in a new tab', reason: 'no rule matches this expected result' }
+    ]);
+    expect(formatSlaCoverage([plan])).toContain('❌ TC1: Export to PDF (row 1');
+
+    // Values come from options, e.g. another station
+    const durbanPlan = planSlaTestCase(durban, { values: { station: 'Durban' } });
+    expect(durbanPlan.automatable).toBe(true);
+    expect(durbanPlan.steps[1].ops.find((o) => o.method === 'selectStation').args).toEqual(['Durban']);
+    expect(durbanPlan.steps[1].ops.at(-1).args).toEqual([{ contains: 'Durban' }]);
+  });
+
+  test('a submitted report is archived when the case ends, even when it fails', async ({}, testInfo) => {
+    const log = [];
+    const reports = {
+      registry: { record: (event, report, details) => log.push(`${event} ${report.type} ${report.name === reportName} ${details.testId === testInfo.testId}`) },
+      cleanup: async ({ scope }) => log.push(`cleanup ${scope}`)
+    };
+    let reportName;
+    const slaPage = {
+      fillReportDetails: async (name) => { reportName = name; log.push('fill'); },
+      submitReportCreation: async () => log.push('submit'),
+      waitForReportProcessing: async () => { throw new Error('Report failed'); }
+    };
+    const step = (row, ...methods) => ({ row, action: `row ${row}`, ops: methods.map((method) => ({ target: 'sla', method, args: method === 'fillReportDetails' ? ['<reportName>'] : [] })) });
+    const plan = { id: 'TC2', title: 'Ensure a Dispatch SLA report can be created', steps: [step(2, 'fillReportDetails', 'submitReportCreation'), step(3, 'waitForReportProcessing')] };
+
+    await expect(runSlaTestCase(plan, { slaPage, testInfo, reports })).rejects.toThrow('Report failed');
+    expect(reportName).toMatch(/^Ensure a Dispatch SLA report can be created e2e-\d{8}T\d{6}Z$/);
+    expect(log).toEqual(['fill', 'created dispatchSla true true', 'submit', 'cleanup test']);
+
+    // Nothing submitted, nothing to archive
+    log.length = 0;
+    await runSlaTestCase({ ...plan, steps: [step(2, 'fillReportDetails')] }, { slaPage, testInfo, reports });
+    expect(log).toEqual(['fill']);
+  });
+});
@@ -0,0 +1,152 @@
+// tests/api/elasticsearch_query.spec.js
+import { test, expect } from '@playwright/test';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ElasticsearchClient from '../../backend/elasticsearch-client.js';
+import { DispatchQuery, TIE_BREAKERS } from '../../backend/DispatchQuery.js';
+import { LocalElasticsearchServer } from '../../backend/LocalElasticsearchServer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.resolve(__dirname, '../../test/data/elasticsearch/proof360-dispatch.json');
+
+/**
+ * ElasticsearchClient.query() against the local stand-in: filters, absolute windows,
+ * search_after paging, counts and polling for a freshly indexed dispatch
+ */
+test.describe('Elasticsearch dispatch queries', () => {
+  let server;
+  let client;
+
+  test.beforeAll(async () => {
+    server = new LocalElasticsearchServer({ fixtures: [FIXTURES] });
+    await server.start();
+    client = new ElasticsearchClient({ url: server.url, index: 'proof360-dispatch*', apiKey: server.apiKey });
+  });
+
+  test.afterAll(async () => {
+    await server?.stop();
+  });
+
+  const ids = (records) => records.map((record) => record.dispatchId);
+
+  test('builder produces a plain _search body', async () => {
+    const body = new DispatchQuery()
+      .company('Automation company')
+      .proofStatus(['Dispatched', 'Closed'])
+      .between(new Date('2025-10-28T00:00:00Z'), '2025-10-28T12:00:00Z')
+      .size(5)
+      .after([1761645000000])
+      .toBody();
+
+    expect(body).toEqual({
+      size: 5,
+      sort: [{ actionTimestamp: { order: 'desc' } }, ...TIE_BREAKERS],
+      query: {
+        bool: {
+          must: [{ match_phrase: { companyName: 'Automation company' } }],
+          filter: [
+            {
+              bool: {
+                should: [{ match_phrase: { proofStatus: 'Dispatched' } }, { match_phrase: { proofStatus: 'Closed' } }],
+                minimum_should_match: 1
+              }
+            },
+            { range: { actionTimestamp: { gte: '2025-10-28T00:00:00.000Z', lte: '2025-10-28T12:00:00Z' } } }
+          ]
+        }
+      },
+      _source: expect.arrayContaining(['dispatchId', 'incidentId', 'responderStatus']),
+      search_after: [1761645000000]
+    });
+  });
+
+  test('filters by dispatch id in any id field, incident id and statuses', async () => {
+    const byId = async (id) => ids((await client.search(client.query().dispatchId(id).since('now-7d'))).records);
+    expect(await byId('D-1001')).toEqual(['D-1001']);
+    expect(await byId('CO-1001')).toEqual(['D-1001']); // callout id of the same dispatch
+    expect(await byId('D-1000')).toEqual(['D-1000']); // internalDispatchId
+
+    const incident = await client.search(client.query().incidentId('INC-5002'));
+    expect(ids(incident.records)).toEqual(['CO-77']);
+    expect(incident.records[0].siteName).toBe('NGA_20481_Ramoshie_Eaton');
+
+    const enRoute = await client.search(client.query().proofStatus('Dispatched').responderStatus('En Route'));
+    expect(ids(enRoute.records)).toEqual(['V-2001', 'CO-77']);
+
+    const types = await client.search(client.query().company('Automation company').alertType(['Trex', 'LPR']));
+    expect(ids(types.records)).toEqual(['CO-77', 'D-1000']);
+  });
+
+  test('absolute time window replaces the now-5m..now-7d loop', async () => {
+    const now = Date.now();
+    const window = client.query().company('Automation company').between(new Date(now - 3 * 3_600_000), new Date(now));
+    expect(ids((await client.search(window)).records)).toEqual(['D-1001', 'CO-77', 'D-1000']);
+
+    const site = window.clone().site('WVRD_9th Ave and JG Strydom Rd_62').size(1);
+    expect(ids((await client.search(site)).records)).toEqual(['D-1001']);
+  });
+
+  test('search_after pages through every match', async () => {
+    const query = client.query().company('Automation company').since('now-7d').size(2);
+
+    const first = await client.search(query);
+    expect(first.total).toBe(4);
+    expect(ids(first.records)).toEqual(['D-1001', 'CO-77']);
+    expect(first.nextAfter).toEqual([expect.any(Number), null, null, null, 'CO-77']);
+
+    const second = await client.search(query.clone().after(first.nextAfter));
+    expect(ids(second.records)).toEqual(['D-1000', 'D-0999']);
+
+    const third = await client.search(query.clone().after(second.nextAfter));
+    expect(third.records).toEqual([]);
+    expect(third.nextAfter).toBeUndefined();
+
+    expect(ids(await client.searchAll(query))).toEqual(['D-1001', 'CO-77', 'D-1000', 'D-0999']);
+    await expect(client.searchAll(query, { maxPages: 1 })).rejects.toThrow(/stopped after 1 pages \(2 records\) with more matches left/);
+  });
+
+  test('countBy returns document counts per value', async () => {
+    const automation = client.query().company('Automation company').since('now-7d');
+    expect(await client.countBy('proofStatus', automation)).toEqual({ Dispatched: 2, Closed: 2 });
+    expect(await client.countBy('companyName')).toEqual({ 'Automation company': 4, Vodacom: 1, Vumacam: 1 });
+  });
+
+  test('waitForDocument polls until the dispatch is indexed', async () => {
+    const timer = setTimeout(() => {
+      server.index('proof360-dispatch-2025.10', {
+        dispatchId: 'D-2000',
+        incidentId: 'INC-7000',
+        companyName: 'Automation company',
+        siteName: 'WVRD_9th Ave and JG Strydom Rd_62',
+        actionTimestamp: new Date().toISOString(),
+        proofStatus: 'Dispatched'
+      }, 'fx-late');
+    }, 300);
+
+    try {
+      const record = await client.waitForDocument((r) => r.incidentId === 'INC-7000', 5000, { interval: 100 });
+      expect(record.dispatchId).toBe('D-2000');
+
+      const byQuery = await client.waitForDocument(client.query().dispatchId('D-2000'), 1000, { interval: 100 });
+      expect(byQuery.incidentId).toBe('INC-7000');
+    } finally {
+      clearTimeout(timer);
+    }
+
+    await expect(client.waitForDocument(client.query().incidentId('INC-404'), 300, { interval: 100 }))
+      .rejects.toThrow(/timed out after 300ms/);
+  });
+
+  test('pages through dispatches that share a timestamp without skipping or repeating', async () => {
+    const at = new Date(Date.now() - 60_000).toISOString();
+    for (const id of ['T-3', 'T-1', 'T-4', 'T-2', 'T-5']) {
+      server.index('proof360-dispatch-ties', { dispatchId: id, companyName: 'Tie company', actionTimestamp: at }, `fx-${id}`);
+    }
+
+    const query = client.query().company('Tie company').since('now-1h').sortBy('actionTimestamp', 'asc').size(2);
+    expect(query.toBody().sort.map((sort) => Object.keys(sort)[0])).toEqual([
+      'actionTimestamp', 'dispatchId.keyword', 'internalDispatchId.keyword', 'id.keyword', 'responseData.callout.calloutid.keyword'
+    ]);
+    expect(ids(await client.searchAll(query))).toEqual(['T-1', 'T-2', 'T-3', 'T-4', 'T-5']);
+  });
+});
@@ -0,0 +1,63 @@
+// tests/api/environment_profile.spec.js
+import { test, expect } from '@playwright/test';
+import { interpolate, listProfiles, loadProfile, eventGridConfig, missingSettings } from '../../utils/profile.js';
+
+/**
+ * profiles/*.json resolution (utils/profile.js)
+ */
+test.describe('Environment profiles', () => {
+  test('resolves ${VAR} and ${VAR:-default} placeholders, including nested defaults', async () => {
+    const env = { UB: 'UB site', EMPTY: '' };
+
+    expect(interpolate('${UB}', env)).toBe('UB site');
+    expect(interpolate('${MISSING}', env)).toBe('');
+    expect(interpolate('${EMPTY:-fallback}', env)).toBe('fallback');
+    expect(interpolate('${object_motion:-${UB:-default}}', env)).toBe('UB site');
+    expect(interpolate('${object_motion:-${NOPE:-default}}', env)).toBe('default');
+    expect(interpolate('https://${HOST:-uat.proof360.io}/api', env)).toBe('https://uat.proof360.io/api');
+    expect(() => interpolate('${UNTERMINATED', env)).toThrow('Unterminated placeholder');
+  });
+
+  test('every profile defines the same sections', async () => {
+    const names = listProfiles();
+    expect(names).toEqual(expect.arrayContaining(['local', 'staging', 'uat']));
+
+    const shape = (profile) => Object.keys(profile).filter((key) => key !== 'description').sort();
+    const expected = shape(loadProfile('uat'));
+    for (const name of names) {
+      const profile = loadProfile(name);
+      expect(profile.name).toBe(name);
+      expect(shape(profile)).toEqual(expected);
+      expect(Object.keys(profile.sites).sort()).toEqual(Object.keys(loadProfile('uat').sites).sort());
+    }
+  });
+
+  test('local profile points at the Event Grid stand-in', async () => {
+    const cfg = eventGridConfig(loadProfile('local'));
+
+    expect(cfg.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/api\/events$/);
+    expect(cfg.saskey).toBeTruthy();
+    expect(cfg.topic).toBe('local-eventgridtopic-alerts');
+    expect(cfg.trexPublicUrl).toBe(cfg.url);
+  });
+
+  test('reports unresolved settings with the variables that fill them', async () => {
+    const saved = { STAGING_URL: process.env.STAGING_URL, STAGING_SASKEY: process.env.STAGING_SASKEY };
+    delete process.env.STAGING_URL;
+    delete process.env.STAGING_SASKEY;
+    try {
+      expect(missingSettings(['eventGrid.url', 'eventGrid.sasKey', 'eventGrid.topics.alerts'], 'staging')).toEqual([
+        { setting: 'eventGrid.url', variables: ['STAGING_URL'] },
+        { setting: 'eventGrid.sasKey', variables: ['STAGING_SASKEY'] }
+      ]);
+    } finally {
+      for (const [name, value] of Object.entries(saved)) {
+        if (value !== undefined) process.env[name] = value;
+      }
+    }
+  });
+
+  test('unknown profiles fail with the available names', async () => {
+    expect(() => loadProfile('nope')).toThrow(/Unknown environment profile 'nope'\. Available: .*uat/);
+  });
+});
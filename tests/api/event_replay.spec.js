@@ -0,0 +1,71 @@
+// tests/api/event_replay.spec.js
+import { test, expect } from '@playwright/test';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { replayEventLog, readEventLog } from '../../backend/EventReplay.js';
+import { fetchReceivedEvents, clearReceivedEvents } from '../../backend/LocalEventGridServer.js';
+import { eventGridConfig } from '../../utils/profile.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SAMPLE = path.resolve(__dirname, '../../test/data/event-replay-sample.jsonl');
+const INVALID = path.resolve(__dirname, '../../test/data/event-replay-invalid.jsonl');
+
+/**
+ * Replays test/data/event-replay-sample.jsonl (UB, Trex, second UB frame, LPR over 1s)
+ */
+test.describe('Event replay', () => {
+  const localUrl = process.env.EVENT_GRID_LOCAL_URL;
+
+  test('skips lines that are not Event Grid envelopes', async () => {
+    expect(readEventLog(SAMPLE)).toHaveLength(4);
+    // Plain JSON, broken JSON, an empty array and an envelope without its fields, then one real envelope
+    const posts = readEventLog(INVALID);
+    expect(posts.map((p) => p.line)).toEqual([6]);
+    expect(posts[0].events[0].id).toBe('3f9d1c8e-5b1a-4c59-9a5e-0c2b6a1d7e01');
+  });
+
+  test('rewrites ids, timestamps and topics for the target environment', async () => {
+    const results = await replayEventLog(SAMPLE, {
+      speed: Infinity,
+      dryRun: true,
+      topics: { 'iSentry Event': 'uat-isentry', 'Vumacam.LPR.AlertDispatchedEvent': 'uat-alerts' }
+    });
+    const [ub, trex, ub2, lpr] = results.flatMap((r) => r.events);
+
+    expect(ub.id).not.toBe('3f9d1c8e-5b1a-4c59-9a5e-0c2b6a1d7e01');
+    expect(ub.topic).toBe('uat-isentry');
+    expect(trex.topic).toBe('prod-eventgridtopic-isentry-firefly-alerts'); // no override given
+    expect(lpr.topic).toBe('uat-alerts');
+    expect(lpr.subject).toBe('uat-alerts');
+
+    // Both UB frames belonged to one alert and still do
+    expect(ub2.data.ref).toBe(ub.data.ref);
+    expect(ub2.data.ref).not.toBe('a1b2c3d4-0000-4000-8000-000000000001');
+    expect(ub2.data.data.frames[0].AlertFrame.FrameID).not.toBe(ub.data.data.frames[0].AlertFrame.FrameID);
+
+    // Configuration ids and timestamps are kept, event times moved to now
+    expect(lpr.data.data.levelOfIncidence.id).toBe('05ce87af-55c0-477e-a148-73c708a859a6');
+    expect(lpr.data.data.levelOfIncidence.timeCreated).toBe('2022-11-06T13:48:58.843Z');
+    expect(Date.now() - Date.parse(ub.eventTime)).toBeLessThan(60_000);
+    const frame = ub.data.data.frames[0].AlertFrame;
+    expect(frame.Timestamp).toBe(Date.parse(frame.TimestampUTC));
+  });
+
+  test('replays with compressed original timing', async () => {
+    test.skip(!localUrl, 'Only runs against the local Event Grid stand-in');
+    await clearReceivedEvents(localUrl);
+
+    const results = await replayEventLog(SAMPLE, { speed: 2 });
+
+    expect(results.every((r) => r.ok)).toBeTruthy();
+    // 1s of original traffic at 2x
+    expect(results[3].sentAt - results[0].sentAt).toBeGreaterThanOrEqual(450);
+
+    const received = await fetchReceivedEvents(localUrl);
+    expect(received.map((e) => e.eventType)).toEqual([
+      'iSentry Event', 'iSentry Firefly Event', 'iSentry Event', 'Vumacam.LPR.AlertDispatchedEvent'
+    ]);
+    expect(received[0].topic).toBe(eventGridConfig().isentryTopic);
+    expect(received[3].topic).toBe(eventGridConfig().topic);
+  });
+});
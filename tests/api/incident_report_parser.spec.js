@@ -0,0 +1,162 @@
+// tests/api/incident_report_parser.spec.js
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  parseIncidentReport,
+  parseIncidentReportText,
+  validateIncidentReport,
+  formatIncidentReport
+} from '../../backend/reports/IncidentReportParser.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SAMPLE_PDF = path.resolve(__dirname, '../../test/data/05-versions-space.pdf');
+
+const FOOTER = (page, of) => ['Powered by ', 'Confidential - Do not Distribute', `${page} / ${of}`];
+const TITLE_PAGE = (of) => [
+  '', '28 October 2025', 'Incident Report', 'Night shift',
+  'Reports are created in GMT standard time for consistency, all times in the report are adjusted to your local time zone.',
+  ...FOOTER(1, of)
+];
+
+/**
+ * IncidentReportParser: sections and fields of Incident Report PDFs
+ */
+test.describe('Incident report parser', () => {
+  test('sample PDF is split into header, incident and timeline', async () => {
+    const report = await parseIncidentReport(SAMPLE_PDF);
+
+    expect(report.pages).toBe(3);
+    expect(report.header).toMatchObject({ reportDate: '2025-10-28', title: 'Incident Report', reportName: 'Automation test', timeZone: 'GMT' });
+    expect(report.sections).toEqual([
+      { name: 'header', page: 1 },
+      { name: 'incident', page: 2, index: 0 },
+      { name: 'timeline', page: 2, index: 0 }
+    ]);
+    expect(report.map).toBeNull();
+    expect(report.branding).toEqual({ poweredBy: [1, 2, 3], confidential: [1, 2, 3], pageNumbers: ['1 / 3', '2 / 3', '3 / 3'] });
+
+    const { incident } = report;
+    expect(incident).toMatchObject({
+      site: 'NGA_20481_Ramoshie_Eaton',
+      incidentId: '9EFF0062-7FB1-4078-AE40-6C299137C77C',
+      status: 'Resolved',
+      startUtc: '2025-10-28T10:01:04.000Z',
+      endUtc: '2025-10-28T10:12:18.000Z',
+      duration: { hours: 0, minutes: 11 },
+      alerts: { count: 2, byType: { Trex: 2 } }
+    });
+
+    expect(incident.timeline).toHaveLength(17);
+    expect(incident.timeline[0]).toMatchObject({
+      actor: 'System', action: 'Incident created', alert: { number: 1, type: 'Trex', source: 'NGA_20481_Ramoshie_Eaton.OUT1_O' }
+    });
+    expect(incident.timeline[7]).toMatchObject({ actor: 'System', action: 'Alert received', alert: { number: 2, type: 'Trex' } });
+    expect(incident.timeline.at(-1)).toMatchObject({ timestamp: '2025-10-28 10:12:18', actor: 'Proof360 Test', action: 'Resolved POSITIVE', page: 3 });
+    expect(incident.operatorNotes.slice(0, 2)).toEqual([
+      { timestamp: '2025-10-28 10:02:07', actor: 'Proof360 Test', action: 'SOP', label: 'SOP', value: 'Question' },
+      { timestamp: '2025-10-28 10:02:07', actor: 'Proof360 Test', action: 'SOP', label: 'Response', value: 'yes' }
+    ]);
+
+    expect(validateIncidentReport(report)).toEqual({ ok: true, issues: [] });
+  });
+
+  test('expected field values and lifecycle order', async () => {
+    const report = await parseIncidentReport(fs.readFileSync(SAMPLE_PDF));
+
+    const matching = validateIncidentReport(report, {
+      reportName: 'automation test',
+      incidentId: '9EFF0062-7FB1-4078-AE40-6C299137C77C',
+      site: 'NGA_20481_Ramoshie_Eaton',
+      status: 'Resolved',
+      alertType: 'Trex',
+      actions: ['Incident created', 'Dispatch Created', 'Responder Dispatched', 'Responder Arrived', 'Responder Completed'],
+      sections: ['header', 'incident', 'timeline'],
+      map: false
+    });
+    expect(matching.issues).toEqual([]);
+
+    const result = validateIncidentReport(report, {
+      status: 'Dismissed',
+      alertType: 'LPR',
+      actions: ['Responder Arrived', 'Dispatch Created'],
+      map: true
+    });
+    expect(result.issues).toEqual([
+      { check: 'status', message: 'expected "Dismissed", found "Resolved"' },
+      { check: 'alertType', message: 'no LPR alerts (found Trex)' },
+      { check: 'actions', message: '"Dispatch Created" not found after "Responder Arrived"' },
+      { check: 'map', message: 'no map page' }
+    ]);
+    expect(formatIncidentReport(report, result)).toContain('[actions] "Dispatch Created" not found after "Responder Arrived"');
+  });
+
+  test('several incidents, operator comments and an image-only map page', async () => {
+    const text = [
+      ...TITLE_PAGE(3),
+      '',
+      'WVRD_9th Ave and JG Strydom Rd_62',
+      '2025-10-28 08:00:00 - 2025-10-28 08:30:00 (0 hrs 30 min)',
+      'Incident ID: 0A1B2C3D-0000-4000-8000-000000000001',
+      'Status: Dismissed',
+      '1 Alert: 1 LPR',
+      '2025-10-28 08:00:00 - Incident created  -     System - LPR - WVRD_62.CAM1 - [1]',
+      '2025-10-28 08:10:00 -  Operator One - Comment ',
+      'Gate was open, no vehicle',
+      '2025-10-28 08:30:00 -  Operator One - Dismissed ',
+      'MCLN_Berea Str and Bourke Str_20.4_A',
+      '2025-10-28 09:00:00 - 2025-10-28 10:05:00 (1 hrs 5 min)',
+      'Incident ID: 0A1B2C3D-0000-4000-8000-000000000002',
+      'Status: Not resolved',
+      '2 Alerts: 1 Object Motion, 1 Unusual Behaviour',
+      '2025-10-28 09:00:00 - Incident created  -     System - Object Motion - MCLN_20.4.CAM2 - [1]',
+      '2025-10-28 09:04:00 -  System  Unusual Behaviour  -  MCLN_20.4.CAM3  - [2]',
+      ...FOOTER(2, 3),
+      '',
+      ...FOOTER(3, 3)
+    ].join('\n');
+    const report = parseIncidentReportText(text);
+
+    expect(report.pages).toBe(3);
+    expect(report.header.reportName).toBe('Night shift');
+    expect(report.incidents.map((i) => [i.site, i.status])).toEqual([
+      ['WVRD_9th Ave and JG Strydom Rd_62', 'Dismissed'],
+      ['MCLN_Berea Str and Bourke Str_20.4_A', 'Not resolved']
+    ]);
+    expect(report.incidents[0].operatorNotes).toEqual([
+      { timestamp: '2025-10-28 08:10:00', actor: 'Operator One', action: 'Comment', label: null, value: 'Gate was open, no vehicle' }
+    ]);
+    expect(report.incidents[1].alerts.byType).toEqual({ 'Object Motion': 1, 'Unusual Behaviour': 1 });
+    expect(report.incidents[1].timeline[1].alert).toEqual({ number: 2, type: 'Unusual Behaviour', source: 'MCLN_20.4.CAM3' });
+    expect(report.map).toEqual({ page: 3, label: null });
+    expect(report.sections.map((s) => s.name)).toEqual(['header', 'incident', 'timeline', 'incident', 'timeline', 'map']);
+    expect(validateIncidentReport(report).issues).toEqual([]);
+  });
+
+  test('structural problems are reported per check', async () => {
+    const text = [
+      '', 'Incident Report', 'Broken', 'Powered by ', '1 / 2',
+      '',
+      'WVRD_9th Ave and JG Strydom Rd_62',
+      '2025-10-28 08:00:00 - 2025-10-28 08:30:00 (0 hrs 45 min)',
+      'Incident ID: 12345',
+      'Status: Resolved',
+      '3 Alerts: 2 LPR',
+      '2025-10-28 08:20:00 - Incident created  -     System - LPR - WVRD_62.CAM1 - [1]',
+      '2025-10-28 08:10:00 -  Operator One - Escalated ',
+      '2025-10-28 08:40:00 -  Operator One - Reserve ',
+      'Powered by ', 'Confidential - Do not Distribute', '2 / 3'
+    ].join('\n');
+    const { ok, issues } = validateIncidentReport(parseIncidentReportText(text, { numpages: 2 }));
+
+    expect(ok).toBe(false);
+    expect(issues.map((issue) => issue.check)).toEqual([
+      'reportDate', 'gmtNotice', 'incidentId', 'duration', 'timelineOrder', 'timelineWindow',
+      'alerts', 'alerts', 'status', 'branding', 'pageNumbers'
+    ]);
+    expect(issues.find((issue) => issue.check === 'duration').message).toBe('stated 45 min, time range is 30 min');
+    expect(issues.find((issue) => issue.check === 'branding').message).toBe('"Confidential" footer missing on page(s) 1');
+    expect(issues.find((issue) => issue.check === 'pageNumbers').message).toBe('page numbers 1 / 2, 2 / 3; expected 1 / 2, 2 / 2');
+  });
+});
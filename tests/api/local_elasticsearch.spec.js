@@ -0,0 +1,114 @@
+// tests/api/local_elasticsearch.spec.js
+import { test, expect } from '@playwright/test';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ElasticsearchClient from '../../backend/elasticsearch-client.js';
+import { LocalElasticsearchServer, resolveDateMath } from '../../backend/LocalElasticsearchServer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.resolve(__dirname, '../../test/data/elasticsearch/proof360-dispatch.json');
+
+/**
+ * ElasticsearchClient dispatch lookups against the local stand-in, seeded from
+ * test/data/elasticsearch/proof360-dispatch.json (timestamps are relative to "now")
+ */
+test.describe('Local Elasticsearch stand-in', () => {
+  let server;
+  let client;
+  let saved;
+
+  test.beforeAll(async () => {
+    server = new LocalElasticsearchServer({ fixtures: [FIXTURES] });
+    await server.start();
+
+    // Point the local profile at this instance
+    saved = { ENVIRONMENT: process.env.ENVIRONMENT, ELASTICSEARCH_LOCAL_URL: process.env.ELASTICSEARCH_LOCAL_URL };
+    process.env.ENVIRONMENT = 'local';
+    process.env.ELASTICSEARCH_LOCAL_URL = server.url;
+    client = new ElasticsearchClient();
+  });
+
+  test.afterAll(async () => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await server?.stop();
+  });
+
+  test('client connects through the local profile', async () => {
+    expect(client.baseURL).toBe(server.url);
+    expect(await client.testConnection()).toBe(true);
+
+    const wrongKey = new ElasticsearchClient({ apiKey: 'wrong-key' });
+    expect(await wrongKey.testConnection()).toBe(false);
+  });
+
+  test('getLatestDispatchId returns the newest matching dispatch', async () => {
+    expect(await client.getLatestDispatchId()).toBe('D-1001');
+    expect(await client.getLatestDispatchId({ companyName: 'Vodacom', siteName: '', timeRange: 'now-1h' })).toBe('V-2001');
+    expect(await client.getLatestDispatchId({ companyName: 'Vodacom', timeRange: 'now-1h' })).toBeNull();
+  });
+
+  test('site filter matches site, group or asset name as a phrase', async () => {
+    expect(await client.getLatestDispatchId({ siteName: 'WVRD_9th Ave' })).toBe('D-1001');
+    // Like the real analyzer, "WVRD" is not a token of "WVRD_9th"
+    expect(await client.getLatestDispatchId({ siteName: 'WVRD' })).toBeNull();
+    // Group match, dispatch id taken from responseData.callout.calloutid
+    expect(await client.getLatestDispatchId({ siteName: 'NGA_20481_Ramoshie_Eaton' })).toBe('CO-77');
+    expect(await client.getLatestDispatchId({ companyName: 'Vumacam', siteName: 'LYNWRD_#70 Maldon Rd _01.1_A' })).toBe('U-3001');
+  });
+
+  test('time range and sort follow the query', async () => {
+    const day = await client.searchDispatches({ siteName: '', timeRange: 'now-24h' });
+    expect(day.map((d) => d.dispatchId)).toEqual(['D-1001', 'CO-77', 'D-1000']);
+
+    const twoDays = await client.searchDispatches({ siteName: '', timeRange: 'now-48h' });
+    expect(twoDays.map((d) => d.dispatchId)).toEqual(['D-1001', 'CO-77', 'D-1000', 'D-0999']);
+
+    expect(await client.getLatestDispatchId({ siteName: '', timeRange: 'now-5m' })).toBeNull();
+  });
+
+  test('_source filtering and hit totals match Elasticsearch', async () => {
+    const result = await client.searchDispatchRecords({ siteName: '', size: 1 });
+
+    expect(result.hits.total).toEqual({ value: 3, relation: 'eq' });
+    expect(result.hits.hits).toHaveLength(1);
+    expect(result.hits.hits[0]._source).toEqual({
+      dispatchId: 'D-1001',
+      responseData: { callout: { calloutid: 'CO-1001', acknowledged: true } },
+      companyName: 'Automation company',
+      siteName: 'WVRD_9th Ave and JG Strydom Rd_62',
+      alertType: 'Unusual Behaviour',
+      actionTimestamp: expect.any(String),
+      proofStatus: 'Dispatched'
+    });
+  });
+
+  test('unsupported queries are rejected like Elasticsearch does', async () => {
+    const res = await fetch(`${server.url}/proof360-dispatch*/_search`, {
+      method: 'POST',
+      headers: { Authorization: `ApiKey ${server.apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: { fuzzy: { siteName: 'WVRD' } } })
+    });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toEqual({ type: 'parsing_exception', reason: 'unknown query [fuzzy]' });
+
+    // Elasticsearch 8 has no fielddata on _id by default
+    const byId = await fetch(`${server.url}/proof360-dispatch*/_search`, {
+      method: 'POST',
+      headers: { Authorization: `ApiKey ${server.apiKey}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sort: [{ actionTimestamp: 'desc' }, { _id: { order: 'asc' } }] })
+    });
+    expect(byId.status).toBe(400);
+    expect((await byId.json()).error).toMatchObject({ type: 'illegal_argument_exception', reason: expect.stringMatching(/^Fielddata access on the _id field is disallowed/) });
+  });
+
+  test('date math resolves relative to now', async () => {
+    const now = Date.parse('2025-10-28T10:17:42.000Z');
+    expect(new Date(resolveDateMath('now-24h', now)).toISOString()).toBe('2025-10-27T10:17:42.000Z');
+    expect(new Date(resolveDateMath('now-1d/d', now)).toISOString()).toBe('2025-10-27T00:00:00.000Z');
+    expect(new Date(resolveDateMath('now+1M', now)).toISOString()).toBe('2025-11-28T10:17:42.000Z');
+    expect(resolveDateMath('2025-10-01T00:00:00Z')).toBe(Date.parse('2025-10-01T00:00:00Z'));
+  });
+});
@@ -0,0 +1,140 @@
+// tests/api/local_event_grid.spec.js
+import { test, expect, request } from '@playwright/test';
+import { EventPublisher } from '../../backend/EventPublisher.js';
+import { ApiHelper } from '../../backend/ApiHelper.js';
+import { fetchReceivedEvents, clearReceivedEvents } from '../../backend/LocalEventGridServer.js';
+import { eventGridConfig } from '../../utils/profile.js';
+import { isoTimestamp, guid } from '../../utils/api.js';
+
+/**
+ * Payload checks against the local Event Grid stand-in (playwright.api.config.js).
+ * Skipped when publishing to a real Event Grid endpoint.
+ */
+test.describe('Local Event Grid stand-in', () => {
+  const localUrl = process.env.EVENT_GRID_LOCAL_URL;
+
+  test.skip(!localUrl, 'Only runs against the local Event Grid stand-in');
+
+  test.beforeEach(async () => {
+    await clearReceivedEvents(localUrl);
+  });
+
+  test('EventPublisher alerts arrive with a valid envelope', async () => {
+    const publisher = new EventPublisher();
+
+    expect((await publisher.trexPublic()).ok).toBeTruthy();
+    expect((await publisher.trexPrivate()).ok).toBeTruthy();
+    const ubResult = await publisher.unusualBehaviour();
+    expect(ubResult.ok).toBeTruthy();
+    expect((await publisher.publicLpr()).ok).toBeTruthy();
+
+    const firefly = await fetchReceivedEvents(localUrl, { eventType: 'iSentry Firefly Event' });
+    expect(firefly).toHaveLength(2);
+    expect(firefly[0].topic).toBe(eventGridConfig().isentryFireflyTopic);
+    expect(firefly[0].data.type).toBe('Trex');
+
+    const ub = await fetchReceivedEvents(localUrl, { eventType: 'iSentry Event' });
+    expect(ub).toHaveLength(1);
+    expect(ub[0].dataVersion).toBe('4.0');
+    expect(ub[0].data.data.reason).toBe('Unusual Behaviour');
+
+    // Publish results carry the identifiers that were actually sent
+    expect(ubResult).toMatchObject({
+      alertType: 'unusual_behaviour',
+      eventId: ub[0].id,
+      ref: ub[0].data.ref,
+      localId: ub[0].data.data.localId,
+      deviceId: ub[0].data.deviceIdList[0],
+      cardLabel: 'Unusual Behaviour'
+    });
+
+    const lpr = await fetchReceivedEvents(localUrl, { eventType: 'Vumacam.LPR.AlertDispatchedEvent' });
+    expect(lpr).toHaveLength(1);
+    expect(lpr[0].topic).toBe(eventGridConfig().topic);
+    expect(lpr[0].data.data.voiSource).toBe('Public');
+  });
+
+  test('ApiHelper aliases publish the additional alert types', async () => {
+    const apiHelper = new ApiHelper();
+
+    expect((await apiHelper.sendAlert('object_motion')).ok).toBeTruthy();
+    expect((await apiHelper.sendAlert('isentry', { reason: 'Loitering' })).ok).toBeTruthy();
+    expect((await apiHelper.sendAlert('super_voi')).ok).toBeTruthy();
+
+    const isentry = await fetchReceivedEvents(localUrl, { eventType: 'iSentry Event' });
+    expect(isentry.map((event) => event.data.data.reason)).toEqual(['Object Motion', 'Loitering']);
+
+    const [lpr] = await fetchReceivedEvents(localUrl, { eventType: 'Vumacam.LPR.AlertDispatchedEvent' });
+    expect(lpr.data.data.isSuperVOI).toBe(true);
+    expect(lpr.data.data.voiSource).toBe('Private');
+  });
+
+  test('load mode batches events and reports statistics', async () => {
+    const apiHelper = new ApiHelper();
+    const summary = await apiHelper.generateLoad({
+      rate: 20,
+      duration: 1,
+      batchIntervalMs: 250,
+      concurrency: 2,
+      mix: { ub: 70, trex: 20, lpr: 10 }
+    });
+
+    expect(summary.sent).toBe(20);
+    expect(summary.ok).toBe(20);
+    expect(summary.byStatus).toEqual({ 200: 20 });
+    expect(summary.byType).toEqual({
+      ub: { sent: 14, ok: 14, failed: 0, skipped: 0 },
+      trex: { sent: 4, ok: 4, failed: 0, skipped: 0 },
+      lpr: { sent: 2, ok: 2, failed: 0, skipped: 0 }
+    });
+    expect(summary.latency.max).toBeGreaterThanOrEqual(summary.latency.p50);
+
+    expect(await fetchReceivedEvents(localUrl, { eventType: 'iSentry Event' })).toHaveLength(14);
+    expect(await fetchReceivedEvents(localUrl, { eventType: 'iSentry Firefly Event' })).toHaveLength(4);
+    expect(await fetchReceivedEvents(localUrl, { eventType: 'Vumacam.LPR.AlertDispatchedEvent' })).toHaveLength(2);
+  });
+
+  test('load statistics per type count skipped events apart from failures', () => {
+    const summary = new ApiHelper().summariseLoad([
+      { alias: 'ub', ok: true, status: 200, latencyMs: 20 },
+      { alias: 'ub', ok: false, status: 500, latencyMs: 40 },
+      { alias: 'ub', ok: false, skipped: true },
+      { alias: 'trex', ok: false, skipped: true }
+    ], 1000);
+
+    expect(summary).toMatchObject({ sent: 4, ok: 1, failed: 1, skipped: 2, byStatus: { 200: 1, 500: 1, skipped: 2 } });
+    expect(summary.byType).toEqual({
+      ub: { sent: 3, ok: 1, failed: 1, skipped: 1 },
+      trex: { sent: 1, ok: 0, failed: 0, skipped: 1 }
+    });
+    expect(summary.latency).toMatchObject({ min: 20, max: 40 });
+  });
+
+  test('rejects a request with the wrong aeg-sas-key', async () => {
+    const api = await request.newContext({ extraHTTPHeaders: { 'aeg-sas-key': 'wrong-key' } });
+    const res = await api.post(eventGridConfig().url, {
+      data: [{ id: guid(), eventType: 'iSentry Event', dataVersion: '4.0', topic: 't', eventTime: isoTimestamp(), data: {} }]
+    });
+    await api.dispose();
+
+    expect(res.status()).toBe(401);
+    expect(await fetchReceivedEvents(localUrl)).toHaveLength(0);
+  });
+
+  test('rejects envelopes missing required fields', async () => {
+    const api = await request.newContext({ extraHTTPHeaders: { 'aeg-sas-key': eventGridConfig().saskey } });
+    const res = await api.post(eventGridConfig().url, {
+      data: [{ id: guid(), eventType: 'iSentry Event', eventTime: 'not-a-date', data: {} }]
+    });
+    const body = await res.json();
+    await api.dispose();
+
+    expect(res.status()).toBe(400);
+    expect(body.error.details).toEqual(expect.arrayContaining([
+      'event[0].dataVersion is required and must be a non-empty string',
+      'event[0].topic is required and must be a non-empty string',
+      'event[0].eventTime is not a valid ISO timestamp: not-a-date'
+    ]));
+    expect(await fetchReceivedEvents(localUrl)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,117 @@
+// tests/api/report_golden.spec.js
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import XLSX from 'xlsx';
+import {
+  expectReportToMatchGolden,
+  updateGoldenBaseline,
+  snapshotReport,
+  shouldUpdateGolden,
+  normaliseText
+} from '../../backend/reports/ReportGoldenFiles.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SAMPLE_PDF = path.resolve(__dirname, '../../test/data/05-versions-space.pdf');
+
+const HEADERS = ['Incident Id', 'Group Name', 'Site Name', 'Company Name', 'Action Timestamp', 'Proof Status', 'Responder Status', 'Created By'];
+
+// Same layout every run; ids, times and operators change like in a real export
+function dispatchExport({ headers = HEADERS, sheetName = 'Dispatches' } = {}) {
+  const now = Date.now();
+  const stamp = (minutes) => new Date(now - minutes * 60_000).toISOString().replace('T', ' ').slice(0, 19);
+  const operator = `operator${now % 97}@example.com`;
+  const rows = [
+    [`INC-${now % 100000}`, 'WVRD_9th Ave and JG Strydom Rd_62', 'WVRD_9th Ave and JG Strydom Rd_62', 'Automation company', stamp(5), 'RESPONDER_ARRIVED', 'responderOnSite', operator],
+    [`INC-${(now + 1) % 100000}`, 'NGA_20481_Ramoshie_Eaton', '', 'Automation company', stamp(1), 'DISPATCH_CREATED', 'open', operator]
+  ];
+  const sheet = XLSX.utils.aoa_to_sheet([[`Dispatch Report - generated ${stamp(0)}`], headers, ...rows.map((row) => row.slice(0, headers.length))]);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, sheetName);
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * ReportGoldenFiles: normalised snapshots of downloaded reports vs committed baselines
+ */
+test.describe('Report golden files', () => {
+  test('incident report PDF matches its baseline', async () => {
+    const result = await expectReportToMatchGolden(SAMPLE_PDF, 'incident-report');
+    expect(result.ok).toBe(true);
+
+    const { snapshot } = result;
+    expect(snapshot.pages).toBe(3);
+    expect(snapshot.sections).toEqual(['header', 'incident', 'timeline']);
+    expect(snapshot.titlePage.slice(0, 3)).toEqual(['<date>', 'Incident Report', 'Automation test']);
+    expect(snapshot.text).toContain('Incident ID: <uuid>');
+    expect(snapshot.text).toContain('<timestamp> - <timestamp> (<duration>)');
+    expect(snapshot.text).toContain('<timestamp> - <operator> - Escalated');
+    expect(snapshot.text).toContain('<timestamp> - System User - Responder Arrived');
+    expect(snapshot.text).toContain('<timestamp> - Incident created - System - Trex - NGA_20481_Ramoshie_Eaton.OUT1_O - [1]');
+  });
+
+  test('dispatch XLSX export matches its baseline despite volatile values', async () => {
+    const result = await expectReportToMatchGolden(dispatchExport(), 'dispatch-report');
+    expect(result.compared).toEqual(['sheets', 'columns', 'text']);
+    expect(result.snapshot.text).toContain('<volatile> | NGA_20481_Ramoshie_Eaton |  | Automation company | <volatile> | DISPATCH_CREATED | open | <volatile>');
+
+    // Layout changes are reported per aspect
+    const changed = dispatchExport({ headers: [...HEADERS.slice(0, 6), 'Latitude'], sheetName: 'Sheet1' });
+    const error = await expectReportToMatchGolden(changed, 'dispatch-report', { compare: ['sheets', 'columns'] }).catch((e) => e);
+    expect(error.message).toContain('[sheets] expected Dispatches; got Sheet1');
+    expect(error.message).toContain('[columns] Dispatches: added none; removed Incident Id, Group Name');
+    expect(error.message).toContain('[columns] Sheet1: added Incident Id, Group Name');
+  });
+
+  test('missing baselines are never written outside update mode, text changes are diffed, update rewrites', async ({}, testInfo) => {
+    const dir = testInfo.outputPath('golden');
+    const file = path.join(dir, 'incident.json');
+
+    await expect(expectReportToMatchGolden(SAMPLE_PDF, 'incident', { dir, missing: 'fail' }))
+      .rejects.toThrow(/No baseline for "incident" \(.*incident\.json\)\. Run with UPDATE_GOLDEN=1/);
+    expect(fs.existsSync(file)).toBe(false);
+    expect((await updateGoldenBaseline(SAMPLE_PDF, 'incident', { dir })).updated).toBe(true);
+    expect((await expectReportToMatchGolden(SAMPLE_PDF, 'incident', { dir })).ok).toBe(true);
+
+    // Baseline from an older layout
+    const baseline = JSON.parse(fs.readFileSync(file, 'utf8'));
+    baseline.titlePage[3] = 'All times are local.';
+    baseline.text = baseline.text.filter((line) => line !== 'Powered by');
+    fs.writeFileSync(file, JSON.stringify(baseline));
+
+    const error = await expectReportToMatchGolden(SAMPLE_PDF, 'incident', { dir }).catch((e) => e);
+    expect(error.message).toContain('[titlePage] 2 line(s) differ');
+    expect(error.message).toContain('- 4: All times are local.');
+    expect(error.message).toContain('+ 4: Reports are created in GMT standard time');
+    expect(error.message).toContain('[text] 3 line(s) differ');
+    expect(error.message).toContain('+ 6: Powered by');
+    expect(error.message).toContain('UPDATE_GOLDEN=1');
+    // The pages and sections still match
+    expect(error.message).not.toContain('[pages]');
+
+    const updated = await updateGoldenBaseline(SAMPLE_PDF, 'incident', { dir });
+    expect(updated.updated).toBe(true);
+    expect((await expectReportToMatchGolden(SAMPLE_PDF, 'incident', { dir })).ok).toBe(true);
+  });
+
+  test('UPDATE_GOLDEN and normalisers', async () => {
+    const previous = process.env.UPDATE_GOLDEN;
+    try {
+      process.env.UPDATE_GOLDEN = '1';
+      expect(shouldUpdateGolden()).toBe(true);
+      process.env.UPDATE_GOLDEN = '';
+      expect(shouldUpdateGolden()).toBe(false);
+    } finally {
+      if (previous === undefined) delete process.env.UPDATE_GOLDEN;
+      else process.env.UPDATE_GOLDEN = previous;
+    }
+
+    expect(normaliseText('Dispatch D-1001  for INC-5001 at 28/10/2025 11:50 by ops@example.com'))
+      .toBe('Dispatch <id> for <id> at <timestamp> by <email>');
+    expect(normaliseText('2025-10-28T09:50:00.000Z - 28 October 2025')).toBe('<timestamp> - <date>');
+
+    const custom = await snapshotReport(SAMPLE_PDF, { normalisers: [{ pattern: /^Automation test$/, replacement: '<report name>' }] });
+    expect(custom.titlePage[2]).toBe('<report name>');
+  });
+});
@@ -0,0 +1,147 @@
+// tests/api/report_lifecycle.spec.js
+import { test, expect } from '@playwright/test';
+import crypto from 'crypto';
+import fs from 'fs';
+import { backoffDelays, normaliseReportState, pollReportState, readRowState } from '../../backend/reports/ReportPolling.js';
+import { ReportRegistry } from '../../backend/reports/ReportRegistry.js';
+import { ReportLifecycle } from '../../backend/reports/ReportLifecycle.js';
+
+const FAST = { initialMs: 1, factor: 2, maxMs: 4, timeoutMs: 2000 };
+
+/**
+ * In-memory report list: each report walks through its `states`, one per status read
+ */
+function fakeApp(script = {}) {
+  const reports = new Map();
+  const calls = [];
+  const adapter = {
+    label: 'Fake report',
+    async open() { calls.push('open'); },
+    async create(ctx, name) {
+      calls.push(`create ${name}`);
+      reports.set(name, { states: [...(script[name] || ['Pending', 'Ready'])] });
+    },
+    async refresh() {},
+    exists: async (ctx, name) => reports.has(name),
+    async status(ctx, name) {
+      const report = reports.get(name);
+      if (!report) return null;
+      return report.states.length > 1 ? report.states.shift() : report.states[0];
+    },
+    async download(ctx, name) {
+      return { buffer: Buffer.from(`report ${name}`), suggestedFilename: `${name}.xlsx` };
+    },
+    async archive(ctx, name) {
+      calls.push(`archive ${name}`);
+      if (name.includes('stuck')) throw new Error('Archive button not found');
+      reports.delete(name);
+    }
+  };
+  return { reports, calls, adapter };
+}
+
+const fakePage = { waitForTimeout: async () => {} };
+
+/**
+ * A report list row as a locator: `cells` under a table whose column headers are `headers`
+ */
+function fakeRow(headers, cells) {
+  const element = (text, children = []) => ({ textContent: text, querySelectorAll: () => children });
+  const table = element('', headers.map((header) => element(header)));
+  const row = { ...element(cells.join(' '), cells.map((cell) => element(cell))), closest: () => table };
+  return { count: async () => 1, evaluate: async (fn) => fn(row) };
+}
+
+function lifecycle(app, testInfo, options = {}) {
+  const registry = options.registry || new ReportRegistry({ dir: testInfo.outputPath('registry'), runId: 'run-test' });
+  return new ReportLifecycle(fakePage, {
+    registry,
+    testInfo: options.testInfo ?? { testId: 'test-a', title: 'A', outputPath: (p) => testInfo.outputPath(p) },
+    polling: FAST,
+    adapters: { fake: app.adapter },
+    ...options
+  });
+}
+
+test.describe('Report lifecycle', () => {
+  test('maps status text to states and backs off up to the cap', async () => {
+    expect(normaliseReportState('SLA 1  Cape Town  Ready  Download')).toBe('Ready');
+    expect(normaliseReportState('In queue')).toBe('Pending');
+    expect(normaliseReportState('Generating...')).toBe('Processing');
+    expect(normaliseReportState('Export failed')).toBe('Failed');
+    expect(normaliseReportState('')).toBeNull();
+
+    const delays = backoffDelays({ initialMs: 1000, factor: 2, maxMs: 5000 });
+    expect(Array.from({ length: 5 }, () => delays.next().value)).toEqual([1000, 2000, 4000, 5000, 5000]);
+
+    const states = ['Pending', 'Processing', 'Processing', 'Ready'];
+    const result = await pollReportState(async () => states.shift(), { polling: FAST, wait: async () => {} });
+    expect(result.state).toBe('Ready');
+    expect(result.polls).toBe(4);
+    expect(result.history.map((h) => h.state)).toEqual(['Pending', 'Processing', 'Ready']);
+
+    const stuck = pollReportState(async () => 'Processing', { polling: { initialMs: 10, factor: 2, maxMs: 20, timeoutMs: 60 }, label: 'SLA x' });
+    await expect(stuck).rejects.toThrow(/SLA x not Ready after 0s \(last state: Processing\)/);
+  });
+
+  test('reads the state of a row from its Status cell only', async () => {
+    const headers = ['Name', 'Format', 'Created by', ' Status ', ''];
+    expect(await readRowState(fakeRow(headers, ['Failed export', 'Error log.csv', 'Completed QA', 'Processing', 'Download']))).toBe('Processing');
+    expect(await readRowState(fakeRow(headers, ['SLA 1', '.xlsx', 'Automation', 'Ready', 'Download']))).toBe('Ready');
+    expect(await readRowState({ count: async () => 0 })).toBeNull();
+    await expect(readRowState(fakeRow(['Name', 'State'], ['SLA 1', 'Ready']))).rejects.toThrow(/has no Status column/);
+  });
+
+  test('re-creates a Failed report and gives up after maxRetries', async ({}, testInfo) => {
+    const app = fakeApp({ 'SLA 1': ['Pending', 'Failed'], 'SLA 1 (retry 1)': ['Pending', 'Processing', 'Ready'] });
+    const reports = lifecycle(app, testInfo);
+
+    const report = await reports.createReady('fake', 'SLA 1');
+    expect(report).toMatchObject({ name: 'SLA 1 (retry 1)', baseName: 'SLA 1', attempt: 2, state: 'Ready' });
+    expect(app.calls.filter((c) => c.startsWith('create'))).toEqual(['create SLA 1', 'create SLA 1 (retry 1)']);
+    expect(reports.registry.reports().map((r) => [r.name, r.state, r.testId]))
+      .toEqual([['SLA 1', 'failed', 'test-a'], ['SLA 1 (retry 1)', 'ready', 'test-a']]);
+
+    const failing = fakeApp({ 'SLA 2': ['Failed'], 'SLA 2 (retry 1)': ['Failed'] });
+    await expect(lifecycle(failing, testInfo).createReady('fake', 'SLA 2')).rejects.toThrow(/"SLA 2" failed 2 time\(s\)/);
+  });
+
+  test('saves downloads with their SHA-256 and rejects a different checksum', async ({}, testInfo) => {
+    const app = fakeApp();
+    const reports = lifecycle(app, testInfo);
+    const report = await reports.createReady('fake', 'Dispatch 1');
+
+    const file = await reports.download(report);
+    const expected = crypto.createHash('sha256').update('report Dispatch 1').digest('hex');
+    expect(file.sha256).toBe(expected);
+    expect(fs.readFileSync(file.filePath, 'utf8')).toBe('report Dispatch 1');
+    expect(reports.registry.events().at(-1)).toMatchObject({ event: 'downloaded', name: 'Dispatch 1', sha256: expected });
+
+    await expect(reports.download(report, { expectedSha256: '0'.repeat(64) })).rejects.toThrow(/does not match/);
+    await reports.download(report, { expectedSha256: expected });
+  });
+
+  test('cleans up the reports of a test, then everything still open in the run', async ({}, testInfo) => {
+    const app = fakeApp();
+    const registry = new ReportRegistry({ dir: testInfo.outputPath('registry'), runId: 'run-cleanup' });
+    const outputPath = (p) => testInfo.outputPath(p);
+    const first = lifecycle(app, testInfo, { registry, testInfo: { testId: 'test-a', outputPath } });
+    const second = lifecycle(app, testInfo, { registry, testInfo: { testId: 'test-b', outputPath } });
+
+    await first.create('fake', 'A1');
+    await first.create('fake', 'A stuck');
+    // test-b "crashed" after creating its reports; one was removed by hand in the meantime
+    await second.create('fake', 'B1');
+    await second.create('fake', 'B gone');
+    app.reports.delete('B gone');
+
+    const own = await first.cleanup();
+    expect(own.archived.map((r) => r.name)).toEqual(['A1']);
+    expect(own.failed).toMatchObject([{ name: 'A stuck', error: 'Archive button not found' }]);
+
+    const run = await new ReportLifecycle(fakePage, { registry, adapters: { fake: app.adapter } }).cleanup();
+    expect(run.archived.map((r) => r.name)).toEqual(['B1', 'B gone']);
+    expect(registry.open().map((r) => r.name)).toEqual(['A stuck']);
+    expect(registry.events().find((e) => e.name === 'B gone' && e.event === 'archived')).toMatchObject({ alreadyGone: true });
+  });
+});
@@ -0,0 +1,103 @@
+// tests/api/report_sweeper.spec.js
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import { ReportRegistry } from '../../backend/reports/ReportRegistry.js';
+import { ReportLifecycle } from '../../backend/reports/ReportLifecycle.js';
+import { parseAge, parseReportTag, selectOrphans, sweepReports, tagReportName } from '../../backend/reports/ReportSweeper.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const hoursAgo = (h) => new Date(NOW - h * 3600000);
+const HEADERS = ['', 'Report Name', 'Created By', 'Status', ''];
+const row = (name, createdBy = 'automation@proof360.io') => ['', name, createdBy, 'Ready', 'Download Archive'];
+
+/**
+ * Report lists per type behind a fake page: the sweeper reads the table of the open list
+ */
+function fakeLists(lists) {
+  const state = { current: null, calls: [] };
+  const page = {
+    waitForTimeout: async () => {},
+    locator: () => ({
+      first: () => ({
+        count: async () => 1,
+        evaluate: async () => ({ headers: HEADERS, rows: lists[state.current].map((r) => [...r]) })
+      })
+    })
+  };
+  const adapter = (type) => ({
+    label: type,
+    async open() { state.current = type; },
+    exists: async (ctx, name) => lists[type].some((r) => r.includes(name)),
+    async archive(ctx, name) {
+      state.calls.push(`archive ${type} ${name}`);
+      if (name.startsWith('Locked')) throw new Error('Archive button disabled');
+      lists[type] = lists[type].filter((r) => !r.includes(name));
+    }
+  });
+  const adapters = Object.fromEntries(Object.keys(lists).map((type) => [type, adapter(type)]));
+  return { page, adapters, state, lists };
+}
+
+test.describe('Report sweeper', () => {
+  test('tags report names with their creation time', () => {
+    const name = tagReportName('Dispatch ID Test', new Date('2026-03-10T09:05:07.123Z'));
+    expect(name).toBe('Dispatch ID Test e2e-20260310T090507Z');
+    expect(parseReportTag(name).toISOString()).toBe('2026-03-10T09:05:07.000Z');
+    expect(parseReportTag('Dispatch ID Test 09-05-07')).toBeNull();
+    expect(parseReportTag('Backup e2e-20260310T090507Z copy')).not.toBeNull();
+
+    expect(parseAge('90m')).toBe(90 * 60000);
+    expect(parseAge('2h')).toBe(7200000);
+    expect(parseAge(500)).toBe(500);
+    expect(() => parseAge('soon')).toThrow(/Invalid age "soon"/);
+  });
+
+  test('selects tagged reports by age and creator', () => {
+    const table = {
+      headers: HEADERS,
+      rows: [
+        row(tagReportName('Old', hoursAgo(5))),
+        row(tagReportName('Fresh', hoursAgo(0.5))),
+        row(tagReportName('Colleague', hoursAgo(5)), 'someone.else@proof360.io'),
+        row('Monthly SLA export'),
+        row('SLA 1 (retry 1)')
+      ]
+    };
+    const { sweep, skipped } = selectOrphans(table, {
+      now: NOW, olderThanMs: parseAge('2h'), createdBy: 'automation@proof360.io', registered: ['SLA 1 (retry 1)']
+    });
+
+    expect(sweep.map((s) => [s.name.split(' ')[0], s.reason])).toEqual([['Old', 'tagged orphan'], ['SLA', 'open in this run']]);
+    expect(sweep[0]).toMatchObject({ ageMs: 5 * 3600000, createdBy: 'automation@proof360.io' });
+    expect(skipped.map((s) => s.reason)).toEqual(['younger than 120 min', 'created by someone.else@proof360.io']);
+  });
+
+  test('archives orphans across report lists and writes an audit log', async ({}, testInfo) => {
+    const oldName = (base) => tagReportName(base, hoursAgo(30));
+    const { page, adapters, state, lists } = fakeLists({
+      dispatch: [row(oldName('Dispatch ID Test')), row(oldName('Latitude Test')), row('Monthly dispatch export')],
+      dispatchSla: [row(oldName('Locked SLA')), row(tagReportName('Running SLA'))],
+      incident: [row(oldName('Incident Test'))]
+    });
+    const registry = new ReportRegistry({ dir: testInfo.outputPath('registry'), runId: 'run-sweep' });
+    const lifecycle = new ReportLifecycle(page, { registry, adapters });
+    const auditFile = testInfo.outputPath('audit.jsonl');
+
+    const dryRun = await sweepReports(page, { lifecycle, registry, auditFile, types: Object.keys(adapters), dryRun: true });
+    expect(dryRun.swept).toHaveLength(4);
+    expect(state.calls).toEqual([]);
+
+    const summary = await sweepReports(page, { lifecycle, registry, auditFile, types: Object.keys(adapters) });
+    expect(summary.swept.map((s) => `${s.type} ${s.result}`)).toEqual(['dispatch archived', 'dispatch archived', 'incident archived']);
+    expect(summary.failed).toMatchObject([{ type: 'dispatchSla', error: 'Archive button disabled' }]);
+    expect(lists.dispatch.map((r) => r[1])).toEqual(['Monthly dispatch export']);
+    expect(lists.dispatchSla).toHaveLength(2);
+
+    const audit = fs.readFileSync(auditFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(audit.map((a) => a.result)).toEqual([
+      'dry-run', 'dry-run', 'skipped', 'dry-run', 'dry-run',
+      'archived', 'archived', 'skipped', 'failed', 'archived'
+    ]);
+    expect(audit.at(-1)).toMatchObject({ type: 'incident', action: 'archive', runId: 'run-sweep', createdBy: 'automation@proof360.io' });
+  });
+});
@@ -0,0 +1,98 @@
+// tests/api/secrets_provider.spec.js
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getSecret, redact, writeSecretsFile, readSecretsFile, clearSecretCache } from '../../utils/secrets.js';
+import { interpolate, loadProfile } from '../../utils/profile.js';
+
+/**
+ * utils/secrets.js providers, no-fallback rule and log redaction
+ */
+test.describe('Secrets provider', () => {
+  const ENV_KEYS = ['SECRETS_PROVIDER', 'SECRETS_FILE', 'SECRETS_PASSPHRASE', 'SECRETS_COMMAND', 'SPEC_SECRET'];
+  let saved;
+  let tmpDir;
+
+  test.beforeEach(async () => {
+    saved = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+    ENV_KEYS.forEach((key) => delete process.env[key]);
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-spec-'));
+    clearSecretCache();
+  });
+
+  test.afterEach(async () => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    clearSecretCache();
+  });
+
+  test('env provider reads process.env and refuses missing required secrets', async () => {
+    process.env.SPEC_SECRET = 'from-env-value';
+
+    expect(getSecret('SPEC_SECRET')).toBe('from-env-value');
+    expect(getSecret('SPEC_MISSING')).toBeUndefined();
+    expect(() => getSecret('SPEC_MISSING', { required: true })).toThrow('Secret SPEC_MISSING is not set (providers: env)');
+    expect(() => getSecret('bad name')).toThrow('Invalid secret name');
+  });
+
+  test('encrypted file provider round-trips and falls through to env', async () => {
+    process.env.SECRETS_FILE = path.join(tmpDir, 'secrets.enc');
+    process.env.SECRETS_PASSPHRASE = 'spec-passphrase';
+    writeSecretsFile({ SPEC_FILE_SECRET: 'from-file-value' });
+
+    expect(fs.readFileSync(process.env.SECRETS_FILE, 'utf8')).not.toContain('from-file-value');
+
+    process.env.SECRETS_PROVIDER = 'file,env';
+    process.env.SPEC_SECRET = 'from-env-value';
+    expect(getSecret('SPEC_FILE_SECRET')).toBe('from-file-value');
+    expect(getSecret('SPEC_SECRET')).toBe('from-env-value');
+
+    expect(() => readSecretsFile(process.env.SECRETS_FILE, 'wrong-passphrase')).toThrow('Could not decrypt the secrets file');
+  });
+
+  test('command provider runs SECRETS_COMMAND with the secret name', async () => {
+    process.env.SECRETS_PROVIDER = 'command';
+    process.env.SECRETS_COMMAND = `node -e "console.log('cmd-' + process.argv[1] + '\\nmetadata: ignored')" {name}`;
+
+    expect(getSecret('SPEC_CMD_SECRET')).toBe('cmd-SPEC_CMD_SECRET');
+
+    process.env.SECRETS_COMMAND = 'node -e "process.exit(1)"';
+    expect(getSecret('SPEC_CMD_FAILING')).toBeUndefined();
+  });
+
+  test('profiles read a secret only when the setting is used, and only once', async () => {
+    const calls = path.join(tmpDir, 'calls.log');
+    process.env.SECRETS_PROVIDER = 'command';
+    process.env.SECRETS_COMMAND = `node -e "require('fs').appendFileSync(process.argv[1], process.argv[2] + '\\n'); console.log('cmd-' + process.argv[2])" ${JSON.stringify(calls)} {name}`;
+    const commandRuns = () => (fs.existsSync(calls) ? fs.readFileSync(calls, 'utf8').split('\n').filter(Boolean) : []);
+
+    const first = loadProfile('dev');
+    const second = loadProfile('dev');
+    expect(commandRuns()).toEqual([]);
+
+    expect(first.eventGrid.sasKey).toBe('cmd-DEV_SASKEY');
+    expect(second.eventGrid.sasKey).toBe('cmd-DEV_SASKEY');
+    expect(Object.keys(second.eventGrid)).toContain('sasKey');
+    expect(commandRuns()).toEqual(['DEV_SASKEY']);
+  });
+
+  test('profiles cannot give secrets an inline default', async () => {
+    process.env.SPEC_SECRET = 'from-env-value';
+
+    expect(interpolate('${secret:SPEC_SECRET}')).toBe('from-env-value');
+    expect(interpolate('${secret:SPEC_MISSING}')).toBe('');
+    expect(() => interpolate('${secret:SPEC_SECRET:-inline-key}')).toThrow('Secrets cannot have inline defaults');
+  });
+
+  test('secret values are redacted from log output', async () => {
+    process.env.SPEC_SECRET = 'sas-key-value/with+chars=';
+    getSecret('SPEC_SECRET');
+
+    expect(redact('posting with key sas-key-value/with+chars= to Event Grid')).toBe('posting with key *** to Event Grid');
+    expect(redact('nothing secret here')).toBe('nothing secret here');
+  });
+});
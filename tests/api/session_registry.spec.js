@@ -0,0 +1,165 @@
+// tests/api/session_registry.spec.js
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  SessionRegistry,
+  FALLBACK_TTL_MS,
+  credentialExpiries,
+  jwtExpiry,
+  sessionExpiry,
+  storageStatePath
+} from '../../backend/SessionRegistry.js';
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const MINUTE = 60000;
+const seconds = (ms) => Math.floor(ms / 1000);
+
+/** Unsigned JWT with an `exp` claim */
+function jwt(expMs) {
+  const part = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  return `${part({ alg: 'none' })}.${part({ exp: seconds(expMs) })}.sig`;
+}
+
+/** Storage state of a Proof360 session that lasts `minutes` from NOW */
+function signedIn(minutes) {
+  const expires = NOW + minutes * MINUTE;
+  return {
+    cookies: [
+      { name: '_ga', value: 'x', expires: seconds(NOW + MINUTE) },
+      { name: 'ai_session', value: 'x', expires: seconds(expires + 60 * MINUTE) }
+    ],
+    origins: [{
+      origin: 'https://uat.proof360.io',
+      localStorage: [
+        { name: 'msal.token.keys', value: '{"accessToken":["a"]}' },
+        { name: 'a', value: JSON.stringify({ credentialType: 'AccessToken', expiresOn: String(seconds(expires)) }) },
+        { name: 'r', value: JSON.stringify({ credentialType: 'RefreshToken', secret: 'opaque' }) }
+      ]
+    }]
+  };
+}
+
+/**
+ * A browser whose contexts write whatever storage state the fake login produced
+ */
+function fakeBrowser(calls) {
+  return {
+    async newContext(options) {
+      calls.push(`context ${options.baseURL}`);
+      const context = {
+        state: null,
+        async newPage() { return { context: () => context, screenshot: async () => calls.push('screenshot') }; },
+        async storageState({ path: file }) { fs.writeFileSync(file, JSON.stringify(context.state)); },
+        async close() { calls.push('close'); }
+      };
+      return context;
+    }
+  };
+}
+
+test.describe('SessionRegistry', () => {
+  let dir;
+  let registry;
+  let calls;
+
+  test.beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-registry-spec-'));
+    calls = [];
+    registry = new SessionRegistry({
+      dir,
+      now: () => NOW,
+      marginMs: 5 * MINUTE,
+      identities: {
+        admin: { account: 'ADMIN_MS' },
+        'role-no-edit-stack-filter': { account: 'NORMAL_MS', company: 'Automation company' }
+      },
+      authenticate: async (page, identity, reg) => {
+        calls.push(`login ${identity.name} @ ${identity.company}`);
+        page.context().state = signedIn(60);
+        await reg.save(identity.name, page.context());
+      }
+    });
+  });
+
+  test.afterEach(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads expiry from auth cookies, MSAL tokens and bare JWTs', () => {
+    expect(jwtExpiry(jwt(NOW))).toBe(seconds(NOW) * 1000);
+    expect(jwtExpiry('not.a-jwt')).toBeNull();
+
+    const state = signedIn(30);
+    state.origins[0].localStorage.push({ name: 'id_token', value: jwt(NOW + 20 * MINUTE) });
+    // _ga is not an auth cookie, the refresh token has no expiry
+    expect(credentialExpiries(state).map((e) => e.source)).toEqual(['cookie ai_session', 'token AccessToken', 'token id_token']);
+    expect(sessionExpiry(state)).toEqual({ source: 'token id_token', expiresAt: seconds(NOW + 20 * MINUTE) * 1000 });
+    expect(sessionExpiry({ cookies: [], origins: [] })).toBeNull();
+  });
+
+  test('treats a session inside the margin as expired and falls back to file age', () => {
+    const write = (name, state) => fs.writeFileSync(storageStatePath(name, dir), JSON.stringify(state));
+
+    expect(registry.status('admin')).toMatchObject({ exists: false, valid: false, reason: 'no saved session' });
+
+    write('admin', signedIn(30));
+    expect(registry.status('admin')).toMatchObject({ valid: true, source: 'token AccessToken', expiresInMs: 30 * MINUTE });
+
+    write('admin', signedIn(4));
+    expect(registry.status('admin')).toMatchObject({ valid: false, reason: 'token AccessToken expires within the margin' });
+
+    // No expiring credentials: valid for FALLBACK_TTL_MS after the file was written
+    write('normal', { cookies: [{ name: 'ASP.NET_SessionId', value: 'x', expires: -1 }], origins: [] });
+    const mtime = fs.statSync(storageStatePath('normal', dir)).mtimeMs;
+    expect(registry.status('normal').expiresAt.getTime()).toBe(new Date(mtime + FALLBACK_TTL_MS).getTime());
+
+    write('empty', { cookies: [], origins: [] });
+    expect(registry.status('empty').reason).toBe('empty storage state');
+  });
+
+  test('maps identities to accounts and companies', () => {
+    expect(registry.identity('role-no-edit-stack-filter')).toMatchObject({ account: 'NORMAL_MS', company: 'Automation company' });
+    expect(registry.identity('vodacom-operator')).toMatchObject({ account: 'VODACOM_OPERATOR_MS', company: null });
+    expect(() => registry.identity('../admin')).toThrow(/Invalid identity name/);
+    expect(() => registry.credentials('vodacom-operator')).toThrow(/Secret VODACOM_OPERATOR_MS_USERNAME is not set/);
+  });
+
+  test('refreshes lazily, once, and reuses a valid session', async () => {
+    const browser = fakeBrowser(calls);
+    const name = 'role-no-edit-stack-filter';
+
+    const file = await registry.ensure(name, { browser, baseURL: 'https://uat.proof360.io' });
+    expect(file).toBe(storageStatePath(name, dir));
+    expect(registry.isValid(name)).toBe(true);
+    expect(calls).toEqual(['context https://uat.proof360.io', `login ${name} @ Automation company`, 'close']);
+    expect(fs.existsSync(`${file}.lock`)).toBe(false);
+
+    calls.length = 0;
+    await registry.ensure(name, { browser, baseURL: 'https://uat.proof360.io' });
+    expect(calls).toEqual([]);
+  });
+
+  test('fails when the login leaves no valid session and releases the lock', async () => {
+    registry.authenticate = async () => { throw new Error('MFA prompt'); };
+    await expect(registry.ensure('admin', { browser: fakeBrowser(calls), baseURL: 'https://uat.proof360.io' })).rejects.toThrow('MFA prompt');
+    expect(calls).toEqual(['context https://uat.proof360.io', 'screenshot', 'close']);
+    expect(fs.existsSync(`${storageStatePath('admin', dir)}.lock`)).toBe(false);
+
+    registry.authenticate = async () => {};
+    await expect(registry.ensure('admin', { browser: fakeBrowser(calls) })).rejects.toThrow(/did not leave a valid session \(no saved session\)/);
+  });
+
+  test('lists configured and saved identities and invalidates them', () => {
+    fs.writeFileSync(storageStatePath('vodacom-operator', dir), JSON.stringify(signedIn(30)));
+    fs.writeFileSync(path.join(dir, 'sessionValidity_vodacom-operator.json'), '{}');
+
+    expect(registry.list().map((s) => [s.name, s.valid])).toEqual([
+      ['admin', false], ['role-no-edit-stack-filter', false], ['vodacom-operator', true]
+    ]);
+
+    registry.invalidate('vodacom-operator');
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
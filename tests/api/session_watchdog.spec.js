@@ -0,0 +1,146 @@
+// tests/api/session_watchdog.spec.js
+import { test, expect } from '@playwright/test';
+import { EventEmitter } from 'events';
+import { SessionWatchdog, SESSION_LOSS, describeRecovery, sessionLossForUrl } from '../../backend/SessionWatchdog.js';
+
+const APP = 'https://uat.proof360.io';
+const LOGIN = 'https://login.microsoftonline.com/tenant/oauth2/v2.0/authorize?client_id=proof360';
+
+/**
+ * A page that emits navigations and responses, and an auth service that records ensure() calls
+ */
+function fakeSession({ role = 'admin', company = 'Vodacom', failLogin = false } = {}) {
+  const state = { url: 'about:blank', company, calls: [] };
+  const events = new EventEmitter();
+  const mainFrame = { url: () => state.url };
+  const page = {
+    on: (event, listener) => events.on(event, listener),
+    off: (event, listener) => events.off(event, listener),
+    mainFrame: () => mainFrame,
+    url: () => state.url,
+    locator: () => ({ textContent: async () => state.company }),
+    async goto(url) { state.calls.push(`goto ${url}`); navigate(url); }
+  };
+  const navigate = (url) => {
+    state.url = url;
+    events.emit('framenavigated', mainFrame);
+  };
+  const respond = (url, status, resourceType = 'fetch') => events.emit('response', {
+    status: () => status,
+    url: () => url,
+    request: () => ({ url: () => url, resourceType: () => resourceType })
+  });
+  const auth = {
+    currentRole: role,
+    busy: false,
+    async ensure(target) {
+      state.calls.push(`ensure ${target.role} @ ${target.company} force=${target.force}`);
+      // A real login passes through the login page again
+      navigate(LOGIN);
+      if (failLogin) throw new Error('AADSTS50126');
+      navigate(`${APP}/command`);
+      return { path: 'full-login', role: target.role, company: target.company, durationMs: 1 };
+    }
+  };
+  return { page, auth, state, navigate, respond };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test.describe('SessionWatchdog', () => {
+  test('tells session loss pages from the app and from signing out', () => {
+    expect(sessionLossForUrl(LOGIN)).toBe(SESSION_LOSS.LOGIN_PAGE);
+    expect(sessionLossForUrl(`${LOGIN}&prompt=select_account`)).toBe(SESSION_LOSS.ACCOUNT_SELECTION);
+    expect(sessionLossForUrl('https://login.microsoftonline.com/common/oauth2/v2.0/logout')).toBeNull();
+    expect(sessionLossForUrl(`${APP}/command`)).toBeNull();
+    expect(sessionLossForUrl('http://127.0.0.1:7072/local-tenant/authorize', ['127.0.0.1:7072'])).toBe(SESSION_LOSS.LOGIN_PAGE);
+    expect(sessionLossForUrl('about:blank')).toBeNull();
+  });
+
+  test('signs back in after a redirect to the login page and reopens the URL with its company', async () => {
+    const { page, auth, state, navigate } = fakeSession();
+    const recoveries = [];
+    const watchdog = new SessionWatchdog(page, { auth, onRecovery: (r) => recoveries.push(r) }).start();
+
+    navigate(`${APP}/reports/dispatch?tab=sla`);
+    await flush();
+    navigate(LOGIN);
+    await watchdog.settled();
+
+    expect(state.calls).toEqual(['ensure admin @ Vodacom force=true', `goto ${APP}/reports/dispatch?tab=sla`]);
+    expect(recoveries).toHaveLength(1);
+    expect(describeRecovery(recoveries[0])).toMatch(
+      new RegExp(`^login page at .+: signed admin @ Vodacom back in and reopened ${APP}/reports/dispatch\\?tab=sla in \\d+ ms$`)
+    );
+    // The login pages the recovery itself went through were not taken for another session loss
+    expect(watchdog.recoveries).toHaveLength(1);
+    await watchdog.stop();
+  });
+
+  test('recovers on a 401 API response only', async () => {
+    const { page, auth, state, navigate, respond } = fakeSession();
+    const watchdog = new SessionWatchdog(page, { auth, company: 'Automation company' }).start();
+    navigate(`${APP}/command`);
+
+    respond(`${APP}/api/alerts`, 403);
+    respond(`${APP}/logo.png`, 401, 'image');
+    respond('https://login.microsoftonline.com/tenant/oauth2/v2.0/token', 401);
+    await watchdog.settled();
+    expect(state.calls).toEqual([]);
+
+    respond(`${APP}/api/alerts`, 401);
+    await watchdog.settled();
+    expect(watchdog.recoveries[0]).toMatchObject({ reason: SESSION_LOSS.UNAUTHORIZED, company: 'Automation company', ok: true });
+    await watchdog.stop();
+  });
+
+  test('ignores the 401s a test expects to be refused', async () => {
+    const { page, auth, state, navigate, respond } = fakeSession();
+    const watchdog = new SessionWatchdog(page, { auth, expectUnauthorized: ['/api/stack-filter'] }).start();
+    navigate(`${APP}/command`);
+
+    respond(`${APP}/api/stack-filter/edit`, 401);
+    watchdog.expectUnauthorized(/\/settings\//);
+    navigate(`${APP}/settings/roles`);
+    respond(`${APP}/api/roles`, 401);
+    await watchdog.settled();
+    expect(state.calls).toEqual([]);
+
+    navigate(`${APP}/command`);
+    respond(`${APP}/api/roles`, 401);
+    await watchdog.settled();
+    expect(watchdog.recoveries).toEqual([expect.objectContaining({ reason: SESSION_LOSS.UNAUTHORIZED, url: `${APP}/api/roles` })]);
+    await watchdog.stop();
+  });
+
+  test('leaves signed-out and signing-in contexts alone and stops after the limit', async () => {
+    const signedOut = fakeSession({ role: null });
+    const idle = new SessionWatchdog(signedOut.page, { auth: signedOut.auth }).start();
+    signedOut.navigate(LOGIN);
+    await idle.settled();
+    expect(idle.recoveries).toEqual([]);
+
+    signedOut.auth.currentRole = 'normal';
+    signedOut.auth.busy = true;
+    signedOut.navigate(LOGIN);
+    await idle.settled();
+    expect(idle.recoveries).toEqual([]);
+
+    const failing = fakeSession({ failLogin: true });
+    const watchdog = new SessionWatchdog(failing.page, { auth: failing.auth, maxRecoveries: 1 }).start();
+    failing.navigate(`${APP}/command`);
+    await flush();
+    failing.navigate(LOGIN);
+    await watchdog.settled();
+    failing.navigate(LOGIN);
+    await watchdog.settled();
+    expect(watchdog.recoveries).toHaveLength(1);
+    expect(describeRecovery(watchdog.recoveries[0])).toMatch(/signing admin @ Vodacom back in failed after \d+ ms \(AADSTS50126\)$/);
+
+    // Stopped watchdogs no longer listen
+    await watchdog.stop();
+    watchdog.maxRecoveries = 5;
+    failing.navigate(LOGIN);
+    expect(watchdog.recovering).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+// tests/api/test_data_factory.spec.js
+import { test, expect } from '@playwright/test';
+import { ENTITY_ADAPTERS, TestDataFactory, describeLeftover } from '../../backend/TestDataFactory.js';
+import { parseReportTag } from '../../backend/reports/ReportSweeper.js';
+
+const NOW = new Date('2026-10-18T15:30:12Z');
+
+/**
+ * In-memory management pages: entities are listed per company, and creating or archiving
+ * a name containing "broken" fails
+ */
+function fakeApp({ company = 'Automation company' } = {}) {
+  const state = { company, listed: new Set(), calls: [] };
+  const page = {
+    locator: () => ({ textContent: async () => ` ${state.company} ` }),
+    keyboard: { press: async (key) => state.calls.push(`press ${key}`) }
+  };
+  const sharedSteps = {
+    async selectCompany(name) {
+      state.calls.push(`select ${name}`);
+      state.company = name;
+    }
+  };
+  const adapter = (kind) => ({
+    label: kind,
+    build: (ctx, overrides) => ({ name: ctx.uniqueName(kind), ...overrides }),
+    async open(ctx, purpose) { state.calls.push(`open ${kind} for ${purpose}`); },
+    async create(ctx, entity) {
+      if (entity.name.includes('broken')) throw new Error('Save button disabled');
+      state.listed.add(`${state.company}/${entity.name}`);
+    },
+    exists: async (ctx, entity) => state.listed.has(`${state.company}/${entity.name}`),
+    async archive(ctx, entity) {
+      state.calls.push(`archive ${entity.name}`);
+      if (entity.name.includes('broken')) throw new Error('Archive button not found');
+      state.listed.delete(`${state.company}/${entity.name}`);
+    }
+  });
+  const adapters = { role: adapter('Role'), user: adapter('User'), station: adapter('Station') };
+  return { state, page, sharedSteps, adapters };
+}
+
+test.describe('TestDataFactory', () => {
+  test('gives unique names that carry the report tag', () => {
+    const first = new TestDataFactory({}, { now: NOW, id: 'a1b2' });
+    const second = new TestDataFactory({}, { now: NOW, id: 'c3d4' });
+
+    expect(first.uniqueName('Station')).toBe('Station e2e-20261018T153012Z a1b2-1');
+    expect(first.uniqueName('Station')).toBe('Station e2e-20261018T153012Z a1b2-2');
+    expect(second.uniqueName('Station')).toBe('Station e2e-20261018T153012Z c3d4-1');
+    expect(parseReportTag(first.uniqueName('Area'))).toEqual(NOW);
+    expect(first.uniqueEmail('user')).toBe('user.e2e-20261018t153012z.a1b2-4@proof360.test');
+    expect(first.uniqueDigits(8)).toMatch(/^\d{8}$/);
+    expect(new TestDataFactory({}).id).toMatch(/^[0-9a-f]{4}$/);
+  });
+
+  test('builds every entity kind from the page flows, with overrides', () => {
+    const factory = new TestDataFactory({}, { now: NOW, id: 'a1b2', testInfo: { title: 'creates a station' } });
+
+    expect(Object.keys(ENTITY_ADAPTERS)).toEqual(['company', 'area', 'station', 'user', 'role', 'suppression', 'telegramMessage', 'telegramGroup']);
+    expect(factory.build('area')).toMatchObject({
+      kind: 'area',
+      name: 'Area e2e-20261018T153012Z a1b2-1',
+      description: 'Test data for creates a station'
+    });
+    const user = factory.build('user', { role: 'Automation All permissions' });
+    expect(user).toMatchObject({ firstName: 'Test', role: 'Automation All permissions', name: `Test ${user.lastName}` });
+    expect(user.email).toMatch(/^user\.e2e-20261018t153012z\.a1b2-\d+@proof360\.test$/);
+    expect(user.contactNumber).toMatch(/^07\d{8}$/);
+    expect(factory.build('role', { canEditStackFilter: false })).toMatchObject({ canEditStackFilter: false });
+    expect(factory.build('telegramGroup').areas).toEqual(['ALL']);
+
+    // Names the app picks for us are required instead
+    expect(factory.build('company', { companyName: 'You_Source' })).toMatchObject({ name: 'You_Source', contactPerson: expect.stringMatching(/^Contact e2e-/) });
+    expect(() => factory.build('company')).toThrow(/A company needs companyName/);
+    expect(factory.build('suppression', { site: 'WVRD_9th Ave' })).toMatchObject({ name: 'WVRD_9th Ave', reason: 'Bad Alerts', duration: '15 mins' });
+    expect(() => factory.build('suppression')).toThrow(/A suppression needs the site/);
+    expect(() => factory.build('sites')).toThrow('[TestDataFactory] Unknown entity kind "sites"');
+  });
+
+  test('archives what the test created newest first, under the company it was created in', async () => {
+    const app = fakeApp();
+    const factory = new TestDataFactory(app.page, { now: NOW, id: 'a1b2', adapters: app.adapters, sharedSteps: app.sharedSteps });
+
+    const role = await factory.create('role');
+    const user = await factory.create('user', { role: role.name });
+    app.state.company = 'Vodacom';
+    const station = await factory.create('station');
+    expect(role.company).toBe('Automation company');
+    expect(station.company).toBe('Vodacom');
+
+    app.state.calls = [];
+    const summary = await factory.cleanup();
+    expect(summary.archived.map((e) => e.kind)).toEqual(['station', 'user', 'role']);
+    expect(app.state.calls).toEqual([
+      'press Escape',
+      'open Station for archive', `archive ${station.name}`,
+      'select Automation company',
+      'open User for archive', `archive ${user.name}`,
+      'open Role for archive', `archive ${role.name}`
+    ]);
+    expect(app.state.listed.size).toBe(0);
+    expect(factory.created).toEqual([]);
+    expect(await factory.cleanup()).toEqual({ archived: [], alreadyGone: [], failed: [] });
+  });
+
+  test('cleans up after a failed creation and keeps going past a failed archive', async () => {
+    const app = fakeApp();
+    const factory = new TestDataFactory(app.page, { now: NOW, id: 'a1b2', adapters: app.adapters, sharedSteps: app.sharedSteps });
+
+    const archivedByTest = await factory.create('role');
+    await factory.archive(archivedByTest);
+    const gone = await factory.create('station');
+    app.state.listed.clear();
+    await expect(factory.create('station', { name: 'Station broken' })).rejects.toThrow('Save button disabled');
+    app.state.listed.add('Automation company/Station broken');
+    const user = await factory.create('user');
+
+    const summary = await factory.cleanup();
+    expect(summary.archived).toEqual([user]);
+    expect(summary.alreadyGone).toEqual([gone]);
+    expect(summary.failed).toEqual([expect.objectContaining({ name: 'Station broken', error: 'Archive button not found' })]);
+    expect(describeLeftover(summary.failed[0])).toBe('station "Station broken" @ Automation company left behind: Archive button not found');
+    // Still tracked, so a second clean-up tries again
+    expect(factory.created.map((e) => e.name)).toEqual(['Station broken']);
+    expect(app.state.calls.filter((c) => c === `archive ${archivedByTest.name}`)).toHaveLength(1);
+  });
+});
@@ -2,6 +2,7 @@
 // Small helpers that mirror Postman runtime pieces used in your flows.
 
 import { request, expect } from '@playwright/test';
+import { eventGridConfig, loadProfile, missingSettings, profileName } from './profile.js';
 
 /** Return ISO timestamp like Postman's {{$isoTimestamp}} */
 export function isoTimestamp() {
@@ -20,32 +21,17 @@ export function guid() {
 
 /**
  * Builds an APIRequestContext configured like your Postman env.
- * Required env vars:
- *   ENVIRONMENT=dev|uat
- *   DEV_URL, UAT_URL
- *   DEV_SASKEY, UAT_SASKEY
- *   DEV_TOPIC, UAT_TOPIC
- *   DEV_ISENTRY_TOPIC, UAT_ISENTRY_TOPIC
- *   DEV_ISENTRY_FIREFLY_TOPIC, UAT_ISENTRY_FIREFLY_TOPIC
+ * Endpoint, SAS key and topics come from the active environment profile
+ * (profiles/<ENVIRONMENT>.json, see utils/profile.js).
+ * @param {string} [profileOverride] - Profile name instead of ENVIRONMENT
  */
-export async function newApiContext(envOverride) {
-  const env = (envOverride || process.env.ENVIRONMENT || 'uat').toLowerCase();
-  const cfg = env === 'dev' ? {
-    url: process.env.DEV_URL,
-    saskey: process.env.DEV_SASKEY,
-    topic: process.env.DEV_TOPIC,
-    isentryTopic: process.env.DEV_ISENTRY_TOPIC,
-    isentryFireflyTopic: process.env.DEV_ISENTRY_FIREFLY_TOPIC,
-  } : {
-    url: process.env.UAT_URL,
-    saskey: process.env.UAT_SASKEY,
-    topic: process.env.UAT_TOPIC,
-    isentryTopic: process.env.UAT_ISENTRY_TOPIC,
-    isentryFireflyTopic: process.env.UAT_ISENTRY_FIREFLY_TOPIC,
-  };
+export async function newApiContext(profileOverride) {
+  const cfg = eventGridConfig(loadProfile(profileOverride));
 
   if (!cfg.url || !cfg.saskey) {
-    throw new Error('Missing required env vars for API config. Check README and .env.*');
+    const missing = missingSettings(['eventGrid.url', 'eventGrid.sasKey'], profileOverride)
+      .map(({ setting, variables }) => `${setting} (${variables.join(' or ') || 'set in profile'})`);
+    throw new Error(`Missing required API config for profile '${profileName(profileOverride)}': ${missing.join(', ')}`);
   }
 
   const api = await request.newContext({
@@ -0,0 +1,218 @@
+// utils/clock.js
+// Dates and times as Proof360 sees them, instead of the machine clock.
+//
+// Report pickers work in calendar days and HH:MM:SS of a reference timezone. A CI box running in
+// UTC and a laptop in SAST disagree about "today" for two hours every night, so everything that
+// picks a date goes through a Clock:
+//   REPORT_TIMEZONE   reference timezone: SAST (default), GMT/UTC or any IANA name
+//   CLOCK_NOW         pin "now" to an ISO instant (e.g. 2026-10-31T23:30:00Z) to reproduce a run
+// Tests inject their own: new Clock({ timezone: 'GMT', now: '2026-10-31T23:30:00Z' }).
+//
+// Calendar dates are plain { year, month, day } objects (month 1-12) so they never shift with
+// the machine timezone; the helpers below do day/month arithmetic on them.
+
+export const TIMEZONE_ALIASES = {
+  SAST: 'Africa/Johannesburg',
+  GMT: 'UTC',
+  UTC: 'UTC'
+};
+
+export const DEFAULT_TIMEZONE = 'SAST';
+
+export const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * IANA name for an alias (SAST, GMT) or IANA timezone
+ * @param {string} [name=REPORT_TIMEZONE || DEFAULT_TIMEZONE]
+ * @returns {string}
+ */
+export function resolveTimezone(name = process.env.REPORT_TIMEZONE || DEFAULT_TIMEZONE) {
+  const timezone = TIMEZONE_ALIASES[name.toUpperCase()] || name;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`[Clock] Unknown timezone "${name}" (use SAST, GMT or an IANA name)`);
+  }
+  return timezone;
+}
+
+// ---------------------------------------------------------------------------
+// Calendar dates
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {number} year
+ * @param {number} month - 1-12; out-of-range values roll over (month 13 -> January next year)
+ * @param {number} day - out-of-range values roll over (day 0 -> last day of the previous month)
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function calendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+export const addDays = (date, days) => calendarDate(date.year, date.month, date.day + days);
+
+/** Same day in another month, clamped to the month's last day (31 Jan + 1 month -> 28/29 Feb) */
+export function addMonths(date, months) {
+  const first = calendarDate(date.year, date.month + months, 1);
+  return { ...first, day: Math.min(date.day, daysInMonth(first.year, first.month)) };
+}
+
+export const daysInMonth = (year, month) => calendarDate(year, month + 1, 0).day;
+
+/** Months from a to b (b later -> positive), ignoring the day */
+export const monthsBetween = (a, b) => (b.year - a.year) * 12 + (b.month - a.month);
+
+/** Negative, 0 or positive like a sort comparator */
+export const compareDates = (a, b) => Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** 'YYYY-MM-DD' (the aria-label of PrimeReact calendar cells) */
+export const formatDate = (date) => `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+
+/**
+ * Read 'YYYY-MM-DD' or a { year, month, day } object
+ * @param {string|{year, month, day}} value
+ */
+export function parseDate(value) {
+  if (value && typeof value === 'object' && 'year' in value) return calendarDate(value.year, value.month, value.day);
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) throw new Error(`[Clock] Invalid date "${value}" (use YYYY-MM-DD)`);
+  return calendarDate(Number(match[1]), Number(match[2]), Number(match[3]));
+}
+
+// ---------------------------------------------------------------------------
+// Clock
+// ---------------------------------------------------------------------------
+
+export class Clock {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.timezone] - SAST, GMT or IANA; default REPORT_TIMEZONE or SAST
+   * @param {Date|string|number|(() => Date)} [options.now] - Fixed instant or a function; default CLOCK_NOW or the system clock
+   */
+  constructor(options = {}) {
+    this.timezone = resolveTimezone(options.timezone);
+    const now = options.now ?? process.env.CLOCK_NOW;
+    if (typeof now === 'function') {
+      this.nowFn = now;
+    } else if (now !== undefined && now !== '') {
+      const fixed = new Date(now);
+      if (Number.isNaN(fixed.getTime())) throw new Error(`[Clock] Invalid "now": ${now}`);
+      this.nowFn = () => new Date(fixed);
+    } else {
+      this.nowFn = () => new Date();
+    }
+    this.format = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+
+  /** @returns {Date} */
+  now() {
+    return this.nowFn();
+  }
+
+  /**
+   * Wall-clock fields of an instant in the reference timezone
+   * @param {Date} [instant=now()]
+   * @returns {{year, month, day, hour, minute, second}}
+   */
+  parts(instant = this.now()) {
+    const fields = Object.fromEntries(this.format.formatToParts(instant)
+      .filter((part) => part.type !== 'literal')
+      .map((part) => [part.type, Number(part.value)]));
+    return { year: fields.year, month: fields.month, day: fields.day, hour: fields.hour, minute: fields.minute, second: fields.second };
+  }
+
+  /** Calendar date of an instant (default now) */
+  dateOf(instant = this.now()) {
+    const { year, month, day } = this.parts(instant);
+    return { year, month, day };
+  }
+
+  today() {
+    return this.dateOf();
+  }
+
+  /** Calendar date `days` from today (negative for the past) */
+  daysFromToday(days) {
+    return addDays(this.today(), days);
+  }
+
+  /** 'HH:MM:SS' of an instant (default now) */
+  time(instant = this.now()) {
+    const { hour, minute, second } = this.parts(instant);
+    return `${pad(hour)}:${pad(minute)}:${pad(second)}`;
+  }
+
+  /** 'YYYY-MM-DD' of an instant (default now) */
+  dateString(instant = this.now()) {
+    return formatDate(this.dateOf(instant));
+  }
+
+  /** Offset of the reference timezone from UTC at an instant, in ms (SAST: +7200000) */
+  offsetMs(instant = this.now()) {
+    const p = this.parts(instant);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * Instant of a wall-clock date and time in the reference timezone
+   * @param {{year, month, day}|string} date
+   * @param {string} [time='00:00:00']
+   * @returns {Date}
+   */
+  toInstant(date, time = '00:00:00') {
+    const { year, month, day } = parseDate(date);
+    const [hour = 0, minute = 0, second = 0] = time.split(':').map(Number);
+    const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    // The offset at the guess can differ from the one at the answer around a DST change
+    let instant = new Date(wallAsUtc - this.offsetMs(new Date(wallAsUtc)));
+    instant = new Date(wallAsUtc - this.offsetMs(instant));
+    return instant;
+  }
+
+  /**
+   * A report date range in days relative to today, e.g. range(-7, 0) for the last week
+   * @param {number} fromDays
+   * @param {number} [toDays=0]
+   * @returns {{from, to, spansMonths: boolean, months: number}} months = calendar pages between from and to
+   */
+  range(fromDays, toDays = 0) {
+    const from = this.daysFromToday(fromDays);
+    const to = this.daysFromToday(toDays);
+    if (compareDates(from, to) > 0) throw new Error(`[Clock] Range starts after it ends (${formatDate(from)} > ${formatDate(to)})`);
+    return { from, to, spansMonths: monthsBetween(from, to) !== 0, months: monthsBetween(from, to) };
+  }
+
+  toString() {
+    return `Clock(${this.timezone}, now ${this.now().toISOString()} = ${this.dateString()} ${this.time()})`;
+  }
+}
+
+let systemClock = null;
+
+/** Shared clock for page objects (REPORT_TIMEZONE / CLOCK_NOW) */
+export function getClock() {
+  return (systemClock ||= new Clock());
+}
+
+/**
+ * Replace the shared clock (e.g. pin "now" for a suite); null restores the default
+ * @param {Clock|null} clock
+ */
+export function setClock(clock) {
+  systemClock = clock;
+}
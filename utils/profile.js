@@ -0,0 +1,191 @@
+// utils/profile.js
+// Environment profiles: profiles/<name>.json describes one environment (base URL,
+// Event Grid endpoints and topics, Elasticsearch, Aura, company/site fixtures).
+// ENVIRONMENT picks the profile (default: uat), so adding an environment is a new
+// JSON file rather than another dev/uat ternary.
+//
+// String values may reference environment variables:
+//   "${UAT_URL}"                      -> value of UAT_URL, '' when unset
+//   "${UAT_TOPIC:-staging-topic}"     -> UAT_TOPIC, or the default when unset/empty
+//   "${secret:UAT_SASKEY}"            -> read through the secrets provider (utils/secrets.js),
+//                                        no inline default allowed
+// Defaults may themselves contain placeholders. Plain values are resolved on every
+// getProfile() call, so variables set later (e.g. by a global setup) are picked up.
+// Settings holding a secret are resolved only when first read, so loading the profile
+// (e.g. in playwright.config.js) never runs the command provider for secrets nobody uses.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getSecret } from './secrets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROFILE_DIR = path.resolve(__dirname, '../profiles');
+
+const SECRET_PREFIX = 'secret:';
+
+const rawProfiles = new Map();
+
+/** Name of the active profile (ENVIRONMENT, default 'uat') */
+export function profileName(override) {
+  return (override || process.env.ENVIRONMENT || 'uat').toLowerCase();
+}
+
+/** Names of every profile in profiles/ */
+export function listProfiles() {
+  return fs.readdirSync(PROFILE_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => path.basename(file, '.json'))
+    .sort();
+}
+
+function readRawProfile(name) {
+  if (!rawProfiles.has(name)) {
+    const file = path.join(PROFILE_DIR, `${name}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`[Profile] Unknown environment profile '${name}'. Available: ${listProfiles().join(', ')}`);
+    }
+    rawProfiles.set(name, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return rawProfiles.get(name);
+}
+
+/**
+ * Resolve ${VAR} / ${VAR:-default} placeholders in a string.
+ * @param {string} value
+ * @param {Object} [env=process.env]
+ * @returns {string}
+ */
+export function interpolate(value, env = process.env) {
+  let out = '';
+  let i = 0;
+  while (i < value.length) {
+    const start = value.indexOf('${', i);
+    if (start === -1) {
+      out += value.slice(i);
+      break;
+    }
+    out += value.slice(i, start);
+
+    // Find the matching close brace, allowing nested ${...} in the default
+    let depth = 0;
+    let end = start;
+    for (; end < value.length; end++) {
+      if (value.startsWith('${', end)) {
+        depth++;
+        end++;
+      } else if (value[end] === '}' && --depth === 0) {
+        break;
+      }
+    }
+    if (depth !== 0) throw new Error(`[Profile] Unterminated placeholder in "${value}"`);
+
+    const body = value.slice(start + 2, end);
+    const separator = body.indexOf(':-');
+    const name = separator === -1 ? body : body.slice(0, separator);
+    const fallback = separator === -1 ? '' : body.slice(separator + 2);
+    if (name.startsWith(SECRET_PREFIX)) {
+      // Credentials never fall back to a value written in the profile
+      if (separator !== -1) throw new Error(`[Profile] Secrets cannot have inline defaults: "${value}"`);
+      out += getSecret(name.slice(SECRET_PREFIX.length)) || '';
+    } else {
+      out += env[name] ? env[name] : interpolate(fallback, env);
+    }
+    i = end + 1;
+  }
+  return out;
+}
+
+/** Define `key` on `target` as a getter that computes its value once, on first read */
+function defineLazy(target, key, compute) {
+  const settle = (value) => Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+  Object.defineProperty(target, key, {
+    enumerable: true,
+    configurable: true,
+    get: () => {
+      const value = compute();
+      settle(value);
+      return value;
+    },
+    set: settle
+  });
+}
+
+const holdsSecret = (value) => typeof value === 'string' && value.includes('${' + SECRET_PREFIX);
+
+function resolve(value, env) {
+  if (typeof value === 'string') return interpolate(value, env);
+  if (value && typeof value === 'object') {
+    const out = Array.isArray(value) ? [] : {};
+    for (const [key, item] of Object.entries(value)) {
+      if (holdsSecret(item)) defineLazy(out, key, () => interpolate(item, env));
+      else out[key] = resolve(item, env);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Load and resolve a profile. Secret settings are read through the secrets provider on
+ * first access.
+ * @param {string} [name] - Profile name, defaults to the active profile
+ * @returns {Object}
+ */
+export function loadProfile(name) {
+  return resolve(readRawProfile(profileName(name)), process.env);
+}
+
+/** The active, resolved profile */
+export function getProfile() {
+  return loadProfile();
+}
+
+/**
+ * Event Grid settings of a profile in the shape newApiContext() has always returned
+ * @param {Object} [profile=getProfile()]
+ * @returns {{url: string, saskey: string, topic: string, isentryTopic: string, isentryFireflyTopic: string, trexPublicUrl: string, trexPublicSasKey: string}}
+ */
+export function eventGridConfig(profile = getProfile()) {
+  const eventGrid = profile.eventGrid || {};
+  const topics = eventGrid.topics || {};
+  return {
+    url: eventGrid.url,
+    saskey: eventGrid.sasKey,
+    topic: topics.alerts,
+    isentryTopic: topics.isentry,
+    isentryFireflyTopic: topics.isentryFirefly,
+    trexPublicUrl: eventGrid.trexPublic?.url,
+    trexPublicSasKey: eventGrid.trexPublic?.sasKey
+  };
+}
+
+/**
+ * Settings of the active profile that resolved to an empty value
+ * @param {string[]} settings - Dotted paths, e.g. ['eventGrid.url', 'eventGrid.sasKey']
+ * @param {string} [name] - Profile name, defaults to the active profile
+ * @returns {Array<{setting: string, variables: string[]}>} Missing settings and the variables that would fill them
+ */
+export function missingSettings(settings, name) {
+  const raw = readRawProfile(profileName(name));
+  const resolved = loadProfile(name);
+  const at = (obj, dotted) => dotted.split('.').reduce((value, key) => value?.[key], obj);
+
+  return settings
+    .filter((setting) => !at(resolved, setting))
+    .map((setting) => ({
+      setting,
+      variables: [...String(at(raw, setting) ?? '').matchAll(/\$\{(?:secret:)?([A-Za-z_][A-Za-z0-9_]*)/g)].map((m) => m[1])
+    }));
+}
+
+/**
+ * Whether a setting of the active profile is read through the secrets provider
+ * @param {string} setting - Dotted path, e.g. 'eventGrid.sasKey'
+ * @param {string} [name] - Profile name, defaults to the active profile
+ * @returns {boolean}
+ */
+export function isSecretSetting(setting, name) {
+  return holdsSecret(setting.split('.').reduce((obj, key) => obj?.[key], readRawProfile(profileName(name))));
+}
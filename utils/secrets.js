@@ -0,0 +1,272 @@
+// utils/secrets.js
+// Secrets provider layer. Every credential (SSO logins, Event Grid SAS keys,
+// Elasticsearch keys, Aura login) is read through getSecret() so it can come from:
+//   env      - process.env / .env (default)
+//   file     - AES-256-GCM encrypted JSON file (SECRETS_FILE, default .secrets.enc),
+//              unlocked with SECRETS_PASSPHRASE; manage it with scripts/secrets.js
+//   command  - a password manager CLI; SECRETS_COMMAND is run with {name} replaced,
+//              e.g. "pass show proof360/{name}" or "op read op://Proof360/{name}/credential"
+// SECRETS_PROVIDER picks the order, e.g. "file,env" tries the file first.
+//
+// There are no inline fallbacks: a missing required secret is an error. Once a
+// secret has been read, console output of this process is redacted so the value
+// never reaches a log line.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+const SECRET_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const REDACTED = '***';
+// Shorter values (e.g. "1", "uat") would mangle unrelated log text
+const MIN_REDACT_LENGTH = 4;
+
+const ENCRYPTED_FILE_VERSION = 1;
+
+const cache = new Map();
+const knownSecrets = new Set();
+let redactionInstalled = false;
+
+// ---------------------------------------------------------------------------
+// Providers
+// ---------------------------------------------------------------------------
+
+const envProvider = {
+  name: 'env',
+  get: (name) => process.env[name] || undefined
+};
+
+function secretsFilePath() {
+  return path.resolve(PROJECT_ROOT, process.env.SECRETS_FILE || '.secrets.enc');
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * Encrypt a name -> value map into the SECRETS_FILE format
+ * @param {Object<string,string>} secrets
+ * @param {string} passphrase
+ * @returns {Object} File contents (JSON-serialisable)
+ */
+export function encryptSecrets(secrets, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+  return {
+    version: ENCRYPTED_FILE_VERSION,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt SECRETS_FILE contents
+ * @param {Object} file - Parsed file contents
+ * @param {string} passphrase
+ * @returns {Object<string,string>}
+ */
+export function decryptSecrets(file, passphrase) {
+  if (file?.version !== ENCRYPTED_FILE_VERSION) {
+    throw new Error(`[Secrets] Unsupported secrets file version: ${file?.version}`);
+  }
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(passphrase, Buffer.from(file.salt, 'base64')),
+    Buffer.from(file.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+  try {
+    const plain = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch {
+    throw new Error('[Secrets] Could not decrypt the secrets file (wrong SECRETS_PASSPHRASE or corrupted file)');
+  }
+}
+
+/**
+ * Read and decrypt SECRETS_FILE
+ * @returns {Object<string,string>} Empty when the file does not exist
+ */
+export function readSecretsFile(file = secretsFilePath(), passphrase = process.env.SECRETS_PASSPHRASE) {
+  if (!fs.existsSync(file)) return {};
+  if (!passphrase) {
+    throw new Error(`[Secrets] SECRETS_PASSPHRASE is required to read ${path.basename(file)}`);
+  }
+  const secrets = decryptSecrets(JSON.parse(fs.readFileSync(file, 'utf8')), passphrase);
+  Object.values(secrets).forEach(trackSecret);
+  return secrets;
+}
+
+/**
+ * Encrypt and write SECRETS_FILE
+ * @param {Object<string,string>} secrets
+ */
+export function writeSecretsFile(secrets, file = secretsFilePath(), passphrase = process.env.SECRETS_PASSPHRASE) {
+  if (!passphrase) {
+    throw new Error(`[Secrets] SECRETS_PASSPHRASE is required to write ${path.basename(file)}`);
+  }
+  fs.writeFileSync(file, JSON.stringify(encryptSecrets(secrets, passphrase), null, 2) + '\n', { mode: 0o600 });
+}
+
+let fileCache = null;
+
+const fileProvider = {
+  name: 'file',
+  get: (name) => {
+    // Decrypting is slow (scrypt), so only re-read when the file changes
+    const file = secretsFilePath();
+    const mtimeMs = fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+    if (!fileCache || fileCache.file !== file || fileCache.mtimeMs !== mtimeMs) {
+      fileCache = { file, mtimeMs, secrets: readSecretsFile(file) };
+    }
+    return fileCache.secrets[name] || undefined;
+  }
+};
+
+const commandProvider = {
+  name: 'command',
+  get: (name) => {
+    const template = process.env.SECRETS_COMMAND;
+    if (!template) {
+      throw new Error('[Secrets] SECRETS_COMMAND must be set to use the command provider, e.g. "pass show proof360/{name}"');
+    }
+    try {
+      const output = execSync(template.replaceAll('{name}', name), {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: 30000
+      });
+      // pass prints the password on the first line, followed by optional metadata
+      return output.split(/\r?\n/)[0] || undefined;
+    } catch (error) {
+      console.warn(`[Secrets] ${name} not available from command provider (exit ${error.status ?? 'n/a'})`);
+      return undefined;
+    }
+  }
+};
+
+const PROVIDERS = { env: envProvider, file: fileProvider, command: commandProvider };
+
+/** Providers in lookup order (SECRETS_PROVIDER, default "env") */
+export function activeProviders() {
+  return (process.env.SECRETS_PROVIDER || 'env')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      if (!PROVIDERS[name]) {
+        throw new Error(`[Secrets] Unknown secrets provider '${name}'. Use: ${Object.keys(PROVIDERS).join(', ')}`);
+      }
+      return PROVIDERS[name];
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Lookup
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a secret through the configured providers
+ * @param {string} name - Secret name, e.g. 'ADMIN_MS_PASSWORD' (the env var name for the env provider)
+ * @param {Object} [options]
+ * @param {boolean} [options.required=false] - Throw when no provider has it
+ * @returns {string|undefined}
+ */
+export function getSecret(name, { required = false } = {}) {
+  if (!SECRET_NAME.test(name || '')) {
+    throw new Error(`[Secrets] Invalid secret name: ${JSON.stringify(name)}`);
+  }
+
+  const providers = activeProviders();
+  let value;
+  for (const provider of providers) {
+    // Env values can change between calls (dotenv, global setup); other providers are cached
+    if (provider === envProvider) {
+      value = provider.get(name);
+    } else {
+      const key = `${provider.name}:${name}`;
+      if (!cache.has(key)) cache.set(key, provider.get(name) || null);
+      value = cache.get(key);
+    }
+    if (value) break;
+  }
+
+  if (!value) {
+    if (required) {
+      throw new Error(`[Secrets] Secret ${name} is not set (providers: ${providers.map((p) => p.name).join(', ')})`);
+    }
+    return undefined;
+  }
+
+  trackSecret(value);
+  return value;
+}
+
+/**
+ * Read several secrets at once
+ * @param {string[]} names
+ * @param {Object} [options] - Passed to getSecret
+ * @returns {Object<string,string|undefined>}
+ */
+export function getSecrets(names, options) {
+  return Object.fromEntries(names.map((name) => [name, getSecret(name, options)]));
+}
+
+/** Drop cached values (tests, or after rotating a secret) */
+export function clearSecretCache() {
+  cache.clear();
+  fileCache = null;
+}
+
+// ---------------------------------------------------------------------------
+// Redaction
+// ---------------------------------------------------------------------------
+
+function trackSecret(value) {
+  if (typeof value !== 'string' || value.length < MIN_REDACT_LENGTH) return;
+  knownSecrets.add(value);
+  installLogRedaction();
+}
+
+/**
+ * Replace every known secret value in a string
+ * @param {string} text
+ * @returns {string}
+ */
+export function redact(text) {
+  let out = String(text);
+  // Longest first so a secret containing another is fully replaced
+  for (const secret of [...knownSecrets].sort((a, b) => b.length - a.length)) {
+    out = out.split(secret).join(REDACTED);
+  }
+  return out;
+}
+
+/**
+ * Redact known secrets from every console.log/info/warn/error/debug line of this process.
+ * Installed automatically once the first secret is read.
+ */
+export function installLogRedaction() {
+  if (redactionInstalled) return;
+  redactionInstalled = true;
+
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      if (knownSecrets.size === 0) return original(...args);
+      return original(redact(util.format(...args)));
+    };
+  }
+}